@@ -0,0 +1,32 @@
+const path = require('path');
+
+// Scheduled server backups; see .env.example.
+//
+// BACKUP_INTERVAL_HOURS is how often a backup is taken (0 turns the
+// scheduler off; backups can still be made by hand). After each backup the
+// stored files are pruned to the newest one of each of the last
+// BACKUP_KEEP_DAILY days, BACKUP_KEEP_WEEKLY weeks and BACKUP_KEEP_MONTHLY
+// months. BACKUP_DIR should be on a disk that survives redeploys.
+
+function readCount(value, fallback) {
+  const count = parseInt(value);
+  return Number.isInteger(count) && count >= 0 ? count : fallback;
+}
+
+function loadBackupConfig(env = process.env) {
+  const intervalHours = parseFloat(env.BACKUP_INTERVAL_HOURS);
+
+  return {
+    directory: env.BACKUP_DIR ? path.resolve(env.BACKUP_DIR) : path.join(__dirname, '..', 'backups'),
+    intervalMs: (Number.isFinite(intervalHours) && intervalHours >= 0 ? intervalHours : 24) * 60 * 60 * 1000,
+    retention: {
+      daily: readCount(env.BACKUP_KEEP_DAILY, 7),
+      weekly: readCount(env.BACKUP_KEEP_WEEKLY, 4),
+      monthly: readCount(env.BACKUP_KEEP_MONTHLY, 12)
+    }
+  };
+}
+
+module.exports = {
+  loadBackupConfig
+};
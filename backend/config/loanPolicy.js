@@ -0,0 +1,47 @@
+// How long a returnable part may stay checked out before it counts as
+// overdue, in days. Categories without their own entry use `default`.
+//
+// Override with LOAN_PERIOD_DAYS, a JSON object of the same shape, e.g.
+// LOAN_PERIOD_DAYS={"default":7,"Diagnostic Tools":2}
+const DEFAULT_LOAN_PERIODS = {
+  default: 7
+};
+
+// Read when needed rather than at require time, so a value from .env counts
+// however early this module is loaded
+function loadLoanPeriods(env = process.env) {
+  if (!env.LOAN_PERIOD_DAYS) {
+    return { ...DEFAULT_LOAN_PERIODS };
+  }
+
+  try {
+    const configured = JSON.parse(env.LOAN_PERIOD_DAYS);
+    const periods = { ...DEFAULT_LOAN_PERIODS };
+    Object.entries(configured).forEach(([category, days]) => {
+      if (Number.isFinite(days) && days > 0) {
+        periods[category] = days;
+      }
+    });
+    return periods;
+  } catch (error) {
+    console.error('⚠️ Ignoring invalid LOAN_PERIOD_DAYS:', error.message);
+    return { ...DEFAULT_LOAN_PERIODS };
+  }
+}
+
+function getLoanPeriodDays(category) {
+  const loanPeriods = loadLoanPeriods();
+  return loanPeriods[category] || loanPeriods.default;
+}
+
+function getDefaultDueDate(category, from = new Date()) {
+  const dueDate = new Date(from);
+  dueDate.setDate(dueDate.getDate() + getLoanPeriodDays(category));
+  return dueDate;
+}
+
+module.exports = {
+  loadLoanPeriods,
+  getLoanPeriodDays,
+  getDefaultDueDate
+};
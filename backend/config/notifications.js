@@ -0,0 +1,42 @@
+// Delivery settings for notifications. Each channel is switched on by
+// setting its variables; see .env.example.
+//
+// Email (SMTP):  SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS,
+//                NOTIFY_EMAIL_FROM
+// Webhook:       NOTIFY_WEBHOOK_URL, NOTIFY_WEBHOOK_SECRET (signs the body)
+// Web Push:      VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT
+//
+// NOTIFY_CHECK_MINUTES sets how often stock and loans are checked when
+// nothing has changed (loans become overdue on their own); 0 turns the
+// timer off. NOTIFY_APP_URL is linked from emails and push messages.
+
+function loadNotificationConfig(env = process.env) {
+  const smtpPort = parseInt(env.SMTP_PORT) || 587;
+  const checkMinutes = parseFloat(env.NOTIFY_CHECK_MINUTES);
+
+  return {
+    email: env.SMTP_HOST ? {
+      host: env.SMTP_HOST,
+      port: smtpPort,
+      // Port 465 speaks TLS from the start; others upgrade with STARTTLS if offered
+      secure: env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : smtpPort === 465,
+      auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS || '' } : undefined,
+      from: env.NOTIFY_EMAIL_FROM || 'WKI Tool Room <toolroom@localhost>'
+    } : null,
+    webhook: env.NOTIFY_WEBHOOK_URL ? {
+      url: env.NOTIFY_WEBHOOK_URL,
+      secret: env.NOTIFY_WEBHOOK_SECRET || null
+    } : null,
+    push: env.VAPID_PUBLIC_KEY && env.VAPID_PRIVATE_KEY ? {
+      publicKey: env.VAPID_PUBLIC_KEY,
+      privateKey: env.VAPID_PRIVATE_KEY,
+      subject: env.VAPID_SUBJECT || 'mailto:toolroom@localhost'
+    } : null,
+    checkIntervalMs: (Number.isFinite(checkMinutes) && checkMinutes >= 0 ? checkMinutes : 15) * 60 * 1000,
+    appUrl: env.NOTIFY_APP_URL || env.FRONTEND_URL || 'http://localhost:3000'
+  };
+}
+
+module.exports = {
+  loadNotificationConfig
+};
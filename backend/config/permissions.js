@@ -0,0 +1,47 @@
+// Roles and what each may do. Roles are ranked; every role can also do
+// everything the roles before it can, so a lead can check parts out and an
+// admin can do anything.
+const ROLES = ['technician', 'lead', 'admin'];
+
+// Accounts created before roles existed act as technicians
+const DEFAULT_ROLE = 'technician';
+
+// Permission -> lowest role that has it
+const PERMISSIONS = {
+  'parts:checkout': 'technician',
+  'parts:edit': 'lead',
+  'parts:move': 'lead',
+  'employees:manage': 'lead',
+  'purchasing:receive': 'technician',
+  'purchasing:manage': 'lead',
+  'counts:record': 'technician',
+  'counts:manage': 'lead',
+  'notifications:manage': 'lead',
+  'import:excel': 'lead',
+  'backup:create': 'lead',
+  'backup:restore': 'admin',
+  'shelves:manage': 'admin',
+  'users:manage': 'admin'
+};
+
+function getRole(user) {
+  return user && ROLES.includes(user.role) ? user.role : DEFAULT_ROLE;
+}
+
+function hasPermission(user, permission) {
+  if (!user || !PERMISSIONS[permission]) return false;
+  return ROLES.indexOf(getRole(user)) >= ROLES.indexOf(PERMISSIONS[permission]);
+}
+
+function getPermissions(user) {
+  return Object.keys(PERMISSIONS).filter(permission => hasPermission(user, permission));
+}
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  PERMISSIONS,
+  getRole,
+  hasPermission,
+  getPermissions
+};
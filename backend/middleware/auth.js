@@ -0,0 +1,47 @@
+const { hasPermission } = require('../config/permissions');
+
+// Reads the bearer token, if any, and attaches the logged-in user as req.user.
+// Requests without a valid token carry on anonymously; routes that need a
+// login add requireAuth.
+const authenticate = (authService) => async (req, res, next) => {
+  try {
+    const header = req.get('Authorization') || '';
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    req.authToken = match ? match[1] : null;
+    req.user = await authService.getSessionUser(req.authToken);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const requireAuth = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Please log in to continue', code: 'UNAUTHORIZED' });
+  }
+  next();
+};
+
+// Requires a login whose role grants the permission (see config/permissions.js)
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Please log in to continue', code: 'UNAUTHORIZED' });
+  }
+  if (!hasPermission(req.user, permission)) {
+    return res.status(403).json({ error: 'Your role does not allow this action', code: 'FORBIDDEN' });
+  }
+  next();
+};
+
+// Name recorded in transactions and modifiedBy for the current request
+const getActorName = (req) => {
+  if (!req.user) return 'System';
+  return req.user.displayName || req.user.username;
+};
+
+module.exports = {
+  authenticate,
+  requireAuth,
+  requirePermission,
+  getActorName,
+};
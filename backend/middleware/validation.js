@@ -8,13 +8,27 @@ const partSchema = joi.object({
   category: joi.string().required().min(3).max(50),
   quantity: joi.number().integer().min(0).max(9999).required(),
   minQuantity: joi.number().integer().min(0).max(999).required(),
-  status: joi.string().valid('available', 'checked_out').default('available'),
+  itemType: joi.string().valid('returnable', 'consumable').default('returnable'),
+  status: joi.string().valid('available', 'partially_checked_out', 'checked_out').default('available'),
   checkedOutBy: joi.string().allow(null).default(null),
   checkedOutDate: joi.date().allow(null).default(null),
   lastUpdated: joi.date().default(() => new Date()),
   cost: joi.number().precision(2).min(0).max(99999.99).optional(),
   supplier: joi.string().max(100).optional(),
   notes: joi.string().max(500).optional(),
+  // The version the client loaded, for updates (see DatabaseService.updatePart)
+  version: joi.number().integer().min(0).optional(),
+});
+
+// Part update schema: the same fields without defaults, so leaving one out
+// of an update never resets it, and without the loan state, which only
+// checkout and checkin change
+const partUpdateSchema = partSchema.keys({
+  itemType: joi.string().valid('returnable', 'consumable').optional(),
+  status: joi.any().strip(),
+  checkedOutBy: joi.any().strip(),
+  checkedOutDate: joi.any().strip(),
+  lastUpdated: joi.any().strip(),
 });
 
 // Shelf validation schema
@@ -31,6 +45,7 @@ const shelfSchema = joi.object({
 // User checkout validation schema
 const checkoutSchema = joi.object({
   userId: joi.string().required().min(2).max(50),
+  quantity: joi.number().integer().min(1).default(1),
   notes: joi.string().max(200).optional(),
   expectedReturnDate: joi.date().greater('now').optional(),
 });
@@ -86,21 +101,6 @@ const validateShelfExists = async (shelfId, shelves) => {
   return shelves[shelfId];
 };
 
-const validatePartAvailable = (part) => {
-  if (part.status !== 'available') {
-    throw new Error('Part is not available for checkout');
-  }
-  if (part.quantity <= 0) {
-    throw new Error('Part is out of stock');
-  }
-};
-
-const validatePartCheckedOut = (part) => {
-  if (part.status !== 'checked_out') {
-    throw new Error('Part is not checked out');
-  }
-};
-
 // Business logic validation
 const validateBusinessRules = {
   checkDuplicatePartNumber: (parts, partNumber, excludeId = null) => {
@@ -139,13 +139,12 @@ const validateBusinessRules = {
 
 module.exports = {
   partSchema,
+  partUpdateSchema,
   shelfSchema,
   checkoutSchema,
   searchSchema,
   validate,
   validatePartExists,
   validateShelfExists,
-  validatePartAvailable,
-  validatePartCheckedOut,
   validateBusinessRules,
 };
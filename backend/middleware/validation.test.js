@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { partSchema, partUpdateSchema } = require('./validation');
+
+const options = { stripUnknown: true, convert: true };
+const fields = { partNumber: 'F-1', description: 'Oil filter', shelf: 'A-01', category: 'Filters', quantity: 5, minQuantity: 1 };
+
+test('a new part is returnable and available unless it says otherwise', () => {
+  const { value } = partSchema.validate(fields, options);
+  assert.deepStrictEqual([value.itemType, value.status], ['returnable', 'available']);
+  assert.strictEqual(partSchema.validate({ ...fields, itemType: 'consumable' }, options).value.itemType, 'consumable');
+});
+
+test('an update leaves out the fields it was not sent, and the loan state', () => {
+  const { value, error } = partUpdateSchema.validate({
+    ...fields, status: 'available', checkedOutBy: null, checkedOutDate: null, version: 3
+  }, options);
+
+  assert.strictEqual(error, undefined);
+  assert.deepStrictEqual(value, { ...fields, version: 3 });
+  assert.ok(partUpdateSchema.validate({ ...fields, itemType: 'spare' }, options).error);
+});
@@ -1,4 +1,46 @@
 const mongoose = require('mongoose');
+const { ROLES, DEFAULT_ROLE } = require('../config/permissions');
+
+// Returnable items (tools) go out on loan and come back; consumables
+// (filters, seals) are issued and leave stock for good
+const ITEM_TYPES = ['returnable', 'consumable'];
+
+// Purchase order lifecycle, in order
+const PURCHASE_ORDER_STATUSES = ['draft', 'sent', 'partially_received', 'received'];
+
+// A cycle count is `open` while shelves are counted, then `approved` (its
+// variances booked as adjustments) or `cancelled`
+const COUNT_SESSION_STATUSES = ['open', 'approved', 'cancelled'];
+
+// What users can be notified about, and how
+const NOTIFICATION_EVENTS = ['low_stock', 'out_of_stock', 'loan_overdue'];
+const NOTIFICATION_CHANNELS = ['email', 'push'];
+
+// Part fields a spreadsheet column can be mapped to
+const IMPORT_FIELDS = ['partNumber', 'description', 'shelf', 'rack', 'series', 'category', 'itemType', 'quantity', 'minQuantity', 'cost'];
+
+// Where a part's unit cost came from: typed in, or a purchase order line
+const COST_SOURCES = ['manual', 'received', 'import'];
+
+// One open loan on a part: who holds how many units
+const checkoutRecordSchema = new mongoose.Schema({
+  checkoutId: { type: String, required: true },
+  user: { type: String, required: true },
+  employeeId: { type: String, default: null }, // Badge number when checked out by badge
+  quantity: { type: Number, required: true, min: 1 },
+  checkedOutDate: { type: Date, default: Date.now },
+  dueDate: { type: Date, default: null },
+  notes: { type: String, default: '' }
+}, { _id: false });
+
+// One change of a part's unit cost
+const costHistoryEntrySchema = new mongoose.Schema({
+  cost: { type: Number, default: null, min: 0 },
+  changedAt: { type: Date, default: Date.now },
+  changedBy: { type: String, default: 'System' },
+  source: { type: String, enum: COST_SOURCES, default: 'manual' },
+  poNumber: { type: String, default: null } // Set when the cost came from receiving an order
+}, { _id: false });
 
 // Part Schema
 const partSchema = new mongoose.Schema({
@@ -7,15 +49,25 @@ const partSchema = new mongoose.Schema({
   description: { type: String, default: '' }, // Allow empty descriptions
   shelf: { type: String, default: null },
   category: { type: String, required: true },
-  status: { type: String, enum: ['available', 'checked_out'], default: 'available' },
+  rack: { type: String, default: '' }, // Rack and series come from spreadsheet imports
+  series: { type: String, default: '' },
+  attributes: { type: Map, of: String, default: {} }, // Custom name/value details, see services/attributes.js
+  itemType: { type: String, enum: ITEM_TYPES, default: 'returnable' },
+  // status, checkedOutBy and checkedOutDate summarize the open checkouts
+  status: { type: String, enum: ['available', 'partially_checked_out', 'checked_out'], default: 'available' },
   checkedOutBy: { type: String, default: null },
   checkedOutDate: { type: Date, default: null },
+  checkouts: { type: [checkoutRecordSchema], default: [] },
   quantity: { type: Number, default: 0 },
   minQuantity: { type: Number, default: 1 },
+  supplier: { type: String, default: null }, // Usual supplier's name
+  cost: { type: Number, default: null, min: 0 }, // Unit cost, updated when stock is received
+  costHistory: { type: [costHistoryEntrySchema], default: [] },
   lastLocationChange: { type: Date, default: null },
   previousLocation: { type: String, default: null },
   lastModified: { type: Date, default: Date.now },
-  modifiedBy: { type: String, default: 'System' }
+  modifiedBy: { type: String, default: 'System' },
+  version: { type: Number, default: 0 } // Incremented on every update, used for optimistic concurrency
 }, {
   timestamps: true,
   collection: 'parts'
@@ -39,40 +91,264 @@ const transactionSchema = new mongoose.Schema({
   partNumber: { type: String, required: true },
   action: { 
     type: String, 
-    enum: ['checkout', 'checkin', 'location_change', 'quantity_update', 'created', 'updated', 'import'], // Add 'import'
+    enum: ['checkout', 'checkin', 'issue', 'received', 'count_adjustment', 'location_change', 'quantity_update', 'created', 'updated', 'deleted', 'import', 'restored'], // Add 'import'
     required: true 
   },
   user: { type: String, required: true },
+  employeeId: { type: String, default: null }, // Badge number of the employee, when known
   timestamp: { type: Date, default: Date.now },
   fromLocation: { type: String, default: null },
   toLocation: { type: String, default: null },
   fromQuantity: { type: Number, default: null },
   toQuantity: { type: Number, default: null },
+  quantity: { type: Number, default: null }, // Units moved by a checkout, checkin or issue
+  checkoutId: { type: String, default: null }, // Links a checkin to the checkout it returns
+  dueDate: { type: Date, default: null }, // Expected return date of a checkout
+  quantityBefore: { type: Number, default: null },
+  quantityAfter: { type: Number, default: null },
+  poNumber: { type: String, default: null }, // Purchase order a `received` transaction books in
+  countSessionId: { type: String, default: null }, // Cycle count a `count_adjustment` came from
+  unitCost: { type: Number, default: null },
   notes: { type: String, default: '' }
 }, {
   timestamps: true,
   collection: 'transactions'
 });
 
+// User Schema
+const userSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  displayName: { type: String, required: true },
+  passwordHash: { type: String, required: true }, // scrypt, see services/AuthService.js
+  role: { type: String, enum: ROLES, default: DEFAULT_ROLE },
+  active: { type: Boolean, default: true },
+  lastLoginAt: { type: Date, default: null }
+}, {
+  timestamps: true,
+  collection: 'users'
+});
+
+// Employee Schema. The directory of people who borrow parts, keyed by the
+// number on their badge.
+const employeeSchema = new mongoose.Schema({
+  employeeId: { type: String, required: true, unique: true, trim: true },
+  name: { type: String, required: true, trim: true },
+  department: { type: String, default: '' },
+  active: { type: Boolean, default: true }
+}, {
+  timestamps: true,
+  collection: 'employees'
+});
+
+// Supplier Schema
+const supplierSchema = new mongoose.Schema({
+  id: { type: Number, required: true, unique: true },
+  name: { type: String, required: true, trim: true },
+  contactName: { type: String, default: '' },
+  email: { type: String, default: '' },
+  phone: { type: String, default: '' },
+  leadTimeDays: { type: Number, default: null, min: 0 }, // Typical days from order to delivery
+  notes: { type: String, default: '' },
+  active: { type: Boolean, default: true }
+}, {
+  timestamps: true,
+  collection: 'suppliers'
+});
+
+// One part ordered on a purchase order
+const purchaseOrderLineSchema = new mongoose.Schema({
+  lineId: { type: String, required: true },
+  partId: { type: Number, required: true },
+  partNumber: { type: String, required: true },
+  description: { type: String, default: '' },
+  quantityOrdered: { type: Number, required: true, min: 1 },
+  quantityReceived: { type: Number, default: 0, min: 0 },
+  unitCost: { type: Number, default: null, min: 0 }
+}, { _id: false });
+
+// Purchase Order Schema
+const purchaseOrderSchema = new mongoose.Schema({
+  poNumber: { type: String, required: true, unique: true },
+  supplierId: { type: Number, required: true },
+  supplierName: { type: String, required: true }, // Kept so the order reads the same if the supplier is renamed
+  status: { type: String, enum: PURCHASE_ORDER_STATUSES, default: 'draft' },
+  lines: { type: [purchaseOrderLineSchema], default: [] },
+  notes: { type: String, default: '' },
+  createdBy: { type: String, default: 'System' },
+  sentAt: { type: Date, default: null },
+  receivedAt: { type: Date, default: null }, // When the last outstanding line arrived
+  version: { type: Number, default: 0 }
+}, {
+  timestamps: true,
+  collection: 'purchase_orders'
+});
+
+// Session Schema. Only a hash of the bearer token is stored.
+const sessionSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  username: { type: String, required: true },
+  expiresAt: { type: Date, required: true }
+}, {
+  timestamps: true,
+  collection: 'sessions'
+});
+
 // Create indexes for better performance
 partSchema.index({ partNumber: 1 });
 partSchema.index({ shelf: 1 });
 partSchema.index({ category: 1 });
 partSchema.index({ status: 1 });
 partSchema.index({ quantity: 1 });
+// Whole-word search for DatabaseService.searchParts. Language 'none' keeps
+// words as typed, without stemming or stop words.
+partSchema.index(
+  { partNumber: 'text', description: 'text', category: 'text', shelf: 'text' },
+  { name: 'part_search', default_language: 'none', weights: { partNumber: 10, shelf: 5, category: 3, description: 1 } }
+);
 
 shelfSchema.index({ shelfId: 1 });
 
 transactionSchema.index({ partId: 1 });
 transactionSchema.index({ action: 1 });
 transactionSchema.index({ timestamp: -1 });
+transactionSchema.index({ employeeId: 1 });
+
+// One part on a cycle count. `systemQuantity` is the recorded stock when
+// the count was entered, so movements during the count don't show up as
+// variances.
+const countLineSchema = new mongoose.Schema({
+  partId: { type: Number, required: true },
+  partNumber: { type: String, required: true },
+  description: { type: String, default: '' },
+  shelf: { type: String, default: null },
+  expectedQuantity: { type: Number, default: 0 }, // Recorded stock when the session opened
+  countedQuantity: { type: Number, default: null, min: 0 },
+  systemQuantity: { type: Number, default: null },
+  countedBy: { type: String, default: null },
+  countedAt: { type: Date, default: null },
+  adjusted: { type: Boolean, default: false }
+}, { _id: false });
+
+// Count Session Schema
+const countSessionSchema = new mongoose.Schema({
+  sessionId: { type: String, required: true, unique: true },
+  shelves: { type: [String], default: [] },
+  status: { type: String, enum: COUNT_SESSION_STATUSES, default: 'open' },
+  lines: { type: [countLineSchema], default: [] },
+  notes: { type: String, default: '' },
+  createdBy: { type: String, default: 'System' },
+  approvedBy: { type: String, default: null },
+  closedAt: { type: Date, default: null },
+  version: { type: Number, default: 0 }
+}, {
+  timestamps: true,
+  collection: 'count_sessions'
+});
+
+purchaseOrderSchema.index({ status: 1 });
+purchaseOrderSchema.index({ supplierId: 1 });
+
+// A browser registered for Web Push, as handed out by PushManager.subscribe()
+const pushSubscriptionSchema = new mongoose.Schema({
+  endpoint: { type: String, required: true },
+  keys: {
+    p256dh: { type: String, required: true },
+    auth: { type: String, required: true }
+  },
+  userAgent: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Notification Subscription Schema. One per user: which events they want
+// and through which channels.
+const notificationSubscriptionSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  email: { type: String, default: '' },
+  events: { type: [{ type: String, enum: NOTIFICATION_EVENTS }], default: [] },
+  channels: { type: [{ type: String, enum: NOTIFICATION_CHANNELS }], default: [] },
+  pushSubscriptions: { type: [pushSubscriptionSchema], default: [] }
+}, {
+  timestamps: true,
+  collection: 'notification_subscriptions'
+});
+
+// Notification Alert Schema. A condition that has been notified and not yet
+// cleared, e.g. `low_stock:12`, so it is only sent once.
+const notificationAlertSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  type: { type: String, enum: NOTIFICATION_EVENTS, required: true },
+  partId: { type: Number, default: null },
+  checkoutId: { type: String, default: null },
+  raisedAt: { type: Date, default: Date.now }
+}, {
+  collection: 'notification_alerts'
+});
+
+// Import Profile Schema. A saved way of reading a supplier's spreadsheet:
+// which sheets to import and the category each becomes, and which column
+// holds each part field.
+const importProfileSchema = new mongoose.Schema({
+  id: { type: Number, required: true, unique: true },
+  name: { type: String, required: true, trim: true },
+  sheets: {
+    type: [new mongoose.Schema({
+      name: { type: String, required: true },
+      category: { type: String, required: true }
+    }, { _id: false })],
+    default: [] // Empty: every sheet, named after its category
+  },
+  columns: {
+    type: [new mongoose.Schema({
+      field: { type: String, enum: IMPORT_FIELDS, required: true },
+      column: { type: String, required: true } // Header text in the sheet
+    }, { _id: false })],
+    default: [] // Empty: columns are recognised by their headers
+  },
+  attributes: {
+    type: [String], // Header texts whose columns become custom attributes
+    default: []
+  }
+}, {
+  timestamps: true,
+  collection: 'import_profiles'
+});
+
+countSessionSchema.index({ status: 1 });
+
+sessionSchema.index({ username: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Let MongoDB drop expired sessions
 
 const Part = mongoose.model('Part', partSchema);
 const Shelf = mongoose.model('Shelf', shelfSchema);
 const Transaction = mongoose.model('Transaction', transactionSchema);
+const User = mongoose.model('User', userSchema);
+const Session = mongoose.model('Session', sessionSchema);
+const Employee = mongoose.model('Employee', employeeSchema);
+const Supplier = mongoose.model('Supplier', supplierSchema);
+const PurchaseOrder = mongoose.model('PurchaseOrder', purchaseOrderSchema);
+const CountSession = mongoose.model('CountSession', countSessionSchema);
+const NotificationSubscription = mongoose.model('NotificationSubscription', notificationSubscriptionSchema);
+const NotificationAlert = mongoose.model('NotificationAlert', notificationAlertSchema);
+const ImportProfile = mongoose.model('ImportProfile', importProfileSchema);
 
 module.exports = {
+  ITEM_TYPES,
+  PURCHASE_ORDER_STATUSES,
+  COST_SOURCES,
+  COUNT_SESSION_STATUSES,
+  NOTIFICATION_EVENTS,
+  NOTIFICATION_CHANNELS,
+  IMPORT_FIELDS,
   Part,
   Shelf,
-  Transaction
+  Transaction,
+  User,
+  Session,
+  Employee,
+  Supplier,
+  PurchaseOrder,
+  CountSession,
+  NotificationSubscription,
+  NotificationAlert,
+  ImportProfile
 };
\ No newline at end of file
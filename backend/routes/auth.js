@@ -0,0 +1,86 @@
+const express = require('express');
+const { AppError } = require('../middleware/errorHandler');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+
+// Login/logout and user management, mounted under /api by both servers
+function createAuthRouter(authService) {
+  const router = express.Router();
+
+  const sendError = (res, error, fallbackMessage) => {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({ error: fallbackMessage });
+  };
+
+  router.post('/auth/login', async (req, res) => {
+    try {
+      const { username, password } = req.body;
+      if (!username || !password) {
+        return res.status(400).json({ error: 'Username and password are required' });
+      }
+
+      const session = await authService.login(username, password);
+      res.json(session);
+    } catch (error) {
+      sendError(res, error, 'Failed to log in');
+    }
+  });
+
+  router.post('/auth/logout', requireAuth, async (req, res) => {
+    try {
+      await authService.logout(req.authToken);
+      res.json({ success: true });
+    } catch (error) {
+      sendError(res, error, 'Failed to log out');
+    }
+  });
+
+  router.get('/auth/me', requireAuth, (req, res) => {
+    res.json(req.user);
+  });
+
+  router.get('/users', requirePermission('users:manage'), async (req, res) => {
+    try {
+      res.json(await authService.listUsers());
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch users');
+    }
+  });
+
+  router.post('/users', requirePermission('users:manage'), async (req, res) => {
+    try {
+      const user = await authService.createUser(req.body);
+      res.status(201).json(user);
+    } catch (error) {
+      sendError(res, error, 'Failed to create user');
+    }
+  });
+
+  router.put('/users/:username', requirePermission('users:manage'), async (req, res) => {
+    try {
+      const { displayName, password, role, active } = req.body;
+      const isSelf = req.params.username.toLowerCase() === req.user.username;
+
+      if (active === false && isSelf) {
+        return res.status(400).json({ error: 'You cannot deactivate your own account' });
+      }
+      if (role !== undefined && role !== 'admin' && isSelf) {
+        return res.status(400).json({ error: 'You cannot remove your own admin role' });
+      }
+
+      const user = await authService.updateUser(req.params.username, { displayName, password, role, active });
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      res.json(user);
+    } catch (error) {
+      sendError(res, error, 'Failed to update user');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAuthRouter;
@@ -0,0 +1,80 @@
+// Local stand-ins for an SMTP server and a webhook receiver, for trying out
+// notifications without real accounts. Everything received is printed.
+//
+//   npm run notify-sink
+//   SMTP_HOST=localhost SMTP_PORT=2525 \
+//   NOTIFY_WEBHOOK_URL=http://localhost:4010/hook npm start
+//
+// SINK_SMTP_PORT and SINK_WEBHOOK_PORT change the ports.
+
+const net = require('net');
+const http = require('http');
+
+const SMTP_PORT = parseInt(process.env.SINK_SMTP_PORT) || 2525;
+const WEBHOOK_PORT = parseInt(process.env.SINK_WEBHOOK_PORT) || 4010;
+
+// Just enough SMTP to accept a message: no TLS, no authentication
+const smtpServer = net.createServer(socket => {
+  let buffer = '';
+  let receiving = false;
+  const reply = (line) => socket.write(`${line}\r\n`);
+
+  reply('220 notification-sink ESMTP');
+  socket.on('data', chunk => {
+    buffer += chunk.toString('utf8');
+
+    let end;
+    while ((end = buffer.indexOf('\r\n')) !== -1) {
+      if (receiving) {
+        const terminator = buffer.indexOf('\r\n.\r\n');
+        if (terminator === -1 && !buffer.startsWith('.\r\n')) return;
+        const body = buffer.startsWith('.\r\n') ? '' : buffer.slice(0, terminator);
+        buffer = buffer.slice(buffer.startsWith('.\r\n') ? 3 : terminator + 5);
+        console.log(`--- email ${new Date().toISOString()} ---\n${body}\n--- end of email ---`);
+        receiving = false;
+        reply('250 OK: queued');
+        continue;
+      }
+
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      const command = line.slice(0, 4).toUpperCase();
+      if (command === 'EHLO' || command === 'HELO') {
+        reply('250 notification-sink');
+      } else if (command === 'MAIL' || command === 'RCPT') {
+        console.log(line);
+        reply('250 OK');
+      } else if (command === 'DATA') {
+        receiving = true;
+        reply('354 End data with <CR><LF>.<CR><LF>');
+      } else if (command === 'QUIT') {
+        reply('221 Bye');
+        socket.end();
+      } else {
+        reply('250 OK');
+      }
+    }
+  });
+  socket.on('error', () => {});
+});
+
+const webhookServer = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    console.log(`--- webhook ${req.method} ${req.url} ${new Date().toISOString()} ---`);
+    if (req.headers['x-signature-256']) {
+      console.log(`X-Signature-256: ${req.headers['x-signature-256']}`);
+    }
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch (error) {
+      console.log(body);
+    }
+    res.writeHead(204);
+    res.end();
+  });
+});
+
+smtpServer.listen(SMTP_PORT, () => console.log(`SMTP sink listening on port ${SMTP_PORT}`));
+webhookServer.listen(WEBHOOK_PORT, () => console.log(`Webhook sink listening on port ${WEBHOOK_PORT}`));
@@ -3,10 +3,17 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const compression = require('compression');
+const crypto = require('crypto');
 require('dotenv').config();
 
 // Import our enhanced middleware and services
 const DatabaseService = require('./services/DatabaseService');
+const AuthService = require('./services/AuthService');
+const createAuthRouter = require('./routes/auth');
+const { getOpenCheckouts, deriveCheckoutState, findCheckoutToReturn } = require('./services/checkouts');
+const { getDefaultDueDate } = require('./config/loanPolicy');
+const { CURRENT_VERSION, migrateStoredData } = require('./services/migrations');
+const { authenticate, requirePermission, getActorName } = require('./middleware/auth');
 const { 
   AppError, 
   ValidationError, 
@@ -21,13 +28,12 @@ const {
 } = require('./middleware/errorHandler');
 const { 
   partSchema, 
+  partUpdateSchema,
   shelfSchema, 
   checkoutSchema,
   validate,
   validatePartExists,
   validateShelfExists,
-  validatePartAvailable,
-  validatePartCheckedOut,
   validateBusinessRules
 } = require('./middleware/validation');
 
@@ -36,6 +42,7 @@ const PORT = process.env.PORT || 3001;
 
 // Initialize database service
 const db = new DatabaseService();
+const authService = new AuthService(db);
 
 // Enhanced rate limiting with different tiers
 const createRateLimit = (windowMs, max, message) => rateLimit({
@@ -120,6 +127,10 @@ app.use(express.json({
 }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Identify the logged-in user on every API request
+app.use('/api', authenticate(authService));
+app.use('/api', createAuthRouter(authService));
+
 // Request logging middleware (development only)
 if (process.env.NODE_ENV === 'development') {
   app.use((req, res, next) => {
@@ -235,223 +246,277 @@ app.get('/api/parts/search/:query', asyncHandler(async (req, res) => {
 }));
 
 // Create new part with enhanced validation
-app.post('/api/parts', validate(partSchema), asyncHandler(async (req, res) => {
-  await db.transaction(async (database) => {
+app.post('/api/parts', requirePermission('parts:edit'), validate(partSchema), asyncHandler(async (req, res) => {
+  const { version, ...fields } = req.body;
+
+  const result = await db.transaction(async (database) => {
     const parts = await database.getParts();
     const shelves = await database.getShelves();
     
     // Business rule validations
-    validateBusinessRules.checkDuplicatePartNumber(parts, req.body.partNumber);
-    await validateShelfExists(req.body.shelf, shelves);
-    validateBusinessRules.checkShelfCapacity(shelves, req.body.shelf, parts, req.body.quantity);
-    
-    // Generate new ID
-    const newId = parts.length > 0 ? Math.max(...parts.map(p => p.id)) + 1 : 1;
-    
-    const newPart = {
-      ...req.body,
-      id: newId,
+    validateBusinessRules.checkDuplicatePartNumber(parts, fields.partNumber);
+    await validateShelfExists(fields.shelf, shelves);
+    validateBusinessRules.checkShelfCapacity(shelves, fields.shelf, parts, fields.quantity);
+    
+    const timestamp = new Date().toISOString();
+    const newPart = await database.insertPart({
+      ...fields,
+      id: parts.length > 0 ? Math.max(...parts.map(p => p.id)) + 1 : 1,
       status: 'available',
       checkedOutBy: null,
       checkedOutDate: null,
-      createdAt: new Date().toISOString(),
-      lastUpdated: new Date().toISOString(),
-    };
+      createdAt: timestamp,
+      lastUpdated: timestamp,
+    });
     
     // Check for low stock warning
     const stockCheck = validateBusinessRules.validateMinQuantity(newPart.quantity, newPart.minQuantity);
     
-    parts.push(newPart);
-    await database.saveParts(parts);
-    
-    // Log transaction
-    const transactions = await database.getTransactions();
-    transactions.push({
-      id: transactions.length + 1,
-      type: 'part_created',
-      partId: newId,
+    await database.insertTransaction({
+      id: Date.now(),
+      action: 'created',
+      user: getActorName(req),
+      partId: newPart.id,
       partNumber: newPart.partNumber,
       description: newPart.description,
       quantity: newPart.quantity,
-      timestamp: new Date().toISOString(),
+      timestamp,
       metadata: { stockCheck }
     });
-    await database.saveTransactions(transactions);
     
-    res.status(201).json({
-      ...newPart,
-      warnings: stockCheck.isNoStock ? [stockCheck.warning] : []
-    });
+    return { newPart, stockCheck };
+  });
+
+  res.status(201).json({
+    ...result.newPart,
+    warnings: result.stockCheck.isNoStock ? [result.stockCheck.warning] : []
   });
 }));
 
-// Update part with validation
-app.put('/api/parts/:id', validate(partSchema), asyncHandler(async (req, res) => {
-  await db.transaction(async (database) => {
+// Update part with validation. Send the version the part was loaded at to
+// get a 409 instead of overwriting someone else's edit, as in server.js.
+app.put('/api/parts/:id', requirePermission('parts:edit'), validate(partUpdateSchema), asyncHandler(async (req, res) => {
+  const { version, ...changes } = req.body;
+
+  const result = await db.transaction(async (database) => {
+    const existingPart = await database.getPart(req.params.id);
+    if (!existingPart) {
+      throw new NotFoundError('Part');
+    }
     const parts = await database.getParts();
     const shelves = await database.getShelves();
     
-    const existingPart = await validatePartExists(req.params.id, parts);
-    
     // Business rule validations
-    if (req.body.partNumber !== existingPart.partNumber) {
-      validateBusinessRules.checkDuplicatePartNumber(parts, req.body.partNumber, existingPart.id);
+    if (changes.partNumber !== existingPart.partNumber) {
+      validateBusinessRules.checkDuplicatePartNumber(parts, changes.partNumber, existingPart.id);
     }
     
-    if (req.body.shelf !== existingPart.shelf) {
-      await validateShelfExists(req.body.shelf, shelves);
-      const quantityDiff = req.body.quantity - existingPart.quantity;
-      validateBusinessRules.checkShelfCapacity(shelves, req.body.shelf, parts, quantityDiff);
+    if (changes.shelf !== existingPart.shelf) {
+      await validateShelfExists(changes.shelf, shelves);
+      const quantityDiff = changes.quantity - existingPart.quantity;
+      validateBusinessRules.checkShelfCapacity(shelves, changes.shelf, parts, quantityDiff);
     }
     
-    // Update part
-    const updatedPart = {
-      ...existingPart,
-      ...req.body,
-      lastUpdated: new Date().toISOString(),
-    };
+    const checkouts = getOpenCheckouts(existingPart);
+    if (changes.itemType === 'consumable' && checkouts.length > 0) {
+      throw new ValidationError('Check in all open loans before making this part consumable');
+    }
     
-    const stockCheck = validateBusinessRules.validateMinQuantity(updatedPart.quantity, updatedPart.minQuantity);
+    const timestamp = new Date().toISOString();
+    const updatedPart = await database.updatePart(existingPart.id, {
+      ...changes,
+      // A stock change can move the part between partially and fully checked out
+      ...deriveCheckoutState(changes.quantity, checkouts),
+      lastUpdated: timestamp,
+    }, { expectedVersion: version !== undefined ? version : (existingPart.version || 0) });
+    if (!updatedPart) {
+      throw new NotFoundError('Part');
+    }
     
-    const index = parts.findIndex(p => p.id === parseInt(req.params.id));
-    parts[index] = updatedPart;
-    await database.saveParts(parts);
+    const stockCheck = validateBusinessRules.validateMinQuantity(updatedPart.quantity, updatedPart.minQuantity);
     
-    // Log transaction
-    const transactions = await database.getTransactions();
-    transactions.push({
-      id: transactions.length + 1,
-      type: 'part_updated',
+    await database.insertTransaction({
+      id: Date.now(),
+      action: 'updated',
+      user: getActorName(req),
       partId: updatedPart.id,
       partNumber: updatedPart.partNumber,
       description: updatedPart.description,
-      changes: Object.keys(req.body),
-      timestamp: new Date().toISOString(),
+      changes: Object.keys(changes),
+      timestamp,
       metadata: { stockCheck, previousQuantity: existingPart.quantity }
     });
-    await database.saveTransactions(transactions);
     
-    res.json({
-      ...updatedPart,
-      warnings: stockCheck.isNoStock ? [stockCheck.warning] : []
-    });
+    return { updatedPart, stockCheck };
+  });
+
+  res.json({
+    ...result.updatedPart,
+    warnings: result.stockCheck.isNoStock ? [result.stockCheck.warning] : []
   });
 }));
 
 // Delete part
-app.delete('/api/parts/:id', asyncHandler(async (req, res) => {
-  await db.transaction(async (database) => {
-    const parts = await database.getParts();
-    const part = await validatePartExists(req.params.id, parts);
+app.delete('/api/parts/:id', requirePermission('parts:edit'), asyncHandler(async (req, res) => {
+  const part = await db.transaction(async (database) => {
+    const part = await database.getPart(req.params.id);
+    if (!part) {
+      throw new NotFoundError('Part');
+    }
     
-    if (part.status === 'checked_out') {
+    if (getOpenCheckouts(part).length > 0) {
       throw new ConflictError('Cannot delete a checked out part');
     }
     
-    const updatedParts = parts.filter(p => p.id !== parseInt(req.params.id));
-    await database.saveParts(updatedParts);
+    await database.deletePart(part.id);
     
-    // Log transaction
-    const transactions = await database.getTransactions();
-    transactions.push({
-      id: transactions.length + 1,
-      type: 'part_deleted',
+    await database.insertTransaction({
+      id: Date.now(),
+      action: 'deleted',
+      user: getActorName(req),
       partId: part.id,
       partNumber: part.partNumber,
       description: part.description,
+      quantity: part.quantity,
       timestamp: new Date().toISOString(),
     });
-    await database.saveTransactions(transactions);
     
-    res.json({ message: 'Part deleted successfully', deletedPart: part });
+    return part;
   });
+
+  res.json({ message: 'Part deleted successfully', deletedPart: part });
 }));
 
-// Enhanced checkout with validation
-app.post('/api/parts/:id/checkout', validate(checkoutSchema), asyncHandler(async (req, res) => {
-  await db.transaction(async (database) => {
-    const parts = await database.getParts();
-    const part = await validatePartExists(req.params.id, parts);
-    
-    validatePartAvailable(part);
-    
-    // Update part
-    const updatedPart = {
-      ...part,
-      status: 'checked_out',
-      checkedOutBy: req.body.userId,
-      checkedOutDate: new Date().toISOString(),
-      quantity: part.quantity - 1,
-      lastUpdated: new Date().toISOString(),
+// Check out units of a part as a loan to userId. The loan is recorded
+// alongside the part's other open checkouts, as in server.js.
+app.post('/api/parts/:id/checkout', requirePermission('parts:checkout'), validate(checkoutSchema), asyncHandler(async (req, res) => {
+  const { userId, quantity, notes, expectedReturnDate } = req.body;
+
+  const result = await db.transaction(async (database) => {
+    const part = await database.getPart(req.params.id);
+    if (!part) {
+      throw new NotFoundError('Part');
+    }
+    if (part.itemType === 'consumable') {
+      throw new ValidationError('Consumable parts are issued, not checked out');
+    }
+    if (part.quantity <= 0) {
+      throw new ValidationError('Part is out of stock');
+    }
+    if (part.quantity < quantity) {
+      throw new ValidationError(`Only ${part.quantity} available to check out`);
+    }
+
+    const checkedOutDate = new Date();
+    const checkout = {
+      checkoutId: crypto.randomUUID(),
+      user: userId,
+      employeeId: null,
+      quantity,
+      checkedOutDate: checkedOutDate.toISOString(),
+      dueDate: (expectedReturnDate ? new Date(expectedReturnDate) : getDefaultDueDate(part.category, checkedOutDate)).toISOString(),
+      notes: notes || ''
     };
-    
-    const stockCheck = validateBusinessRules.validateMinQuantity(updatedPart.quantity, updatedPart.minQuantity);
-    
-    const index = parts.findIndex(p => p.id === parseInt(req.params.id));
-    parts[index] = updatedPart;
-    await database.saveParts(parts);
-    
-    // Log transaction
-    const transactions = await database.getTransactions();
-    transactions.push({
-      id: transactions.length + 1,
-      type: 'checkout',
+    const newQuantity = part.quantity - quantity;
+    const updatedPart = await database.updatePart(part.id, {
+      quantity: newQuantity,
+      ...deriveCheckoutState(newQuantity, [...getOpenCheckouts(part), checkout]),
+      lastUpdated: checkout.checkedOutDate,
+    }, { expectedVersion: part.version || 0 });
+
+    const stockCheck = validateBusinessRules.validateMinQuantity(newQuantity, part.minQuantity);
+    await database.insertTransaction({
+      id: Date.now(),
+      action: 'checkout',
       partId: part.id,
       partNumber: part.partNumber,
       description: part.description,
-      userId: req.body.userId,
-      notes: req.body.notes,
-      expectedReturnDate: req.body.expectedReturnDate,
-      timestamp: new Date().toISOString(),
-      metadata: { stockCheck, remainingQuantity: updatedPart.quantity }
-    });
-    await database.saveTransactions(transactions);
-    
-    res.json({
-      ...updatedPart,
-      warnings: stockCheck.isNoStock ? [stockCheck.warning] : []
+      user: userId,
+      quantity,
+      checkoutId: checkout.checkoutId,
+      dueDate: checkout.dueDate,
+      notes: checkout.notes,
+      quantityBefore: part.quantity,
+      quantityAfter: newQuantity,
+      unitCost: part.cost ?? null,
+      timestamp: checkout.checkedOutDate,
+      metadata: { stockCheck, remainingQuantity: newQuantity }
     });
+
+    return { updatedPart, checkout, stockCheck };
+  });
+
+  res.json({
+    ...result.updatedPart,
+    checkout: result.checkout,
+    warnings: result.stockCheck.isNoStock ? [result.stockCheck.warning] : []
   });
 }));
 
-// Enhanced checkin
-app.post('/api/parts/:id/checkin', asyncHandler(async (req, res) => {
-  await db.transaction(async (database) => {
-    const parts = await database.getParts();
-    const part = await validatePartExists(req.params.id, parts);
-    
-    validatePartCheckedOut(part);
-    
-    // Update part
-    const updatedPart = {
-      ...part,
-      status: 'available',
-      checkedOutBy: null,
-      checkedOutDate: null,
-      quantity: part.quantity + 1,
+// Check in all or some of the units on one loan: the one named by
+// checkoutId, or else the returning user's oldest loan
+app.post('/api/parts/:id/checkin', requirePermission('parts:checkout'), asyncHandler(async (req, res) => {
+  const { checkoutId, notes } = req.body;
+  const user = req.body.userId || getActorName(req);
+  const requestedQuantity = req.body.quantity === undefined ? undefined : Number(req.body.quantity);
+  if (requestedQuantity !== undefined && (!Number.isInteger(requestedQuantity) || requestedQuantity < 1)) {
+    throw new ValidationError('Quantity must be a whole number of at least 1');
+  }
+
+  const updatedPart = await db.transaction(async (database) => {
+    const part = await database.getPart(req.params.id);
+    if (!part) {
+      throw new NotFoundError('Part');
+    }
+
+    const checkouts = getOpenCheckouts(part);
+    if (checkouts.length === 0) {
+      throw new ValidationError('Part is not checked out');
+    }
+    const loan = findCheckoutToReturn(checkouts, { checkoutId, user });
+    if (!loan) {
+      throw new ValidationError(checkoutId
+        ? 'Checkout not found for this part'
+        : 'Part has several open checkouts. Choose which one is being returned.');
+    }
+    const quantity = requestedQuantity === undefined ? loan.quantity : requestedQuantity;
+    if (quantity > loan.quantity) {
+      throw new ValidationError(`Only ${loan.quantity} checked out on this loan`);
+    }
+
+    const remaining = checkouts
+      .map(checkout => checkout.checkoutId === loan.checkoutId
+        ? { ...checkout, quantity: checkout.quantity - quantity }
+        : checkout)
+      .filter(checkout => checkout.quantity > 0);
+    const newQuantity = part.quantity + quantity;
+    const saved = await database.updatePart(part.id, {
+      quantity: newQuantity,
+      ...deriveCheckoutState(newQuantity, remaining),
       lastUpdated: new Date().toISOString(),
-    };
-    
-    const index = parts.findIndex(p => p.id === parseInt(req.params.id));
-    parts[index] = updatedPart;
-    await database.saveParts(parts);
-    
-    // Log transaction
-    const transactions = await database.getTransactions();
-    transactions.push({
-      id: transactions.length + 1,
-      type: 'checkin',
+    }, { expectedVersion: part.version || 0 });
+
+    await database.insertTransaction({
+      id: Date.now(),
+      action: 'checkin',
       partId: part.id,
       partNumber: part.partNumber,
       description: part.description,
-      returnedBy: part.checkedOutBy,
+      user,
+      returnedBy: loan.user,
+      quantity,
+      checkoutId: loan.checkoutId,
+      notes: notes || '',
+      quantityBefore: part.quantity,
+      quantityAfter: newQuantity,
       timestamp: new Date().toISOString(),
-      metadata: { newQuantity: updatedPart.quantity }
+      metadata: { newQuantity }
     });
-    await database.saveTransactions(transactions);
-    
-    res.json(updatedPart);
+
+    return saved;
   });
+
+  res.json(updatedPart);
 }));
 
 // Get transactions with filtering
@@ -470,7 +535,7 @@ app.get('/api/transactions', asyncHandler(async (req, res) => {
   
   // Apply filters
   if (type) {
-    transactions = transactions.filter(t => t.type === type);
+    transactions = transactions.filter(t => t.action === type);
   }
   
   if (partId) {
@@ -478,7 +543,7 @@ app.get('/api/transactions', asyncHandler(async (req, res) => {
   }
   
   if (userId) {
-    transactions = transactions.filter(t => t.userId === userId || t.returnedBy === userId);
+    transactions = transactions.filter(t => t.user === userId || t.returnedBy === userId);
   }
   
   if (startDate) {
@@ -531,7 +596,7 @@ app.get('/api/shelves', asyncHandler(async (req, res) => {
   res.json(shelvesWithCounts);
 }));
 
-app.post('/api/shelves', validate(shelfSchema), asyncHandler(async (req, res) => {
+app.post('/api/shelves', requirePermission('shelves:manage'), validate(shelfSchema), asyncHandler(async (req, res) => {
   await db.transaction(async (database) => {
     const shelves = await database.getShelves();
     
@@ -609,12 +674,27 @@ process.on('SIGINT', () => {
 });
 
 // Start server
-app.listen(PORT, () => {
-  const baseUrl = process.env.NODE_ENV === 'production' 
-    ? `https://wki-tool-room-system-1.onrender.com` 
-    : `http://localhost:${PORT}`;
+async function startServer() {
+  try {
+    // Connect to MongoDB or fall back to JSON files before taking requests
+    await db.initialize();
+    // Bring data written by older versions up to the current format
+    try {
+      const migrated = await migrateStoredData(db);
+      if (migrated.parts > 0 || migrated.transactions > 0) {
+        console.log(`🔄 Migrated ${migrated.parts} parts and ${migrated.transactions} transactions to data format ${CURRENT_VERSION}`);
+      }
+    } catch (error) {
+      console.error('Data migration failed:', error);
+    }
+    await authService.ensureInitialUser();
+
+    app.listen(PORT, () => {
+      const baseUrl = process.env.NODE_ENV === 'production' 
+        ? `https://wki-tool-room-system-1.onrender.com` 
+        : `http://localhost:${PORT}`;
 
-  console.log(`
+      console.log(`
 🚀 WKI Tool Room Inventory API Server Started
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 📍 Environment: ${process.env.NODE_ENV || 'development'}
@@ -623,6 +703,13 @@ app.listen(PORT, () => {
 📚 API Base: ${baseUrl}/api
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
   `);
-});
+    });
+  } catch (error) {
+    console.error('Failed to start server:', error);
+    process.exit(1);
+  }
+}
+
+startServer();
 
 module.exports = app;
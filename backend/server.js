@@ -1,15 +1,48 @@
+﻿// Load .env before any module reads process.env
+require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
 const multer = require('multer');
 const DatabaseService = require('./services/DatabaseService');
-require('dotenv').config();
+const AuthService = require('./services/AuthService');
+const NotificationService = require('./services/NotificationService');
+const BackupService = require('./services/BackupService');
+const createAuthRouter = require('./routes/auth');
+const { authenticate, requireAuth, requirePermission, getActorName } = require('./middleware/auth');
+const { ITEM_TYPES, PURCHASE_ORDER_STATUSES, COUNT_SESSION_STATUSES, NOTIFICATION_EVENTS, IMPORT_FIELDS } = require('./models');
+const { loadLoanPeriods, getDefaultDueDate } = require('./config/loanPolicy');
+const { loadNotificationConfig } = require('./config/notifications');
+const { loadBackupConfig } = require('./config/backups');
+const { AppError, ConflictError, NotFoundError, ValidationError } = require('./middleware/errorHandler');
+const {
+  getOpenCheckouts,
+  getCheckedOutQuantity,
+  deriveCheckoutState,
+  findCheckoutToReturn,
+  findOverdueLoans
+} = require('./services/checkouts');
+const { LABEL_TEMPLATES, partLabel, shelfLabel, renderLabelSheet } = require('./services/labels');
+const { buildOrderLines, applyReceipt } = require('./services/purchaseOrders');
+const { parseUnitCost, costChange, valueStock, buildConsumptionReport } = require('./services/costs');
+const { buildReorderReport } = require('./services/reorder');
+const { UNASSIGNED_SHELF, buildLocationReport } = require('./services/locations');
+const { buildCountLines, recordCount, lineVariance, withVariances, linesToAdjust } = require('./services/cycleCounts');
+const { validateBackupData, restoredRecords, diffBackupData, parseRestoreScope, selectScope, mergeScope, withCurrentLoans, loanWarnings, restorePatch } = require('./services/restore');
+const { CURRENT_VERSION, migrateBackup, migrateStoredData } = require('./services/migrations');
+const { readWorkbook, readImportMapping, sheetMapping, workbookRows, planImport, newImportedPart, importUpdate } = require('./services/imports');
+const { readAttributes, mergeAttributes } = require('./services/attributes');
+const { buildPartsWorkbook, buildTransactionsWorkbook, buildLowStockWorkbook } = require('./services/exports');
 
 // Create instance of DatabaseService
 const dbService = new DatabaseService();
+const authService = new AuthService(dbService);
+const notificationService = new NotificationService(dbService, loadNotificationConfig());
+const backupService = new BackupService(dbService, loadBackupConfig());
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -23,6 +56,13 @@ const limiter = rateLimit({
   max: 100 // limit each IP to 100 requests per windowMs
 });
 
+// Stricter limit on login attempts
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: { error: 'Too many login attempts, please try again later' }
+});
+
 // Middleware
 app.use(helmet());
 app.use(limiter);
@@ -40,6 +80,22 @@ app.use(cors({
 }));
 app.use(express.json());
 
+// Identify the logged-in user on every API request
+app.use('/api', authenticate(authService));
+app.use('/api/auth/login', authLimiter);
+app.use('/api', createAuthRouter(authService));
+
+// Any successful change may have moved stock, so have notifications look
+// again once things settle
+app.use('/api', (req, res, next) => {
+  if (!['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+    res.on('finish', () => {
+      if (res.statusCode < 400) notificationService.scheduleCheck();
+    });
+  }
+  next();
+});
+
 // Configure multer for file uploads
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -47,10 +103,10 @@ const upload = multer({
     fileSize: 10 * 1024 * 1024 // 10MB limit
   },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype.includes('sheet') || file.originalname.match(/\.(xlsx|xls)$/i)) {
+    if (file.mimetype.includes('sheet') || file.originalname.match(/\.(xlsx|xls|csv|tsv|txt)$/i)) {
       cb(null, true);
     } else {
-      cb(new Error('Only Excel files are allowed'), false);
+      cb(new ValidationError('Only Excel, CSV or TSV files are allowed'), false);
     }
   }
 });
@@ -69,16 +125,6 @@ async function readParts() {
   }
 }
 
-async function writeParts(parts) {
-  try {
-    await dbService.saveParts(parts);
-    return true;
-  } catch (error) {
-    console.error('Error writing parts:', error);
-    return false;
-  }
-}
-
 async function readTransactions() {
   try {
     return await dbService.getTransactions();
@@ -88,16 +134,6 @@ async function readTransactions() {
   }
 }
 
-async function writeTransactions(transactions) {
-  try {
-    await dbService.saveTransactions(transactions);
-    return true;
-  } catch (error) {
-    console.error('Error writing transactions:', error);
-    return false;
-  }
-}
-
 async function readShelves() {
   try {
     return await dbService.getShelves();
@@ -107,14 +143,62 @@ async function readShelves() {
   }
 }
 
-async function writeShelves(shelves) {
-  try {
-    await dbService.saveShelves(shelves);
-    return true;
-  } catch (error) {
-    console.error('Error writing shelves:', error);
-    return false;
+// Re-reads the part and retries the compare-and-set update when another
+// request changed it first. Used where the change is relative to the current
+// state (e.g. quantity adjustments) and can safely be recomputed.
+//
+// buildTransaction(part, updatedPart), if given, returns the transaction log
+// entry for the change. It is written in the same database transaction as
+// the update, so stock never changes without its record.
+async function updatePartWithRetry(partId, buildChanges, buildTransaction = null, maxAttempts = 5) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await dbService.transaction(async (database) => {
+        const part = await database.getPart(partId);
+        if (!part) return null;
+
+        const updatedPart = await database.updatePart(partId, buildChanges(part), {
+          expectedVersion: part.version || 0
+        });
+        const transaction = updatedPart && buildTransaction ? buildTransaction(part, updatedPart) : null;
+        if (transaction) {
+          await database.insertTransaction(transaction);
+        }
+        return { part, updatedPart, transaction };
+      });
+    } catch (error) {
+      // MongoDB reports a concurrent write inside a transaction as a
+      // transient error rather than through the version check
+      const conflict = error instanceof ConflictError ||
+        (typeof error.hasErrorLabel === 'function' && error.hasErrorLabel('TransientTransactionError'));
+      if (!conflict || attempt >= maxAttempts) {
+        throw error;
+      }
+    }
+  }
+}
+
+// Who a checkout, checkin or issue is for. A scanned badge number is looked
+// up in the employee directory; without one the typed name (or the logged-in
+// user) is recorded as before.
+async function resolveBorrower(req) {
+  const badge = String(req.body.employeeId || '').trim();
+  if (badge) {
+    const employee = await dbService.getEmployee(badge);
+    if (!employee) {
+      throw new NotFoundError(`Employee ${badge}`);
+    }
+    if (employee.active === false) {
+      throw new ValidationError(`${employee.name} is no longer an active employee`);
+    }
+    return { user: employee.name, employeeId: employee.employeeId };
+  }
+
+  const user = req.body.user || getActorName(req);
+  if (!user) {
+    throw new ValidationError('User name is required');
   }
+  return { user, employeeId: null };
 }
 
 // API Routes
@@ -163,415 +247,1023 @@ app.get('/api/parts/search/:query', async (req, res) => {
   }
 });
 
-// Check out a part
-app.post('/api/parts/:id/checkout', async (req, res) => {
+// Check out a part. Several people can hold units of the same part at once;
+// each checkout becomes its own loan record on the part.
+app.post('/api/parts/:id/checkout', requirePermission('parts:checkout'), async (req, res) => {
   try {
-    const { user, notes } = req.body;
+    const { notes, expectedReturnDate } = req.body;
     const partId = parseInt(req.params.id);
+    const quantity = req.body.quantity === undefined ? 1 : Number(req.body.quantity);
     
-    if (!user) {
-      return res.status(400).json({ error: 'User name is required' });
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({ error: 'Quantity must be a whole number of at least 1' });
     }
     
-    const parts = await readParts();
-    const partIndex = parts.findIndex(p => p.id === partId);
-    
-    if (partIndex === -1) {
-      return res.status(404).json({ error: 'Part not found' });
-    }
-    
-    const part = parts[partIndex];
-    
-    if (part.status === 'checked_out') {
-      return res.status(400).json({ error: 'Part is already checked out' });
-    }
-    
-    if (part.quantity <= 0) {
-      return res.status(400).json({ error: 'Part is out of stock' });
+    const checkedOutDate = new Date();
+    let dueDate = null;
+    if (expectedReturnDate) {
+      dueDate = new Date(expectedReturnDate);
+      if (isNaN(dueDate.getTime())) {
+        return res.status(400).json({ error: 'Expected return date is not a valid date' });
+      }
+      if (dueDate <= checkedOutDate) {
+        return res.status(400).json({ error: 'Expected return date must be in the future' });
+      }
     }
     
-    // Update part status
-    parts[partIndex] = {
-      ...part,
-      status: 'checked_out',
-      checkedOutBy: user,
-      checkedOutDate: new Date().toISOString(),
-      quantity: part.quantity - 1
+    const { user, employeeId } = await resolveBorrower(req);
+    const checkout = {
+      checkoutId: crypto.randomUUID(),
+      user: user,
+      employeeId: employeeId,
+      quantity: quantity,
+      checkedOutDate: checkedOutDate.toISOString(),
+      dueDate: null,
+      notes: notes || ''
     };
     
-    // Save updated parts
-    await writeParts(parts);
-    
-    // Create transaction record
-    const transactions = await readTransactions();
-    const newTransaction = {
+    // Stock is re-checked on every attempt, so two people can never take
+    // the same last unit
+    const result = await updatePartWithRetry(partId, (part) => {
+      if (part.itemType === 'consumable') {
+        throw new ValidationError('Consumable parts are issued, not checked out');
+      }
+      if (part.quantity <= 0) {
+        throw new ValidationError('Part is out of stock');
+      }
+      if (part.quantity < quantity) {
+        throw new ValidationError(`Only ${part.quantity} available to check out`);
+      }
+      
+      // Without an explicit date the loan period for the part's category applies
+      checkout.dueDate = (dueDate || getDefaultDueDate(part.category, checkedOutDate)).toISOString();
+      const checkouts = [...getOpenCheckouts(part), checkout];
+      const newQuantity = part.quantity - quantity;
+      return {
+        quantity: newQuantity,
+        ...deriveCheckoutState(newQuantity, checkouts)
+      };
+    }, (part, updatedPart) => ({
       id: Date.now(),
       partId: partId,
       partNumber: part.partNumber,
       action: 'checkout',
       user: user,
-      timestamp: new Date().toISOString(),
+      employeeId: employeeId,
+      timestamp: checkout.checkedOutDate,
       notes: notes || '',
+      quantity: quantity,
+      checkoutId: checkout.checkoutId,
+      dueDate: checkout.dueDate,
       quantityBefore: part.quantity,
-      quantityAfter: part.quantity - 1
-    };
+      quantityAfter: updatedPart.quantity,
+      unitCost: part.cost ?? null
+    }));
     
-    transactions.unshift(newTransaction);
-    await writeTransactions(transactions);
+    if (!result || !result.updatedPart) {
+      return res.status(404).json({ error: 'Part not found' });
+    }
     
     res.json({ 
       success: true, 
-      part: parts[partIndex], 
-      transaction: newTransaction 
+      part: result.updatedPart, 
+      checkout,
+      transaction: result.transaction 
     });
     
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
     console.error('Checkout error:', error);
     res.status(500).json({ error: 'Failed to check out part' });
   }
 });
 
-// Check in a part
-app.post('/api/parts/:id/checkin', async (req, res) => {
+// Check in a part. Returns all or some of the units on one loan: the one
+// named by checkoutId, or else the returning user's oldest loan.
+app.post('/api/parts/:id/checkin', requirePermission('parts:checkout'), async (req, res) => {
   try {
-    const { user, notes } = req.body;
+    const { notes, checkoutId } = req.body;
     const partId = parseInt(req.params.id);
+    const requestedQuantity = req.body.quantity === undefined ? undefined : Number(req.body.quantity);
     
-    if (!user) {
-      return res.status(400).json({ error: 'User name is required' });
+    if (requestedQuantity !== undefined && (!Number.isInteger(requestedQuantity) || requestedQuantity < 1)) {
+      return res.status(400).json({ error: 'Quantity must be a whole number of at least 1' });
     }
     
-    const parts = await readParts();
-    const partIndex = parts.findIndex(p => p.id === partId);
+    const { user, employeeId } = await resolveBorrower(req);
+    
+    let returned;
+    const result = await updatePartWithRetry(partId, (part) => {
+      const checkouts = getOpenCheckouts(part);
+      if (checkouts.length === 0) {
+        throw new ValidationError('Part is not checked out');
+      }
+      
+      const loan = findCheckoutToReturn(checkouts, { checkoutId, employeeId, user });
+      if (!loan) {
+        throw new ValidationError(checkoutId
+          ? 'Checkout not found for this part'
+          : 'Part has several open checkouts. Choose which one is being returned.');
+      }
+      
+      const quantity = requestedQuantity === undefined ? loan.quantity : requestedQuantity;
+      if (quantity > loan.quantity) {
+        throw new ValidationError(`Only ${loan.quantity} checked out on this loan`);
+      }
+      
+      const remaining = checkouts
+        .map(checkout => checkout.checkoutId === loan.checkoutId
+          ? { ...checkout, quantity: checkout.quantity - quantity }
+          : checkout)
+        .filter(checkout => checkout.quantity > 0);
+      const newQuantity = part.quantity + quantity;
+      
+      returned = { loan, quantity };
+      return {
+        quantity: newQuantity,
+        ...deriveCheckoutState(newQuantity, remaining)
+      };
+    }, (part, updatedPart) => ({
+      id: Date.now(),
+      partId: partId,
+      partNumber: part.partNumber,
+      action: 'checkin',
+      user: user,
+      employeeId: employeeId,
+      timestamp: new Date().toISOString(),
+      notes: notes || '',
+      quantity: returned.quantity,
+      checkoutId: returned.loan.checkoutId,
+      quantityBefore: part.quantity,
+      quantityAfter: updatedPart.quantity
+    }));
     
-    if (partIndex === -1) {
+    if (!result || !result.updatedPart) {
       return res.status(404).json({ error: 'Part not found' });
     }
     
-    const part = parts[partIndex];
+    res.json({ 
+      success: true, 
+      part: result.updatedPart, 
+      transaction: result.transaction 
+    });
     
-    if (part.status !== 'checked_out') {
-      return res.status(400).json({ error: 'Part is not checked out' });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
     }
+    console.error('Checkin error:', error);
+    res.status(500).json({ error: 'Failed to check in part' });
+  }
+});
+
+// Issue a consumable part. Issued units leave stock for good and are never
+// checked back in.
+app.post('/api/parts/:id/issue', requirePermission('parts:checkout'), async (req, res) => {
+  try {
+    const { notes } = req.body;
+    const partId = parseInt(req.params.id);
+    const quantity = req.body.quantity === undefined ? 1 : Number(req.body.quantity);
     
-    // Update part status
-    parts[partIndex] = {
-      ...part,
-      status: 'available',
-      checkedOutBy: null,
-      checkedOutDate: null,
-      quantity: part.quantity + 1
-    };
-    
-    // Save updated parts
-    await writeParts(parts);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({ error: 'Quantity must be a whole number of at least 1' });
+    }
     
-    // Create transaction record
-    const transactions = await readTransactions();
-    const newTransaction = {
+    const { user, employeeId } = await resolveBorrower(req);
+    const result = await updatePartWithRetry(partId, (part) => {
+      if (part.itemType !== 'consumable') {
+        throw new ValidationError('Returnable parts must be checked out, not issued');
+      }
+      if (part.quantity <= 0) {
+        throw new ValidationError('Part is out of stock');
+      }
+      if (part.quantity < quantity) {
+        throw new ValidationError(`Only ${part.quantity} available to issue`);
+      }
+      
+      return {
+        quantity: part.quantity - quantity,
+        lastModified: new Date().toISOString(),
+        modifiedBy: user
+      };
+    }, (part, updatedPart) => ({
       id: Date.now(),
       partId: partId,
       partNumber: part.partNumber,
-      action: 'checkin',
+      action: 'issue',
       user: user,
+      employeeId: employeeId,
       timestamp: new Date().toISOString(),
       notes: notes || '',
+      quantity: quantity,
       quantityBefore: part.quantity,
-      quantityAfter: part.quantity + 1
-    };
+      quantityAfter: updatedPart.quantity,
+      unitCost: part.cost ?? null
+    }));
     
-    transactions.unshift(newTransaction);
-    await writeTransactions(transactions);
+    if (!result || !result.updatedPart) {
+      return res.status(404).json({ error: 'Part not found' });
+    }
     
     res.json({ 
       success: true, 
-      part: parts[partIndex], 
-      transaction: newTransaction 
+      part: result.updatedPart, 
+      transaction: result.transaction 
     });
     
   } catch (error) {
-    console.error('Checkin error:', error);
-    res.status(500).json({ error: 'Failed to check in part' });
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    console.error('Issue error:', error);
+    res.status(500).json({ error: 'Failed to issue part' });
   }
 });
 
-// Get all transactions
-app.get('/api/transactions', async (req, res) => {
+// Open loans past their due date
+app.get('/api/loans/overdue', async (req, res) => {
   try {
-    const transactions = await readTransactions();
-    res.json(transactions);
+    const parts = await readParts();
+    res.json(findOverdueLoans(parts));
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch transactions' });
+    res.status(500).json({ error: 'Failed to fetch overdue loans' });
   }
 });
 
-// Get transactions for a specific part
-app.get('/api/parts/:id/transactions', async (req, res) => {
+// Loan period in days per category, with `default` for the rest
+app.get('/api/loans/policy', (req, res) => {
+  res.json(loadLoanPeriods());
+});
+
+// Employee directory. Checkouts look people up here by the badge number
+// scanned at the counter.
+app.get('/api/employees', requirePermission('parts:checkout'), async (req, res) => {
   try {
-    const partId = parseInt(req.params.id);
-    const transactions = await readTransactions();
-    const partTransactions = transactions.filter(t => t.partId === partId);
-    res.json(partTransactions);
+    const includeInactive = req.query.includeInactive === 'true';
+    const employees = await dbService.getEmployees();
+    res.json(employees
+      .filter(employee => includeInactive || employee.active !== false)
+      .sort((a, b) => a.name.localeCompare(b.name)));
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch part transactions' });
+    res.status(500).json({ error: 'Failed to fetch employees' });
   }
 });
 
-// Get all shelves
-app.get('/api/shelves', async (req, res) => {
+app.get('/api/employees/:employeeId', requirePermission('parts:checkout'), async (req, res) => {
   try {
-    const shelves = await readShelves();
-    res.json(shelves);
+    const employee = await dbService.getEmployee(req.params.employeeId);
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+    res.json(employee);
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch shelves' });
+    res.status(500).json({ error: 'Failed to fetch employee' });
   }
 });
 
-// Get specific shelf
-app.get('/api/shelves/:shelfId', async (req, res) => {
+app.post('/api/employees', requirePermission('employees:manage'), async (req, res) => {
   try {
-    const shelves = await readShelves();
-    const shelf = shelves[req.params.shelfId];
+    const employeeId = String(req.body.employeeId || '').trim();
+    const name = String(req.body.name || '').trim();
     
-    if (!shelf) {
-      return res.status(404).json({ error: 'Shelf not found' });
+    if (!employeeId || !name) {
+      return res.status(400).json({ error: 'Employee ID and name are required' });
     }
     
-    res.json(shelf);
+    const employee = await dbService.insertEmployee({
+      employeeId,
+      name,
+      department: String(req.body.department || '').trim(),
+      active: req.body.active !== false
+    });
+    res.status(201).json(employee);
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch shelf' });
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    console.error('Create employee error:', error);
+    res.status(500).json({ error: 'Failed to create employee' });
   }
 });
 
-// Add new part
-app.post('/api/parts', async (req, res) => {
+app.put('/api/employees/:employeeId', requirePermission('employees:manage'), async (req, res) => {
   try {
-    const { partNumber, description, shelf, category, quantity, minQuantity } = req.body;
+    const { name, department, active } = req.body;
+    const changes = {};
     
-    if (!partNumber || !description || !shelf || !category) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    if (name !== undefined) {
+      if (!String(name).trim()) {
+        return res.status(400).json({ error: 'Name cannot be empty' });
+      }
+      changes.name = String(name).trim();
     }
-    
-    const parts = await readParts();
-    
-    // Check if part number already exists
-    const existingPart = parts.find(p => p.partNumber === partNumber);
-    if (existingPart) {
-      return res.status(400).json({ error: 'Part number already exists' });
+    if (department !== undefined) {
+      changes.department = String(department).trim();
+    }
+    if (active !== undefined) {
+      changes.active = Boolean(active);
     }
     
-    const newPart = {
-      id: Math.max(...parts.map(p => p.id), 0) + 1,
-      partNumber,
-      description,
-      shelf,
-      category,
-      status: 'available',
-      checkedOutBy: null,
-      checkedOutDate: null,
-      quantity: quantity || 1,
-      minQuantity: minQuantity || 1
-    };
-    
-    parts.push(newPart);
-    await writeParts(parts);
-    
-    res.status(201).json(newPart);
+    const employee = await dbService.updateEmployee(req.params.employeeId, changes);
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+    res.json(employee);
   } catch (error) {
-    res.status(500).json({ error: 'Failed to add part' });
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    console.error('Update employee error:', error);
+    res.status(500).json({ error: 'Failed to update employee' });
   }
 });
 
-// Update part
-app.put('/api/parts/:id', async (req, res) => {
-  try {
-    const partId = parseInt(req.params.id);
-    const updates = req.body;
-    
-    const parts = await readParts();
-    const partIndex = parts.findIndex(p => p.id === partId);
-    
-    if (partIndex === -1) {
-      return res.status(404).json({ error: 'Part not found' });
+// Supplier fields accepted on create and update
+function readSupplierFields(body) {
+  const fields = {};
+  ['name', 'contactName', 'email', 'phone', 'notes'].forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = String(body[field] || '').trim();
     }
-    
-    const originalPart = { ...parts[partIndex] };
-    
-    // Prevent updating checkout status through this endpoint
-    delete updates.status;
-    delete updates.checkedOutBy;
-    delete updates.checkedOutDate;
-    
-    // Track location changes for audit trail
-    if (updates.shelf && updates.shelf !== originalPart.shelf) {
-      updates.lastLocationChange = new Date().toISOString();
-      updates.previousLocation = originalPart.shelf;
+  });
+  if (body.leadTimeDays !== undefined) {
+    const days = body.leadTimeDays === null || body.leadTimeDays === '' ? null : Number(body.leadTimeDays);
+    if (days !== null && (!Number.isInteger(days) || days < 0)) {
+      throw new ValidationError('Lead time must be a whole number of days');
     }
-    
-    // Update last modified timestamp
-    updates.lastModified = new Date().toISOString();
-    updates.modifiedBy = updates.modifiedBy || 'System';
-    
-    parts[partIndex] = { ...parts[partIndex], ...updates };
-    await writeParts(parts);
+    fields.leadTimeDays = days;
+  }
+  if (body.active !== undefined) {
+    fields.active = Boolean(body.active);
+  }
+  return fields;
+}
 
-    // Log the location change in transactions if shelf was updated
-    if (updates.shelf && updates.shelf !== originalPart.shelf) {
-      const transactions = await readTransactions();
-      const locationChangeRecord = {
-        id: Date.now(),
-        partId: partId,
-        partNumber: parts[partIndex].partNumber,
-        action: 'location_change',
-        fromLocation: originalPart.shelf,
-        toLocation: updates.shelf,
-        user: updates.modifiedBy || 'System',
-        timestamp: new Date().toISOString(),
-        notes: `Part moved from ${originalPart.shelf} to ${updates.shelf}`
-      };
-      transactions.push(locationChangeRecord);
-      await writeTransactions(transactions);
-    }
-    
-    res.json(parts[partIndex]);
+app.get('/api/suppliers', requirePermission('purchasing:receive'), async (req, res) => {
+  try {
+    const includeInactive = req.query.includeInactive === 'true';
+    const suppliers = await dbService.getSuppliers();
+    res.json(suppliers
+      .filter(supplier => includeInactive || supplier.active !== false)
+      .sort((a, b) => a.name.localeCompare(b.name)));
   } catch (error) {
-    res.status(500).json({ error: 'Failed to update part' });
+    res.status(500).json({ error: 'Failed to fetch suppliers' });
   }
 });
 
-// Delete part
-app.delete('/api/parts/:id', async (req, res) => {
+app.post('/api/suppliers', requirePermission('purchasing:manage'), async (req, res) => {
   try {
-    const partId = parseInt(req.params.id);
-    
-    const parts = await readParts();
-    const partIndex = parts.findIndex(p => p.id === partId);
-    
-    if (partIndex === -1) {
-      return res.status(404).json({ error: 'Part not found' });
+    const fields = readSupplierFields(req.body);
+    if (!fields.name) {
+      return res.status(400).json({ error: 'Supplier name is required' });
     }
     
-    const deletedPart = parts.splice(partIndex, 1)[0];
-    await writeParts(parts);
-    
-    res.json({ success: true, deletedPart });
+    const supplier = await dbService.insertSupplier({ active: true, ...fields });
+    res.status(201).json(supplier);
   } catch (error) {
-    res.status(500).json({ error: 'Failed to delete part' });
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    console.error('Create supplier error:', error);
+    res.status(500).json({ error: 'Failed to create supplier' });
   }
 });
 
-// Bulk update parts locations
-app.put('/api/parts/bulk/locations', async (req, res) => {
+app.put('/api/suppliers/:id', requirePermission('purchasing:manage'), async (req, res) => {
   try {
-    const { updates, modifiedBy = 'System' } = req.body;
-    // updates should be an array of { id, shelf }
-    
-    if (!Array.isArray(updates)) {
-      return res.status(400).json({ error: 'Updates must be an array' });
-    }
-    
-    const parts = await readParts();
-    const transactions = await readTransactions();
-    const timestamp = new Date().toISOString();
-    const updatedParts = [];
-    const locationChanges = [];
-    
-    for (const update of updates) {
-      const partIndex = parts.findIndex(p => p.id === parseInt(update.id));
-      if (partIndex !== -1) {
-        const originalPart = { ...parts[partIndex] };
-        
-        if (update.shelf && update.shelf !== originalPart.shelf) {
-          parts[partIndex].shelf = update.shelf;
-          parts[partIndex].lastLocationChange = timestamp;
-          parts[partIndex].previousLocation = originalPart.shelf;
-          parts[partIndex].lastModified = timestamp;
-          parts[partIndex].modifiedBy = modifiedBy;
-          
-          updatedParts.push(parts[partIndex]);
-          
-          // Track location change for transaction log
-          locationChanges.push({
-            id: Date.now() + partIndex, // Ensure unique ID
-            partId: parts[partIndex].id,
-            partNumber: parts[partIndex].partNumber,
-            action: 'location_change',
-            fromLocation: originalPart.shelf,
-            toLocation: update.shelf,
-            user: modifiedBy,
-            timestamp: timestamp,
-            notes: `Bulk location update: ${originalPart.shelf} → ${update.shelf}`
-          });
-        }
-      }
+    const changes = readSupplierFields(req.body);
+    if (changes.name !== undefined && !changes.name) {
+      return res.status(400).json({ error: 'Supplier name cannot be empty' });
     }
     
-    await writeParts(parts);
-    
-    // Add all location changes to transaction history
-    if (locationChanges.length > 0) {
-      transactions.push(...locationChanges);
-      await writeTransactions(transactions);
+    const supplier = await dbService.updateSupplier(req.params.id, changes);
+    if (!supplier) {
+      return res.status(404).json({ error: 'Supplier not found' });
     }
-    
-    res.json({ 
-      success: true, 
-      updated: updatedParts.length,
-      updatedParts 
-    });
+    res.json(supplier);
   } catch (error) {
-    res.status(500).json({ error: 'Failed to bulk update locations' });
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    console.error('Update supplier error:', error);
+    res.status(500).json({ error: 'Failed to update supplier' });
   }
 });
 
-// Bulk update part quantities
-app.put('/api/parts/bulk/quantities', async (req, res) => {
+// The active supplier an order is placed with
+async function getOrderSupplier(database, supplierId) {
+  const supplier = await database.getSupplier(supplierId);
+  if (!supplier) {
+    throw new ValidationError('Choose a supplier for the purchase order');
+  }
+  if (supplier.active === false) {
+    throw new ValidationError(`${supplier.name} is no longer an active supplier`);
+  }
+  return supplier;
+}
+
+app.get('/api/purchase-orders', requirePermission('purchasing:receive'), async (req, res) => {
   try {
-    const { updates, modifiedBy = 'System' } = req.body;
-    // updates should be an array of { id, quantity, adjustment }
+    const { status } = req.query;
+    if (status && !PURCHASE_ORDER_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${PURCHASE_ORDER_STATUSES.join(', ')}` });
+    }
+    res.json(await dbService.getPurchaseOrders({ status }));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch purchase orders' });
+  }
+});
+
+app.get('/api/purchase-orders/:poNumber', requirePermission('purchasing:receive'), async (req, res) => {
+  try {
+    const order = await dbService.getPurchaseOrder(req.params.poNumber);
+    if (!order) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+    res.json(order);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch purchase order' });
+  }
+});
+
+// New orders start as drafts
+app.post('/api/purchase-orders', requirePermission('purchasing:manage'), async (req, res) => {
+  try {
+    const order = await dbService.transaction(async (database) => {
+      const supplier = await getOrderSupplier(database, req.body.supplierId);
+      const lines = buildOrderLines(req.body.lines, await database.getParts());
+      return database.insertPurchaseOrder({
+        supplierId: supplier.id,
+        supplierName: supplier.name,
+        status: 'draft',
+        lines,
+        notes: String(req.body.notes || ''),
+        createdBy: getActorName(req)
+      });
+    });
+    res.status(201).json(order);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    console.error('Create purchase order error:', error);
+    res.status(500).json({ error: 'Failed to create purchase order' });
+  }
+});
+
+// Only drafts can be edited; once sent the order is what the supplier has
+app.put('/api/purchase-orders/:poNumber', requirePermission('purchasing:manage'), async (req, res) => {
+  try {
+    const order = await dbService.transaction(async (database) => {
+      const existing = await database.getPurchaseOrder(req.params.poNumber);
+      if (!existing) {
+        throw new NotFoundError('Purchase order');
+      }
+      if (existing.status !== 'draft') {
+        throw new ValidationError('Only draft purchase orders can be changed');
+      }
+      
+      const changes = {};
+      if (req.body.supplierId !== undefined) {
+        const supplier = await getOrderSupplier(database, req.body.supplierId);
+        changes.supplierId = supplier.id;
+        changes.supplierName = supplier.name;
+      }
+      if (req.body.lines !== undefined) {
+        changes.lines = buildOrderLines(req.body.lines, await database.getParts());
+      }
+      if (req.body.notes !== undefined) {
+        changes.notes = String(req.body.notes || '');
+      }
+      return database.updatePurchaseOrder(existing.poNumber, changes, {
+        expectedVersion: req.body.version === undefined ? undefined : Number(req.body.version)
+      });
+    });
+    res.json(order);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    console.error('Update purchase order error:', error);
+    res.status(500).json({ error: 'Failed to update purchase order' });
+  }
+});
+
+app.delete('/api/purchase-orders/:poNumber', requirePermission('purchasing:manage'), async (req, res) => {
+  try {
+    const order = await dbService.getPurchaseOrder(req.params.poNumber);
+    if (!order) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+    if (order.status !== 'draft') {
+      return res.status(400).json({ error: 'Only draft purchase orders can be deleted' });
+    }
+    
+    await dbService.deletePurchaseOrder(order.poNumber);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete purchase order' });
+  }
+});
+
+// Marks a draft as sent to the supplier
+app.post('/api/purchase-orders/:poNumber/send', requirePermission('purchasing:manage'), async (req, res) => {
+  try {
+    const order = await dbService.getPurchaseOrder(req.params.poNumber);
+    if (!order) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+    if (order.status !== 'draft') {
+      return res.status(400).json({ error: 'This purchase order has already been sent' });
+    }
+    
+    const sentOrder = await dbService.updatePurchaseOrder(order.poNumber, {
+      status: 'sent',
+      sentAt: new Date().toISOString()
+    }, { expectedVersion: order.version || 0 });
+    res.json(sentOrder);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    res.status(500).json({ error: 'Failed to send purchase order' });
+  }
+});
+
+// Books a delivery in: each received line adds to the part's stock and is
+// logged as a `received` transaction. Body: { lines: [{ lineId, quantity,
+// unitCost }], notes }; with no lines everything outstanding is received.
+app.post('/api/purchase-orders/:poNumber/receive', requirePermission('purchasing:receive'), async (req, res) => {
+  try {
+    const user = getActorName(req);
+    const timestamp = new Date().toISOString();
+    
+    const result = await dbService.transaction(async (database) => {
+      const order = await database.getPurchaseOrder(req.params.poNumber);
+      if (!order) {
+        throw new NotFoundError('Purchase order');
+      }
+      
+      const { lines, received, status } = applyReceipt(order, req.body.lines);
+      const transactions = [];
+      
+      for (const [index, { line, quantity }] of received.entries()) {
+        const part = await database.getPart(line.partId);
+        if (!part) {
+          throw new ValidationError(`${line.partNumber} is no longer in the inventory`);
+        }
+        
+        const newQuantity = part.quantity + quantity;
+        const changes = {
+          quantity: newQuantity,
+          ...deriveCheckoutState(newQuantity, getOpenCheckouts(part)),
+          lastModified: timestamp,
+          modifiedBy: user
+        };
+        if (line.unitCost !== null && line.unitCost !== undefined) {
+          Object.assign(changes, costChange(part, line.unitCost, {
+            source: 'received',
+            user,
+            poNumber: order.poNumber,
+            timestamp
+          }));
+        }
+        if (!part.supplier) {
+          changes.supplier = order.supplierName;
+        }
+        await database.updatePart(part.id, changes, { expectedVersion: part.version || 0 });
+        
+        transactions.push({
+          id: Date.now() + index,
+          partId: part.id,
+          partNumber: part.partNumber,
+          action: 'received',
+          user: user,
+          timestamp: timestamp,
+          quantity: quantity,
+          quantityBefore: part.quantity,
+          quantityAfter: newQuantity,
+          poNumber: order.poNumber,
+          unitCost: line.unitCost ?? null,
+          notes: req.body.notes || `Received on ${order.poNumber} from ${order.supplierName}`
+        });
+      }
+      
+      await database.insertTransactions(transactions);
+      const updatedOrder = await database.updatePurchaseOrder(order.poNumber, {
+        lines,
+        status,
+        receivedAt: status === 'received' ? timestamp : null
+      }, { expectedVersion: order.version || 0 });
+      
+      return { order: updatedOrder, transactions };
+    });
+    
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    console.error('Receive purchase order error:', error);
+    res.status(500).json({ error: 'Failed to receive purchase order' });
+  }
+});
+
+// Cycle counts. A lead opens a session for some shelves, technicians
+// record counts from the scanner, and the lead approves the variances.
+app.get('/api/counts', requirePermission('counts:record'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !COUNT_SESSION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${COUNT_SESSION_STATUSES.join(', ')}` });
+    }
+    const [sessions, parts] = await Promise.all([dbService.getCountSessions({ status }), readParts()]);
+    res.json(sessions.map(session => withVariances(session, parts)));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch count sessions' });
+  }
+});
+
+app.get('/api/counts/:sessionId', requirePermission('counts:record'), async (req, res) => {
+  try {
+    const session = await dbService.getCountSession(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Count session not found' });
+    }
+    res.json(withVariances(session, await readParts()));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch count session' });
+  }
+});
+
+// Body: { shelves: [shelfId], notes }
+app.post('/api/counts', requirePermission('counts:manage'), async (req, res) => {
+  try {
+    const session = await dbService.transaction(async (database) => {
+      const shelves = [...new Set([].concat(req.body.shelves || []).map(shelf => String(shelf).trim()).filter(Boolean))];
+      const locationReport = buildLocationReport(await database.getParts(), await database.getShelves());
+      const lines = buildCountLines(locationReport, shelves, await database.getCountSessions({ status: 'open' }));
+      return database.insertCountSession({
+        shelves,
+        status: 'open',
+        lines,
+        notes: String(req.body.notes || ''),
+        createdBy: getActorName(req)
+      });
+    });
+    res.status(201).json(withVariances(session, await readParts()));
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    console.error('Create count session error:', error);
+    res.status(500).json({ error: 'Failed to open count session' });
+  }
+});
+
+// Records what the counter found for one part. Body: { countedQuantity }
+app.put('/api/counts/:sessionId/lines/:partId', requirePermission('counts:record'), async (req, res) => {
+  try {
+    const session = await dbService.transaction(async (database) => {
+      const existing = await database.getCountSession(req.params.sessionId);
+      if (!existing) {
+        throw new NotFoundError('Count session');
+      }
+      const part = await database.getPart(parseInt(req.params.partId));
+      if (!part) {
+        throw new NotFoundError('Part');
+      }
+      
+      const lines = recordCount(existing, part, req.body.countedQuantity, { user: getActorName(req) });
+      return database.updateCountSession(existing.sessionId, { lines }, { expectedVersion: existing.version || 0 });
+    });
+    res.json(withVariances(session, await readParts()));
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    console.error('Record count error:', error);
+    res.status(500).json({ error: 'Failed to record count' });
+  }
+});
+
+// Books the variances and closes the session. Body: { partIds } to approve
+// only some lines; the rest are left as they are.
+app.post('/api/counts/:sessionId/approve', requirePermission('counts:manage'), async (req, res) => {
+  try {
+    const approver = getActorName(req);
+    const timestamp = new Date().toISOString();
+    
+    const result = await dbService.transaction(async (database) => {
+      const session = await database.getCountSession(req.params.sessionId);
+      if (!session) {
+        throw new NotFoundError('Count session');
+      }
+      if (session.status !== 'open') {
+        throw new ValidationError(`Session ${session.sessionId} is already ${session.status}`);
+      }
+      
+      const adjustments = linesToAdjust(session, req.body.partIds);
+      const transactions = [];
+      for (const [index, line] of adjustments.entries()) {
+        const part = await database.getPart(line.partId);
+        if (!part) {
+          throw new ValidationError(`${line.partNumber} is no longer in the inventory`);
+        }
+        
+        // Apply the variance to today's stock so movements since the count stand
+        const variance = lineVariance(line);
+        const newQuantity = Math.max(0, part.quantity + variance);
+        await database.updatePart(part.id, {
+          quantity: newQuantity,
+          ...deriveCheckoutState(newQuantity, getOpenCheckouts(part)),
+          lastModified: timestamp,
+          modifiedBy: approver
+        }, { expectedVersion: part.version || 0 });
+        
+        transactions.push({
+          id: Date.now() + index,
+          partId: part.id,
+          partNumber: part.partNumber,
+          action: 'count_adjustment',
+          user: line.countedBy,
+          timestamp: timestamp,
+          quantity: variance,
+          quantityBefore: part.quantity,
+          quantityAfter: newQuantity,
+          unitCost: part.cost ?? null,
+          countSessionId: session.sessionId,
+          notes: `Counted ${line.countedQuantity} on ${line.shelf}, system had ${line.systemQuantity}. Approved by ${approver}`
+        });
+      }
+      
+      await database.insertTransactions(transactions);
+      const adjustedIds = new Set(adjustments.map(line => line.partId));
+      const updatedSession = await database.updateCountSession(session.sessionId, {
+        lines: session.lines.map(line => adjustedIds.has(line.partId) ? { ...line, adjusted: true } : line),
+        status: 'approved',
+        approvedBy: approver,
+        closedAt: timestamp
+      }, { expectedVersion: session.version || 0 });
+      
+      return { session: updatedSession, transactions };
+    });
+    
+    res.json({ success: true, session: withVariances(result.session, await readParts()), transactions: result.transactions });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    console.error('Approve count session error:', error);
+    res.status(500).json({ error: 'Failed to approve count session' });
+  }
+});
+
+app.post('/api/counts/:sessionId/cancel', requirePermission('counts:manage'), async (req, res) => {
+  try {
+    const session = await dbService.getCountSession(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Count session not found' });
+    }
+    if (session.status !== 'open') {
+      return res.status(400).json({ error: `Session ${session.sessionId} is already ${session.status}` });
+    }
+    
+    const cancelled = await dbService.updateCountSession(session.sessionId, {
+      status: 'cancelled',
+      closedAt: new Date().toISOString()
+    }, { expectedVersion: session.version || 0 });
+    res.json(withVariances(cancelled, await readParts()));
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    res.status(500).json({ error: 'Failed to cancel count session' });
+  }
+});
+
+// Get all transactions
+app.get('/api/transactions', async (req, res) => {
+  try {
+    const transactions = await readTransactions();
+    res.json(transactions);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch transactions' });
+  }
+});
+
+// Get transactions for a specific part
+app.get('/api/parts/:id/transactions', async (req, res) => {
+  try {
+    const partId = parseInt(req.params.id);
+    const transactions = await readTransactions();
+    const partTransactions = transactions.filter(t => t.partId === partId);
+    res.json(partTransactions);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch part transactions' });
+  }
+});
+
+// Get all shelves
+app.get('/api/shelves', async (req, res) => {
+  try {
+    const shelves = await readShelves();
+    res.json(shelves);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch shelves' });
+  }
+});
+
+// Get specific shelf
+app.get('/api/shelves/:shelfId', async (req, res) => {
+  try {
+    const shelves = await readShelves();
+    const shelf = shelves[req.params.shelfId];
+    
+    if (!shelf) {
+      return res.status(404).json({ error: 'Shelf not found' });
+    }
+    
+    res.json(shelf);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch shelf' });
+  }
+});
+
+// Add new part
+app.post('/api/parts', requirePermission('parts:edit'), async (req, res) => {
+  try {
+    const { partNumber, description, shelf, category, quantity, minQuantity, itemType = 'returnable', supplier, cost, rack, series, attributes } = req.body;
+    
+    if (!partNumber || !description || !shelf || !category) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+    
+    if (!ITEM_TYPES.includes(itemType)) {
+      return res.status(400).json({ error: `Item type must be one of: ${ITEM_TYPES.join(', ')}` });
+    }
+    
+    const parts = await readParts();
+    
+    // Check if part number already exists
+    const existingPart = parts.find(p => p.partNumber === partNumber);
+    if (existingPart) {
+      return res.status(400).json({ error: 'Part number already exists' });
+    }
+    
+    const newPart = {
+      id: Math.max(...parts.map(p => p.id), 0) + 1,
+      partNumber,
+      description,
+      shelf,
+      category,
+      rack: rack ? String(rack).trim() : '',
+      series: series ? String(series).trim() : '',
+      attributes: mergeAttributes({}, readAttributes(attributes)),
+      itemType,
+      status: 'available',
+      checkedOutBy: null,
+      checkedOutDate: null,
+      quantity: quantity || 1,
+      minQuantity: minQuantity || 1,
+      supplier: supplier ? String(supplier).trim() : null,
+      cost: null,
+      costHistory: [],
+      ...costChange(null, parseUnitCost(cost), { user: getActorName(req) })
+    };
+    
+    const savedPart = await dbService.insertPart(newPart);
+    
+    res.status(201).json(savedPart);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    res.status(500).json({ error: 'Failed to add part' });
+  }
+});
+
+// Bulk update parts locations. The bulk routes stay ahead of
+// /api/parts/:id so "bulk" is never taken for a part id.
+app.put('/api/parts/bulk/locations', requirePermission('parts:move'), async (req, res) => {
+  try {
+    const { updates } = req.body;
+    const modifiedBy = getActorName(req);
+    // updates should be an array of { id, shelf }
     
     if (!Array.isArray(updates)) {
       return res.status(400).json({ error: 'Updates must be an array' });
     }
     
     const parts = await readParts();
-    const transactions = await readTransactions();
     const timestamp = new Date().toISOString();
     const updatedParts = [];
+    const locationChanges = [];
     
     for (const update of updates) {
       const partIndex = parts.findIndex(p => p.id === parseInt(update.id));
       if (partIndex !== -1) {
-        const originalQuantity = parts[partIndex].quantity;
+        const originalPart = parts[partIndex];
+        
+        if (update.shelf && update.shelf !== originalPart.shelf) {
+          const updatedPart = await dbService.updatePart(originalPart.id, {
+            shelf: update.shelf,
+            lastLocationChange: timestamp,
+            previousLocation: originalPart.shelf,
+            lastModified: timestamp,
+            modifiedBy: modifiedBy
+          });
+          if (!updatedPart) continue;
+          
+          updatedParts.push(updatedPart);
+          
+          // Track location change for transaction log
+          locationChanges.push({
+            id: Date.now() + partIndex, // Ensure unique ID
+            partId: updatedPart.id,
+            partNumber: updatedPart.partNumber,
+            action: 'location_change',
+            fromLocation: originalPart.shelf,
+            toLocation: update.shelf,
+            user: modifiedBy,
+            timestamp: timestamp,
+            notes: `Bulk location update: ${originalPart.shelf} → ${update.shelf}`
+          });
+        }
+      }
+    }
+    
+    // Add all location changes to transaction history
+    if (locationChanges.length > 0) {
+      await dbService.insertTransactions(locationChanges);
+    }
+    
+    res.json({ 
+      success: true, 
+      updated: updatedParts.length,
+      updatedParts 
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to bulk update locations' });
+  }
+});
+
+// Bulk update part quantities
+app.put('/api/parts/bulk/quantities', requirePermission('parts:edit'), async (req, res) => {
+  try {
+    const { updates } = req.body;
+    const modifiedBy = getActorName(req);
+    // updates should be an array of { id, quantity, adjustment }
+    
+    if (!Array.isArray(updates)) {
+      return res.status(400).json({ error: 'Updates must be an array' });
+    }
+    
+    const timestamp = new Date().toISOString();
+    const updatedParts = [];
+    const quantityChanges = [];
+    
+    for (const [index, update] of updates.entries()) {
+      // Adjustments are relative to the stored quantity, so recompute them
+      // if another request changes the part between our read and write
+      const result = await updatePartWithRetry(parseInt(update.id), (part) => {
+        let newQuantity = part.quantity;
         
         if (update.quantity !== undefined) {
-          parts[partIndex].quantity = Math.max(0, parseInt(update.quantity));
+          newQuantity = Math.max(0, parseInt(update.quantity));
         } else if (update.adjustment !== undefined) {
-          parts[partIndex].quantity = Math.max(0, originalQuantity + parseInt(update.adjustment));
+          newQuantity = Math.max(0, part.quantity + parseInt(update.adjustment));
         }
         
-        parts[partIndex].lastModified = timestamp;
-        parts[partIndex].modifiedBy = modifiedBy;
-        
-        updatedParts.push(parts[partIndex]);
-        
-        // Log quantity change
-        transactions.push({
-          id: Date.now() + partIndex,
-          partId: parts[partIndex].id,
-          partNumber: parts[partIndex].partNumber,
-          action: 'quantity_update',
-          fromQuantity: originalQuantity,
-          toQuantity: parts[partIndex].quantity,
-          user: modifiedBy,
-          timestamp: timestamp,
-          notes: `Quantity updated: ${originalQuantity} → ${parts[partIndex].quantity}`
-        });
-      }
+        return {
+          quantity: newQuantity,
+          ...deriveCheckoutState(newQuantity, getOpenCheckouts(part)),
+          lastModified: timestamp,
+          modifiedBy: modifiedBy
+        };
+      });
+      if (!result || !result.updatedPart) continue;
+      
+      const { part: originalPart, updatedPart } = result;
+      updatedParts.push(updatedPart);
+      
+      // Log quantity change
+      quantityChanges.push({
+        id: Date.now() + index,
+        partId: updatedPart.id,
+        partNumber: updatedPart.partNumber,
+        action: 'quantity_update',
+        fromQuantity: originalPart.quantity,
+        toQuantity: updatedPart.quantity,
+        user: modifiedBy,
+        timestamp: timestamp,
+        notes: `Quantity updated: ${originalPart.quantity} → ${updatedPart.quantity}`
+      });
     }
     
-    await writeParts(parts);
-    await writeTransactions(transactions);
+    await dbService.insertTransactions(quantityChanges);
     
     res.json({ 
       success: true, 
@@ -579,195 +1271,728 @@ app.put('/api/parts/bulk/quantities', async (req, res) => {
       updatedParts 
     });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to bulk update quantities' });
+    if (error instanceof ConflictError) {
+      return res.status(409).json({ error: error.message, code: error.code });
+    }
+    res.status(500).json({ error: 'Failed to bulk update quantities' });
+  }
+});
+
+// Update part
+app.put('/api/parts/:id', requirePermission('parts:edit'), async (req, res) => {
+  try {
+    const partId = parseInt(req.params.id);
+    const { version, ...updates } = req.body;
+    
+    const originalPart = await dbService.getPart(partId);
+    
+    if (!originalPart) {
+      return res.status(404).json({ error: 'Part not found' });
+    }
+
+    // Clients that send the version they loaded get a 409 instead of
+    // silently overwriting someone else's edit. Without one, the version read
+    // above still stops a change made while this request runs from being lost.
+    const expectedVersion = version !== undefined ? Number(version) : (originalPart.version || 0);
+    
+    // Prevent updating checkout status through this endpoint
+    delete updates.status;
+    delete updates.checkedOutBy;
+    delete updates.checkedOutDate;
+    delete updates.checkouts;
+    delete updates.costHistory;
+    
+    if (updates.itemType !== undefined && !ITEM_TYPES.includes(updates.itemType)) {
+      return res.status(400).json({ error: `Item type must be one of: ${ITEM_TYPES.join(', ')}` });
+    }
+    
+    if (updates.itemType === 'consumable' && getOpenCheckouts(originalPart).length > 0) {
+      return res.status(400).json({ error: 'Check in all open loans before making this part consumable' });
+    }
+    
+    if (updates.cost !== undefined) {
+      const cost = parseUnitCost(updates.cost);
+      delete updates.cost;
+      Object.assign(updates, costChange(originalPart, cost, { user: getActorName(req) }));
+    }
+    if (updates.supplier !== undefined) {
+      updates.supplier = updates.supplier ? String(updates.supplier).trim() : null;
+    }
+    ['rack', 'series'].forEach(field => {
+      if (updates[field] !== undefined) {
+        updates[field] = updates[field] ? String(updates[field]).trim() : '';
+      }
+    });
+    // The attributes sent replace the part's; a blank value drops one
+    if (updates.attributes !== undefined) {
+      updates.attributes = mergeAttributes({}, readAttributes(updates.attributes));
+    }
+    
+    // A stock change can move the part between partially and fully checked out
+    if (updates.quantity !== undefined) {
+      Object.assign(updates, deriveCheckoutState(Number(updates.quantity), getOpenCheckouts(originalPart)));
+    }
+    
+    // Track location changes for audit trail
+    if (updates.shelf && updates.shelf !== originalPart.shelf) {
+      updates.lastLocationChange = new Date().toISOString();
+      updates.previousLocation = originalPart.shelf;
+    }
+    
+    // Update last modified timestamp
+    updates.lastModified = new Date().toISOString();
+    updates.modifiedBy = getActorName(req);
+    
+    const updatedPart = await dbService.updatePart(partId, updates, { expectedVersion });
+    if (!updatedPart) {
+      return res.status(404).json({ error: 'Part not found' });
+    }
+
+    // Log the location change in transactions if shelf was updated
+    if (updates.shelf && updates.shelf !== originalPart.shelf) {
+      const locationChangeRecord = {
+        id: Date.now(),
+        partId: partId,
+        partNumber: updatedPart.partNumber,
+        action: 'location_change',
+        fromLocation: originalPart.shelf,
+        toLocation: updates.shelf,
+        user: updates.modifiedBy,
+        timestamp: new Date().toISOString(),
+        notes: `Part moved from ${originalPart.shelf} to ${updates.shelf}`
+      };
+      await dbService.insertTransaction(locationChangeRecord);
+    }
+    
+    res.json(updatedPart);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    res.status(500).json({ error: 'Failed to update part' });
+  }
+});
+
+// Delete part. A part with units out on loan can't be deleted until they
+// are checked back in.
+app.delete('/api/parts/:id', requirePermission('parts:edit'), async (req, res) => {
+  try {
+    const partId = parseInt(req.params.id);
+    
+    const deletedPart = await dbService.transaction(async (database) => {
+      const part = await database.getPart(partId);
+      if (!part) return null;
+      
+      if (getOpenCheckouts(part).length > 0) {
+        throw new ConflictError('Check in all open loans before deleting this part');
+      }
+      
+      await database.deletePart(partId);
+      await database.insertTransaction({
+        id: Date.now(),
+        partId: partId,
+        partNumber: part.partNumber,
+        action: 'deleted',
+        user: getActorName(req),
+        timestamp: new Date().toISOString(),
+        quantity: part.quantity,
+        quantityBefore: part.quantity,
+        quantityAfter: 0,
+        notes: `Deleted ${part.description || part.partNumber}`
+      });
+      return part;
+    });
+    
+    if (!deletedPart) {
+      return res.status(404).json({ error: 'Part not found' });
+    }
+    
+    res.json({ success: true, deletedPart });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    console.error('Delete part error:', error);
+    res.status(500).json({ error: 'Failed to delete part' });
+  }
+});
+
+// Get parts by location/shelf
+app.get('/api/parts/by-location/:shelf', async (req, res) => {
+  try {
+    const shelf = decodeURIComponent(req.params.shelf).toLowerCase();
+    const exact = req.query.exact === 'true'; // e.g. a scanned shelf label
+    const parts = await readParts();
+    
+    const partsInLocation = parts.filter(part => {
+      if (!part.shelf) return false;
+      const partShelf = part.shelf.toLowerCase();
+      return exact ? partShelf === shelf : partShelf.includes(shelf);
+    });
+    
+    res.json(partsInLocation);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get parts by location' });
+  }
+});
+
+// Query values given either as repeated parameters or comma-separated
+function toQueryList(value) {
+  if (value === undefined) return [];
+  return [].concat(value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+// Label sheet templates for the print dialog
+app.get('/api/labels/templates', (req, res) => {
+  res.json(Object.entries(LABEL_TEMPLATES).map(([id, template]) => ({
+    id,
+    name: template.name,
+    labelsPerSheet: template.columns * template.rows
+  })));
+});
+
+// Print-ready PDF of part and/or shelf labels, e.g.
+// /api/labels?partIds=1,2&shelfIds=A1&template=5160&code=qr&skip=0
+app.get('/api/labels', async (req, res) => {
+  try {
+    const partIds = toQueryList(req.query.partIds);
+    const shelfIds = toQueryList(req.query.shelfIds);
+    const parts = await readParts();
+    const shelves = shelfIds.length > 0 ? await readShelves() : {};
+
+    const labels = partIds.map(partId => {
+      const part = parts.find(p => String(p.id) === partId);
+      if (!part) {
+        throw new NotFoundError(`Part ${partId}`);
+      }
+      return partLabel(part);
+    });
+
+    for (const shelfId of shelfIds) {
+      // Parts may name a shelf that was never added to the shelf list
+      if (!shelves[shelfId] && !parts.some(part => part.shelf === shelfId)) {
+        throw new NotFoundError(`Shelf ${shelfId}`);
+      }
+      labels.push(shelfLabel(shelfId, shelves[shelfId]));
+    }
+
+    const pdf = await renderLabelSheet(labels, {
+      template: req.query.template || undefined,
+      symbology: req.query.code || undefined,
+      skip: req.query.skip
+    });
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="labels-${new Date().toISOString().split('T')[0]}.pdf"`
+    });
+    res.send(pdf);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    console.error('Label generation error:', error);
+    res.status(500).json({ error: 'Failed to generate labels' });
+  }
+});
+
+// Get inventory report
+app.get('/api/reports/inventory', async (req, res) => {
+  try {
+    const parts = await readParts();
+    const shelves = await readShelves();
+    const transactions = await readTransactions();
+    const usageDays = parseInt(req.query.days) || 30;
+    
+    // Group parts by shelf
+    const locationReport = buildLocationReport(parts, shelves);
+    const shelfValues = valueStock(parts, part => part.shelf || UNASSIGNED_SHELF).groups;
+    Object.entries(locationReport).forEach(([shelf, location]) => {
+      location.totalValue = shelfValues[shelf].totalValue;
+      location.unvaluedParts = shelfValues[shelf].unvaluedParts;
+    });
+    
+    // Low stock alerts
+    const lowStockParts = parts.filter(part => 
+      part.quantity <= (part.minQuantity || 1)
+    );
+    
+    // Category breakdown
+    const categoryStats = parts.reduce((acc, part) => {
+      const category = part.category || 'Uncategorized';
+      if (!acc[category]) {
+        acc[category] = { count: 0, totalQuantity: 0 };
+      }
+      acc[category].count++;
+      acc[category].totalQuantity += part.quantity || 0;
+      return acc;
+    }, {});
+    const categoryValues = valueStock(parts, part => part.category || 'Uncategorized').groups;
+    Object.entries(categoryStats).forEach(([category, stats]) => {
+      stats.totalValue = categoryValues[category].totalValue;
+      stats.unvaluedParts = categoryValues[category].unvaluedParts;
+    });
+    
+    // Stock value at current unit cost
+    const valuation = valueStock(parts).totals;
+    
+    // Usage over the last `usageDays`, split by item type: consumables are
+    // issued and gone, returnables go out on loan and come back
+    const usageSince = new Date(Date.now() - usageDays * 24 * 60 * 60 * 1000);
+    const itemTypeById = new Map(parts.map(part => [part.id, part.itemType || 'returnable']));
+    const usageByType = {
+      consumable: { parts: 0, issued: 0, issueTransactions: 0 },
+      returnable: { parts: 0, checkedOut: 0, returned: 0, outstanding: 0, checkoutTransactions: 0 }
+    };
+    parts.forEach(part => {
+      const type = part.itemType || 'returnable';
+      usageByType[type].parts++;
+      if (type === 'returnable') {
+        usageByType.returnable.outstanding += getCheckedOutQuantity(part);
+      }
+    });
+    transactions
+      .filter(t => t.partId !== null && new Date(t.timestamp) >= usageSince)
+      .forEach(t => {
+        const units = t.quantity || 1;
+        if (t.action === 'issue') {
+          usageByType.consumable.issued += units;
+          usageByType.consumable.issueTransactions++;
+        } else if (t.action === 'checkout' && itemTypeById.get(t.partId) !== 'consumable') {
+          usageByType.returnable.checkedOut += units;
+          usageByType.returnable.checkoutTransactions++;
+        } else if (t.action === 'checkin' && itemTypeById.get(t.partId) !== 'consumable') {
+          usageByType.returnable.returned += units;
+        }
+      });
+    
+    res.json({
+      locationReport,
+      lowStockParts,
+      categoryStats,
+      usageByType,
+      usageDays,
+      valuation,
+      totalParts: parts.length,
+      totalQuantity: parts.reduce((sum, part) => sum + (part.quantity || 0), 0),
+      reportGenerated: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to generate inventory report' });
+  }
+});
+
+// { from, to } of a report's date range: `from` and `to` query dates,
+// inclusive, defaulting to the last 30 days
+function readDateRange(query) {
+  const readDate = (value, name) => {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new ValidationError(`${name} is not a valid date`);
+    }
+    return date;
+  };
+  const to = query.to ? readDate(query.to, 'End date') : new Date();
+  if (query.to && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+    to.setUTCHours(23, 59, 59, 999);
+  }
+  const from = query.from
+    ? readDate(query.from, 'Start date')
+    : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+  if (from > to) {
+    throw new ValidationError('Start date must be before the end date');
+  }
+  return { from, to };
+}
+
+// Cost of what was issued and checked out over a date range
+app.get('/api/reports/consumption', async (req, res) => {
+  try {
+    const { from, to } = readDateRange(req.query);
+    
+    const [parts, transactions, employees] = await Promise.all([
+      readParts(),
+      readTransactions(),
+      dbService.getEmployees()
+    ]);
+    
+    res.json(buildConsumptionReport({ parts, transactions, employees }, { from, to }));
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    res.status(500).json({ error: 'Failed to generate consumption report' });
+  }
+});
+
+// Reorder suggestions: usage rate, days until stockout and order quantity
+// for every part at or below its reorder point
+app.get('/api/reports/reorder', requirePermission('purchasing:receive'), async (req, res) => {
+  try {
+    const readDays = (value, fallback) => {
+      const days = parseInt(value);
+      return Number.isNaN(days) || days < 0 ? fallback : days;
+    };
+    const options = {
+      days: readDays(req.query.days, 90) || 90,
+      coverDays: readDays(req.query.coverDays, 30),
+      leadTimeDays: readDays(req.query.leadTimeDays, undefined)
+    };
+
+    const [parts, transactions, suppliers, orders] = await Promise.all([
+      readParts(),
+      readTransactions(),
+      dbService.getSuppliers(),
+      dbService.getPurchaseOrders()
+    ]);
+
+    res.json(buildReorderReport({ parts, transactions, suppliers, orders }, options));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to generate reorder report' });
+  }
+});
+
+const dateStamp = (date) => date.toISOString().split('T')[0];
+
+function sendWorkbook(res, buffer, filename) {
+  res.set({
+    'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'Content-Disposition': `attachment; filename="${filename}"`
+  });
+  res.send(buffer);
+}
+
+// Parts workbook, one sheet per category in the import format
+app.get('/api/export/xlsx/parts', async (req, res) => {
+  try {
+    const parts = await readParts();
+    sendWorkbook(res, buildPartsWorkbook(parts), `inventory-${dateStamp(new Date())}.xlsx`);
+  } catch (error) {
+    console.error('Parts export error:', error);
+    res.status(500).json({ error: 'Failed to export parts' });
+  }
+});
+
+// Transactions over a date range, as for the consumption report
+app.get('/api/export/xlsx/transactions', async (req, res) => {
+  try {
+    const { from, to } = readDateRange(req.query);
+    const transactions = await readTransactions();
+    sendWorkbook(res, buildTransactionsWorkbook(transactions, { from, to }), `transactions-${dateStamp(from)}-to-${dateStamp(to)}.xlsx`);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    console.error('Transactions export error:', error);
+    res.status(500).json({ error: 'Failed to export transactions' });
+  }
+});
+
+app.get('/api/export/xlsx/low-stock', async (req, res) => {
+  try {
+    const parts = await readParts();
+    sendWorkbook(res, buildLowStockWorkbook(parts), `low-stock-${dateStamp(new Date())}.xlsx`);
+  } catch (error) {
+    console.error('Low stock export error:', error);
+    res.status(500).json({ error: 'Failed to export low stock' });
+  }
+});
+
+// Notification settings of the logged-in user, with the events and
+// channels this server offers
+function notificationSettings(subscription) {
+  return {
+    events: NOTIFICATION_EVENTS,
+    channels: notificationService.getChannels(),
+    vapidPublicKey: process.env.VAPID_PUBLIC_KEY || null,
+    email: subscription.email || '',
+    subscribedEvents: subscription.events || [],
+    subscribedChannels: subscription.channels || [],
+    pushEndpoints: (subscription.pushSubscriptions || []).map(item => item.endpoint)
+  };
+}
+
+function sendNotificationError(res, error, fallbackMessage) {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json({ error: error.message, code: error.code });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage });
+}
+
+app.get('/api/notifications/settings', requireAuth, async (req, res) => {
+  try {
+    res.json(notificationSettings(await notificationService.getSubscription(req.user.username)));
+  } catch (error) {
+    sendNotificationError(res, error, 'Failed to fetch notification settings');
   }
 });
 
-// Get parts by location/shelf
-app.get('/api/parts/by-location/:shelf', async (req, res) => {
+// Body: { email, events: [event], channels: ['email', 'push'] }
+app.put('/api/notifications/settings', requireAuth, async (req, res) => {
   try {
-    const shelf = decodeURIComponent(req.params.shelf);
-    const parts = await readParts();
-    
-    const partsInLocation = parts.filter(part => 
-      part.shelf && part.shelf.toLowerCase().includes(shelf.toLowerCase())
-    );
-    
-    res.json(partsInLocation);
+    const { email, events, channels } = req.body;
+    const subscription = await notificationService.updateSubscription(req.user.username, { email, events, channels });
+    res.json(notificationSettings(subscription));
   } catch (error) {
-    res.status(500).json({ error: 'Failed to get parts by location' });
+    sendNotificationError(res, error, 'Failed to save notification settings');
   }
 });
 
-// Get inventory report
-app.get('/api/reports/inventory', async (req, res) => {
+// Body: { subscription } as given by PushManager.subscribe() in the browser
+app.post('/api/notifications/push', requireAuth, async (req, res) => {
   try {
-    const parts = await readParts();
-    const shelves = await readShelves();
-    
-    // Group parts by shelf
-    const locationReport = {};
-    parts.forEach(part => {
-      const shelf = part.shelf || 'Unassigned';
-      if (!locationReport[shelf]) {
-        locationReport[shelf] = {
-          shelfInfo: shelves[shelf] || { name: shelf, description: 'No description' },
-          parts: [],
-          totalQuantity: 0,
-          categories: new Set()
-        };
-      }
-      locationReport[shelf].parts.push(part);
-      locationReport[shelf].totalQuantity += part.quantity || 0;
-      locationReport[shelf].categories.add(part.category);
-    });
-    
-    // Convert categories Set to Array for JSON serialization
-    Object.values(locationReport).forEach(location => {
-      location.categories = Array.from(location.categories);
-    });
-    
-    // Low stock alerts
-    const lowStockParts = parts.filter(part => 
-      part.quantity <= (part.minQuantity || 1)
+    const subscription = await notificationService.addPushSubscription(
+      req.user.username,
+      req.body.subscription,
+      String(req.get('User-Agent') || '').slice(0, 200)
     );
-    
-    // Category breakdown
-    const categoryStats = parts.reduce((acc, part) => {
-      const category = part.category || 'Uncategorized';
-      if (!acc[category]) {
-        acc[category] = { count: 0, totalQuantity: 0 };
-      }
-      acc[category].count++;
-      acc[category].totalQuantity += part.quantity || 0;
-      return acc;
-    }, {});
-    
-    res.json({
-      locationReport,
-      lowStockParts,
-      categoryStats,
-      totalParts: parts.length,
-      totalQuantity: parts.reduce((sum, part) => sum + (part.quantity || 0), 0),
-      reportGenerated: new Date().toISOString()
-    });
+    res.status(201).json(notificationSettings(subscription));
   } catch (error) {
-    res.status(500).json({ error: 'Failed to generate inventory report' });
+    sendNotificationError(res, error, 'Failed to register for push notifications');
+  }
+});
+
+// Body: { endpoint }
+app.delete('/api/notifications/push', requireAuth, async (req, res) => {
+  try {
+    const subscription = await notificationService.removePushSubscription(req.user.username, req.body.endpoint);
+    res.json(notificationSettings(subscription));
+  } catch (error) {
+    sendNotificationError(res, error, 'Failed to remove push registration');
+  }
+});
+
+// Sends a test message on the user's chosen channels
+app.post('/api/notifications/test', requireAuth, async (req, res) => {
+  try {
+    res.json({ deliveries: await notificationService.sendTest(req.user.username) });
+  } catch (error) {
+    sendNotificationError(res, error, 'Failed to send test notification');
+  }
+});
+
+// Checks stock and loans right away instead of waiting for the timer
+app.post('/api/notifications/check', requirePermission('notifications:manage'), async (req, res) => {
+  try {
+    res.json(await notificationService.check());
+  } catch (error) {
+    sendNotificationError(res, error, 'Failed to check notifications');
   }
 });
 
 // Data backup and validation endpoints
 // Create full data backup
-app.get('/api/backup/create', async (req, res) => {
+app.get('/api/backup/create', requirePermission('backup:create'), async (req, res) => {
   try {
-    const parts = await readParts();
-    const shelves = await readShelves();
-    const transactions = await readTransactions();
-    
-    const backup = {
-      timestamp: new Date().toISOString(),
-      version: '1.0',
-      data: {
-        parts,
-        shelves,
-        transactions
-      },
-      metadata: {
-        totalParts: parts.length,
-        totalTransactions: transactions.length,
-        totalShelves: Object.keys(shelves).length
-      }
-    };
-    
-    res.json(backup);
+    res.json(await backupService.buildBackup());
   } catch (error) {
     res.status(500).json({ error: 'Failed to create backup' });
   }
 });
 
+// Integrity problems in a set of parts, shelves and transactions
+function validateData({ parts, shelves, transactions }) {
+  const validation = {
+    timestamp: new Date().toISOString(),
+    isValid: true,
+    errors: [],
+    warnings: [],
+    summary: {
+      totalParts: parts.length,
+      totalShelves: Object.keys(shelves).length,
+      totalTransactions: transactions.length
+    }
+  };
+  
+  // Validate parts data
+  parts.forEach((part, index) => {
+    if (!part.id) {
+      validation.errors.push(`Part at index ${index} missing ID`);
+      validation.isValid = false;
+    }
+    if (!part.partNumber) {
+      validation.errors.push(`Part ${part.id} missing part number`);
+      validation.isValid = false;
+    }
+    if (part.quantity < 0) {
+      validation.warnings.push(`Part ${part.partNumber} has negative quantity`);
+    }
+    if (part.shelf && !shelves[part.shelf]) {
+      validation.warnings.push(`Part ${part.partNumber} references non-existent shelf: ${part.shelf}`);
+    }
+  });
+  
+  // Check for duplicate part numbers
+  const partNumbers = parts.map(p => p.partNumber);
+  const duplicatePartNumbers = partNumbers.filter((num, index) => partNumbers.indexOf(num) !== index);
+  if (duplicatePartNumbers.length > 0) {
+    validation.warnings.push(`Duplicate part numbers found: ${[...new Set(duplicatePartNumbers)].join(', ')}`);
+  }
+  
+  // Validate transactions reference existing parts
+  const partIds = new Set(parts.map(p => p.id));
+  transactions.forEach((transaction, index) => {
+    if (transaction.partId && !partIds.has(transaction.partId)) {
+      validation.warnings.push(`Transaction ${transaction.id} references non-existent part ID: ${transaction.partId}`);
+    }
+  });
+  
+  return validation;
+}
+
 // Validate data integrity
 app.get('/api/backup/validate', async (req, res) => {
   try {
-    const parts = await readParts();
-    const shelves = await readShelves();
-    const transactions = await readTransactions();
-    
-    const validation = {
-      timestamp: new Date().toISOString(),
-      isValid: true,
-      errors: [],
-      warnings: [],
-      summary: {
-        totalParts: parts.length,
-        totalShelves: Object.keys(shelves).length,
-        totalTransactions: transactions.length
-      }
-    };
-    
-    // Validate parts data
-    parts.forEach((part, index) => {
-      if (!part.id) {
-        validation.errors.push(`Part at index ${index} missing ID`);
-        validation.isValid = false;
-      }
-      if (!part.partNumber) {
-        validation.errors.push(`Part ${part.id} missing part number`);
-        validation.isValid = false;
-      }
-      if (part.quantity < 0) {
-        validation.warnings.push(`Part ${part.partNumber} has negative quantity`);
-      }
-      if (part.shelf && !shelves[part.shelf]) {
-        validation.warnings.push(`Part ${part.partNumber} references non-existent shelf: ${part.shelf}`);
-      }
-    });
-    
-    // Check for duplicate part numbers
-    const partNumbers = parts.map(p => p.partNumber);
-    const duplicatePartNumbers = partNumbers.filter((num, index) => partNumbers.indexOf(num) !== index);
-    if (duplicatePartNumbers.length > 0) {
-      validation.warnings.push(`Duplicate part numbers found: ${[...new Set(duplicatePartNumbers)].join(', ')}`);
+    const [parts, shelves, transactions] = await Promise.all([readParts(), readShelves(), readTransactions()]);
+    res.json({ ...validateData({ parts, shelves, transactions }), formatVersion: CURRENT_VERSION });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to validate data' });
+  }
+});
+
+// Checks a backup without restoring it: which format version it is in, the
+// migrations a restore would apply, and the integrity of the upgraded data.
+// Body: { file } with the name of a stored backup, or { backup } with the
+// backup itself.
+app.post('/api/backup/validate', requirePermission('backup:create'), async (req, res) => {
+  try {
+    const { file } = req.body;
+    const original = file ? await backupService.read(file) : req.body.backup;
+    if (!original || typeof original !== 'object') {
+      throw new ValidationError('Send a stored backup file name or the backup to check');
     }
+    const { backup, fromVersion, applied } = migrateBackup({ ...original, data: validateBackupData(original.data) });
     
-    // Validate transactions reference existing parts
-    const partIds = new Set(parts.map(p => p.id));
-    transactions.forEach((transaction, index) => {
-      if (transaction.partId && !partIds.has(transaction.partId)) {
-        validation.warnings.push(`Transaction ${transaction.id} references non-existent part ID: ${transaction.partId}`);
-      }
+    res.json({
+      ...validateData(backup.data),
+      backupTimestamp: original.timestamp || null,
+      version: fromVersion,
+      currentVersion: CURRENT_VERSION,
+      migrations: applied
     });
-    
-    res.json(validation);
   } catch (error) {
-    res.status(500).json({ error: 'Failed to validate data' });
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    console.error('Validate backup error:', error);
+    res.status(500).json({ error: 'Failed to validate backup' });
   }
 });
 
-// Restore from backup (POST with backup data)
-app.post('/api/backup/restore', async (req, res) => {
+// Restore from backup. Body: { confirm, data, timestamp, version } with the
+// backup's contents, or { confirm, file } with the name of a stored backup.
+// Backups in an older format are upgraded first (see services/migrations.js).
+//
+// Add { scope: { partIds, shelfIds, category } } to restore only those
+// parts and shelves (see selectScope in services/restore.js); the rest of
+// the data and all transactions are left alone, and each restored part gets
+// a `restored` transaction. Restored parts keep the loans open now (see
+// withCurrentLoans), and `warnings` lists the parts where those differ from
+// the backup's.
+//
+// With { dryRun: true } nothing is written and the response is the diff the
+// restore would make. A real restore first saves the current data as a
+// pre-restore snapshot in the backup directory, so it can be undone.
+app.post('/api/backup/restore', requirePermission('backup:restore'), async (req, res) => {
   try {
-    const { data, confirm } = req.body;
+    const { confirm, file, dryRun } = req.body;
     
-    if (!confirm) {
+    if (!confirm && !dryRun) {
       return res.status(400).json({ error: 'Restoration requires confirmation' });
     }
     
-    if (!data || !data.parts || !data.shelves || !data.transactions) {
-      return res.status(400).json({ error: 'Invalid backup data format' });
+    const scope = parseRestoreScope(req.body.scope);
+    const original = file
+      ? await backupService.read(file)
+      : { data: req.body.data, timestamp: req.body.timestamp, version: req.body.version };
+    const { backup, fromVersion, applied } = migrateBackup({ ...original, data: validateBackupData(original.data) });
+    const { data } = backup;
+    const [parts, shelves, transactions, records] = await Promise.all([
+      readParts(), readShelves(), readTransactions(), scope ? {} : backupService.readRecords()
+    ]);
+    const current = { parts, shelves, transactions, ...records };
+    const selection = scope ? selectScope(data, scope) : null;
+    const diff = diffBackupData(current, selection ? mergeScope(current, selection) : data);
+    const warnings = selection ? loanWarnings(current, selection) : [];
+    
+    if (dryRun) {
+      return res.json({ dryRun: true, scope, diff, warnings, migratedFrom: fromVersion, migrations: applied });
     }
     
-    // Create backup of current data before restoration
-    const currentBackup = {
-      timestamp: new Date().toISOString(),
-      parts: await readParts(),
-      shelves: await readShelves(),
-      transactions: await readTransactions()
-    };
+    const snapshot = await backupService.createStoredBackup('pre-restore');
+    
+    if (selection) {
+      const user = getActorName(req);
+      const timestamp = new Date().toISOString();
+      const source = file || (backup.timestamp ? `the backup of ${backup.timestamp}` : 'an uploaded backup');
+      
+      const restoredTransactions = await dbService.transaction(async (database) => {
+        const logged = [];
+        for (const [index, record] of selection.parts.entries()) {
+          const existing = await database.getPart(record.id);
+          const restored = withCurrentLoans(record, existing);
+          if (existing) {
+            await database.updatePart(record.id, restorePatch(existing, restored), { expectedVersion: existing.version || 0 });
+          } else {
+            await database.insertPart(restorePatch(null, restored));
+          }
+          
+          const quantityBefore = existing ? existing.quantity : 0;
+          logged.push({
+            id: Date.now() + index,
+            partId: record.id,
+            partNumber: record.partNumber,
+            action: 'restored',
+            user,
+            timestamp,
+            quantity: (restored.quantity || 0) - quantityBefore,
+            quantityBefore,
+            quantityAfter: restored.quantity || 0,
+            notes: `Restored from ${source}${existing ? '' : ' after being deleted'}`
+          });
+        }
+        for (const [shelfId, shelf] of Object.entries(selection.shelves)) {
+          await database.upsertShelf(shelfId, shelf);
+        }
+        await database.insertTransactions(logged);
+        return logged;
+      });
+      
+      return res.json({
+        success: true,
+        message: 'Selected records restored successfully',
+        scope,
+        restoredCounts: {
+          parts: selection.parts.length,
+          shelves: Object.keys(selection.shelves).length,
+          transactions: 0
+        },
+        diff,
+        warnings,
+        transactions: restoredTransactions,
+        migratedFrom: fromVersion,
+        migrations: applied,
+        preRestoreBackup: snapshot.name
+      });
+    }
     
-    // Write backup data to disk
-    await writeParts(data.parts);
-    await writeShelves(data.shelves);
-    await writeTransactions(data.transactions);
+    // Everything is replaced in one transaction, so a failed write leaves
+    // the current data as it was. Besides parts, shelves and transactions
+    // that covers users, employees, suppliers, orders, counts and settings,
+    // where the backup has them (see restoredRecords in services/restore.js).
+    const replaced = restoredRecords(data, records.users);
+    await dbService.transaction(async (database) => {
+      await database.saveParts(data.parts);
+      await database.saveShelves(data.shelves);
+      await database.saveTransactions(data.transactions);
+      for (const [key, collection] of Object.entries(replaced)) {
+        await database.replaceRecords(key, collection);
+      }
+    });
     
     res.json({ 
       success: true, 
@@ -775,52 +2000,71 @@ app.post('/api/backup/restore', async (req, res) => {
       restoredCounts: {
         parts: data.parts.length,
         shelves: Object.keys(data.shelves).length,
-        transactions: data.transactions.length
+        transactions: data.transactions.length,
+        ...Object.fromEntries(Object.entries(replaced).map(([key, records]) => [key, records.length]))
       },
-      previousBackup: currentBackup
+      diff,
+      migratedFrom: fromVersion,
+      migrations: applied,
+      preRestoreBackup: snapshot.name
     });
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    console.error('Restore backup error:', error);
     res.status(500).json({ error: 'Failed to restore backup' });
   }
 });
 
-// Auto-backup creation endpoint (can be called by cron job)
-app.post('/api/backup/auto-create', async (req, res) => {
+// Stores a backup on the server now, outside the schedule
+app.post('/api/backup/auto-create', requirePermission('backup:create'), async (req, res) => {
   try {
-    const parts = await readParts();
-    const shelves = await readShelves();
-    const transactions = await readTransactions();
-    
-    const backupFileName = `backup-${new Date().toISOString().split('T')[0]}.json`;
-    const backupPath = path.join(__dirname, 'backups', backupFileName);
-    
-    // Ensure backups directory exists
-    await fs.mkdir(path.join(__dirname, 'backups'), { recursive: true });
-    
-    const backup = {
-      timestamp: new Date().toISOString(),
-      version: '1.0',
-      data: { parts, shelves, transactions },
-      metadata: {
-        totalParts: parts.length,
-        totalTransactions: transactions.length,
-        totalShelves: Object.keys(shelves).length
-      }
-    };
-    
-    await fs.writeFile(backupPath, JSON.stringify(backup, null, 2));
+    const result = await backupService.createStoredBackup();
     
     res.json({ 
       success: true, 
-      backupFile: backupFileName,
-      backupPath: backupPath,
-      size: JSON.stringify(backup).length
+      backupFile: result.name,
+      size: result.size,
+      metadata: result.metadata,
+      pruned: result.pruned
     });
   } catch (error) {
+    console.error('Create stored backup error:', error);
     res.status(500).json({ error: 'Failed to create auto-backup' });
   }
 });
 
+// Backups stored on the server, newest first, with the schedule
+app.get('/api/backup/list', requirePermission('backup:create'), async (req, res) => {
+  try {
+    res.json({ backups: await backupService.list(), schedule: backupService.getSchedule() });
+  } catch (error) {
+    console.error('List backups error:', error);
+    res.status(500).json({ error: 'Failed to list backups' });
+  }
+});
+
+// Downloads a stored backup as saved (gzipped JSON), or as plain JSON with
+// ?format=json
+app.get('/api/backup/files/:name', requirePermission('backup:create'), async (req, res) => {
+  try {
+    const { name } = req.params;
+    if (req.query.format === 'json') {
+      const backup = await backupService.read(name);
+      res.setHeader('Content-Disposition', `attachment; filename="${name.replace(/\.gz$/, '')}"`);
+      return res.json(backup);
+    }
+    res.download(await backupService.resolve(name), name);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    console.error('Download backup error:', error);
+    res.status(500).json({ error: 'Failed to download backup' });
+  }
+});
+
 // Get dashboard stats
 app.get('/api/dashboard/stats', async (req, res) => {
   try {
@@ -830,7 +2074,9 @@ app.get('/api/dashboard/stats', async (req, res) => {
     const stats = {
       totalParts: parts.length,
       availableParts: parts.filter(p => p.status === 'available').length,
-      checkedOutParts: parts.filter(p => p.status === 'checked_out').length,
+      checkedOutParts: parts.filter(p => getOpenCheckouts(p).length > 0).length,
+      checkedOutUnits: parts.reduce((sum, p) => sum + getCheckedOutQuantity(p), 0),
+      overdueLoans: findOverdueLoans(parts).length,
       noStockParts: parts.filter(p => p.quantity === 0).length,
       totalTransactions: transactions.length,
       recentCheckouts: transactions.filter(t => t.action === 'checkout').slice(0, 5),
@@ -885,7 +2131,7 @@ app.get('/api/shelves/:id', async (req, res) => {
 });
 
 // Create new shelf
-app.post('/api/shelves', async (req, res) => {
+app.post('/api/shelves', requirePermission('shelves:manage'), async (req, res) => {
   try {
     const { name, location, description, image } = req.body;
     
@@ -905,12 +2151,7 @@ app.post('/api/shelves', async (req, res) => {
       imageUrl: null // For now, image handling can be added later
     };
     
-    shelves[name] = newShelf;
-    
-    const success = await writeShelves(shelves);
-    if (!success) {
-      return res.status(500).json({ error: 'Failed to create shelf' });
-    }
+    await dbService.upsertShelf(name, newShelf);
     
     res.status(201).json({
       id: name,
@@ -925,7 +2166,7 @@ app.post('/api/shelves', async (req, res) => {
 });
 
 // Update shelf
-app.put('/api/shelves/:id', async (req, res) => {
+app.put('/api/shelves/:id', requirePermission('shelves:manage'), async (req, res) => {
   try {
     const { name, location, description } = req.body;
     const shelfId = req.params.id;
@@ -940,33 +2181,25 @@ app.put('/api/shelves/:id', async (req, res) => {
       return res.status(404).json({ error: 'Shelf not found' });
     }
     
+    const updatedShelf = {
+      name: location,
+      description: description || '',
+      imageUrl: shelves[shelfId].imageUrl || null
+    };
+    
     // If name changed, we need to update parts that reference this shelf
     if (name !== shelfId) {
       const parts = await readParts();
-      const updatedParts = parts.map(part => 
-        part.shelf === shelfId ? { ...part, shelf: name } : part
-      );
-      await writeParts(updatedParts);
+      for (const part of parts.filter(p => p.shelf === shelfId)) {
+        await dbService.updatePart(part.id, { shelf: name });
+      }
       
-      // Remove old shelf and add new one
-      delete shelves[shelfId];
-      shelves[name] = {
-        name: location,
-        description: description || '',
-        imageUrl: shelves[shelfId]?.imageUrl || null
-      };
+      // Add the new shelf before removing the old one
+      await dbService.upsertShelf(name, updatedShelf);
+      await dbService.deleteShelf(shelfId);
     } else {
       // Just update the existing shelf
-      shelves[shelfId] = {
-        name: location,
-        description: description || '',
-        imageUrl: shelves[shelfId]?.imageUrl || null
-      };
-    }
-    
-    const success = await writeShelves(shelves);
-    if (!success) {
-      return res.status(500).json({ error: 'Failed to update shelf' });
+      await dbService.upsertShelf(shelfId, updatedShelf);
     }
     
     res.json({
@@ -974,7 +2207,7 @@ app.put('/api/shelves/:id', async (req, res) => {
       name: name,
       location: location,
       description: description || '',
-      imagePath: shelves[name]?.imageUrl || null
+      imagePath: updatedShelf.imageUrl
     });
   } catch (error) {
     res.status(500).json({ error: 'Failed to update shelf' });
@@ -982,7 +2215,7 @@ app.put('/api/shelves/:id', async (req, res) => {
 });
 
 // Delete shelf
-app.delete('/api/shelves/:id', async (req, res) => {
+app.delete('/api/shelves/:id', requirePermission('shelves:manage'), async (req, res) => {
   try {
     const shelfId = req.params.id;
     const shelves = await readShelves();
@@ -1001,9 +2234,7 @@ app.delete('/api/shelves/:id', async (req, res) => {
       });
     }
     
-    delete shelves[shelfId];
-    
-    const success = await writeShelves(shelves);
+    const success = await dbService.deleteShelf(shelfId);
     if (!success) {
       return res.status(500).json({ error: 'Failed to delete shelf' });
     }
@@ -1014,100 +2245,253 @@ app.delete('/api/shelves/:id', async (req, res) => {
   }
 });
 
-// Excel Import endpoint
-app.post('/api/import/excel', upload.single('excelFile'), async (req, res) => {
+// Import profile fields accepted on create and update
+function readImportProfileFields(body) {
+  const fields = {};
+  if (body.name !== undefined) {
+    fields.name = String(body.name || '').trim();
+  }
+  if (body.sheets !== undefined || body.columns !== undefined || body.attributes !== undefined) {
+    Object.assign(fields, readImportMapping({ sheets: body.sheets, columns: body.columns, attributes: body.attributes || [] }));
+  }
+  return fields;
+}
+
+// Profile names are compared without case
+async function checkImportProfileName(name, excludeId = null) {
+  const profiles = await dbService.getImportProfiles();
+  if (profiles.some(profile => profile.name.toLowerCase() === name.toLowerCase() && profile.id !== excludeId)) {
+    throw new ConflictError(`An import profile named ${name} already exists`);
+  }
+}
+
+app.get('/api/import/profiles', requirePermission('import:excel'), async (req, res) => {
+  try {
+    res.json(await dbService.getImportProfiles());
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch import profiles' });
+  }
+});
+
+// Body: { name, sheets: [{ name, category }], columns: [{ field, column }], attributes: [column] }
+app.post('/api/import/profiles', requirePermission('import:excel'), async (req, res) => {
+  try {
+    const fields = readImportProfileFields(req.body);
+    if (!fields.name) {
+      return res.status(400).json({ error: 'Profile name is required' });
+    }
+    await checkImportProfileName(fields.name);
+    
+    const profile = await dbService.insertImportProfile({ sheets: [], columns: [], attributes: [], ...fields });
+    res.status(201).json(profile);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    console.error('Create import profile error:', error);
+    res.status(500).json({ error: 'Failed to create import profile' });
+  }
+});
+
+app.put('/api/import/profiles/:id', requirePermission('import:excel'), async (req, res) => {
+  try {
+    const changes = readImportProfileFields(req.body);
+    if (changes.name !== undefined) {
+      if (!changes.name) {
+        return res.status(400).json({ error: 'Profile name cannot be empty' });
+      }
+      await checkImportProfileName(changes.name, parseInt(req.params.id));
+    }
+    
+    const profile = await dbService.updateImportProfile(req.params.id, changes);
+    if (!profile) {
+      return res.status(404).json({ error: 'Import profile not found' });
+    }
+    res.json(profile);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    console.error('Update import profile error:', error);
+    res.status(500).json({ error: 'Failed to update import profile' });
+  }
+});
+
+app.delete('/api/import/profiles/:id', requirePermission('import:excel'), async (req, res) => {
+  try {
+    const profile = await dbService.deleteImportProfile(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: 'Import profile not found' });
+    }
+    res.json({ message: 'Import profile deleted', profile });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete import profile' });
+  }
+});
+
+// The mapping an import request asks for: a saved profile (profileId), one
+// sent with the request (mapping, as JSON), or neither to go by the headers
+async function requestedMapping(body) {
+  if (body.profileId) {
+    const profile = await dbService.getImportProfile(body.profileId);
+    if (!profile) {
+      throw new NotFoundError('Import profile');
+    }
+    return { profile, mapping: readImportMapping({ attributes: [], ...profile }) };
+  }
+  let mapping;
+  try {
+    mapping = body.mapping ? JSON.parse(body.mapping) : {};
+  } catch (error) {
+    throw new ValidationError('Mapping must be valid JSON');
+  }
+  return { profile: null, mapping: readImportMapping(mapping) };
+}
+
+// Reads an uploaded workbook without importing it: its sheets, their
+// headers and first rows, and how the mapping would read each one.
+// Multipart body: excelFile (a workbook, or a CSV or TSV file), and
+// profileId or mapping as for the import.
+app.post('/api/import/excel/inspect', requirePermission('import:excel'), upload.single('excelFile'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No Excel file provided' });
+    }
+    const { profile, mapping } = await requestedMapping(req.body);
+    const sheets = readWorkbook(req.file.buffer, req.file.originalname);
+    
+    res.json({
+      fields: IMPORT_FIELDS,
+      profile,
+      sheets: sheets.map(sheet => ({
+        name: sheet.name,
+        format: sheet.format || null,
+        headers: sheet.headers,
+        rowCount: sheet.rows.length,
+        sample: sheet.rows.slice(0, 5).map(row => row.cells),
+        ...sheetMapping(sheet, mapping)
+      }))
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    console.error('Inspect workbook error:', error);
+    res.status(500).json({ error: 'Failed to read the workbook' });
+  }
+});
+
+// Excel Import endpoint. The server reads the uploaded workbook, or CSV or
+// TSV file, itself. Multipart body: excelFile, profileId or mapping (see
+// services/imports.js), mode ('append', 'upsert' or 'sync') and preview.
+// With preview=true nothing is written and the response is the plan: the
+// rows to create, update and skip, with the field changes of each update.
+app.post('/api/import/excel', requirePermission('import:excel'), upload.single('excelFile'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No Excel file provided' });
     }
 
-    const partsData = JSON.parse(req.body.partsData || '[]');
+    const { mapping } = await requestedMapping(req.body);
+    const partsData = workbookRows(readWorkbook(req.file.buffer, req.file.originalname), mapping);
     
-    if (!Array.isArray(partsData) || partsData.length === 0) {
-      return res.status(400).json({ error: 'No valid parts data provided' });
+    if (partsData.length === 0) {
+      return res.status(400).json({ error: 'No rows to import in the chosen sheets' });
+    }
+
+    const existingParts = await dbService.getParts();
+    const plan = planImport(existingParts, partsData, req.body.mode || 'append');
+
+    if (req.body.preview === 'true') {
+      return res.json({ preview: true, ...plan });
+    }
+
+    const errors = plan.errors.map(({ row, sheet, line, error }) => `${sheet ? `${sheet} row ${line}` : `Row ${row}`}: ${error}`);
+    if (plan.create.length === 0 && plan.update.length === 0 && errors.length > 0) {
+      return res.status(400).json({ 
+        error: 'No valid parts found', 
+        details: errors 
+      });
     }
 
     // Save uploaded Excel file for reference
     const uploadsDir = path.join(__dirname, 'uploads');
     await fs.mkdir(uploadsDir, { recursive: true });
     
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const savedFileName = `imported_${timestamp}_${req.file.originalname}`;
+    const fileTimestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const savedFileName = `imported_${fileTimestamp}_${req.file.originalname}`;
     const savedFilePath = path.join(uploadsDir, savedFileName);
     
     await fs.writeFile(savedFilePath, req.file.buffer);
     console.log(`Excel file saved: ${savedFilePath}`);
 
-    // Read existing parts to get the next available ID
-    const existingParts = await dbService.getParts();
+    const user = getActorName(req);
+    const timestamp = new Date().toISOString();
+    const source = req.file.originalname;
     let nextId = Math.max(...existingParts.map(p => p.id), 0) + 1;
-
-    // Process and validate parts data
-    const validParts = [];
-    const errors = [];
-
-    partsData.forEach((part, index) => {
-      // Validate required fields
-      if (!part.partNumber && !part.description) {
-        errors.push(`Row ${index + 1}: Part must have either a part number or description`);
-        return;
+    const newParts = plan.create.map(({ fields }) => newImportedPart(nextId++, fields, { user, timestamp }));
+    const totalParts = existingParts.length + newParts.length;
+
+    const importTransaction = await dbService.transaction(async (database) => {
+      await database.insertParts(newParts);
+
+      const logged = [];
+      for (const { id, fields, changes } of plan.update) {
+        const part = existingParts.find(item => item.id === id);
+        await database.updatePart(id, importUpdate(part, fields, { user, timestamp }), { expectedVersion: part.version || 0 });
+        logged.push({
+          partId: id,
+          partNumber: part.partNumber,
+          quantity: fields.quantity !== undefined ? fields.quantity - part.quantity : 0,
+          quantityBefore: part.quantity,
+          quantityAfter: fields.quantity !== undefined ? fields.quantity : part.quantity,
+          notes: `Updated by import from ${source}: ${changes.map(change => change.field).join(', ')}`
+        });
       }
+      plan.missing.forEach(part => {
+        logged.push({
+          partId: part.id,
+          partNumber: part.partNumber,
+          notes: `Not in ${source}; check whether it should still be stocked`
+        });
+      });
 
-      // Create validated part object
-      const validatedPart = {
-        id: nextId++,
-        partNumber: (part.partNumber || '').toString().trim(),
-        description: (part.description || '').toString().trim(),
-        shelf: (part.shelf || 'TBD').toString().trim(),
-        category: (part.category || 'General').toString().trim(),
-        status: 'available',
-        checkedOutBy: null,
-        checkedOutDate: null,
-        quantity: Math.max(parseInt(part.quantity) || 1, 0),
-        minQuantity: Math.max(parseInt(part.minQuantity) || 1, 0)
+      // One record for the import as a whole
+      const summary = {
+        partId: null,
+        partNumber: 'BULK_IMPORT',
+        notes: `Imported ${newParts.length} new and ${plan.update.length} updated parts from Excel file: ${source} (${plan.mode})`,
+        quantityBefore: existingParts.length,
+        quantityAfter: totalParts
       };
-
-      validParts.push(validatedPart);
+      const records = [summary, ...logged].map((record, index) => ({
+        id: Date.now() + index,
+        action: 'import',
+        user,
+        timestamp,
+        ...record
+      }));
+      await database.insertTransactions(records);
+      return records[0];
     });
 
-    if (errors.length > 0 && validParts.length === 0) {
-      return res.status(400).json({ 
-        error: 'No valid parts found', 
-        details: errors 
-      });
-    }
-
-    // Add parts to existing inventory
-    const updatedParts = [...existingParts, ...validParts];
-    await dbService.saveParts(updatedParts);
-
-    // Create transaction records for the import
-    const transactions = await dbService.getTransactions();
-    const importTransaction = {
-      id: Date.now(),
-      partId: null,
-      partNumber: 'BULK_IMPORT',
-      action: 'import',
-      user: 'System',
-      timestamp: new Date().toISOString(),
-      notes: `Imported ${validParts.length} parts from Excel file: ${req.file.originalname}`,
-      quantityBefore: existingParts.length,
-      quantityAfter: updatedParts.length
-    };
-
-    transactions.unshift(importTransaction);
-    await dbService.saveTransactions(transactions);
-
     res.json({
       success: true,
-      message: `Successfully imported ${validParts.length} parts`,
-      importedCount: validParts.length,
-      totalParts: updatedParts.length,
+      message: `Successfully imported ${newParts.length} new and ${plan.update.length} updated parts`,
+      mode: plan.mode,
+      importedCount: newParts.length,
+      updatedCount: plan.update.length,
+      skippedCount: plan.skip.length,
+      missing: plan.missing,
+      totalParts,
       errors: errors.length > 0 ? errors : null,
       transaction: importTransaction
     });
 
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
     console.error('Excel import error:', error);
     res.status(500).json({ 
       error: 'Failed to process Excel import', 
@@ -1136,6 +2520,9 @@ app.options('*', cors());
 
 // Global error handler
 app.use((error, req, res, next) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json({ error: error.message, code: error.code });
+  }
   console.error('Global error handler:', error);
   res.status(500).json({
     error: 'Internal Server Error',
@@ -1194,6 +2581,18 @@ async function startServer() {
   try {
     // Initialize database service (MongoDB or JSON fallback)
     await dbService.initialize();
+    // Bring data written by older versions up to the current format
+    try {
+      const migrated = await migrateStoredData(dbService);
+      if (migrated.parts > 0 || migrated.transactions > 0) {
+        console.log(`🔄 Migrated ${migrated.parts} parts and ${migrated.transactions} transactions to data format ${CURRENT_VERSION}`);
+      }
+    } catch (error) {
+      console.error('Data migration failed:', error);
+    }
+    await authService.ensureInitialUser();
+    notificationService.start();
+    await backupService.start();
     
     const baseUrl = process.env.NODE_ENV === 'production' 
       ? `https://wki-tool-room-system-1.onrender.com` 
@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { ValidationError, UnauthorizedError } = require('../middleware/errorHandler');
+const { ROLES, getRole, getPermissions } = require('../config/permissions');
+
+const scrypt = promisify(crypto.scrypt);
+
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const KEY_LENGTH = 64;
+
+// Users, password hashing and login sessions.
+//
+// Passwords are stored as `scrypt$<salt>$<hash>`. A login hands out a random
+// bearer token; only its SHA-256 hash is kept in the sessions collection, so
+// a leaked database cannot be replayed as a login.
+class AuthService {
+  constructor(dbService) {
+    this.db = dbService;
+    this.sessionTtlMs = (parseFloat(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+  }
+
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+  }
+
+  async verifyPassword(password, stored) {
+    const [scheme, salt, expectedHex] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !expectedHex) return false;
+
+    const expected = Buffer.from(expectedHex, 'hex');
+    const actual = await scrypt(String(password), salt, expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // The user as returned by the API, without the password hash and with
+  // the permissions their role grants
+  toPublicUser(user) {
+    const { _id, __v, passwordHash, ...publicUser } = user;
+    return { ...publicUser, role: getRole(user), permissions: getPermissions(user) };
+  }
+
+  validateRole(role) {
+    if (!ROLES.includes(role)) {
+      throw new ValidationError(`Role must be one of: ${ROLES.join(', ')}`);
+    }
+  }
+
+  validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new ValidationError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+  }
+
+  async createUser({ username, displayName, password, role = 'technician' }) {
+    const name = String(username || '').trim().toLowerCase();
+    if (!USERNAME_PATTERN.test(name)) {
+      throw new ValidationError('Username must be 3-32 characters: letters, numbers, dot, dash or underscore');
+    }
+    this.validatePassword(password);
+    this.validateRole(role);
+
+    const user = await this.db.insertUser({
+      username: name,
+      displayName: String(displayName || '').trim() || name,
+      passwordHash: await this.hashPassword(password),
+      role,
+      active: true
+    });
+    return this.toPublicUser(user);
+  }
+
+  // Applies displayName, password, role and active changes. Resolves to null
+  // when the user does not exist.
+  async updateUser(username, { displayName, password, role, active }) {
+    const changes = {};
+    if (displayName !== undefined) {
+      changes.displayName = String(displayName).trim();
+    }
+    if (password !== undefined) {
+      this.validatePassword(password);
+      changes.passwordHash = await this.hashPassword(password);
+    }
+    if (role !== undefined) {
+      this.validateRole(role);
+      changes.role = role;
+    }
+    if (active !== undefined) {
+      changes.active = Boolean(active);
+    }
+
+    const user = await this.db.updateUser(username, changes);
+    if (!user) return null;
+
+    // A new password or a deactivated account ends every open session
+    if (changes.passwordHash || changes.active === false) {
+      await this.db.deleteSessions({ username: user.username });
+    }
+    return this.toPublicUser(user);
+  }
+
+  async listUsers() {
+    const users = await this.db.getUsers();
+    return users
+      .map(user => this.toPublicUser(user))
+      .sort((a, b) => a.username.localeCompare(b.username));
+  }
+
+  // Checks the credentials and opens a session. Throws UnauthorizedError with
+  // the same message whether the user or the password was wrong.
+  async login(username, password) {
+    const user = await this.db.getUser(username);
+    const valid = user && user.active !== false && await this.verifyPassword(password, user.passwordHash);
+    if (!valid) {
+      throw new UnauthorizedError('Invalid username or password');
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + this.sessionTtlMs).toISOString();
+    await this.db.insertSession({
+      tokenHash: this.hashToken(token),
+      username: user.username,
+      expiresAt
+    });
+
+    const loggedIn = await this.db.updateUser(user.username, { lastLoginAt: new Date().toISOString() });
+    return { token, expiresAt, user: this.toPublicUser(loggedIn || user) };
+  }
+
+  async logout(token) {
+    await this.db.deleteSessions({ tokenHash: this.hashToken(token) });
+  }
+
+  // Resolves the bearer token to its active user, or null
+  async getSessionUser(token) {
+    if (!token) return null;
+
+    const session = await this.db.getSession(this.hashToken(token));
+    if (!session || new Date(session.expiresAt) <= new Date()) return null;
+
+    const user = await this.db.getUser(session.username);
+    if (!user || user.active === false) return null;
+
+    return { ...this.toPublicUser(user), sessionExpiresAt: session.expiresAt };
+  }
+
+  // With no accounts at all nobody could log in to create one, so start with
+  // an admin: ADMIN_USERNAME/ADMIN_PASSWORD when set, otherwise `admin` with a
+  // random password printed once to the server log.
+  async ensureInitialUser() {
+    const users = await this.db.getUsers();
+    const username = process.env.ADMIN_USERNAME || 'admin';
+
+    if (users.length > 0) {
+      // Accounts from before roles existed have none; make sure the initial
+      // account can still manage users
+      const initialUser = users.find(user => user.username === username.toLowerCase());
+      if (!users.some(user => user.role === 'admin') && initialUser) {
+        await this.db.updateUser(initialUser.username, { role: 'admin' });
+        console.log(`👤 Gave initial user "${initialUser.username}" the admin role`);
+      }
+      return;
+    }
+
+    const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64url');
+
+    await this.createUser({ username, displayName: 'Administrator', password, role: 'admin' });
+    if (process.env.ADMIN_PASSWORD) {
+      console.log(`👤 Created initial user "${username}" from ADMIN_USERNAME/ADMIN_PASSWORD`);
+    } else {
+      console.log(`👤 Created initial user "${username}" with password: ${password}`);
+      console.log('   Log in and change it, or set ADMIN_PASSWORD before first start.');
+    }
+  }
+}
+
+module.exports = AuthService;
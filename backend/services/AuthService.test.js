@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const DatabaseService = require('./DatabaseService');
+const AuthService = require('./AuthService');
+
+// An AuthService over a DatabaseService on JSON files in a fresh directory
+async function withAuth(fn) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'auth-'));
+  const log = console.log;
+  console.log = () => {};
+  try {
+    const database = new DatabaseService(directory);
+    await database.initialize();
+    await fn(new AuthService(database), database);
+  } finally {
+    console.log = log;
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+}
+
+test('passwords are stored salted and checked against the hash', async () => {
+  const auth = new AuthService(null);
+  const stored = await auth.hashPassword('correct horse');
+
+  assert.match(stored, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+  assert.notStrictEqual(await auth.hashPassword('correct horse'), stored);
+  assert.strictEqual(await auth.verifyPassword('correct horse', stored), true);
+  assert.strictEqual(await auth.verifyPassword('wrong horse', stored), false);
+  assert.strictEqual(await auth.verifyPassword('correct horse', 'plain'), false);
+});
+
+test('createUser checks the username, password and role', async () => {
+  await withAuth(async (auth) => {
+    const user = await auth.createUser({ username: ' Amy.Lee ', password: 'longenough' });
+
+    assert.strictEqual(user.username, 'amy.lee');
+    assert.strictEqual(user.displayName, 'amy.lee');
+    assert.strictEqual(user.role, 'technician');
+    assert.ok(Array.isArray(user.permissions));
+    assert.strictEqual('passwordHash' in user, false);
+
+    await assert.rejects(auth.createUser({ username: 'a b', password: 'longenough' }), /Username must be 3-32 characters/);
+    await assert.rejects(auth.createUser({ username: 'bob', password: 'short' }), /at least 8 characters/);
+    await assert.rejects(auth.createUser({ username: 'bob', password: 'longenough', role: 'owner' }), /Role must be one of/);
+  });
+});
+
+test('a login opens a session until logout', async () => {
+  await withAuth(async (auth) => {
+    await auth.createUser({ username: 'amy', password: 'longenough' });
+
+    await assert.rejects(auth.login('amy', 'wrongpassword'), /Invalid username or password/);
+    await assert.rejects(auth.login('nobody', 'longenough'), /Invalid username or password/);
+
+    const { token, user } = await auth.login('amy', 'longenough');
+    assert.ok(user.lastLoginAt);
+    assert.strictEqual((await auth.getSessionUser(token)).username, 'amy');
+
+    await auth.logout(token);
+    assert.strictEqual(await auth.getSessionUser(token), null);
+    assert.strictEqual(await auth.getSessionUser(undefined), null);
+  });
+});
+
+test('a new password or deactivation ends open sessions', async () => {
+  await withAuth(async (auth) => {
+    await auth.createUser({ username: 'amy', password: 'longenough' });
+
+    const first = await auth.login('amy', 'longenough');
+    await auth.updateUser('amy', { password: 'evenlonger' });
+    assert.strictEqual(await auth.getSessionUser(first.token), null);
+    await assert.rejects(auth.login('amy', 'longenough'), /Invalid username or password/);
+
+    const second = await auth.login('amy', 'evenlonger');
+    await auth.updateUser('amy', { active: false });
+    assert.strictEqual(await auth.getSessionUser(second.token), null);
+    await assert.rejects(auth.login('amy', 'evenlonger'), /Invalid username or password/);
+
+    assert.strictEqual(await auth.updateUser('nobody', { active: false }), null);
+  });
+});
+
+test('the initial admin is created only when there are no users', async () => {
+  await withAuth(async (auth) => {
+    const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+    delete process.env.ADMIN_USERNAME;
+    process.env.ADMIN_PASSWORD = 'initialpass';
+    try {
+      await auth.ensureInitialUser();
+      await auth.ensureInitialUser();
+    } finally {
+      if (ADMIN_USERNAME !== undefined) process.env.ADMIN_USERNAME = ADMIN_USERNAME;
+      if (ADMIN_PASSWORD === undefined) delete process.env.ADMIN_PASSWORD;
+      else process.env.ADMIN_PASSWORD = ADMIN_PASSWORD;
+    }
+
+    const users = await auth.listUsers();
+    assert.deepStrictEqual(users.map(user => [user.username, user.role]), [['admin', 'admin']]);
+    assert.strictEqual((await auth.login('admin', 'initialpass')).user.role, 'admin');
+  });
+});
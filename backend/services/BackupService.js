@@ -0,0 +1,242 @@
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const { CURRENT_VERSION } = require('./migrations');
+const { RECORD_COLLECTIONS } = require('./restore');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// backup-2025-03-01T02-00-00Z.json.gz, or backup-2025-03-01.json as written
+// by earlier versions (one per day, uncompressed). Snapshots taken just
+// before a restore are named pre-restore-... and never pruned.
+const FILE_PATTERN = /^(backup|pre-restore)-(\d{4}-\d{2}-\d{2})(?:T(\d{2})-(\d{2})-(\d{2})Z)?\.json(\.gz)?$/;
+
+// setTimeout can't wait longer than this
+const MAX_DELAY_MS = 2 ** 31 - 1;
+
+function fileNameFor(date, kind) {
+  return `${kind}-${date.toISOString().slice(0, 19).replace(/:/g, '-')}Z.json.gz`;
+}
+
+function parseFileName(name) {
+  const match = FILE_PATTERN.exec(name);
+  if (!match) return null;
+  const [, kind, day, hours = '00', minutes = '00', seconds = '00', gz] = match;
+  return { kind, createdAt: `${day}T${hours}:${minutes}:${seconds}.000Z`, compressed: Boolean(gz) };
+}
+
+// Monday of the date's week, as YYYY-MM-DD
+function weekOf(date) {
+  const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  monday.setUTCDate(monday.getUTCDate() - (monday.getUTCDay() + 6) % 7);
+  return monday.toISOString().slice(0, 10);
+}
+
+// Names of the backups a retention policy keeps: the newest backup of each
+// of the last `daily` days, `weekly` weeks and `monthly` months that have
+// one. A backup is kept if any of the three wants it.
+function selectRetained(backups, { daily, weekly, monthly }) {
+  const periods = [
+    { limit: daily, keyOf: date => date.toISOString().slice(0, 10), seen: new Set() },
+    { limit: weekly, keyOf: weekOf, seen: new Set() },
+    { limit: monthly, keyOf: date => date.toISOString().slice(0, 7), seen: new Set() }
+  ];
+  const keep = new Set();
+
+  [...backups]
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .forEach(backup => {
+      const date = new Date(backup.createdAt);
+      periods.forEach(period => {
+        const key = period.keyOf(date);
+        if (!period.seen.has(key) && period.seen.size < period.limit) {
+          period.seen.add(key);
+          keep.add(backup.name);
+        }
+      });
+    });
+  return keep;
+}
+
+// Full backups of the data and the files they are stored in. A backup holds
+// the parts, shelves and transactions plus the records listed in
+// RECORD_COLLECTIONS (services/restore.js).
+//
+// Stored backups are gzipped JSON in the backup directory. The scheduler
+// takes one every interval, counting from the newest stored backup so a
+// restart doesn't take an extra one, and prunes the directory to the
+// retention policy afterwards.
+class BackupService {
+  constructor(dbService, config) {
+    this.db = dbService;
+    this.config = config;
+    this.timer = null;
+    this.nextRunAt = null;
+  }
+
+  // Every record of the collections in RECORD_COLLECTIONS, by key, as
+  // stored
+  async readRecords() {
+    const readers = {
+      users: () => this.db.getUsers(),
+      employees: () => this.db.getEmployees(),
+      suppliers: () => this.db.getSuppliers(),
+      purchaseOrders: () => this.db.getPurchaseOrders(),
+      countSessions: () => this.db.getCountSessions(),
+      notificationSubscriptions: () => this.db.getNotificationSubscriptions(),
+      importProfiles: () => this.db.getImportProfiles()
+    };
+    const records = await Promise.all(RECORD_COLLECTIONS.map(key => readers[key]()));
+    return Object.fromEntries(RECORD_COLLECTIONS.map((key, index) => [key, records[index]]));
+  }
+
+  // Users are backed up without their password hashes: anyone allowed to
+  // take a backup can download it, and that includes leads
+  async buildBackup() {
+    const [parts, shelves, transactions, records] = await Promise.all([
+      this.db.getParts(),
+      this.db.getShelves(),
+      this.db.getTransactions(),
+      this.readRecords()
+    ]);
+    const users = records.users.map(({ passwordHash, ...user }) => user);
+
+    return {
+      timestamp: new Date().toISOString(),
+      version: CURRENT_VERSION,
+      data: { parts, shelves, transactions, ...records, users },
+      metadata: {
+        totalParts: parts.length,
+        totalTransactions: transactions.length,
+        totalShelves: Object.keys(shelves).length
+      }
+    };
+  }
+
+  // Takes a backup, stores it and applies the retention policy. `kind` is
+  // 'backup', or 'pre-restore' for the snapshot taken before a restore.
+  async createStoredBackup(kind = 'backup') {
+    const backup = await this.buildBackup();
+    const name = fileNameFor(new Date(backup.timestamp), kind);
+    const compressed = await gzip(JSON.stringify(backup));
+
+    await fs.mkdir(this.config.directory, { recursive: true });
+    await fs.writeFile(path.join(this.config.directory, name), compressed);
+
+    const pruned = await this.prune();
+    return { name, size: compressed.length, metadata: backup.metadata, pruned };
+  }
+
+  // Stored backups, newest first
+  async list() {
+    let names;
+    try {
+      names = await fs.readdir(this.config.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const backups = await Promise.all(names.map(async name => {
+      const parsed = parseFileName(name);
+      if (!parsed) return null;
+      const stats = await fs.stat(path.join(this.config.directory, name));
+      return { name, ...parsed, size: stats.size };
+    }));
+    return backups
+      .filter(Boolean)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  // Path of a stored backup. Only backup file names are accepted, so a
+  // name can never reach outside the backup directory.
+  async resolve(name) {
+    if (!parseFileName(String(name))) {
+      throw new ValidationError('Not a backup file name');
+    }
+    const filePath = path.join(this.config.directory, name);
+    try {
+      await fs.access(filePath);
+    } catch (error) {
+      throw new NotFoundError(`Backup ${name}`);
+    }
+    return filePath;
+  }
+
+  async read(name) {
+    const filePath = await this.resolve(name);
+    const contents = await fs.readFile(filePath);
+    const json = parseFileName(name).compressed ? await gunzip(contents) : contents;
+    try {
+      return JSON.parse(json.toString('utf8'));
+    } catch (error) {
+      throw new ValidationError(`Backup ${name} is not valid JSON`);
+    }
+  }
+
+  // Deletes the stored backups the retention policy no longer keeps
+  async prune() {
+    const backups = (await this.list()).filter(backup => backup.kind === 'backup');
+    const keep = selectRetained(backups, this.config.retention);
+    // Whatever the policy says, the backup just taken stays
+    if (backups.length > 0) keep.add(backups[0].name);
+    const pruned = backups.filter(backup => !keep.has(backup.name)).map(backup => backup.name);
+
+    await Promise.all(pruned.map(name => fs.unlink(path.join(this.config.directory, name))));
+    return pruned;
+  }
+
+  getSchedule() {
+    return {
+      intervalHours: this.config.intervalMs / (60 * 60 * 1000),
+      nextRunAt: this.nextRunAt ? this.nextRunAt.toISOString() : null,
+      retention: this.config.retention
+    };
+  }
+
+  async start() {
+    if (!(this.config.intervalMs > 0)) return;
+
+    let latest = null;
+    try {
+      latest = (await this.list()).find(backup => backup.kind === 'backup');
+    } catch (error) {
+      console.error('Could not read backup directory:', error.message);
+    }
+    const due = latest ? new Date(latest.createdAt).getTime() + this.config.intervalMs : Date.now();
+    this.scheduleNext(due - Date.now());
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.nextRunAt = null;
+  }
+
+  scheduleNext(delay) {
+    this.nextRunAt = new Date(Date.now() + Math.max(delay, 0));
+    this.waitForNextRun();
+  }
+
+  waitForNextRun() {
+    const remaining = this.nextRunAt.getTime() - Date.now();
+    this.timer = remaining > MAX_DELAY_MS
+      ? setTimeout(() => this.waitForNextRun(), MAX_DELAY_MS)
+      : setTimeout(() => this.runScheduled(), Math.max(remaining, 0));
+    this.timer.unref();
+  }
+
+  async runScheduled() {
+    try {
+      const result = await this.createStoredBackup();
+      console.log(`💾 Scheduled backup ${result.name} saved${result.pruned.length ? `, pruned ${result.pruned.length}` : ''}`);
+    } catch (error) {
+      console.error('Scheduled backup failed:', error);
+    }
+    this.scheduleNext(this.config.intervalMs);
+  }
+}
+
+module.exports = BackupService;
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const BackupService = require('./BackupService');
+const { CURRENT_VERSION } = require('./migrations');
+
+// The reads a backup makes, over fixed records
+const database = {
+  getParts: async () => [{ id: 1, partNumber: 'F-1', quantity: 3 }],
+  getShelves: async () => ({ 'A-01': { name: 'North wall 1' } }),
+  getTransactions: async () => [{ id: 1, action: 'checkout' }],
+  getUsers: async () => [{ username: 'admin', role: 'admin', passwordHash: 'scrypt$salt$hash' }],
+  getEmployees: async () => [{ employeeId: 'E1', name: 'Amy' }],
+  getSuppliers: async () => [],
+  getPurchaseOrders: async () => [],
+  getCountSessions: async () => [],
+  getNotificationSubscriptions: async () => [],
+  getImportProfiles: async () => []
+};
+
+const retention = { daily: 2, weekly: 1, monthly: 1 };
+
+async function withBackupDirectory(fn) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'backups-'));
+  try {
+    await fn(new BackupService(database, { directory, intervalMs: 0, retention }), directory);
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+}
+
+test('a backup holds every collection, but no password hashes', async () => {
+  const backup = await new BackupService(database, {}).buildBackup();
+
+  assert.strictEqual(backup.version, CURRENT_VERSION);
+  assert.deepStrictEqual(backup.data.users, [{ username: 'admin', role: 'admin' }]);
+  assert.deepStrictEqual(backup.data.employees, [{ employeeId: 'E1', name: 'Amy' }]);
+  assert.deepStrictEqual(backup.metadata, { totalParts: 1, totalTransactions: 1, totalShelves: 1 });
+});
+
+test('a stored backup is listed and read back', async () => {
+  await withBackupDirectory(async (backups) => {
+    const { name } = await backups.createStoredBackup();
+    const [listed] = await backups.list();
+
+    assert.match(name, /^backup-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}Z\.json\.gz$/);
+    assert.deepStrictEqual([listed.name, listed.kind, listed.compressed], [name, 'backup', true]);
+    assert.deepStrictEqual((await backups.read(name)).data.parts, [{ id: 1, partNumber: 'F-1', quantity: 3 }]);
+  });
+});
+
+test('only backup file names are resolved', async () => {
+  await withBackupDirectory(async (backups) => {
+    await assert.rejects(backups.resolve('../parts.json'), /Not a backup file name/);
+    await assert.rejects(backups.resolve('backup-2026-01-01.json'), /not found/i);
+  });
+});
+
+test('pruning keeps the newest backup of each retained day, week and month', async () => {
+  await withBackupDirectory(async (backups, directory) => {
+    const names = [
+      'backup-2026-03-10T02-00-00Z.json.gz',
+      'backup-2026-03-10T01-00-00Z.json.gz',
+      'backup-2026-03-09T02-00-00Z.json.gz',
+      'backup-2026-03-08T02-00-00Z.json.gz',
+      'backup-2026-02-20.json',
+      'pre-restore-2026-01-05T10-00-00Z.json.gz'
+    ];
+    await Promise.all(names.map(name => fs.writeFile(path.join(directory, name), '{}')));
+
+    const pruned = await backups.prune();
+
+    assert.deepStrictEqual(pruned.sort(), [
+      'backup-2026-02-20.json',
+      'backup-2026-03-08T02-00-00Z.json.gz',
+      'backup-2026-03-10T01-00-00Z.json.gz'
+    ]);
+    assert.deepStrictEqual((await backups.list()).map(backup => backup.name), [
+      'backup-2026-03-10T02-00-00Z.json.gz',
+      'backup-2026-03-09T02-00-00Z.json.gz',
+      'pre-restore-2026-01-05T10-00-00Z.json.gz'
+    ]);
+  });
+});
@@ -1,18 +1,73 @@
 ﻿const mongoose = require('mongoose');
 const fs = require('fs').promises;
+const { constants: fsConstants } = require('fs');
 const path = require('path');
-const { Part, Shelf, Transaction } = require('../models');
+const crypto = require('crypto');
+const { Part, Shelf, Transaction, User, Session, Employee, Supplier, PurchaseOrder, CountSession, NotificationSubscription, NotificationAlert, ImportProfile } = require('../models');
+const { ConflictError, ValidationError } = require('../middleware/errorHandler');
+const { getOpenCheckouts } = require('./checkouts');
+
+const CONNECTION_ERRORS = new Set([
+  'MongoNetworkError', 'MongoNetworkTimeoutError', 'MongoServerSelectionError',
+  'MongooseServerSelectionError', 'MongoNotConnectedError', 'MongoTopologyClosedError'
+]);
+
+// Whether a MongoDB failure means the database can't be reached, as opposed
+// to the operation itself being rejected. Only the former may fall back to
+// the JSON files; anything else would hide a bad request behind a write to
+// the wrong store.
+function isConnectionError(error) {
+  return CONNECTION_ERRORS.has(error.name) ||
+    /buffering timed out/i.test(error.message) ||
+    mongoose.connection.readyState !== 1;
+}
+
+// Rejections caused by the data map to the errors routes already answer with
+// 400 or 409; anything else is passed on unchanged
+function toRequestError(error) {
+  if (error instanceof mongoose.Error.ValidationError) {
+    return new ValidationError(error.message, Object.values(error.errors).map(e => e.message));
+  }
+  if (error instanceof mongoose.Error.CastError) {
+    return new ValidationError(`Invalid ${error.path}: ${error.value}`);
+  }
+  if (error.code === 11000) {
+    const fields = Object.keys(error.keyValue || error.keyPattern || {});
+    return new ConflictError(fields.length > 0 ? `A record with that ${fields.join(', ')} already exists` : 'Duplicate record');
+  }
+  return error;
+}
 
 class DatabaseService {
-  constructor() {
+  // `directory` holds the JSON files used without MongoDB
+  constructor(directory = path.join(__dirname, '../database')) {
     this.isConnected = false;
     this.useMongoDb = false;
+    this.supportsTransactions = false;
     
     // JSON file paths (fallback)
-    this.DB_DIR = path.join(__dirname, '../database');
+    this.DB_DIR = directory;
     this.PARTS_FILE = path.join(this.DB_DIR, 'parts.json');
     this.TRANSACTIONS_FILE = path.join(this.DB_DIR, 'transactions.json');
     this.SHELVES_FILE = path.join(this.DB_DIR, 'shelves.json');
+    this.USERS_FILE = path.join(this.DB_DIR, 'users.json');
+    this.SESSIONS_FILE = path.join(this.DB_DIR, 'sessions.json');
+    this.EMPLOYEES_FILE = path.join(this.DB_DIR, 'employees.json');
+    this.SUPPLIERS_FILE = path.join(this.DB_DIR, 'suppliers.json');
+    this.PURCHASE_ORDERS_FILE = path.join(this.DB_DIR, 'purchase-orders.json');
+    this.COUNT_SESSIONS_FILE = path.join(this.DB_DIR, 'count-sessions.json');
+    this.NOTIFICATION_SUBSCRIPTIONS_FILE = path.join(this.DB_DIR, 'notification-subscriptions.json');
+    this.NOTIFICATION_ALERTS_FILE = path.join(this.DB_DIR, 'notification-alerts.json');
+    this.IMPORT_PROFILES_FILE = path.join(this.DB_DIR, 'import-profiles.json');
+
+    // Pending write per JSON file, used to serialize read-modify-write cycles
+    this.fileLocks = new Map();
+
+    // Fields searchParts may match against. In MongoDB the part_search text
+    // index covers all of them; partNumber and shelf also have their own
+    // index for prefix matches.
+    this.SEARCHABLE_PART_FIELDS = ['partNumber', 'description', 'category', 'shelf'];
+    this.PREFIX_PART_FIELDS = ['partNumber', 'shelf'];
   }
   
   async initialize() {
@@ -42,6 +97,20 @@ class DatabaseService {
     // Test the connection
     await mongoose.connection.db.admin().ping();
     console.log('🏓 MongoDB connection verified');
+
+    this.supportsTransactions = await this.checkTransactionSupport();
+    if (!this.supportsTransactions) {
+      console.warn('⚠️ MongoDB is a standalone server and cannot run transactions. Checkouts, imports and restores ' +
+        'will NOT be atomic: a failure partway leaves their earlier writes in place. Run MongoDB as a replica set ' +
+        '(Atlas always is) to make them atomic.');
+    }
+  }
+
+  // Replica sets and sharded clusters run multi-document transactions; a
+  // standalone mongod doesn't
+  async checkTransactionSupport() {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    return Boolean(hello.setName) || hello.msg === 'isdbgrid';
   }
 
   async initializeJsonFiles() {
@@ -52,7 +121,16 @@ class DatabaseService {
       const files = [
         { path: this.PARTS_FILE, default: [] },
         { path: this.TRANSACTIONS_FILE, default: [] },
-        { path: this.SHELVES_FILE, default: this.getDefaultShelves() }
+        { path: this.SHELVES_FILE, default: this.getDefaultShelves() },
+        { path: this.USERS_FILE, default: [] },
+        { path: this.SESSIONS_FILE, default: [] },
+        { path: this.EMPLOYEES_FILE, default: [] },
+        { path: this.SUPPLIERS_FILE, default: [] },
+        { path: this.PURCHASE_ORDERS_FILE, default: [] },
+        { path: this.COUNT_SESSIONS_FILE, default: [] },
+        { path: this.NOTIFICATION_SUBSCRIPTIONS_FILE, default: [] },
+        { path: this.NOTIFICATION_ALERTS_FILE, default: [] },
+        { path: this.IMPORT_PROFILES_FILE, default: [] }
       ];
 
       for (const file of files) {
@@ -157,9 +235,10 @@ class DatabaseService {
   async getParts() {
     if (this.useMongoDb) {
       try {
-        return await Part.find({}).lean();
+        return await Part.find({}, null, this.sessionOptions()).lean();
       } catch (error) {
         console.error('MongoDB getParts error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
         // Fall back to JSON
         return await this.readPartsFromFile();
       }
@@ -184,26 +263,32 @@ class DatabaseService {
     }
   }
 
+  cleanPart(part) {
+    return {
+      ...part,
+      description: part.description || '', // Ensure description is never null/undefined
+      category: part.category || 'Uncategorized', // Ensure category exists
+      quantity: Number(part.quantity) || 0,
+      minQuantity: Number(part.minQuantity) || 1,
+      version: Number(part.version) || 0
+    };
+  }
+
   async saveParts(parts) {
     if (this.useMongoDb) {
       try {
         // Clean and validate parts data before saving
-        const cleanParts = parts.map(part => ({
-          ...part,
-          description: part.description || '', // Ensure description is never null/undefined
-          category: part.category || 'Uncategorized', // Ensure category exists
-          quantity: Number(part.quantity) || 0,
-          minQuantity: Number(part.minQuantity) || 1
-        }));
+        const cleanParts = parts.map(part => this.cleanPart(part));
 
-        await Part.deleteMany({});
+        await Part.deleteMany({}, this.sessionOptions());
         if (cleanParts.length > 0) {
-          await Part.insertMany(cleanParts);
+          await Part.insertMany(cleanParts, this.sessionOptions());
         }
         console.log(`✅ Saved ${cleanParts.length} parts to MongoDB`);
         return true;
       } catch (error) {
         console.error('MongoDB saveParts error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
         // Fall back to JSON
         return await this.savePartsToFile(parts);
       }
@@ -213,22 +298,148 @@ class DatabaseService {
   }
 
   async savePartsToFile(parts) {
-    try {
-      await fs.mkdir(this.DB_DIR, { recursive: true });
-      await fs.writeFile(this.PARTS_FILE, JSON.stringify(parts, null, 2));
-      return true;
-    } catch (error) {
-      console.error('Error saving parts file:', error);
-      return false;
+    await this.withFileLock(this.PARTS_FILE, () => this.writeJsonFile(this.PARTS_FILE, parts));
+    return true;
+  }
+
+  async getPart(id) {
+    const partId = parseInt(id);
+    if (this.useMongoDb) {
+      try {
+        return await Part.findOne({ id: partId }, null, this.sessionOptions()).lean();
+      } catch (error) {
+        console.error('MongoDB getPart error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+      }
+    }
+    const parts = await this.readPartsFromFile();
+    return parts.find(p => p.id === partId) || null;
+  }
+
+  async insertPart(part) {
+    const [inserted] = await this.insertParts([part]);
+    return inserted;
+  }
+
+  async insertParts(parts) {
+    const cleanParts = parts.map(part => this.cleanPart(part));
+    if (cleanParts.length === 0) return [];
+
+    if (this.useMongoDb) {
+      try {
+        const docs = await Part.insertMany(cleanParts, this.sessionOptions());
+        console.log(`✅ Inserted ${docs.length} parts into MongoDB`);
+        return docs.map(doc => doc.toObject({ flattenMaps: true }));
+      } catch (error) {
+        console.error('MongoDB insertParts error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+        return await this.insertPartsToFile(cleanParts);
+      }
+    } else {
+      return await this.insertPartsToFile(cleanParts);
+    }
+  }
+
+  async insertPartsToFile(parts) {
+    return this.withFileLock(this.PARTS_FILE, async () => {
+      const existing = await this.readPartsFromFile();
+      await this.writeJsonFile(this.PARTS_FILE, [...existing, ...parts]);
+      return parts;
+    });
+  }
+
+  // Applies a partial update to a single part and bumps its version. Resolves
+  // to the updated part, or null when no part has the given id.
+  //
+  // Pass options.expectedVersion (the version the caller read) to make the
+  // update compare-and-set: if the part changed in the meantime a
+  // ConflictError is thrown and nothing is written.
+  async updatePart(id, patch, options = {}) {
+    const partId = parseInt(id);
+    const { _id, id: ignoredId, version, ...changes } = patch;
+    const { expectedVersion } = options;
+
+    if (this.useMongoDb) {
+      let updated;
+      try {
+        const filter = { id: partId };
+        if (expectedVersion !== undefined) {
+          // Parts saved before versioning have no version field at all
+          filter.version = expectedVersion === 0 ? { $in: [0, null] } : expectedVersion;
+        }
+        updated = await Part.findOneAndUpdate(
+          filter,
+          { $set: changes, $inc: { version: 1 } },
+          { new: true, runValidators: true, ...this.sessionOptions() }
+        ).lean();
+      } catch (error) {
+        console.error('MongoDB updatePart error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+        return await this.updatePartInFile(partId, changes, expectedVersion);
+      }
+
+      if (!updated && expectedVersion !== undefined && await Part.exists({ id: partId }).session(this.session || null)) {
+        throw new ConflictError('Part was modified by another request. Please reload and try again.');
+      }
+      return updated;
+    } else {
+      return await this.updatePartInFile(partId, changes, expectedVersion);
+    }
+  }
+
+  async updatePartInFile(partId, changes, expectedVersion) {
+    return this.withFileLock(this.PARTS_FILE, async () => {
+      const parts = await this.readPartsFromFile();
+      const index = parts.findIndex(p => p.id === partId);
+      if (index === -1) return null;
+
+      const currentVersion = parts[index].version || 0;
+      if (expectedVersion !== undefined && currentVersion !== expectedVersion) {
+        throw new ConflictError('Part was modified by another request. Please reload and try again.');
+      }
+
+      parts[index] = { ...parts[index], ...changes, version: currentVersion + 1 };
+      await this.writeJsonFile(this.PARTS_FILE, parts);
+      return parts[index];
+    });
+  }
+
+  // Removes a single part. Resolves to the deleted part, or null if missing.
+  async deletePart(id) {
+    const partId = parseInt(id);
+
+    if (this.useMongoDb) {
+      try {
+        return await Part.findOneAndDelete({ id: partId }, this.sessionOptions()).lean();
+      } catch (error) {
+        console.error('MongoDB deletePart error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+        return await this.deletePartFromFile(partId);
+      }
+    } else {
+      return await this.deletePartFromFile(partId);
     }
   }
 
+  async deletePartFromFile(partId) {
+    return this.withFileLock(this.PARTS_FILE, async () => {
+      const parts = await this.readPartsFromFile();
+      const index = parts.findIndex(p => p.id === partId);
+      if (index === -1) return null;
+
+      const [deletedPart] = parts.splice(index, 1);
+      await this.writeJsonFile(this.PARTS_FILE, parts);
+      return deletedPart;
+    });
+  }
+
   async getTransactions() {
     if (this.useMongoDb) {
       try {
-        return await Transaction.find({}).lean();
+        return await Transaction.find({}, null, this.sessionOptions()).lean();
       } catch (error) {
         console.error('MongoDB getTransactions error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
         return await this.readTransactionsFromFile();
       }
     } else {
@@ -251,26 +462,31 @@ class DatabaseService {
     }
   }
 
+  cleanTransaction(transaction) {
+    return {
+      ...transaction,
+      partId: transaction.partId || null, // Allow null partId for bulk imports
+      action: transaction.action || 'created', // Default action
+      user: transaction.user || 'System', // Ensure user is set
+      timestamp: transaction.timestamp || new Date()
+    };
+  }
+
   async saveTransactions(transactions) {
     if (this.useMongoDb) {
       try {
         // Clean and validate transaction data before saving
-        const cleanTransactions = transactions.map(transaction => ({
-          ...transaction,
-          partId: transaction.partId || null, // Allow null partId for bulk imports
-          action: transaction.action || 'created', // Default action
-          user: transaction.user || 'System', // Ensure user is set
-          timestamp: transaction.timestamp || new Date()
-        }));
+        const cleanTransactions = transactions.map(transaction => this.cleanTransaction(transaction));
 
-        await Transaction.deleteMany({});
+        await Transaction.deleteMany({}, this.sessionOptions());
         if (cleanTransactions.length > 0) {
-          await Transaction.insertMany(cleanTransactions);
+          await Transaction.insertMany(cleanTransactions, this.sessionOptions());
         }
         console.log(`✅ Saved ${cleanTransactions.length} transactions to MongoDB`);
         return true;
       } catch (error) {
         console.error('MongoDB saveTransactions error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
         return await this.saveTransactionsToFile(transactions);
       }
     } else {
@@ -279,20 +495,89 @@ class DatabaseService {
   }
 
   async saveTransactionsToFile(transactions) {
-    try {
-      await fs.mkdir(this.DB_DIR, { recursive: true });
-      await fs.writeFile(this.TRANSACTIONS_FILE, JSON.stringify(transactions, null, 2));
-      return true;
-    } catch (error) {
-      console.error('Error saving transactions file:', error);
-      return false;
+    await this.withFileLock(this.TRANSACTIONS_FILE, () => this.writeJsonFile(this.TRANSACTIONS_FILE, transactions));
+    return true;
+  }
+
+  async insertTransaction(transaction) {
+    const [inserted] = await this.insertTransactions([transaction]);
+    return inserted;
+  }
+
+  async insertTransactions(transactions) {
+    const cleanTransactions = transactions.map(transaction => this.cleanTransaction(transaction));
+    if (cleanTransactions.length === 0) return [];
+
+    if (this.useMongoDb) {
+      try {
+        await Transaction.insertMany(cleanTransactions, this.sessionOptions());
+        return cleanTransactions;
+      } catch (error) {
+        console.error('MongoDB insertTransactions error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+        return await this.insertTransactionsToFile(cleanTransactions);
+      }
+    } else {
+      return await this.insertTransactionsToFile(cleanTransactions);
+    }
+  }
+
+  async insertTransactionsToFile(transactions) {
+    return this.withFileLock(this.TRANSACTIONS_FILE, async () => {
+      const existing = await this.readTransactionsFromFile();
+      // The history file is kept newest first
+      await this.writeJsonFile(this.TRANSACTIONS_FILE, [...transactions.slice().reverse(), ...existing]);
+      return transactions;
+    });
+  }
+
+  // Stores rewrite(transaction) in place of each transaction it changes and
+  // resolves to how many that was. `rewrite` returns the transaction itself
+  // to leave it alone. In MongoDB only the changed documents are replaced,
+  // each on its own, so the rest of the history is never touched.
+  async rewriteTransactions(rewrite) {
+    if (this.useMongoDb) {
+      try {
+        const transactions = await Transaction.find({}, null, this.sessionOptions()).lean();
+        const replacements = [];
+        transactions.forEach(transaction => {
+          const rewritten = rewrite(transaction);
+          if (rewritten === transaction) return;
+          const { _id, ...replacement } = rewritten;
+          replacements.push({ replaceOne: { filter: { _id: transaction._id }, replacement } });
+        });
+        if (replacements.length > 0) {
+          await Transaction.bulkWrite(replacements, this.sessionOptions());
+        }
+        return replacements.length;
+      } catch (error) {
+        console.error('MongoDB rewriteTransactions error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+      }
     }
+    return this.rewriteTransactionsInFile(rewrite);
+  }
+
+  async rewriteTransactionsInFile(rewrite) {
+    return this.withFileLock(this.TRANSACTIONS_FILE, async () => {
+      const transactions = await this.readTransactionsFromFile();
+      let changed = 0;
+      const rewritten = transactions.map(transaction => {
+        const result = rewrite(transaction);
+        if (result !== transaction) changed++;
+        return result;
+      });
+      if (changed > 0) {
+        await this.writeJsonFile(this.TRANSACTIONS_FILE, rewritten);
+      }
+      return changed;
+    });
   }
 
   async getShelves() {
     if (this.useMongoDb) {
       try {
-        const shelves = await Shelf.find({}).lean();
+        const shelves = await Shelf.find({}, null, this.sessionOptions()).lean();
         const shelvesObj = {};
         shelves.forEach(shelf => {
           shelvesObj[shelf.shelfId] = {
@@ -304,6 +589,7 @@ class DatabaseService {
         return shelvesObj;
       } catch (error) {
         console.error('MongoDB getShelves error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
         return await this.readShelvesFromFile();
       }
     } else {
@@ -330,7 +616,7 @@ class DatabaseService {
   async saveShelves(shelves) {
     if (this.useMongoDb) {
       try {
-        await Shelf.deleteMany({});
+        await Shelf.deleteMany({}, this.sessionOptions());
         const shelfDocs = Object.entries(shelves).map(([id, shelfData]) => ({
           shelfId: id,
           name: shelfData.name,
@@ -338,11 +624,12 @@ class DatabaseService {
           description: shelfData.description
         }));
         if (shelfDocs.length > 0) {
-          await Shelf.insertMany(shelfDocs);
+          await Shelf.insertMany(shelfDocs, this.sessionOptions());
         }
         return true;
       } catch (error) {
         console.error('MongoDB saveShelves error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
         return await this.saveShelvesToFile(shelves);
       }
     } else {
@@ -351,30 +638,1190 @@ class DatabaseService {
   }
 
   async saveShelvesToFile(shelves) {
-    try {
-      await fs.mkdir(this.DB_DIR, { recursive: true });
-      await fs.writeFile(this.SHELVES_FILE, JSON.stringify(shelves, null, 2));
+    await this.withFileLock(this.SHELVES_FILE, () => this.writeJsonFile(this.SHELVES_FILE, shelves));
+    return true;
+  }
+
+  async upsertShelf(id, data) {
+    const shelfData = {
+      name: data.name,
+      imageUrl: data.imageUrl || null,
+      description: data.description || ''
+    };
+
+    if (this.useMongoDb) {
+      try {
+        await Shelf.findOneAndUpdate(
+          { shelfId: id },
+          { $set: { shelfId: id, ...shelfData } },
+          { upsert: true, new: true, runValidators: true, ...this.sessionOptions() }
+        );
+        return shelfData;
+      } catch (error) {
+        console.error('MongoDB upsertShelf error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+        return await this.upsertShelfInFile(id, shelfData);
+      }
+    } else {
+      return await this.upsertShelfInFile(id, shelfData);
+    }
+  }
+
+  async upsertShelfInFile(id, shelfData) {
+    return this.withFileLock(this.SHELVES_FILE, async () => {
+      const shelves = await this.readShelvesFromFile();
+      shelves[id] = { ...shelves[id], ...shelfData };
+      await this.writeJsonFile(this.SHELVES_FILE, shelves);
+      return shelves[id];
+    });
+  }
+
+  // Resolves to true when a shelf was removed
+  async deleteShelf(id) {
+    if (this.useMongoDb) {
+      try {
+        const result = await Shelf.deleteOne({ shelfId: id }, this.sessionOptions());
+        return result.deletedCount > 0;
+      } catch (error) {
+        console.error('MongoDB deleteShelf error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+        return await this.deleteShelfFromFile(id);
+      }
+    } else {
+      return await this.deleteShelfFromFile(id);
+    }
+  }
+
+  async deleteShelfFromFile(id) {
+    return this.withFileLock(this.SHELVES_FILE, async () => {
+      const shelves = await this.readShelvesFromFile();
+      if (!shelves[id]) return false;
+
+      delete shelves[id];
+      await this.writeJsonFile(this.SHELVES_FILE, shelves);
       return true;
-    } catch (error) {
-      console.error('Error saving shelves file:', error);
-      return false;
+    });
+  }
+
+  async getUsers() {
+    if (this.useMongoDb) {
+      try {
+        return await User.find({}, null, this.sessionOptions()).lean();
+      } catch (error) {
+        console.error('MongoDB getUsers error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+      }
     }
+    return await this.readJsonArrayFromFile(this.USERS_FILE);
   }
 
-  getDefaultShelves() {
-    return {
-      'A-01': { name: 'Tool Room North Wall - Section A, Position 1', imageUrl: null, description: 'Engine filters and maintenance parts' },
-      'A-08': { name: 'Tool Room North Wall - Section A, Position 8', imageUrl: null, description: 'Fuel system components' },
-      'B-03': { name: 'Tool Room East Wall - Section B, Position 3', imageUrl: null, description: 'Brake system parts' },
-      'B-07': { name: 'Tool Room East Wall - Section B, Position 7', imageUrl: null, description: 'Steering components' },
-      'C-05': { name: 'Tool Room South Wall - Section C, Position 5', imageUrl: null, description: 'Transmission parts and seals' },
-      'D-02': { name: 'Tool Room West Wall - Section D, Position 2', imageUrl: null, description: 'Lighting and electrical components' },
-      'D-05': { name: 'Tool Room West Wall - Section D, Position 5', imageUrl: null, description: 'Starting and charging system' },
-      'E-01': { name: 'Tool Room Center Aisle - Section E, Position 1', imageUrl: null, description: 'Radiator and cooling parts' },
-      'F-03': { name: 'Tool Room Center Aisle - Section F, Position 3', imageUrl: null, description: 'Exterior body components' },
-      'F-08': { name: 'Tool Room Center Aisle - Section F, Position 8', imageUrl: null, description: 'Cab and body hardware' }
-    };
+  // Usernames are case-insensitive and stored lowercased
+  async getUser(username) {
+    const name = String(username || '').trim().toLowerCase();
+    if (this.useMongoDb) {
+      try {
+        return await User.findOne({ username: name }, null, this.sessionOptions()).lean();
+      } catch (error) {
+        console.error('MongoDB getUser error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+      }
+    }
+    const users = await this.readJsonArrayFromFile(this.USERS_FILE);
+    return users.find(user => user.username === name) || null;
+  }
+
+  async insertUser(user) {
+    const newUser = { ...user, username: String(user.username).trim().toLowerCase() };
+
+    if (this.useMongoDb) {
+      try {
+        const [doc] = await User.create([newUser], this.sessionOptions());
+        return doc.toObject({ flattenMaps: true });
+      } catch (error) {
+        if (error.code === 11000) {
+          throw new ConflictError('Username already exists');
+        }
+        console.error('MongoDB insertUser error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+      }
+    }
+
+    return this.withFileLock(this.USERS_FILE, async () => {
+      const users = await this.readJsonArrayFromFile(this.USERS_FILE);
+      if (users.some(existing => existing.username === newUser.username)) {
+        throw new ConflictError('Username already exists');
+      }
+      const now = new Date().toISOString();
+      const saved = { active: true, lastLoginAt: null, ...newUser, createdAt: now, updatedAt: now };
+      await this.writeJsonFile(this.USERS_FILE, [...users, saved]);
+      return saved;
+    });
+  }
+
+  // Resolves to the updated user, or null when no user has that name
+  async updateUser(username, patch) {
+    const name = String(username || '').trim().toLowerCase();
+    const { _id, username: ignoredUsername, ...changes } = patch;
+
+    if (this.useMongoDb) {
+      try {
+        return await User.findOneAndUpdate(
+          { username: name },
+          { $set: changes },
+          { new: true, runValidators: true, ...this.sessionOptions() }
+        ).lean();
+      } catch (error) {
+        console.error('MongoDB updateUser error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+      }
+    }
+
+    return this.withFileLock(this.USERS_FILE, async () => {
+      const users = await this.readJsonArrayFromFile(this.USERS_FILE);
+      const index = users.findIndex(user => user.username === name);
+      if (index === -1) return null;
+
+      users[index] = { ...users[index], ...changes, updatedAt: new Date().toISOString() };
+      await this.writeJsonFile(this.USERS_FILE, users);
+      return users[index];
+    });
+  }
+
+  async getEmployees() {
+    if (this.useMongoDb) {
+      try {
+        return await Employee.find({}, null, this.sessionOptions()).lean();
+      } catch (error) {
+        console.error('MongoDB getEmployees error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+      }
+    }
+    return await this.readJsonArrayFromFile(this.EMPLOYEES_FILE);
+  }
+
+  // Looks an employee up by badge number
+  async getEmployee(employeeId) {
+    const badge = String(employeeId || '').trim();
+    if (this.useMongoDb) {
+      try {
+        return await Employee.findOne({ employeeId: badge }, null, this.sessionOptions()).lean();
+      } catch (error) {
+        console.error('MongoDB getEmployee error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+      }
+    }
+    const employees = await this.readJsonArrayFromFile(this.EMPLOYEES_FILE);
+    return employees.find(employee => employee.employeeId === badge) || null;
+  }
+
+  async insertEmployee(employee) {
+    const newEmployee = { ...employee, employeeId: String(employee.employeeId).trim() };
+
+    if (this.useMongoDb) {
+      try {
+        const [doc] = await Employee.create([newEmployee], this.sessionOptions());
+        return doc.toObject({ flattenMaps: true });
+      } catch (error) {
+        if (error.code === 11000) {
+          throw new ConflictError('An employee with that ID already exists');
+        }
+        console.error('MongoDB insertEmployee error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+      }
+    }
+
+    return this.withFileLock(this.EMPLOYEES_FILE, async () => {
+      const employees = await this.readJsonArrayFromFile(this.EMPLOYEES_FILE);
+      if (employees.some(existing => existing.employeeId === newEmployee.employeeId)) {
+        throw new ConflictError('An employee with that ID already exists');
+      }
+      const now = new Date().toISOString();
+      const saved = { department: '', active: true, ...newEmployee, createdAt: now, updatedAt: now };
+      await this.writeJsonFile(this.EMPLOYEES_FILE, [...employees, saved]);
+      return saved;
+    });
+  }
+
+  // Resolves to the updated employee, or null when no employee has that ID
+  async updateEmployee(employeeId, patch) {
+    const badge = String(employeeId || '').trim();
+    const { _id, employeeId: ignoredEmployeeId, ...changes } = patch;
+
+    if (this.useMongoDb) {
+      try {
+        return await Employee.findOneAndUpdate(
+          { employeeId: badge },
+          { $set: changes },
+          { new: true, runValidators: true, ...this.sessionOptions() }
+        ).lean();
+      } catch (error) {
+        console.error('MongoDB updateEmployee error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+      }
+    }
+
+    return this.withFileLock(this.EMPLOYEES_FILE, async () => {
+      const employees = await this.readJsonArrayFromFile(this.EMPLOYEES_FILE);
+      const index = employees.findIndex(employee => employee.employeeId === badge);
+      if (index === -1) return null;
+
+      employees[index] = { ...employees[index], ...changes, updatedAt: new Date().toISOString() };
+      await this.writeJsonFile(this.EMPLOYEES_FILE, employees);
+      return employees[index];
+    });
+  }
+
+  async getSuppliers() {
+    if (this.useMongoDb) {
+      try {
+        return await Supplier.find({}, null, this.sessionOptions()).lean();
+      } catch (error) {
+        console.error('MongoDB getSuppliers error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+      }
+    }
+    return await this.readJsonArrayFromFile(this.SUPPLIERS_FILE);
+  }
+
+  async getSupplier(id) {
+    const supplierId = parseInt(id);
+    if (this.useMongoDb) {
+      try {
+        return await Supplier.findOne({ id: supplierId }, null, this.sessionOptions()).lean();
+      } catch (error) {
+        console.error('MongoDB getSupplier error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+      }
+    }
+    const suppliers = await this.readJsonArrayFromFile(this.SUPPLIERS_FILE);
+    return suppliers.find(supplier => supplier.id === supplierId) || null;
+  }
+
+  // Gives the supplier the next free numeric id
+  async insertSupplier(supplier) {
+    if (this.useMongoDb) {
+      try {
+        return await this.insertWithNextNumber(Supplier, 'id', async () => {
+          const last = await Supplier.findOne({}, { id: 1 }, this.sessionOptions()).sort({ id: -1 }).lean();
+          return { ...supplier, id: (last ? last.id : 0) + 1 };
+        });
+      } catch (error) {
+        console.error('MongoDB insertSupplier error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+      }
+    }
+
+    return this.withFileLock(this.SUPPLIERS_FILE, async () => {
+      const suppliers = await this.readJsonArrayFromFile(this.SUPPLIERS_FILE);
+      const now = new Date().toISOString();
+      const saved = {
+        contactName: '', email: '', phone: '', leadTimeDays: null, notes: '', active: true,
+        ...supplier,
+        id: Math.max(0, ...suppliers.map(existing => existing.id)) + 1,
+        createdAt: now,
+        updatedAt: now
+      };
+      await this.writeJsonFile(this.SUPPLIERS_FILE, [...suppliers, saved]);
+      return saved;
+    });
+  }
+
+  // Resolves to the updated supplier, or null when no supplier has that id
+  async updateSupplier(id, patch) {
+    const supplierId = parseInt(id);
+    const { _id, id: ignoredId, ...changes } = patch;
+
+    if (this.useMongoDb) {
+      try {
+        return await Supplier.findOneAndUpdate(
+          { id: supplierId },
+          { $set: changes },
+          { new: true, runValidators: true, ...this.sessionOptions() }
+        ).lean();
+      } catch (error) {
+        console.error('MongoDB updateSupplier error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+      }
+    }
+
+    return this.withFileLock(this.SUPPLIERS_FILE, async () => {
+      const suppliers = await this.readJsonArrayFromFile(this.SUPPLIERS_FILE);
+      const index = suppliers.findIndex(supplier => supplier.id === supplierId);
+      if (index === -1) return null;
+
+      suppliers[index] = { ...suppliers[index], ...changes, updatedAt: new Date().toISOString() };
+      await this.writeJsonFile(this.SUPPLIERS_FILE, suppliers);
+      return suppliers[index];
+    });
+  }
+
+  // Purchase orders, optionally only those with the given status
+  async getPurchaseOrders({ status } = {}) {
+    const filter = status ? { status } : {};
+    if (this.useMongoDb) {
+      try {
+        return await PurchaseOrder.find(filter, null, this.sessionOptions()).sort({ createdAt: -1 }).lean();
+      } catch (error) {
+        console.error('MongoDB getPurchaseOrders error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+      }
+    }
+    const orders = await this.readJsonArrayFromFile(this.PURCHASE_ORDERS_FILE);
+    return orders
+      .filter(order => !status || order.status === status)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
   }
+
+  async getPurchaseOrder(poNumber) {
+    if (this.useMongoDb) {
+      try {
+        return await PurchaseOrder.findOne({ poNumber }, null, this.sessionOptions()).lean();
+      } catch (error) {
+        console.error('MongoDB getPurchaseOrder error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+      }
+    }
+    const orders = await this.readJsonArrayFromFile(this.PURCHASE_ORDERS_FILE);
+    return orders.find(order => order.poNumber === poNumber) || null;
+  }
+
+  // Numbers the order PO-000001, PO-000002, ... and saves it
+  async insertPurchaseOrder(order) {
+    const formatNumber = (sequence) => `PO-${String(sequence).padStart(6, '0')}`;
+    const sequenceOf = (poNumber) => parseInt(String(poNumber).replace(/^PO-/, ''), 10) || 0;
+
+    if (this.useMongoDb) {
+      try {
+        return await this.insertWithNextNumber(PurchaseOrder, 'poNumber', async () => {
+          const last = await PurchaseOrder.findOne({}, { poNumber: 1 }, this.sessionOptions()).sort({ poNumber: -1 }).lean();
+          return { ...order, poNumber: formatNumber((last ? sequenceOf(last.poNumber) : 0) + 1) };
+        });
+      } catch (error) {
+        console.error('MongoDB insertPurchaseOrder error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+      }
+    }
+
+    return this.withFileLock(this.PURCHASE_ORDERS_FILE, async () => {
+      const orders = await this.readJsonArrayFromFile(this.PURCHASE_ORDERS_FILE);
+      const now = new Date().toISOString();
+      const saved = {
+        status: 'draft', notes: '', sentAt: null, receivedAt: null, version: 0,
+        ...order,
+        poNumber: formatNumber(Math.max(0, ...orders.map(existing => sequenceOf(existing.poNumber))) + 1),
+        createdAt: now,
+        updatedAt: now
+      };
+      await this.writeJsonFile(this.PURCHASE_ORDERS_FILE, [...orders, saved]);
+      return saved;
+    });
+  }
+
+  // Applies a partial update and bumps the order's version. Resolves to the
+  // updated order, or null when it does not exist. With
+  // options.expectedVersion a concurrent change throws ConflictError.
+  async updatePurchaseOrder(poNumber, patch, options = {}) {
+    const { _id, poNumber: ignoredPoNumber, version, ...changes } = patch;
+    const { expectedVersion } = options;
+
+    if (this.useMongoDb) {
+      let updated;
+      try {
+        const filter = { poNumber };
+        if (expectedVersion !== undefined) {
+          filter.version = expectedVersion;
+        }
+        updated = await PurchaseOrder.findOneAndUpdate(
+          filter,
+          { $set: changes, $inc: { version: 1 } },
+          { new: true, runValidators: true, ...this.sessionOptions() }
+        ).lean();
+      } catch (error) {
+        console.error('MongoDB updatePurchaseOrder error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+      }
+
+      if (updated !== undefined) {
+        if (!updated && expectedVersion !== undefined && await PurchaseOrder.exists({ poNumber }).session(this.session || null)) {
+          throw new ConflictError('Purchase order was modified by another request. Please reload and try again.');
+        }
+        return updated;
+      }
+    }
+
+    return this.withFileLock(this.PURCHASE_ORDERS_FILE, async () => {
+      const orders = await this.readJsonArrayFromFile(this.PURCHASE_ORDERS_FILE);
+      const index = orders.findIndex(order => order.poNumber === poNumber);
+      if (index === -1) return null;
+
+      const currentVersion = orders[index].version || 0;
+      if (expectedVersion !== undefined && currentVersion !== expectedVersion) {
+        throw new ConflictError('Purchase order was modified by another request. Please reload and try again.');
+      }
+
+      orders[index] = { ...orders[index], ...changes, version: currentVersion + 1, updatedAt: new Date().toISOString() };
+      await this.writeJsonFile(this.PURCHASE_ORDERS_FILE, orders);
+      return orders[index];
+    });
+  }
+
+  // Resolves to the deleted order, or null if missing
+  async deletePurchaseOrder(poNumber) {
+    if (this.useMongoDb) {
+      try {
+        return await PurchaseOrder.findOneAndDelete({ poNumber }, this.sessionOptions()).lean();
+      } catch (error) {
+        console.error('MongoDB deletePurchaseOrder error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+      }
+    }
+
+    return this.withFileLock(this.PURCHASE_ORDERS_FILE, async () => {
+      const orders = await this.readJsonArrayFromFile(this.PURCHASE_ORDERS_FILE);
+      const index = orders.findIndex(order => order.poNumber === poNumber);
+      if (index === -1) return null;
+
+      const [deleted] = orders.splice(index, 1);
+      await this.writeJsonFile(this.PURCHASE_ORDERS_FILE, orders);
+      return deleted;
+    });
+  }
+
+  // Cycle count sessions, optionally only those with the given status
+  async getCountSessions({ status } = {}) {
+    const filter = status ? { status } : {};
+    if (this.useMongoDb) {
+      try {
+        return await CountSession.find(filter, null, this.sessionOptions()).sort({ createdAt: -1 }).lean();
+      } catch (error) {
+        console.error('MongoDB getCountSessions error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+      }
+    }
+    const sessions = await this.readJsonArrayFromFile(this.COUNT_SESSIONS_FILE);
+    return sessions
+      .filter(session => !status || session.status === status)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  async getCountSession(sessionId) {
+    if (this.useMongoDb) {
+      try {
+        return await CountSession.findOne({ sessionId }, null, this.sessionOptions()).lean();
+      } catch (error) {
+        console.error('MongoDB getCountSession error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+      }
+    }
+    const sessions = await this.readJsonArrayFromFile(this.COUNT_SESSIONS_FILE);
+    return sessions.find(session => session.sessionId === sessionId) || null;
+  }
+
+  // Numbers the session CC-000001, CC-000002, ... and saves it
+  async insertCountSession(countSession) {
+    const formatNumber = (sequence) => `CC-${String(sequence).padStart(6, '0')}`;
+    const sequenceOf = (sessionId) => parseInt(String(sessionId).replace(/^CC-/, ''), 10) || 0;
+
+    if (this.useMongoDb) {
+      try {
+        return await this.insertWithNextNumber(CountSession, 'sessionId', async () => {
+          const last = await CountSession.findOne({}, { sessionId: 1 }, this.sessionOptions()).sort({ sessionId: -1 }).lean();
+          return { ...countSession, sessionId: formatNumber((last ? sequenceOf(last.sessionId) : 0) + 1) };
+        });
+      } catch (error) {
+        console.error('MongoDB insertCountSession error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+      }
+    }
+
+    return this.withFileLock(this.COUNT_SESSIONS_FILE, async () => {
+      const sessions = await this.readJsonArrayFromFile(this.COUNT_SESSIONS_FILE);
+      const now = new Date().toISOString();
+      const saved = {
+        status: 'open', notes: '', approvedBy: null, closedAt: null, version: 0,
+        ...countSession,
+        sessionId: formatNumber(Math.max(0, ...sessions.map(existing => sequenceOf(existing.sessionId))) + 1),
+        createdAt: now,
+        updatedAt: now
+      };
+      await this.writeJsonFile(this.COUNT_SESSIONS_FILE, [...sessions, saved]);
+      return saved;
+    });
+  }
+
+  // Same contract as updatePurchaseOrder
+  async updateCountSession(sessionId, patch, options = {}) {
+    const { _id, sessionId: ignoredSessionId, version, ...changes } = patch;
+    const { expectedVersion } = options;
+
+    if (this.useMongoDb) {
+      let updated;
+      try {
+        const filter = { sessionId };
+        if (expectedVersion !== undefined) {
+          filter.version = expectedVersion;
+        }
+        updated = await CountSession.findOneAndUpdate(
+          filter,
+          { $set: changes, $inc: { version: 1 } },
+          { new: true, runValidators: true, ...this.sessionOptions() }
+        ).lean();
+      } catch (error) {
+        console.error('MongoDB updateCountSession error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+      }
+
+      if (updated !== undefined) {
+        if (!updated && expectedVersion !== undefined && await CountSession.exists({ sessionId }).session(this.session || null)) {
+          throw new ConflictError('Count session was modified by another request. Please reload and try again.');
+        }
+        return updated;
+      }
+    }
+
+    return this.withFileLock(this.COUNT_SESSIONS_FILE, async () => {
+      const sessions = await this.readJsonArrayFromFile(this.COUNT_SESSIONS_FILE);
+      const index = sessions.findIndex(session => session.sessionId === sessionId);
+      if (index === -1) return null;
+
+      const currentVersion = sessions[index].version || 0;
+      if (expectedVersion !== undefined && currentVersion !== expectedVersion) {
+        throw new ConflictError('Count session was modified by another request. Please reload and try again.');
+      }
+
+      sessions[index] = { ...sessions[index], ...changes, version: currentVersion + 1, updatedAt: new Date().toISOString() };
+      await this.writeJsonFile(this.COUNT_SESSIONS_FILE, sessions);
+      return sessions[index];
+    });
+  }
+
+  async getNotificationSubscriptions() {
+    if (this.useMongoDb) {
+      try {
+        return await NotificationSubscription.find({}, null, this.sessionOptions()).lean();
+      } catch (error) {
+        console.error('MongoDB getNotificationSubscriptions error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+      }
+    }
+    return await this.readJsonArrayFromFile(this.NOTIFICATION_SUBSCRIPTIONS_FILE);
+  }
+
+  async getNotificationSubscription(username) {
+    const key = String(username).toLowerCase();
+    if (this.useMongoDb) {
+      try {
+        return await NotificationSubscription.findOne({ username: key }, null, this.sessionOptions()).lean();
+      } catch (error) {
+        console.error('MongoDB getNotificationSubscription error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+      }
+    }
+    const subscriptions = await this.readJsonArrayFromFile(this.NOTIFICATION_SUBSCRIPTIONS_FILE);
+    return subscriptions.find(subscription => subscription.username === key) || null;
+  }
+
+  // Creates the user's subscription on first save and updates it after
+  async saveNotificationSubscription(username, patch) {
+    const key = String(username).toLowerCase();
+    const { _id, username: ignoredUsername, ...changes } = patch;
+
+    if (this.useMongoDb) {
+      try {
+        return await NotificationSubscription.findOneAndUpdate(
+          { username: key },
+          { $set: changes },
+          { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true, ...this.sessionOptions() }
+        ).lean();
+      } catch (error) {
+        console.error('MongoDB saveNotificationSubscription error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+      }
+    }
+
+    return this.withFileLock(this.NOTIFICATION_SUBSCRIPTIONS_FILE, async () => {
+      const subscriptions = await this.readJsonArrayFromFile(this.NOTIFICATION_SUBSCRIPTIONS_FILE);
+      const now = new Date().toISOString();
+      const index = subscriptions.findIndex(subscription => subscription.username === key);
+      if (index === -1) {
+        subscriptions.push({
+          username: key, email: '', events: [], channels: [], pushSubscriptions: [],
+          ...changes,
+          createdAt: now,
+          updatedAt: now
+        });
+      } else {
+        subscriptions[index] = { ...subscriptions[index], ...changes, updatedAt: now };
+      }
+      await this.writeJsonFile(this.NOTIFICATION_SUBSCRIPTIONS_FILE, subscriptions);
+      return subscriptions[index === -1 ? subscriptions.length - 1 : index];
+    });
+  }
+
+  // Conditions that have already been notified, see NotificationService
+  async getNotificationAlerts() {
+    if (this.useMongoDb) {
+      try {
+        return await NotificationAlert.find({}, null, this.sessionOptions()).lean();
+      } catch (error) {
+        console.error('MongoDB getNotificationAlerts error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+      }
+    }
+    return await this.readJsonArrayFromFile(this.NOTIFICATION_ALERTS_FILE);
+  }
+
+  async insertNotificationAlerts(alerts) {
+    if (alerts.length === 0) return [];
+    if (this.useMongoDb) {
+      try {
+        // Another check may have raised some of them already
+        await NotificationAlert.insertMany(alerts, { ordered: false, ...this.sessionOptions() }).catch(error => {
+          if (error.code !== 11000) throw error;
+        });
+        return alerts;
+      } catch (error) {
+        console.error('MongoDB insertNotificationAlerts error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+      }
+    }
+
+    return this.withFileLock(this.NOTIFICATION_ALERTS_FILE, async () => {
+      const existing = await this.readJsonArrayFromFile(this.NOTIFICATION_ALERTS_FILE);
+      const known = new Set(existing.map(alert => alert.key));
+      const added = alerts.filter(alert => !known.has(alert.key));
+      await this.writeJsonFile(this.NOTIFICATION_ALERTS_FILE, [...existing, ...added]);
+      return added;
+    });
+  }
+
+  async deleteNotificationAlerts(keys) {
+    if (keys.length === 0) return;
+    if (this.useMongoDb) {
+      try {
+        await NotificationAlert.deleteMany({ key: { $in: keys } }, this.sessionOptions());
+        return;
+      } catch (error) {
+        console.error('MongoDB deleteNotificationAlerts error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+      }
+    }
+
+    await this.withFileLock(this.NOTIFICATION_ALERTS_FILE, async () => {
+      const removed = new Set(keys);
+      const alerts = await this.readJsonArrayFromFile(this.NOTIFICATION_ALERTS_FILE);
+      await this.writeJsonFile(this.NOTIFICATION_ALERTS_FILE, alerts.filter(alert => !removed.has(alert.key)));
+    });
+  }
+
+  async getImportProfiles() {
+    if (this.useMongoDb) {
+      try {
+        return await ImportProfile.find({}, null, this.sessionOptions()).sort({ name: 1 }).lean();
+      } catch (error) {
+        console.error('MongoDB getImportProfiles error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+      }
+    }
+    const profiles = await this.readJsonArrayFromFile(this.IMPORT_PROFILES_FILE);
+    return profiles.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async getImportProfile(id) {
+    const profileId = parseInt(id);
+    if (this.useMongoDb) {
+      try {
+        return await ImportProfile.findOne({ id: profileId }, null, this.sessionOptions()).lean();
+      } catch (error) {
+        console.error('MongoDB getImportProfile error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+      }
+    }
+    const profiles = await this.readJsonArrayFromFile(this.IMPORT_PROFILES_FILE);
+    return profiles.find(profile => profile.id === profileId) || null;
+  }
+
+  // Gives the profile the next free numeric id
+  async insertImportProfile(profile) {
+    if (this.useMongoDb) {
+      try {
+        return await this.insertWithNextNumber(ImportProfile, 'id', async () => {
+          const last = await ImportProfile.findOne({}, { id: 1 }, this.sessionOptions()).sort({ id: -1 }).lean();
+          return { ...profile, id: (last ? last.id : 0) + 1 };
+        });
+      } catch (error) {
+        console.error('MongoDB insertImportProfile error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+      }
+    }
+
+    return this.withFileLock(this.IMPORT_PROFILES_FILE, async () => {
+      const profiles = await this.readJsonArrayFromFile(this.IMPORT_PROFILES_FILE);
+      const now = new Date().toISOString();
+      const saved = {
+        sheets: [], columns: [],
+        ...profile,
+        id: Math.max(0, ...profiles.map(existing => existing.id)) + 1,
+        createdAt: now,
+        updatedAt: now
+      };
+      await this.writeJsonFile(this.IMPORT_PROFILES_FILE, [...profiles, saved]);
+      return saved;
+    });
+  }
+
+  // Resolves to the updated profile, or null when no profile has that id
+  async updateImportProfile(id, patch) {
+    const profileId = parseInt(id);
+    const { _id, id: ignoredId, ...changes } = patch;
+
+    if (this.useMongoDb) {
+      try {
+        return await ImportProfile.findOneAndUpdate(
+          { id: profileId },
+          { $set: changes },
+          { new: true, runValidators: true, ...this.sessionOptions() }
+        ).lean();
+      } catch (error) {
+        console.error('MongoDB updateImportProfile error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+      }
+    }
+
+    return this.withFileLock(this.IMPORT_PROFILES_FILE, async () => {
+      const profiles = await this.readJsonArrayFromFile(this.IMPORT_PROFILES_FILE);
+      const index = profiles.findIndex(profile => profile.id === profileId);
+      if (index === -1) return null;
+
+      profiles[index] = { ...profiles[index], ...changes, updatedAt: new Date().toISOString() };
+      await this.writeJsonFile(this.IMPORT_PROFILES_FILE, profiles);
+      return profiles[index];
+    });
+  }
+
+  async deleteImportProfile(id) {
+    const profileId = parseInt(id);
+    if (this.useMongoDb) {
+      try {
+        return await ImportProfile.findOneAndDelete({ id: profileId }, this.sessionOptions()).lean();
+      } catch (error) {
+        console.error('MongoDB deleteImportProfile error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+      }
+    }
+
+    return this.withFileLock(this.IMPORT_PROFILES_FILE, async () => {
+      const profiles = await this.readJsonArrayFromFile(this.IMPORT_PROFILES_FILE);
+      const index = profiles.findIndex(profile => profile.id === profileId);
+      if (index === -1) return null;
+
+      const [deleted] = profiles.splice(index, 1);
+      await this.writeJsonFile(this.IMPORT_PROFILES_FILE, profiles);
+      return deleted;
+    });
+  }
+
+  // Creates a document whose `field` is the next number in sequence.
+  // buildDocument reads the current highest number; when another request
+  // takes the same number first the unique index rejects the insert and the
+  // number is read again.
+  async insertWithNextNumber(Model, field, buildDocument, maxAttempts = 5) {
+    for (let attempt = 1; ; attempt++) {
+      const document = await buildDocument();
+      try {
+        const [doc] = await Model.create([document], this.sessionOptions());
+        return doc.toObject({ flattenMaps: true });
+      } catch (error) {
+        const duplicate = error.code === 11000 && error.keyPattern && error.keyPattern[field];
+        if (!duplicate || attempt >= maxAttempts) throw error;
+      }
+    }
+  }
+
+  async insertSession(session) {
+    if (this.useMongoDb) {
+      try {
+        await Session.create([session], this.sessionOptions());
+        return session;
+      } catch (error) {
+        console.error('MongoDB insertSession error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+      }
+    }
+
+    return this.withFileLock(this.SESSIONS_FILE, async () => {
+      // MongoDB expires sessions with a TTL index; the file has to be pruned by hand
+      const now = new Date();
+      const sessions = (await this.readJsonArrayFromFile(this.SESSIONS_FILE))
+        .filter(existing => new Date(existing.expiresAt) > now);
+      await this.writeJsonFile(this.SESSIONS_FILE, [...sessions, session]);
+      return session;
+    });
+  }
+
+  async getSession(tokenHash) {
+    if (this.useMongoDb) {
+      try {
+        return await Session.findOne({ tokenHash }, null, this.sessionOptions()).lean();
+      } catch (error) {
+        console.error('MongoDB getSession error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+      }
+    }
+    const sessions = await this.readJsonArrayFromFile(this.SESSIONS_FILE);
+    return sessions.find(session => session.tokenHash === tokenHash) || null;
+  }
+
+  // Removes the sessions matching filter ({ tokenHash } or { username })
+  async deleteSessions(filter) {
+    if (this.useMongoDb) {
+      try {
+        const result = await Session.deleteMany(filter, this.sessionOptions());
+        return result.deletedCount;
+      } catch (error) {
+        console.error('MongoDB deleteSessions error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+      }
+    }
+
+    return this.withFileLock(this.SESSIONS_FILE, async () => {
+      const sessions = await this.readJsonArrayFromFile(this.SESSIONS_FILE);
+      const matches = session => Object.entries(filter).every(([key, value]) => session[key] === value);
+      const remaining = sessions.filter(session => !matches(session));
+      await this.writeJsonFile(this.SESSIONS_FILE, remaining);
+      return sessions.length - remaining.length;
+    });
+  }
+
+  // Reads a JSON file holding an array; a missing file reads as empty
+  async readJsonArrayFromFile(filePath) {
+    try {
+      const data = await fs.readFile(filePath, 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error reading ${path.basename(filePath)}:`, error);
+      }
+      return [];
+    }
+  }
+
+  // Runs fn once every earlier operation queued on the same file has settled.
+  // Node runs this service in a single process, so chaining promises per file
+  // is enough to stop concurrent requests from interleaving their read and
+  // write of the same JSON file.
+  withFileLock(filePath, fn) {
+    // Inside transaction() the lock is already ours; queueing would deadlock
+    if (this.heldLocks && this.heldLocks.has(filePath)) {
+      return Promise.resolve().then(() => fn());
+    }
+
+    const previous = this.fileLocks.get(filePath) || Promise.resolve();
+    const result = previous.then(() => fn());
+    const settled = result.catch(() => {});
+    this.fileLocks.set(filePath, settled);
+    settled.then(() => {
+      if (this.fileLocks.get(filePath) === settled) {
+        this.fileLocks.delete(filePath);
+      }
+    });
+    return result;
+  }
+
+  // Write to a temporary file first and rename it over the target, so a crash
+  // mid-write never leaves a truncated JSON file behind
+  async writeJsonFile(filePath, data) {
+    await this.writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+  }
+
+  async writeFileAtomic(filePath, contents) {
+    await fs.mkdir(this.DB_DIR, { recursive: true });
+    const tempPath = `${filePath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.writeFile(tempPath, contents);
+    await fs.rename(tempPath, filePath);
+  }
+
+  // Replaces every record of one of the collections a backup carries besides
+  // parts, shelves and transactions (RECORD_COLLECTIONS in
+  // services/restore.js), for a full restore
+  async replaceRecords(key, records) {
+    const stores = {
+      users: { Model: User, file: this.USERS_FILE },
+      employees: { Model: Employee, file: this.EMPLOYEES_FILE },
+      suppliers: { Model: Supplier, file: this.SUPPLIERS_FILE },
+      purchaseOrders: { Model: PurchaseOrder, file: this.PURCHASE_ORDERS_FILE },
+      countSessions: { Model: CountSession, file: this.COUNT_SESSIONS_FILE },
+      notificationSubscriptions: { Model: NotificationSubscription, file: this.NOTIFICATION_SUBSCRIPTIONS_FILE },
+      importProfiles: { Model: ImportProfile, file: this.IMPORT_PROFILES_FILE }
+    };
+    const store = stores[key];
+    if (!store) {
+      throw new Error(`Unknown record collection: ${key}`);
+    }
+
+    if (this.useMongoDb) {
+      try {
+        await store.Model.deleteMany({}, this.sessionOptions());
+        if (records.length > 0) {
+          await store.Model.insertMany(records, this.sessionOptions());
+        }
+        return;
+      } catch (error) {
+        console.error(`MongoDB replaceRecords ${key} error:`, error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+      }
+    }
+    await this.withFileLock(store.file, () => this.writeJsonFile(store.file, records));
+  }
+
+  // Mongoose query options binding a call to the active transaction, if any
+  sessionOptions() {
+    return this.session ? { session: this.session } : {};
+  }
+
+  // JSON files covered by transaction() locking and rollback
+  getTransactionFiles() {
+    return [
+      this.PARTS_FILE, this.TRANSACTIONS_FILE, this.SHELVES_FILE, this.USERS_FILE, this.SESSIONS_FILE,
+      this.EMPLOYEES_FILE, this.SUPPLIERS_FILE, this.PURCHASE_ORDERS_FILE, this.COUNT_SESSIONS_FILE,
+      this.NOTIFICATION_SUBSCRIPTIONS_FILE, this.NOTIFICATION_ALERTS_FILE, this.IMPORT_PROFILES_FILE
+    ];
+  }
+
+  // Runs fn(database) as a single unit of work and resolves to its result.
+  // `database` is a view of this service whose reads and writes all belong
+  // to the transaction: with MongoDB they run in a session that is committed
+  // when fn resolves and aborted when it throws; with JSON files every data
+  // file is locked for the duration and restored from a snapshot on failure.
+  //
+  // A standalone MongoDB server has no transactions. There fn runs without
+  // a session: each write is still atomic on its own, but when fn throws the
+  // writes it already made stay. connectToMongoDB warns at startup when the
+  // server is standalone.
+  async transaction(fn) {
+    if (this.session || this.heldLocks) {
+      // Already inside a transaction, join it
+      return fn(this);
+    }
+
+    if (this.useMongoDb) {
+      return this.runMongoTransaction(fn);
+    }
+    return this.runFileTransaction(fn);
+  }
+
+  async runMongoTransaction(fn) {
+    if (!this.supportsTransactions) {
+      return fn(this);
+    }
+
+    const session = await mongoose.startSession();
+    const database = Object.create(this, { session: { value: session } });
+
+    try {
+      session.startTransaction();
+      const result = await fn(database);
+      await session.commitTransaction();
+      return result;
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  async runFileTransaction(fn) {
+    const files = this.getTransactionFiles();
+
+    // Take the locks one inside the other so no other writer can slip in
+    const lockAll = (remaining, work) => remaining.length === 0
+      ? work()
+      : this.withFileLock(remaining[0], () => lockAll(remaining.slice(1), work));
+
+    return lockAll(files, async () => {
+      const snapshot = await this.snapshotFiles(files);
+      const database = Object.create(this, { heldLocks: { value: new Set(files) } });
+
+      try {
+        return await fn(database);
+      } catch (error) {
+        await this.restoreFiles(snapshot);
+        console.error('JSON transaction rolled back:', error.message);
+        throw error;
+      }
+    });
+  }
+
+  async snapshotFiles(files) {
+    const snapshot = new Map();
+    for (const filePath of files) {
+      try {
+        snapshot.set(filePath, await fs.readFile(filePath, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        snapshot.set(filePath, null);
+      }
+    }
+    return snapshot;
+  }
+
+  async restoreFiles(snapshot) {
+    for (const [filePath, contents] of snapshot) {
+      if (contents === null) {
+        await fs.rm(filePath, { force: true });
+      } else {
+        await this.writeFileAtomic(filePath, contents);
+      }
+    }
+  }
+
+  // Probes the active backend and reports how long a round trip took
+  async healthCheck() {
+    const startedAt = Date.now();
+    const type = this.useMongoDb ? 'mongodb' : 'json';
+
+    try {
+      if (this.useMongoDb) {
+        const { readyState, host, name } = mongoose.connection;
+        if (readyState !== 1) {
+          throw new Error(`MongoDB connection is ${mongoose.STATES[readyState] || 'unavailable'}`);
+        }
+        await mongoose.connection.db.admin().ping();
+        return {
+          status: 'healthy', type, latencyMs: Date.now() - startedAt, host, database: name,
+          transactions: this.supportsTransactions
+        };
+      }
+
+      const files = {};
+      for (const filePath of [this.PARTS_FILE, this.TRANSACTIONS_FILE, this.SHELVES_FILE]) {
+        await fs.access(filePath, fsConstants.R_OK | fsConstants.W_OK);
+        JSON.parse(await fs.readFile(filePath, 'utf8'));
+        files[path.basename(filePath)] = 'ok';
+      }
+      return { status: 'healthy', type, latencyMs: Date.now() - startedAt, directory: this.DB_DIR, files };
+    } catch (error) {
+      return { status: 'unhealthy', type, latencyMs: Date.now() - startedAt, error: error.message };
+    }
+  }
+
+  // Search over the given part fields, best matches first. Unknown fields
+  // are ignored.
+  //
+  // MongoDB answers from indexes: whole words through the part_search text
+  // index, and the start of a part number or shelf ID through their own
+  // indexes. The text index spans every searchable field, so its matches are
+  // kept only when one of the given fields holds a word of the query. The
+  // JSON files are scanned for the query anywhere in the fields, ignoring
+  // case.
+  async searchParts(query, fields = ['partNumber', 'description', 'category']) {
+    const term = String(query || '').trim();
+    if (!term) return [];
+
+    let searchFields = fields.filter(field => this.SEARCHABLE_PART_FIELDS.includes(field));
+    if (searchFields.length === 0) {
+      searchFields = ['partNumber', 'description', 'category'];
+    }
+
+    let matches;
+    if (this.useMongoDb) {
+      try {
+        // Case-sensitive prefixes can use an index; part numbers and shelf
+        // IDs are usually upper case, so try the query as typed and as that
+        const prefixes = [...new Set([term, term.toUpperCase()])].map(value => new RegExp(`^${escapeRegExp(value)}`));
+        // Passing the words alone keeps quotes and dashes in the query from
+        // being read as phrase or negation operators
+        const words = wordsOf(term);
+        const conditions = [
+          ...(words.length > 0 ? [{ $text: { $search: words.join(' ') } }] : []),
+          ...searchFields
+            .filter(field => this.PREFIX_PART_FIELDS.includes(field))
+            .map(field => ({ [field]: { $in: prefixes } }))
+        ];
+        const candidates = conditions.length === 0
+          ? []
+          : await Part.find({ $or: conditions }, null, this.sessionOptions()).lean();
+
+        matches = candidates.filter(part => searchFields.some(field =>
+          (this.PREFIX_PART_FIELDS.includes(field) && prefixes.some(prefix => prefix.test(String(part[field] || '')))) ||
+          wordsOf(part[field]).some(word => words.includes(word))
+        ));
+      } catch (error) {
+        console.error('MongoDB searchParts error:', error);
+        if (this.session || !isConnectionError(error)) throw toRequestError(error);
+        matches = null;
+      }
+    }
+
+    if (!matches) {
+      const needle = term.toLowerCase();
+      const parts = await this.readPartsFromFile();
+      matches = parts.filter(part =>
+        searchFields.some(field => String(part[field] || '').toLowerCase().includes(needle))
+      );
+    }
+
+    return matches
+      .map(part => ({ ...part, searchScore: scoreMatch(part, term.toLowerCase(), searchFields) }))
+      .sort((a, b) => b.searchScore - a.searchScore);
+  }
+
+  async getStats() {
+    const parts = await this.getParts();
+    const transactions = await this.getTransactions();
+
+    return {
+      totalParts: parts.length,
+      totalQuantity: parts.reduce((sum, part) => sum + (Number(part.quantity) || 0), 0),
+      availableParts: parts.filter(part => part.status === 'available').length,
+      // Parts with units out on loan, whether or not some are left on the shelf
+      checkedOutParts: parts.filter(part => getOpenCheckouts(part).length > 0).length,
+      noStockParts: parts.filter(part => part.quantity === 0).length,
+      lowStockParts: parts.filter(part => part.quantity > 0 && part.quantity <= (part.minQuantity || 0)).length,
+      totalTransactions: transactions.length,
+      categories: new Set(parts.map(part => part.category)).size
+    };
+  }
+
+  getDefaultShelves() {
+    return {
+      'A-01': { name: 'Tool Room North Wall - Section A, Position 1', imageUrl: null, description: 'Engine filters and maintenance parts' },
+      'A-08': { name: 'Tool Room North Wall - Section A, Position 8', imageUrl: null, description: 'Fuel system components' },
+      'B-03': { name: 'Tool Room East Wall - Section B, Position 3', imageUrl: null, description: 'Brake system parts' },
+      'B-07': { name: 'Tool Room East Wall - Section B, Position 7', imageUrl: null, description: 'Steering components' },
+      'C-05': { name: 'Tool Room South Wall - Section C, Position 5', imageUrl: null, description: 'Transmission parts and seals' },
+      'D-02': { name: 'Tool Room West Wall - Section D, Position 2', imageUrl: null, description: 'Lighting and electrical components' },
+      'D-05': { name: 'Tool Room West Wall - Section D, Position 5', imageUrl: null, description: 'Starting and charging system' },
+      'E-01': { name: 'Tool Room Center Aisle - Section E, Position 1', imageUrl: null, description: 'Radiator and cooling parts' },
+      'F-03': { name: 'Tool Room Center Aisle - Section F, Position 3', imageUrl: null, description: 'Exterior body components' },
+      'F-08': { name: 'Tool Room Center Aisle - Section F, Position 8', imageUrl: null, description: 'Cab and body hardware' }
+    };
+  }
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Lower-case words of a value, split as the text index splits them
+function wordsOf(value) {
+  return String(value || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// Exact field matches rank above prefix matches, which rank above substring
+// matches. Earlier fields in the list weigh more.
+function scoreMatch(part, needle, fields) {
+  return fields.reduce((score, field, index) => {
+    const value = String(part[field] || '').toLowerCase();
+    const weight = fields.length - index;
+    if (value === needle) return score + 100 * weight;
+    if (value.startsWith(needle)) return score + 10 * weight;
+    if (value.includes(needle)) return score + weight;
+    return score;
+  }, 0);
 }
 
 module.exports = DatabaseService;
@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const DatabaseService = require('./DatabaseService');
+const { ConflictError } = require('../middleware/errorHandler');
+
+// A DatabaseService on JSON files in a fresh directory
+async function withDatabase(fn) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'database-'));
+  const log = console.log;
+  console.log = () => {};
+  try {
+    const database = new DatabaseService(directory);
+    await database.initialize();
+    await fn(database, directory);
+  } finally {
+    console.log = log;
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+}
+
+const readJson = async (directory, name) => JSON.parse(await fs.readFile(path.join(directory, name), 'utf8'));
+
+const filter = { id: 1, partNumber: 'F-1', description: 'Oil filter', category: 'Filters', shelf: 'A-01', quantity: 5, minQuantity: 1 };
+
+test('part writes touch only the part they name', async () => {
+  await withDatabase(async (database) => {
+    await database.insertParts([filter, { ...filter, id: 2, partNumber: 'F-2' }, { ...filter, id: 3, partNumber: 'F-3' }]);
+
+    assert.strictEqual((await database.updatePart(2, { quantity: 0 })).quantity, 0);
+    assert.strictEqual((await database.deletePart(3)).partNumber, 'F-3');
+    assert.strictEqual(await database.deletePart(3), null);
+
+    assert.deepStrictEqual((await database.getParts()).map(part => [part.id, part.quantity]), [[1, 5], [2, 0]]);
+  });
+});
+
+test('transactions are added to the history newest first', async () => {
+  await withDatabase(async (database, directory) => {
+    await database.insertTransaction({ id: 1, action: 'checkout', user: 'amy', partNumber: 'F-1' });
+    await database.insertTransactions([
+      { id: 2, action: 'checkin', user: 'amy', partNumber: 'F-1' },
+      { id: 3, action: 'issue', user: 'bob', partNumber: 'F-2' }
+    ]);
+
+    assert.deepStrictEqual((await readJson(directory, 'transactions.json')).map(transaction => transaction.id), [3, 2, 1]);
+  });
+});
+
+test('upsertShelf and deleteShelf change one shelf', async () => {
+  await withDatabase(async (database) => {
+    const before = Object.keys(await database.getShelves());
+
+    await database.upsertShelf('Z-9', { name: 'Cage', description: 'Locked cage' });
+    await database.upsertShelf('A-01', { name: 'North wall 1' });
+    await database.deleteShelf('B-03');
+
+    const shelves = await database.getShelves();
+    assert.deepStrictEqual(Object.keys(shelves).sort(), [...before.filter(id => id !== 'B-03'), 'Z-9'].sort());
+    assert.strictEqual(shelves['A-01'].name, 'North wall 1');
+    assert.strictEqual(shelves['Z-9'].description, 'Locked cage');
+  });
+});
+
+test('updatePart bumps the version and refuses a stale one', async () => {
+  await withDatabase(async (database, directory) => {
+    await database.insertPart(filter);
+
+    const updated = await database.updatePart(1, { quantity: 4 }, { expectedVersion: 0 });
+    assert.deepStrictEqual([updated.quantity, updated.version], [4, 1]);
+
+    await assert.rejects(database.updatePart(1, { quantity: 3 }, { expectedVersion: 0 }), ConflictError);
+    assert.deepStrictEqual((await readJson(directory, 'parts.json')).map(part => [part.quantity, part.version]), [[4, 1]]);
+  });
+});
+
+test('of two updates made from the same version, only the first is written', async () => {
+  await withDatabase(async (database) => {
+    await database.insertPart(filter);
+
+    const results = await Promise.allSettled([
+      database.updatePart(1, { quantity: 4 }, { expectedVersion: 0 }),
+      database.updatePart(1, { quantity: 9 }, { expectedVersion: 0 })
+    ]);
+
+    assert.deepStrictEqual(results.map(result => result.status), ['fulfilled', 'rejected']);
+    assert.ok(results[1].reason instanceof ConflictError);
+    assert.strictEqual((await database.getPart(1)).quantity, 4);
+  });
+});
+
+test('a part saved before versioning counts as version 0', async () => {
+  await withDatabase(async (database, directory) => {
+    await fs.writeFile(path.join(directory, 'parts.json'), JSON.stringify([filter]));
+
+    assert.strictEqual((await database.updatePart(1, { quantity: 2 }, { expectedVersion: 0 })).version, 1);
+    assert.strictEqual(await database.updatePart(2, { quantity: 2 }, { expectedVersion: 0 }), null);
+  });
+});
+
+test('a transaction that throws leaves every file as it was', async () => {
+  await withDatabase(async (database, directory) => {
+    await database.insertPart(filter);
+    const error = console.error;
+    console.error = () => {};
+
+    try {
+      await assert.rejects(database.transaction(async (inside) => {
+        await inside.updatePart(1, { quantity: 0 });
+        await inside.insertTransaction({ id: 1, action: 'checkout', user: 'amy', partNumber: 'F-1' });
+        await inside.upsertShelf('Z-9', { name: 'Temporary shelf' });
+        throw new Error('Crashed halfway');
+      }), /Crashed halfway/);
+    } finally {
+      console.error = error;
+    }
+
+    assert.strictEqual((await database.getPart(1)).quantity, 5);
+    assert.deepStrictEqual(await readJson(directory, 'transactions.json'), []);
+    assert.strictEqual((await database.getShelves())['Z-9'], undefined);
+  });
+});
+
+test('a transaction resolves to its result, and one started inside it joins it', async () => {
+  await withDatabase(async (database) => {
+    await database.insertPart(filter);
+
+    const result = await database.transaction(async (outer) => {
+      await outer.updatePart(1, { quantity: 4 });
+      return outer.transaction(async (inner) => (await inner.updatePart(1, { quantity: 3 })).version);
+    });
+
+    assert.strictEqual(result, 2);
+    assert.strictEqual((await database.getPart(1)).quantity, 3);
+  });
+});
+
+test('healthCheck reads the data files', async () => {
+  await withDatabase(async (database, directory) => {
+    const healthy = await database.healthCheck();
+    assert.deepStrictEqual([healthy.status, healthy.type], ['healthy', 'json']);
+    assert.strictEqual(healthy.files['parts.json'], 'ok');
+
+    await fs.writeFile(path.join(directory, 'parts.json'), '[{');
+    assert.strictEqual((await database.healthCheck()).status, 'unhealthy');
+  });
+});
+
+test('searchParts ranks exact matches above prefixes above the rest', async () => {
+  await withDatabase(async (database) => {
+    await database.insertParts([
+      { ...filter, id: 1, partNumber: 'FLT-100', description: 'Oil filter' },
+      { ...filter, id: 2, partNumber: 'FLT', description: 'Filter kit' },
+      { ...filter, id: 3, partNumber: 'W-1', description: 'Wrench for FLT housings', category: 'Hand Tools' }
+    ]);
+
+    assert.deepStrictEqual((await database.searchParts('flt')).map(part => part.id), [2, 1, 3]);
+    assert.deepStrictEqual((await database.searchParts('flt', ['partNumber'])).map(part => part.id), [2, 1]);
+    // Unknown fields fall back to the default ones
+    assert.deepStrictEqual((await database.searchParts('hand tools', ['quantity'])).map(part => part.id), [3]);
+    assert.deepStrictEqual(await database.searchParts('  '), []);
+  });
+});
@@ -0,0 +1,348 @@
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const webpush = require('web-push');
+const { NOTIFICATION_EVENTS, NOTIFICATION_CHANNELS } = require('../models');
+const { ValidationError } = require('../middleware/errorHandler');
+const { findOverdueLoans } = require('./checkouts');
+
+const EVENT_LABELS = {
+  low_stock: 'Low stock',
+  out_of_stock: 'Out of stock',
+  loan_overdue: 'Overdue loan'
+};
+
+// Changes usually come in bursts (a bulk edit, a delivery), so a check
+// waits this long for them to settle
+const CHECK_DELAY_MS = 2000;
+const WEBHOOK_TIMEOUT_MS = 10000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+
+// Low-stock, out-of-stock and overdue-loan notifications.
+//
+// check() looks at the parts as they are now and compares the conditions it
+// finds (`low_stock:12`, `loan_overdue:<checkoutId>`, ...) with the alerts
+// already sent. New conditions are delivered, one message per recipient and
+// channel however many there are; conditions that have cleared are
+// forgotten so they notify again if they come back.
+//
+// The webhook receives every event. Users choose the events they want and
+// whether they arrive by email, Web Push or both.
+class NotificationService {
+  constructor(dbService, config) {
+    this.db = dbService;
+    this.config = config;
+    this.mailer = config.email
+      ? nodemailer.createTransport({
+        host: config.email.host,
+        port: config.email.port,
+        secure: config.email.secure,
+        auth: config.email.auth
+      })
+      : null;
+    if (config.push) {
+      webpush.setVapidDetails(config.push.subject, config.push.publicKey, config.push.privateKey);
+    }
+
+    this.pendingCheck = null;
+    this.running = Promise.resolve();
+    this.timer = null;
+  }
+
+  getChannels() {
+    return {
+      email: Boolean(this.mailer),
+      webhook: Boolean(this.config.webhook),
+      push: Boolean(this.config.push)
+    };
+  }
+
+  // Checks once now and then on the configured interval
+  start() {
+    this.scheduleCheck();
+    if (this.config.checkIntervalMs > 0) {
+      this.timer = setInterval(() => this.scheduleCheck(), this.config.checkIntervalMs);
+      this.timer.unref();
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    clearTimeout(this.pendingCheck);
+  }
+
+  scheduleCheck() {
+    clearTimeout(this.pendingCheck);
+    this.pendingCheck = setTimeout(() => {
+      this.check().catch(error => console.error('Notification check failed:', error));
+    }, CHECK_DELAY_MS);
+    this.pendingCheck.unref();
+  }
+
+  // Runs one check at a time, so two can never send the same alert
+  check(now = new Date()) {
+    const run = this.running.then(() => this.runCheck(now));
+    this.running = run.catch(() => {});
+    return run;
+  }
+
+  findConditions(parts, now) {
+    const conditions = [];
+    parts.forEach(part => {
+      const quantity = part.quantity || 0;
+      const minQuantity = part.minQuantity || 1;
+      const details = {
+        partId: part.id,
+        partNumber: part.partNumber,
+        description: part.description || '',
+        shelf: part.shelf,
+        quantity,
+        minQuantity
+      };
+      if (quantity <= minQuantity) {
+        conditions.push({ key: `low_stock:${part.id}`, type: 'low_stock', partId: part.id, checkoutId: null, details });
+      }
+      if (quantity <= 0) {
+        conditions.push({ key: `out_of_stock:${part.id}`, type: 'out_of_stock', partId: part.id, checkoutId: null, details });
+      }
+    });
+
+    findOverdueLoans(parts, now).forEach(loan => {
+      conditions.push({
+        key: `loan_overdue:${loan.checkoutId}`,
+        type: 'loan_overdue',
+        partId: loan.partId,
+        checkoutId: loan.checkoutId,
+        details: loan
+      });
+    });
+    return conditions;
+  }
+
+  async runCheck(now) {
+    const [parts, alerts] = await Promise.all([this.db.getParts(), this.db.getNotificationAlerts()]);
+    const conditions = this.findConditions(parts, now);
+    const known = new Set(alerts.map(alert => alert.key));
+    const current = new Set(conditions.map(condition => condition.key));
+
+    const raised = conditions.filter(condition => !known.has(condition.key));
+    const cleared = alerts.filter(alert => !current.has(alert.key)).map(alert => alert.key);
+
+    await this.db.deleteNotificationAlerts(cleared);
+    await this.db.insertNotificationAlerts(raised.map(({ key, type, partId, checkoutId }) => ({
+      key, type, partId, checkoutId, raisedAt: now.toISOString()
+    })));
+
+    // A part that ran straight out gets one out-of-stock notice, not two
+    const outOfStock = new Set(raised.filter(event => event.type === 'out_of_stock').map(event => event.partId));
+    const events = raised.filter(event => !(event.type === 'low_stock' && outOfStock.has(event.partId)));
+
+    const deliveries = events.length > 0 ? await this.deliver(events) : [];
+    return { raised: events.map(({ key, type, details }) => ({ key, type, ...details })), cleared, deliveries };
+  }
+
+  describeEvent(event) {
+    const d = event.details;
+    const part = d.description ? `${d.partNumber} (${d.description})` : d.partNumber;
+    switch (event.type) {
+      case 'low_stock':
+        return `${part} is low: ${d.quantity} left, minimum ${d.minQuantity}. Shelf ${d.shelf || 'unassigned'}.`;
+      case 'out_of_stock':
+        return `${part} is out of stock. Shelf ${d.shelf || 'unassigned'}.`;
+      case 'loan_overdue':
+        return `${part} checked out by ${d.user} was due ${d.dueDate.slice(0, 10)} ` +
+          `(${d.daysOverdue} day${d.daysOverdue === 1 ? '' : 's'} overdue).`;
+      default:
+        return part;
+    }
+  }
+
+  buildMessage(events) {
+    const title = events.length === 1
+      ? `${EVENT_LABELS[events[0].type]}: ${events[0].details.partNumber}`
+      : `${events.length} inventory alerts`;
+    return { title, lines: events.map(event => this.describeEvent(event)), url: this.config.appUrl };
+  }
+
+  // Sends to the webhook and every interested subscriber. Failures are
+  // logged and reported, never thrown, so one bad address can't stop the rest.
+  async deliver(events) {
+    const deliveries = [];
+    if (this.config.webhook) {
+      deliveries.push(await this.sendWebhook(events));
+    }
+
+    const subscriptions = await this.db.getNotificationSubscriptions();
+    for (const subscription of subscriptions) {
+      const wanted = events.filter(event => (subscription.events || []).includes(event.type));
+      if (wanted.length > 0) {
+        deliveries.push(...await this.sendToSubscriber(subscription, this.buildMessage(wanted)));
+      }
+    }
+    return deliveries;
+  }
+
+  async sendToSubscriber(subscription, message) {
+    const channels = subscription.channels || [];
+    const deliveries = [];
+    if (channels.includes('email') && subscription.email) {
+      deliveries.push(await this.sendEmail(subscription.email, message));
+    }
+    if (channels.includes('push')) {
+      deliveries.push(...await this.sendPush(subscription, message));
+    }
+    return deliveries;
+  }
+
+  async sendEmail(to, message) {
+    const delivery = { channel: 'email', recipient: to };
+    if (!this.mailer) return { ...delivery, ok: false, error: 'Email is not configured' };
+
+    try {
+      await this.mailer.sendMail({
+        from: this.config.email.from,
+        to,
+        subject: `[WKI Tool Room] ${message.title}`,
+        text: `${message.lines.join('\n')}\n\n${message.url}\n`
+      });
+      return { ...delivery, ok: true };
+    } catch (error) {
+      console.error(`Notification email to ${to} failed:`, error.message);
+      return { ...delivery, ok: false, error: error.message };
+    }
+  }
+
+  // Browsers that have unsubscribed answer 404 or 410 and are dropped
+  async sendPush(subscription, message) {
+    if (!this.config.push) return [];
+
+    const payload = JSON.stringify({ title: message.title, body: message.lines.join('\n'), data: { url: message.url } });
+    const expired = [];
+    const deliveries = [];
+    for (const pushSubscription of subscription.pushSubscriptions || []) {
+      const delivery = { channel: 'push', recipient: subscription.username };
+      try {
+        await webpush.sendNotification({ endpoint: pushSubscription.endpoint, keys: pushSubscription.keys }, payload);
+        deliveries.push({ ...delivery, ok: true });
+      } catch (error) {
+        if (error.statusCode === 404 || error.statusCode === 410) {
+          expired.push(pushSubscription.endpoint);
+        } else {
+          console.error(`Push notification to ${subscription.username} failed:`, error.message);
+        }
+        deliveries.push({ ...delivery, ok: false, error: error.message });
+      }
+    }
+
+    if (expired.length > 0) {
+      await this.db.saveNotificationSubscription(subscription.username, {
+        pushSubscriptions: subscription.pushSubscriptions.filter(item => !expired.includes(item.endpoint))
+      });
+    }
+    return deliveries;
+  }
+
+  // POSTs { type, sentAt, events } as JSON. With a secret the body is signed
+  // in X-Signature-256 as `sha256=<hex HMAC>`, like GitHub webhooks.
+  async sendWebhook(events) {
+    const delivery = { channel: 'webhook', recipient: this.config.webhook.url };
+    const body = JSON.stringify({
+      type: 'inventory.alerts',
+      sentAt: new Date().toISOString(),
+      events: events.map(event => ({ type: event.type, key: event.key, message: this.describeEvent(event), ...event.details }))
+    });
+    const headers = { 'Content-Type': 'application/json', 'User-Agent': 'WKI-Tool-Room' };
+    if (this.config.webhook.secret) {
+      headers['X-Signature-256'] = `sha256=${crypto.createHmac('sha256', this.config.webhook.secret).update(body).digest('hex')}`;
+    }
+
+    try {
+      const response = await fetch(this.config.webhook.url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+      });
+      if (!response.ok) {
+        throw new Error(`Webhook answered ${response.status}`);
+      }
+      return { ...delivery, ok: true };
+    } catch (error) {
+      console.error('Notification webhook failed:', error.message);
+      return { ...delivery, ok: false, error: error.message };
+    }
+  }
+
+  async sendTest(username) {
+    const subscription = await this.db.getNotificationSubscription(username);
+    if (!subscription || (subscription.channels || []).length === 0) {
+      throw new ValidationError('Choose at least one channel and save before sending a test');
+    }
+    return this.sendToSubscriber(subscription, {
+      title: 'Test notification',
+      lines: ['Notifications from the WKI Tool Room are reaching you.'],
+      url: this.config.appUrl
+    });
+  }
+
+  // Per-user settings
+
+  async getSubscription(username) {
+    const subscription = await this.db.getNotificationSubscription(username);
+    return subscription || { username, email: '', events: [], channels: [], pushSubscriptions: [] };
+  }
+
+  async updateSubscription(username, { email, events, channels }) {
+    const changes = {};
+    if (email !== undefined) {
+      changes.email = String(email || '').trim();
+      if (changes.email && !EMAIL_PATTERN.test(changes.email)) {
+        throw new ValidationError('Email address is not valid');
+      }
+    }
+    if (events !== undefined) {
+      if (!Array.isArray(events) || events.some(event => !NOTIFICATION_EVENTS.includes(event))) {
+        throw new ValidationError(`Events must be from: ${NOTIFICATION_EVENTS.join(', ')}`);
+      }
+      changes.events = [...new Set(events)];
+    }
+    if (channels !== undefined) {
+      if (!Array.isArray(channels) || channels.some(channel => !NOTIFICATION_CHANNELS.includes(channel))) {
+        throw new ValidationError(`Channels must be from: ${NOTIFICATION_CHANNELS.join(', ')}`);
+      }
+      changes.channels = [...new Set(channels)];
+    }
+
+    const current = await this.getSubscription(username);
+    const next = { ...current, ...changes };
+    if (next.channels.includes('email') && !next.email) {
+      throw new ValidationError('Enter an email address to get notifications by email');
+    }
+    return this.db.saveNotificationSubscription(username, changes);
+  }
+
+  // Registers this browser for push, replacing an earlier registration of
+  // the same endpoint
+  async addPushSubscription(username, pushSubscription, userAgent = '') {
+    const { endpoint, keys } = pushSubscription || {};
+    if (typeof endpoint !== 'string' || !/^https:\/\//.test(endpoint) || !keys || !keys.p256dh || !keys.auth) {
+      throw new ValidationError('Push subscription must have an https endpoint and p256dh and auth keys');
+    }
+
+    const current = await this.getSubscription(username);
+    return this.db.saveNotificationSubscription(username, {
+      pushSubscriptions: [
+        ...(current.pushSubscriptions || []).filter(item => item.endpoint !== endpoint),
+        { endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth }, userAgent, createdAt: new Date().toISOString() }
+      ]
+    });
+  }
+
+  async removePushSubscription(username, endpoint) {
+    const current = await this.getSubscription(username);
+    return this.db.saveNotificationSubscription(username, {
+      pushSubscriptions: (current.pushSubscriptions || []).filter(item => item.endpoint !== endpoint)
+    });
+  }
+}
+
+module.exports = NotificationService;
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const DatabaseService = require('./DatabaseService');
+const NotificationService = require('./NotificationService');
+
+// A DatabaseService on JSON files in a fresh directory
+async function withDatabase(fn) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'notifications-'));
+  const log = console.log;
+  const error = console.error;
+  console.log = () => {};
+  console.error = () => {};
+  try {
+    const database = new DatabaseService(directory);
+    await database.initialize();
+    await fn(database);
+  } finally {
+    console.log = log;
+    console.error = error;
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+}
+
+// A local webhook receiver that records what it is sent
+async function withWebhook(fn) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ signature: req.headers['x-signature-256'], body });
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    await fn(`http://127.0.0.1:${server.address().port}/hook`, received);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+const now = new Date('2026-03-10T12:00:00Z');
+const filter = { id: 1, partNumber: 'F-1', description: 'Oil filter', category: 'Filters', shelf: 'A-01', quantity: 5, minQuantity: 2 };
+const loan = { checkoutId: 'c1', user: 'Amy', quantity: 1, checkedOutDate: '2026-03-01T12:00:00Z', dueDate: '2026-03-08T12:00:00Z' };
+
+test('each condition notifies once, and again only after it has cleared', async () => {
+  await withDatabase(async (database) => {
+    const notifications = new NotificationService(database, { appUrl: 'http://localhost' });
+    await database.insertParts([{ ...filter, quantity: 1 }]);
+
+    const first = await notifications.check(now);
+    assert.deepStrictEqual(first.raised.map(event => event.key), ['low_stock:1']);
+    assert.deepStrictEqual((await notifications.check(now)).raised, []);
+
+    await database.updatePart(1, { quantity: 5 });
+    assert.deepStrictEqual((await notifications.check(now)).cleared, ['low_stock:1']);
+
+    await database.updatePart(1, { quantity: 1 });
+    assert.deepStrictEqual((await notifications.check(now)).raised.map(event => event.key), ['low_stock:1']);
+  });
+});
+
+test('a part that runs straight out is one out-of-stock notice, and overdue loans are found', async () => {
+  await withDatabase(async (database) => {
+    const notifications = new NotificationService(database, { appUrl: 'http://localhost' });
+    await database.insertParts([{ ...filter, quantity: 0, checkouts: [loan] }]);
+
+    const { raised } = await notifications.check(now);
+    assert.deepStrictEqual(raised.map(event => event.key), ['out_of_stock:1', 'loan_overdue:c1']);
+    assert.strictEqual(raised[1].daysOverdue, 2);
+    assert.deepStrictEqual((await database.getNotificationAlerts()).map(alert => alert.key).sort(),
+      ['loan_overdue:c1', 'low_stock:1', 'out_of_stock:1']);
+  });
+});
+
+test('subscribers get only the events they chose, and the webhook gets all of them signed', async () => {
+  await withDatabase(async (database) => {
+    await withWebhook(async (url, received) => {
+      const notifications = new NotificationService(database, { appUrl: 'http://localhost', webhook: { url, secret: 's3cret' } });
+      await notifications.updateSubscription('amy', { email: 'amy@example.com', events: ['loan_overdue'], channels: ['email'] });
+      await notifications.updateSubscription('bob', { email: 'bob@example.com', events: ['low_stock'], channels: ['email'] });
+      await database.insertParts([{ ...filter, quantity: 0, checkouts: [loan] }]);
+
+      const { deliveries } = await notifications.check(now);
+
+      // Email is not configured, so Amy's delivery is reported as failed
+      assert.deepStrictEqual(deliveries, [
+        { channel: 'webhook', recipient: url, ok: true },
+        { channel: 'email', recipient: 'amy@example.com', ok: false, error: 'Email is not configured' }
+      ]);
+      const [{ signature, body }] = received;
+      assert.strictEqual(signature, `sha256=${crypto.createHmac('sha256', 's3cret').update(body).digest('hex')}`);
+      assert.deepStrictEqual(JSON.parse(body).events.map(event => event.type), ['out_of_stock', 'loan_overdue']);
+    });
+  });
+});
+
+test('subscription settings are checked before they are saved', async () => {
+  await withDatabase(async (database) => {
+    const notifications = new NotificationService(database, {});
+
+    await assert.rejects(notifications.updateSubscription('amy', { email: 'not-an-address' }), /Email address is not valid/);
+    await assert.rejects(notifications.updateSubscription('amy', { events: ['restocked'] }), /Events must be from/);
+    await assert.rejects(notifications.updateSubscription('amy', { channels: ['sms'] }), /Channels must be from/);
+    await assert.rejects(notifications.updateSubscription('amy', { channels: ['email'] }), /Enter an email address/);
+    await assert.rejects(notifications.addPushSubscription('amy', { endpoint: 'http://push.example' }), /https endpoint/);
+    await assert.rejects(notifications.sendTest('amy'), /Choose at least one channel/);
+
+    const endpoint = 'https://push.example/1';
+    await notifications.addPushSubscription('amy', { endpoint, keys: { p256dh: 'p', auth: 'a' } });
+    await notifications.addPushSubscription('amy', { endpoint, keys: { p256dh: 'p2', auth: 'a2' } });
+    assert.deepStrictEqual((await notifications.getSubscription('amy')).pushSubscriptions.map(item => item.keys.p256dh), ['p2']);
+
+    await notifications.removePushSubscription('amy', endpoint);
+    assert.deepStrictEqual((await notifications.getSubscription('amy')).pushSubscriptions, []);
+  });
+});
@@ -0,0 +1,68 @@
+// Custom attributes: the open set of name/value details a part can carry
+// beyond its fixed fields (voltage, colour, vendor code, ...).
+//
+// Attributes are stored as { name: value } with string values. Names are
+// trimmed and must not contain dots or start with `$`, since they become
+// keys in the database.
+
+const { ValidationError } = require('../middleware/errorHandler');
+
+const MAX_ATTRIBUTES = 50;
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+function readAttributeName(value) {
+  const name = String(value ?? '').trim();
+  if (!name) {
+    throw new ValidationError('Every attribute needs a name');
+  }
+  if (name.includes('.') || name.startsWith('$')) {
+    throw new ValidationError(`Attribute names cannot contain dots or start with $: ${name}`);
+  }
+  return name;
+}
+
+// { name: value } from a request or import row, checked. Blank values are
+// kept as '' so an update can tell "remove this attribute" from "leave it".
+function readAttributes(value) {
+  if (value === undefined || value === null) return {};
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new ValidationError('Attributes must be an object of names and values');
+  }
+
+  const attributes = {};
+  Object.entries(value).forEach(([rawName, rawValue]) => {
+    const name = readAttributeName(rawName);
+    if (rawValue !== null && typeof rawValue === 'object') {
+      throw new ValidationError(`Attribute ${name} must be text`);
+    }
+    attributes[name] = isBlank(rawValue) ? '' : String(rawValue).trim();
+  });
+  if (Object.keys(attributes).length > MAX_ATTRIBUTES) {
+    throw new ValidationError(`A part can have at most ${MAX_ATTRIBUTES} attributes`);
+  }
+  return attributes;
+}
+
+// A part's attributes with `changes` applied; a blank value removes the
+// attribute
+function mergeAttributes(current, changes) {
+  const merged = { ...(current || {}) };
+  Object.entries(changes).forEach(([name, value]) => {
+    if (value === '') {
+      delete merged[name];
+    } else {
+      merged[name] = value;
+    }
+  });
+  if (Object.keys(merged).length > MAX_ATTRIBUTES) {
+    throw new ValidationError(`A part can have at most ${MAX_ATTRIBUTES} attributes`);
+  }
+  return merged;
+}
+
+module.exports = {
+  readAttributeName,
+  readAttributes,
+  mergeAttributes
+};
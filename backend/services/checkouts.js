@@ -0,0 +1,114 @@
+// Helpers for the per-borrower checkout records stored on each part.
+//
+// A part's `quantity` is the stock left on the shelf. Every open loan is a
+// record in `part.checkouts` holding how many units that borrower has, so
+// several people can hold units of the same part at once and return them
+// a few at a time. `status`, `checkedOutBy` and `checkedOutDate` are kept as
+// a summary of those records for older clients and reports.
+
+const { getDefaultDueDate } = require('../config/loanPolicy');
+
+// Parts checked out before loans carried a quantity only have `status`,
+// `checkedOutBy` and `checkedOutDate`; treat that as a single one-unit loan.
+function getOpenCheckouts(part) {
+  if (Array.isArray(part.checkouts) && part.checkouts.length > 0) {
+    return part.checkouts;
+  }
+  if (part.status === 'checked_out' && part.checkedOutBy) {
+    return [{
+      checkoutId: `legacy-${part.id}`,
+      user: part.checkedOutBy,
+      quantity: 1,
+      checkedOutDate: part.checkedOutDate,
+      notes: ''
+    }];
+  }
+  return [];
+}
+
+function getCheckedOutQuantity(part) {
+  return getOpenCheckouts(part).reduce((sum, checkout) => sum + checkout.quantity, 0);
+}
+
+// The loan records plus the status fields they imply, ready to be saved on
+// the part. Always store the records this returns so legacy loans are
+// carried over to the new format.
+function deriveCheckoutState(quantity, checkouts) {
+  if (checkouts.length === 0) {
+    return { checkouts: [], status: 'available', checkedOutBy: null, checkedOutDate: null };
+  }
+
+  const borrowers = [...new Set(checkouts.map(checkout => checkout.user))];
+  const earliest = checkouts
+    .map(checkout => checkout.checkedOutDate)
+    .sort((a, b) => new Date(a) - new Date(b))[0];
+
+  return {
+    checkouts,
+    status: quantity > 0 ? 'partially_checked_out' : 'checked_out',
+    checkedOutBy: borrowers.join(', '),
+    checkedOutDate: earliest
+  };
+}
+
+// Picks the loan a check-in applies to: the given checkoutId, otherwise the
+// returning person's oldest loan, otherwise the only open loan. Loans match
+// by badge number, or by name for loans made without a badge. Returns null
+// when the choice is ambiguous or nothing matches.
+function findCheckoutToReturn(checkouts, { checkoutId, employeeId, user }) {
+  if (checkoutId) {
+    return checkouts.find(checkout => checkout.checkoutId === checkoutId) || null;
+  }
+
+  const name = String(user || '').trim().toLowerCase();
+  const own = checkouts
+    .filter(checkout => (employeeId && checkout.employeeId === employeeId) ||
+      (!checkout.employeeId && String(checkout.user).trim().toLowerCase() === name))
+    .sort((a, b) => new Date(a.checkedOutDate) - new Date(b.checkedOutDate));
+  if (own.length > 0) return own[0];
+
+  return checkouts.length === 1 ? checkouts[0] : null;
+}
+
+// Loans made before due dates were recorded fall due one loan period after
+// they were checked out
+function getDueDate(checkout, part) {
+  if (checkout.dueDate) return new Date(checkout.dueDate);
+  return getDefaultDueDate(part.category, checkout.checkedOutDate || Date.now());
+}
+
+// Every open loan past its due date, most overdue first
+function findOverdueLoans(parts, now = new Date()) {
+  const overdue = [];
+  parts.forEach(part => {
+    getOpenCheckouts(part).forEach(checkout => {
+      const dueDate = getDueDate(checkout, part);
+      if (dueDate < now) {
+        overdue.push({
+          partId: part.id,
+          partNumber: part.partNumber,
+          description: part.description,
+          shelf: part.shelf,
+          category: part.category,
+          checkoutId: checkout.checkoutId,
+          user: checkout.user,
+          employeeId: checkout.employeeId || null,
+          quantity: checkout.quantity,
+          checkedOutDate: checkout.checkedOutDate,
+          dueDate: dueDate.toISOString(),
+          daysOverdue: Math.floor((now - dueDate) / (24 * 60 * 60 * 1000))
+        });
+      }
+    });
+  });
+  return overdue.sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+}
+
+module.exports = {
+  getOpenCheckouts,
+  getCheckedOutQuantity,
+  deriveCheckoutState,
+  findCheckoutToReturn,
+  getDueDate,
+  findOverdueLoans
+};
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  getOpenCheckouts,
+  getCheckedOutQuantity,
+  deriveCheckoutState,
+  findCheckoutToReturn,
+  findOverdueLoans
+} = require('./checkouts');
+
+const loan = (checkoutId, fields) => ({ checkoutId, quantity: 1, checkedOutDate: '2026-03-01T08:00:00.000Z', ...fields });
+
+test('a part checked out before loans had records counts as one one-unit loan', () => {
+  const part = { id: 7, status: 'checked_out', checkedOutBy: 'bob', checkedOutDate: '2026-02-01T08:00:00.000Z' };
+
+  assert.deepStrictEqual(getOpenCheckouts(part).map(checkout => [checkout.checkoutId, checkout.user, checkout.quantity]), [['legacy-7', 'bob', 1]]);
+  assert.deepStrictEqual(getOpenCheckouts({ id: 8, status: 'available' }), []);
+});
+
+test('getCheckedOutQuantity adds up the open loans', () => {
+  assert.strictEqual(getCheckedOutQuantity({ checkouts: [loan('a', { quantity: 2 }), loan('b', { quantity: 3 })] }), 5);
+});
+
+test('deriveCheckoutState summarises the loans', () => {
+  const loans = [
+    loan('a', { user: 'amy', checkedOutDate: '2026-03-02T08:00:00.000Z' }),
+    loan('b', { user: 'bob', checkedOutDate: '2026-03-01T08:00:00.000Z' }),
+    loan('c', { user: 'amy', checkedOutDate: '2026-03-03T08:00:00.000Z' })
+  ];
+
+  assert.deepStrictEqual(deriveCheckoutState(2, loans), {
+    checkouts: loans, status: 'partially_checked_out', checkedOutBy: 'amy, bob', checkedOutDate: '2026-03-01T08:00:00.000Z'
+  });
+  assert.strictEqual(deriveCheckoutState(0, loans).status, 'checked_out');
+  assert.deepStrictEqual(deriveCheckoutState(3, []), { checkouts: [], status: 'available', checkedOutBy: null, checkedOutDate: null });
+});
+
+test('findCheckoutToReturn picks the named loan, then the returner\'s oldest, then the only one', () => {
+  const loans = [
+    loan('a', { user: 'Amy', employeeId: 'E1', checkedOutDate: '2026-03-02T08:00:00.000Z' }),
+    loan('b', { user: 'Amy', employeeId: 'E1', checkedOutDate: '2026-03-01T08:00:00.000Z' }),
+    loan('c', { user: 'bob' })
+  ];
+
+  assert.strictEqual(findCheckoutToReturn(loans, { checkoutId: 'c' }).checkoutId, 'c');
+  assert.strictEqual(findCheckoutToReturn(loans, { checkoutId: 'z' }), null);
+  assert.strictEqual(findCheckoutToReturn(loans, { employeeId: 'E1' }).checkoutId, 'b');
+  assert.strictEqual(findCheckoutToReturn(loans, { user: ' BOB ' }).checkoutId, 'c');
+  assert.strictEqual(findCheckoutToReturn(loans, { user: 'carl' }), null);
+  assert.strictEqual(findCheckoutToReturn([loans[2]], { user: 'carl' }).checkoutId, 'c');
+});
+
+test('findOverdueLoans lists loans past due, most overdue first', () => {
+  const parts = [
+    { id: 1, partNumber: 'W-1', category: 'Hand Tools', checkouts: [loan('a', { user: 'amy', dueDate: '2026-03-10T08:00:00.000Z' })] },
+    { id: 2, partNumber: 'W-2', category: 'Hand Tools', checkouts: [
+      loan('b', { user: 'bob', dueDate: '2026-03-05T08:00:00.000Z' }),
+      loan('c', { user: 'cy', dueDate: '2026-04-01T08:00:00.000Z' })
+    ] }
+  ];
+  const overdue = findOverdueLoans(parts, new Date('2026-03-12T08:00:00.000Z'));
+
+  assert.deepStrictEqual(overdue.map(item => [item.checkoutId, item.daysOverdue]), [['b', 7], ['a', 2]]);
+});
@@ -0,0 +1,182 @@
+// Unit costs, their history, and what stock is worth.
+//
+// A part's `cost` is its current unit cost. Every change is also appended
+// to `costHistory` so usage can be valued at the cost that applied when it
+// happened. Checkout and issue transactions record the cost at the time
+// as `unitCost`; older transactions are valued from the history instead.
+
+const { ValidationError } = require('../middleware/errorHandler');
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+function parseUnitCost(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const cost = Number(value);
+  if (!Number.isFinite(cost) || cost < 0) {
+    throw new ValidationError('Unit cost must be a number of at least 0');
+  }
+  return roundCurrency(cost);
+}
+
+// The changes that set a part's cost, or {} when the cost is unchanged.
+// `part` may be null for a part that is being created.
+function costChange(part, cost, { source = 'manual', user = 'System', poNumber = null, timestamp = new Date().toISOString() } = {}) {
+  const current = part ? part.cost ?? null : null;
+  if (cost === current) return {};
+
+  return {
+    cost,
+    costHistory: [
+      ...((part && part.costHistory) || []),
+      { cost, changedAt: timestamp, changedBy: user, source, poNumber }
+    ]
+  };
+}
+
+// The unit cost in effect at `timestamp`. Parts costed before history was
+// kept fall back to their current cost.
+function costAt(part, timestamp) {
+  const when = new Date(timestamp);
+  const history = (part.costHistory || [])
+    .filter(entry => new Date(entry.changedAt) <= when)
+    .sort((a, b) => new Date(b.changedAt) - new Date(a.changedAt));
+  if (history.length > 0) return history[0].cost;
+  return part.cost ?? null;
+}
+
+// Value of the stock on the shelves, overall and grouped by `keyOf(part)`.
+// Units out on loan are reported separately; parts without a cost are
+// counted so the totals can be read as incomplete.
+function valueStock(parts, keyOf) {
+  const totals = { totalValue: 0, onLoanValue: 0, valuedParts: 0, unvaluedParts: 0 };
+  const groups = {};
+
+  parts.forEach(part => {
+    const key = keyOf ? keyOf(part) : null;
+    if (keyOf && !groups[key]) {
+      groups[key] = { totalValue: 0, unvaluedParts: 0 };
+    }
+    if (part.cost === null || part.cost === undefined) {
+      totals.unvaluedParts++;
+      if (keyOf) groups[key].unvaluedParts++;
+      return;
+    }
+
+    const value = (part.quantity || 0) * part.cost;
+    const onLoan = (part.checkouts || []).reduce((sum, checkout) => sum + (checkout.quantity || 0), 0) * part.cost;
+    totals.valuedParts++;
+    totals.totalValue += value;
+    totals.onLoanValue += onLoan;
+    if (keyOf) groups[key].totalValue += value;
+  });
+
+  totals.totalValue = roundCurrency(totals.totalValue);
+  totals.onLoanValue = roundCurrency(totals.onLoanValue);
+  Object.values(groups).forEach(group => {
+    group.totalValue = roundCurrency(group.totalValue);
+  });
+  return { totals, groups };
+}
+
+const emptyConsumption = () => ({
+  issuedUnits: 0,
+  issuedCost: 0,
+  checkedOutUnits: 0,
+  checkedOutCost: 0,
+  returnedUnits: 0,
+  returnedCost: 0,
+  netCost: 0,
+  uncostedUnits: 0
+});
+
+// Cost of what was issued and checked out between `from` and `to`, by
+// department, category and part. Returns of those checkouts are credited
+// back whenever they happened, so `netCost` is what did not come back.
+function buildConsumptionReport({ parts, transactions, employees }, { from, to }) {
+  const partsById = new Map(parts.map(part => [part.id, part]));
+  const departmentById = new Map(employees.map(employee => [employee.employeeId, employee.department || '']));
+
+  const returnedByCheckout = new Map();
+  transactions
+    .filter(t => t.action === 'checkin' && t.checkoutId)
+    .forEach(t => returnedByCheckout.set(t.checkoutId, (returnedByCheckout.get(t.checkoutId) || 0) + (t.quantity || 1)));
+
+  const totals = emptyConsumption();
+  const byDepartment = {};
+  const byCategory = {};
+  const byPart = {};
+
+  const add = (groups, key, fields, entry) => {
+    if (!groups[key]) groups[key] = { ...fields, ...emptyConsumption() };
+    Object.keys(entry).forEach(field => {
+      groups[key][field] += entry[field];
+    });
+  };
+
+  transactions
+    .filter(t => (t.action === 'issue' || t.action === 'checkout') && t.partId !== null && t.partId !== undefined)
+    .filter(t => {
+      const when = new Date(t.timestamp);
+      return when >= from && when <= to;
+    })
+    .forEach(t => {
+      const part = partsById.get(t.partId);
+      const units = t.quantity || 1;
+      const unitCost = t.unitCost ?? (part ? costAt(part, t.timestamp) : null);
+
+      // Units without a known cost still count, but add nothing to the cost
+      const costOf = (count) => unitCost === null ? 0 : count * unitCost;
+      const entry = emptyConsumption();
+      if (t.action === 'issue') {
+        entry.issuedUnits = units;
+        entry.issuedCost = costOf(units);
+      } else {
+        const returned = Math.min(units, returnedByCheckout.get(t.checkoutId) || 0);
+        entry.checkedOutUnits = units;
+        entry.checkedOutCost = costOf(units);
+        entry.returnedUnits = returned;
+        entry.returnedCost = costOf(returned);
+      }
+      entry.netCost = entry.issuedCost + entry.checkedOutCost - entry.returnedCost;
+      entry.uncostedUnits = unitCost === null ? units : 0;
+
+      const department = (t.employeeId && departmentById.get(t.employeeId)) || 'Unassigned';
+      const category = (part && part.category) || 'Uncategorized';
+      Object.keys(entry).forEach(field => {
+        totals[field] += entry[field];
+      });
+      add(byDepartment, department, { department }, entry);
+      add(byCategory, category, { category }, entry);
+      add(byPart, t.partId, {
+        partId: t.partId,
+        partNumber: t.partNumber,
+        description: part ? part.description : ''
+      }, entry);
+    });
+
+  const finish = (group) => {
+    ['issuedCost', 'checkedOutCost', 'returnedCost', 'netCost'].forEach(field => {
+      group[field] = roundCurrency(group[field]);
+    });
+    return group;
+  };
+  const sorted = (groups) => Object.values(groups).map(finish).sort((a, b) => b.netCost - a.netCost);
+
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    totals: finish(totals),
+    byDepartment: sorted(byDepartment),
+    byCategory: sorted(byCategory),
+    byPart: sorted(byPart),
+    reportGenerated: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  parseUnitCost,
+  costChange,
+  costAt,
+  valueStock,
+  buildConsumptionReport
+};
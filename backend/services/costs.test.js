@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseUnitCost, costChange, costAt, valueStock, buildConsumptionReport } = require('./costs');
+
+test('parseUnitCost rounds to cents and treats blank as no cost', () => {
+  assert.strictEqual(parseUnitCost('12.345'), 12.35);
+  assert.strictEqual(parseUnitCost(''), null);
+  assert.strictEqual(parseUnitCost(null), null);
+  assert.throws(() => parseUnitCost('-1'), /at least 0/);
+  assert.throws(() => parseUnitCost('abc'), /at least 0/);
+});
+
+test('costChange appends to the history only when the cost changes', () => {
+  const part = { cost: 5, costHistory: [{ cost: 5, changedAt: '2026-01-01T00:00:00.000Z' }] };
+
+  assert.deepStrictEqual(costChange(part, 5), {});
+  const change = costChange(part, 6, { user: 'amy', source: 'purchase_order', poNumber: 'PO-1', timestamp: '2026-02-01T00:00:00.000Z' });
+  assert.strictEqual(change.cost, 6);
+  assert.deepStrictEqual(change.costHistory[1], { cost: 6, changedAt: '2026-02-01T00:00:00.000Z', changedBy: 'amy', source: 'purchase_order', poNumber: 'PO-1' });
+  assert.strictEqual(costChange(null, 3).costHistory.length, 1);
+});
+
+test('costAt finds the cost that applied at a time', () => {
+  const part = {
+    cost: 9,
+    costHistory: [
+      { cost: 5, changedAt: '2026-01-01T00:00:00.000Z' },
+      { cost: 7, changedAt: '2026-02-01T00:00:00.000Z' }
+    ]
+  };
+
+  assert.strictEqual(costAt(part, '2026-01-15T00:00:00.000Z'), 5);
+  assert.strictEqual(costAt(part, '2026-03-01T00:00:00.000Z'), 7);
+  // Before any history the current cost is all there is
+  assert.strictEqual(costAt(part, '2025-12-01T00:00:00.000Z'), 9);
+});
+
+test('valueStock values shelf stock and loans, and counts parts without a cost', () => {
+  const parts = [
+    { category: 'Filters', quantity: 3, cost: 2.5, checkouts: [] },
+    { category: 'Tools', quantity: 1, cost: 40, checkouts: [{ quantity: 2 }] },
+    { category: 'Tools', quantity: 4, cost: null }
+  ];
+  const { totals, groups } = valueStock(parts, part => part.category);
+
+  assert.deepStrictEqual(totals, { totalValue: 47.5, onLoanValue: 80, valuedParts: 2, unvaluedParts: 1 });
+  assert.deepStrictEqual(groups, { Filters: { totalValue: 7.5, unvaluedParts: 0 }, Tools: { totalValue: 40, unvaluedParts: 1 } });
+});
+
+test('buildConsumptionReport credits returns and groups by department', () => {
+  const parts = [{ id: 1, partNumber: 'W-1', description: 'Wrench', category: 'Tools', cost: 10, costHistory: [] }];
+  const transactions = [
+    { action: 'checkout', partId: 1, partNumber: 'W-1', quantity: 3, checkoutId: 'a', employeeId: 'E1', unitCost: 12, timestamp: '2026-03-02T00:00:00.000Z' },
+    { action: 'checkin', partId: 1, quantity: 2, checkoutId: 'a', timestamp: '2026-04-10T00:00:00.000Z' },
+    { action: 'issue', partId: 1, partNumber: 'W-1', quantity: 1, timestamp: '2026-03-05T00:00:00.000Z' },
+    { action: 'issue', partId: 1, partNumber: 'W-1', quantity: 5, timestamp: '2026-05-01T00:00:00.000Z' }
+  ];
+  const report = buildConsumptionReport(
+    { parts, transactions, employees: [{ employeeId: 'E1', department: 'Shop' }] },
+    { from: new Date('2026-03-01T00:00:00.000Z'), to: new Date('2026-03-31T23:59:59.999Z') }
+  );
+
+  assert.strictEqual(report.totals.checkedOutCost, 36);
+  assert.strictEqual(report.totals.returnedCost, 24);
+  assert.strictEqual(report.totals.issuedCost, 10);
+  assert.strictEqual(report.totals.netCost, 22);
+  assert.deepStrictEqual(report.byDepartment.map(group => [group.department, group.netCost]), [['Shop', 12], ['Unassigned', 10]]);
+});
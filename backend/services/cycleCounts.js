@@ -0,0 +1,119 @@
+// Helpers for cycle counts.
+//
+// A session is opened for a set of shelves and lists every part on them.
+// Counters record what they find, a lead reviews the variances, and on
+// approval each variance is booked as a `count_adjustment`. Variances are
+// taken against the recorded stock at the moment each count was entered,
+// so checkouts during a count are not mistaken for missing stock.
+
+const { ValidationError, ConflictError } = require('../middleware/errorHandler');
+
+// The lines for a new session, from the shelf grouping of
+// buildLocationReport (services/locations.js)
+function buildCountLines(locationReport, shelves, openSessions = []) {
+  if (!Array.isArray(shelves) || shelves.length === 0) {
+    throw new ValidationError('Choose at least one shelf to count');
+  }
+
+  const lines = [];
+  shelves.forEach(shelf => {
+    const location = locationReport[shelf];
+    if (!location) {
+      throw new ValidationError(`Shelf ${shelf} has no parts to count`);
+    }
+    const busy = openSessions.find(session => session.shelves.includes(shelf));
+    if (busy) {
+      throw new ConflictError(`Shelf ${shelf} is already being counted in ${busy.sessionId}`);
+    }
+
+    location.parts
+      .slice()
+      .sort((a, b) => a.partNumber.localeCompare(b.partNumber))
+      .forEach(part => lines.push({
+        partId: part.id,
+        partNumber: part.partNumber,
+        description: part.description || '',
+        shelf,
+        expectedQuantity: part.quantity || 0,
+        countedQuantity: null,
+        systemQuantity: null,
+        countedBy: null,
+        countedAt: null,
+        adjusted: false
+      }));
+  });
+  return lines;
+}
+
+function parseCountedQuantity(value) {
+  const quantity = Number(value);
+  if (value === '' || value === null || value === undefined || !Number.isInteger(quantity) || quantity < 0) {
+    throw new ValidationError('Counted quantity must be a whole number of at least 0');
+  }
+  return quantity;
+}
+
+// The session's lines with one count recorded. Counting a part again
+// replaces the earlier count.
+function recordCount(session, part, countedQuantity, { user, timestamp = new Date().toISOString() }) {
+  if (session.status !== 'open') {
+    throw new ValidationError(`Session ${session.sessionId} is ${session.status}, counts can no longer change`);
+  }
+  if (!session.lines.some(line => line.partId === part.id)) {
+    throw new ValidationError(`${part.partNumber} is not part of this count`);
+  }
+
+  return session.lines.map(line => line.partId === part.id
+    ? {
+      ...line,
+      countedQuantity: parseCountedQuantity(countedQuantity),
+      systemQuantity: part.quantity || 0,
+      countedBy: user,
+      countedAt: timestamp
+    }
+    : line);
+}
+
+const lineVariance = (line) => line.countedQuantity === null || line.countedQuantity === undefined
+  ? null
+  : line.countedQuantity - line.systemQuantity;
+
+// Adds `variance` and its value to every line, plus totals for review
+function withVariances(session, parts) {
+  const costById = new Map(parts.map(part => [part.id, part.cost ?? null]));
+  const summary = { lines: session.lines.length, counted: 0, withVariance: 0, netUnits: 0, netValue: 0 };
+
+  const lines = session.lines.map(line => {
+    const variance = lineVariance(line);
+    const cost = costById.get(line.partId) ?? null;
+    const varianceValue = variance === null || cost === null ? null : Math.round(variance * cost * 100) / 100;
+    if (variance !== null) {
+      summary.counted++;
+      summary.netUnits += variance;
+      summary.netValue += varianceValue || 0;
+      if (variance !== 0) summary.withVariance++;
+    }
+    return { ...line, variance, varianceValue };
+  });
+
+  summary.netValue = Math.round(summary.netValue * 100) / 100;
+  return { ...session, lines, summary };
+}
+
+// The counted lines with a variance that approval should book, limited to
+// `partIds` when given
+function linesToAdjust(session, partIds) {
+  const wanted = Array.isArray(partIds) ? new Set(partIds.map(id => parseInt(id))) : null;
+  return session.lines.filter(line => {
+    const variance = lineVariance(line);
+    return variance !== null && variance !== 0 && !line.adjusted && (!wanted || wanted.has(line.partId));
+  });
+}
+
+module.exports = {
+  buildCountLines,
+  recordCount,
+  lineVariance,
+  withVariances,
+  linesToAdjust
+};
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildCountLines, recordCount, withVariances, linesToAdjust } = require('./cycleCounts');
+
+const locations = {
+  'A-01': { parts: [{ id: 2, partNumber: 'F-2', quantity: 4 }, { id: 1, partNumber: 'F-1', quantity: 6 }] },
+  'B-03': { parts: [{ id: 3, partNumber: 'W-1', quantity: 1 }] }
+};
+
+test('buildCountLines lists the parts of each shelf by part number', () => {
+  const lines = buildCountLines(locations, ['A-01']);
+
+  assert.deepStrictEqual(lines.map(line => [line.partId, line.expectedQuantity, line.countedQuantity]), [[1, 6, null], [2, 4, null]]);
+});
+
+test('buildCountLines refuses empty shelves and shelves already being counted', () => {
+  assert.throws(() => buildCountLines(locations, []), /at least one shelf/);
+  assert.throws(() => buildCountLines(locations, ['Z-9']), /Z-9 has no parts/);
+  assert.throws(() => buildCountLines(locations, ['B-03'], [{ sessionId: 'CC-1', shelves: ['B-03'] }]), /already being counted in CC-1/);
+});
+
+const session = () => ({ sessionId: 'CC-2', status: 'open', lines: buildCountLines(locations, ['A-01', 'B-03']) });
+
+test('recordCount takes the variance against the stock when the count was entered', () => {
+  const lines = recordCount(session(), { id: 1, partNumber: 'F-1', quantity: 5 }, '4', { user: 'amy', timestamp: '2026-03-01T00:00:00.000Z' });
+  const line = lines.find(item => item.partId === 1);
+
+  assert.deepStrictEqual([line.countedQuantity, line.systemQuantity, line.countedBy], [4, 5, 'amy']);
+});
+
+test('recordCount refuses bad counts, unknown parts and closed sessions', () => {
+  const part = { id: 1, partNumber: 'F-1', quantity: 5 };
+
+  assert.throws(() => recordCount(session(), part, '-1', { user: 'amy' }), /whole number/);
+  assert.throws(() => recordCount(session(), part, '', { user: 'amy' }), /whole number/);
+  assert.throws(() => recordCount(session(), { id: 9, partNumber: 'X-9' }, 1, { user: 'amy' }), /X-9 is not part of this count/);
+  assert.throws(() => recordCount({ ...session(), status: 'approved' }, part, 1, { user: 'amy' }), /counts can no longer change/);
+});
+
+test('withVariances and linesToAdjust cover the counted lines that differ', () => {
+  let counted = session();
+  counted = { ...counted, lines: recordCount(counted, { id: 1, partNumber: 'F-1', quantity: 6 }, 4, { user: 'amy' }) };
+  counted = { ...counted, lines: recordCount(counted, { id: 2, partNumber: 'F-2', quantity: 4 }, 4, { user: 'amy' }) };
+  counted = { ...counted, lines: recordCount(counted, { id: 3, partNumber: 'W-1', quantity: 1 }, 2, { user: 'amy' }) };
+
+  const { summary, lines } = withVariances(counted, [{ id: 1, cost: 2.5 }, { id: 3, cost: null }]);
+  assert.deepStrictEqual(summary, { lines: 3, counted: 3, withVariance: 2, netUnits: -1, netValue: -5 });
+  assert.deepStrictEqual(lines.map(line => [line.variance, line.varianceValue]), [[-2, -5], [0, null], [1, null]]);
+
+  assert.deepStrictEqual(linesToAdjust(counted).map(line => line.partId), [1, 3]);
+  assert.deepStrictEqual(linesToAdjust(counted, ['3']).map(line => line.partId), [3]);
+});
@@ -0,0 +1,144 @@
+// Excel workbooks for office staff: the parts, the transactions of a date
+// range, and the low-stock list.
+//
+// The parts workbook mirrors the import format: one sheet per category, named
+// after it, with the column headers services/imports.js recognises, so an
+// exported file can be edited and imported back. Custom attributes follow as
+// one column each, named after the attribute; the importer reads columns it
+// doesn't recognise as attributes by default. Sheet names are limited to 31
+// characters without []:*?/\, so a category that doesn't fit is shortened;
+// set the sheet's category when importing such a sheet back.
+
+const XLSX = require('xlsx');
+
+const MAX_SHEET_NAME = 31;
+
+// Columns of the parts sheets, with the headers the importer maps by default
+const PART_COLUMNS = [
+  { header: 'Part Number', value: part => part.partNumber },
+  { header: 'Description', value: part => part.description || '' },
+  { header: 'Shelf', value: part => part.shelf || '' },
+  { header: 'Rack', value: part => part.rack || '' },
+  { header: 'Series', value: part => part.series || '' },
+  { header: 'Item Type', value: part => part.itemType || 'returnable' },
+  { header: 'Quantity', value: part => part.quantity ?? 0 },
+  { header: 'Min Quantity', value: part => part.minQuantity ?? 1 },
+  { header: 'Unit Cost', value: part => part.cost ?? '' }
+];
+
+const TRANSACTION_COLUMNS = [
+  { header: 'Date', value: t => (t.timestamp ? new Date(t.timestamp) : '') },
+  { header: 'Action', value: t => t.action },
+  { header: 'Part Number', value: t => t.partNumber || '' },
+  { header: 'Quantity', value: t => t.quantity ?? '' },
+  { header: 'Quantity Before', value: t => t.quantityBefore ?? t.fromQuantity ?? '' },
+  { header: 'Quantity After', value: t => t.quantityAfter ?? t.toQuantity ?? '' },
+  { header: 'From', value: t => t.fromLocation || '' },
+  { header: 'To', value: t => t.toLocation || '' },
+  { header: 'User', value: t => t.user || '' },
+  { header: 'Employee ID', value: t => t.employeeId || '' },
+  { header: 'PO Number', value: t => t.poNumber || '' },
+  { header: 'Unit Cost', value: t => t.unitCost ?? '' },
+  { header: 'Notes', value: t => t.notes || '' }
+];
+
+// Series is listed so the importer doesn't read the Category column as the
+// series when the file comes back
+const LOW_STOCK_COLUMNS = [
+  { header: 'Part Number', value: part => part.partNumber },
+  { header: 'Description', value: part => part.description || '' },
+  { header: 'Category', value: part => part.category || 'Uncategorized' },
+  { header: 'Series', value: part => part.series || '' },
+  { header: 'Shelf', value: part => part.shelf || '' },
+  { header: 'Quantity', value: part => part.quantity ?? 0 },
+  { header: 'Min Quantity', value: part => part.minQuantity || 1 },
+  { header: 'Shortfall', value: part => Math.max((part.minQuantity || 1) - (part.quantity || 0), 0) },
+  { header: 'Supplier', value: part => part.supplier || '' },
+  { header: 'Unit Cost', value: part => part.cost ?? '' }
+];
+
+const isLowStock = (part) => part.quantity <= (part.minQuantity || 1);
+
+// A sheet name Excel accepts for `name`, not yet in `used`
+function sheetName(name, used) {
+  const base = String(name || '').replace(/[[\]:*?/\\]/g, '-').trim().slice(0, MAX_SHEET_NAME) || 'Sheet';
+  let candidate = base;
+  for (let copy = 2; used.has(candidate.toLowerCase()); copy++) {
+    const suffix = ` (${copy})`;
+    candidate = base.slice(0, MAX_SHEET_NAME - suffix.length) + suffix;
+  }
+  used.add(candidate.toLowerCase());
+  return candidate;
+}
+
+// A worksheet of `records` under the columns' headers, sized to its content
+function buildSheet(records, columns) {
+  const rows = [
+    columns.map(column => column.header),
+    ...records.map(record => columns.map(column => column.value(record)))
+  ];
+  const worksheet = XLSX.utils.aoa_to_sheet(rows, { cellDates: true, dateNF: 'yyyy-mm-dd hh:mm' });
+  worksheet['!cols'] = columns.map((column, index) => ({
+    wch: Math.min(Math.max(...rows.map(row => (row[index] instanceof Date ? 19 : String(row[index]).length))) + 2, 50)
+  }));
+  return worksheet;
+}
+
+const toBuffer = (workbook) => XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx', cellDates: true });
+
+const byPartNumber = (a, b) => String(a.partNumber).localeCompare(String(b.partNumber), undefined, { numeric: true });
+
+function buildPartsWorkbook(parts) {
+  const workbook = XLSX.utils.book_new();
+  const categories = new Map();
+  parts.forEach(part => {
+    const category = part.category || 'Uncategorized';
+    categories.set(category, [...(categories.get(category) || []), part]);
+  });
+
+  const used = new Set();
+  [...categories.keys()].sort().forEach(category => {
+    const categoryParts = categories.get(category).sort(byPartNumber);
+    const attributeNames = [...new Set(categoryParts.flatMap(part => Object.keys(part.attributes || {})))].sort();
+    const columns = [
+      ...PART_COLUMNS,
+      ...attributeNames.map(name => ({ header: name, value: part => (part.attributes || {})[name] || '' }))
+    ];
+    XLSX.utils.book_append_sheet(workbook, buildSheet(categoryParts, columns), sheetName(category, used));
+  });
+  if (workbook.SheetNames.length === 0) {
+    XLSX.utils.book_append_sheet(workbook, buildSheet([], PART_COLUMNS), 'Parts');
+  }
+  return toBuffer(workbook);
+}
+
+// Transactions from `from` to `to`, oldest first
+function buildTransactionsWorkbook(transactions, { from, to }) {
+  const inRange = transactions
+    .filter(t => {
+      const timestamp = new Date(t.timestamp);
+      return timestamp >= from && timestamp <= to;
+    })
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, buildSheet(inRange, TRANSACTION_COLUMNS), 'Transactions');
+  return toBuffer(workbook);
+}
+
+// Parts at or below their minimum quantity, as in the inventory report
+function buildLowStockWorkbook(parts) {
+  const lowStock = parts.filter(isLowStock).sort((a, b) =>
+    String(a.category || '').localeCompare(String(b.category || '')) || byPartNumber(a, b)
+  );
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, buildSheet(lowStock, LOW_STOCK_COLUMNS), 'Low Stock');
+  return toBuffer(workbook);
+}
+
+module.exports = {
+  buildPartsWorkbook,
+  buildTransactionsWorkbook,
+  buildLowStockWorkbook
+};
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildPartsWorkbook } = require('./exports');
+const { readWorkbook, readImportMapping, workbookRows, planImport } = require('./imports');
+
+const parts = [
+  {
+    id: 1, partNumber: 'FLT-100', description: 'Oil filter', category: 'Filters', shelf: 'A-01',
+    rack: 'R1', series: 'PACCAR', itemType: 'consumable', quantity: 12, minQuantity: 4, cost: 8.5,
+    attributes: { Thread: 'M20x1.5', Height: '120 mm' }
+  },
+  {
+    id: 2, partNumber: 'FLT-200', description: 'Fuel filter', category: 'Filters', shelf: 'A-08',
+    rack: '', series: '', itemType: 'consumable', quantity: 3, minQuantity: 2, cost: 14,
+    attributes: { Thread: 'M16x1.5' }
+  },
+  {
+    id: 3, partNumber: 'TQ-1', description: 'Torque wrench', category: 'Hand Tools', shelf: 'B-03',
+    rack: '', series: '', itemType: 'returnable', quantity: 2, minQuantity: 1, cost: null,
+    attributes: {}
+  }
+];
+
+const readBack = (mapping = {}) =>
+  workbookRows(readWorkbook(buildPartsWorkbook(parts), 'parts.xlsx'), readImportMapping(mapping));
+
+test('exported attribute columns are read back as attributes by default', () => {
+  const rows = readBack();
+  const filter = rows.find(row => row.partNumber === 'FLT-100');
+
+  assert.deepStrictEqual(filter.attributes, { Height: '120 mm', Thread: 'M20x1.5' });
+  assert.strictEqual(filter.category, 'Filters');
+  assert.strictEqual(rows.find(row => row.partNumber === 'TQ-1').attributes, undefined);
+});
+
+test('an exported workbook imported back over the same parts changes nothing', () => {
+  const plan = planImport(parts, readBack(), 'upsert');
+
+  assert.deepStrictEqual(plan.errors, []);
+  assert.deepStrictEqual(plan.create, []);
+  assert.deepStrictEqual(plan.update, []);
+  assert.deepStrictEqual(plan.skip.map(skip => skip.reason), ['Unchanged', 'Unchanged', 'Unchanged']);
+});
+
+test('edited attribute cells come back as attribute changes', () => {
+  const edited = parts.map(part => part.id === 2 ? { ...part, attributes: { Thread: 'M18x1.5' } } : part);
+  const rows = workbookRows(readWorkbook(buildPartsWorkbook(edited), 'parts.xlsx'), readImportMapping({}));
+  const plan = planImport(parts, rows, 'upsert');
+
+  assert.strictEqual(plan.update.length, 1);
+  assert.deepStrictEqual(plan.update[0].changes, [{ field: 'attributes.Thread', from: 'M16x1.5', to: 'M18x1.5' }]);
+});
+
+test('an explicit attribute list leaves the other columns out', () => {
+  const rows = readBack({ attributes: ['Thread'] });
+  assert.deepStrictEqual(rows.find(row => row.partNumber === 'FLT-100').attributes, { Thread: 'M20x1.5' });
+
+  const none = readBack({ attributes: [] });
+  assert.ok(none.every(row => row.attributes === undefined));
+});
@@ -0,0 +1,482 @@
+// Spreadsheet imports: reading a workbook's sheets, mapping their columns to
+// part fields, and planning what importing the rows would do.
+//
+// A mapping is { sheets: [{ name, category }], columns: [{ field, column }],
+// attributes: [column] }, as saved in an import profile. Without sheets
+// every sheet is read and named after its category; without columns each
+// sheet's columns are recognised by their headers. The columns listed in
+// `attributes` become custom attributes named after their headers; without
+// that list every column no field reads does, so the attribute columns of
+// an exported workbook come back as attributes.
+//
+// Modes:
+//   append - every row becomes a new part
+//   upsert - rows update the part with the same part number (compared
+//            without case) and the rest become new parts
+//   sync   - as upsert, and the parts of the imported categories that the
+//            sheet no longer lists are flagged as missing
+//
+// A plan is computed without writing anything, so the same plan is shown as
+// the preview and then carried out when the import is committed.
+//
+// CSV and TSV files are read as a workbook of one sheet named after the
+// file, so they go through the same mapping and checks.
+
+const XLSX = require('xlsx');
+const { ITEM_TYPES, IMPORT_FIELDS } = require('../models');
+const { ValidationError } = require('../middleware/errorHandler');
+const { parseUnitCost, costChange } = require('./costs');
+const { readAttributeName, readAttributes, mergeAttributes } = require('./attributes');
+const { getOpenCheckouts, deriveCheckoutState } = require('./checkouts');
+
+const IMPORT_MODES = ['append', 'upsert', 'sync'];
+
+const TEXT_FIELDS = ['partNumber', 'description', 'shelf', 'rack', 'series', 'category'];
+const COUNT_FIELDS = ['quantity', 'minQuantity'];
+
+// Header text that identifies a field's column when none is mapped
+const COLUMN_ALIASES = {
+  partNumber: ['Part #', 'Part Number', 'PartNumber', 'Part_#'],
+  description: ['Description', 'Desc', 'Part Description'],
+  shelf: ['Shelf', 'Location', 'Bin', 'Position'],
+  rack: ['Rack', 'Section', 'Area'],
+  quantity: ['Quantity', 'Qty', 'Stock', 'Count'],
+  series: ['Series', 'Model', 'Type', 'Category'],
+  minQuantity: ['Min Quantity', 'Min Qty', 'Minimum', 'Reorder Level'],
+  cost: ['Unit Cost', 'Cost', 'Price', 'Unit Price'],
+  itemType: ['Item Type', 'ItemType']
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const sameText = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+const DELIMITED_FILE = /\.(csv|tsv|txt)$/i;
+
+const DELIMITERS = [',', ';', '\t', '|'];
+
+const DELIMITER_NAMES = { ',': 'comma', ';': 'semicolon', '\t': 'tab', '|': 'pipe' };
+
+// The text of a delimited file and the encoding it was in: UTF-8 or UTF-16
+// when the file says so with a byte order mark, UTF-8 when it decodes as
+// such, and otherwise Windows-1252, which is what Excel writes on Windows
+function decodeText(buffer) {
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return { text: buffer.subarray(3).toString('utf8'), encoding: 'utf-8' };
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return { text: new TextDecoder('utf-16le').decode(buffer.subarray(2)), encoding: 'utf-16le' };
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return { text: new TextDecoder('utf-16be').decode(buffer.subarray(2)), encoding: 'utf-16be' };
+  }
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer), encoding: 'utf-8' };
+  } catch (error) {
+    return { text: new TextDecoder('windows-1252').decode(buffer), encoding: 'windows-1252' };
+  }
+}
+
+// Occurrences of `delimiter` in a line, outside quoted values
+function countDelimiter(line, delimiter) {
+  let count = 0;
+  let quoted = false;
+  for (const char of line) {
+    if (char === '"') quoted = !quoted;
+    else if (char === delimiter && !quoted) count++;
+  }
+  return count;
+}
+
+// The delimiter that splits the first lines into the same number of
+// columns most often, preferring the one that gives more columns. An Excel
+// `sep=` first line names it outright.
+function detectDelimiter(lines) {
+  const hint = /^sep=(.)$/i.exec(lines[0] || '');
+  if (hint) return hint[1];
+
+  let best = { delimiter: ',', consistent: 0, columns: 0 };
+  DELIMITERS.forEach(delimiter => {
+    const counts = lines.map(line => countDelimiter(line, delimiter));
+    const columns = Math.max(...counts, 0);
+    if (columns === 0) return;
+    const consistent = counts.filter(count => count === columns).length;
+    if (consistent > best.consistent || (consistent === best.consistent && columns > best.columns)) {
+      best = { delimiter, consistent, columns };
+    }
+  });
+  return best.delimiter;
+}
+
+// A CSV or TSV file as a SheetJS workbook of one sheet, named after the
+// file. Cells are kept as text so part numbers keep their leading zeros.
+// SheetJS drops a `sep=` line, which `skippedLines` counts so rows keep
+// the line numbers of the file.
+function readDelimitedFile(buffer, filename) {
+  const { text, encoding } = decodeText(buffer);
+  const lines = text.split(/\r\n|\n|\r/).filter(line => line.trim() !== '').slice(0, 20);
+  const delimiter = detectDelimiter(lines);
+
+  const workbook = XLSX.read(text, { type: 'string', FS: delimiter, raw: true });
+  const name = filename.replace(/^.*[\\/]/, '').replace(DELIMITED_FILE, '').trim() || 'Sheet1';
+  workbook.Sheets = { [name]: workbook.Sheets[workbook.SheetNames[0]] };
+  workbook.SheetNames = [name];
+  return {
+    workbook,
+    format: { delimiter: DELIMITER_NAMES[delimiter] || delimiter, encoding },
+    skippedLines: /^sep=.$/i.test(text.split(/\r\n|\n|\r/)[0]) ? 1 : 0
+  };
+}
+
+// The sheets of a workbook that have a header row and data below it:
+// [{ name, headers, rows: [{ line, cells }] }]. The header row is the first
+// that mentions a part, description or quantity; `line` is the row number
+// shown in the spreadsheet. Sheets read from a CSV or TSV file (told apart
+// by `filename`) also carry the `format` { delimiter, encoding } detected.
+function readWorkbook(buffer, filename = '') {
+  let workbook;
+  let format = null;
+  let skippedLines = 0;
+  try {
+    if (DELIMITED_FILE.test(filename)) {
+      ({ workbook, format, skippedLines } = readDelimitedFile(buffer, filename));
+    } else {
+      workbook = XLSX.read(buffer, { type: 'buffer' });
+    }
+  } catch (error) {
+    throw new ValidationError('The file could not be read as a spreadsheet');
+  }
+
+  return workbook.SheetNames.map(name => {
+    const worksheet = workbook.Sheets[name];
+    const firstLine = XLSX.utils.decode_range(worksheet['!ref'] || 'A1').s.r + 1 + skippedLines;
+    const cells = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '', blankrows: true });
+    const headerIndex = cells.findIndex(row => row.some(cell => /part|description|quantity/i.test(String(cell))));
+    if (headerIndex === -1) return null;
+
+    return {
+      name,
+      ...(format ? { format } : {}),
+      headers: cells[headerIndex].map(cell => String(cell).trim()),
+      rows: cells
+        .map((row, index) => ({ line: firstLine + index, cells: row }))
+        .slice(headerIndex + 1)
+        .filter(row => row.cells.some(cell => !isBlank(cell)))
+    };
+  }).filter(sheet => sheet && sheet.rows.length > 0);
+}
+
+// [{ field, column }] recognised from a sheet's headers: an exact alias
+// first, then a header containing one
+function guessColumns(headers) {
+  const columns = [];
+  Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+    const header = headers.find(candidate => aliases.some(alias => sameText(candidate, alias))) ||
+      headers.find(candidate => aliases.some(alias =>
+        candidate.toLowerCase().includes(alias.toLowerCase().replace(/[^a-z0-9]/g, ''))
+      ));
+    if (header) columns.push({ field, column: header });
+  });
+  return columns;
+}
+
+// A mapping from a request or profile, checked
+function readImportMapping(value) {
+  const mapping = value || {};
+  if (mapping.sheets !== undefined && !Array.isArray(mapping.sheets)) {
+    throw new ValidationError('Sheets must be a list');
+  }
+  if (mapping.columns !== undefined && !Array.isArray(mapping.columns)) {
+    throw new ValidationError('Columns must be a list');
+  }
+  if (mapping.attributes !== undefined && !Array.isArray(mapping.attributes)) {
+    throw new ValidationError('Attribute columns must be a list');
+  }
+
+  const sheets = (mapping.sheets || []).map(sheet => {
+    const name = String((sheet && sheet.name) || '').trim();
+    if (!name) throw new ValidationError('Every sheet needs a name');
+    return { name, category: String(sheet.category || '').trim() || name };
+  });
+  const columns = (mapping.columns || [])
+    .filter(column => column && !isBlank(column.column))
+    .map(column => {
+      if (!IMPORT_FIELDS.includes(column.field)) {
+        throw new ValidationError(`Column field must be one of: ${IMPORT_FIELDS.join(', ')}`);
+      }
+      return { field: column.field, column: String(column.column).trim() };
+    });
+  const fields = columns.map(column => column.field);
+  const repeated = fields.filter((field, index) => fields.indexOf(field) !== index);
+  if (repeated.length > 0) {
+    throw new ValidationError(`Map each field to one column: ${[...new Set(repeated)].join(', ')}`);
+  }
+  if (mapping.attributes === undefined) {
+    return { sheets, columns, attributes: undefined };
+  }
+  const attributes = [];
+  mapping.attributes.filter(column => !isBlank(column)).forEach(column => {
+    const name = readAttributeName(column);
+    if (columns.some(mapped => sameText(mapped.column, name))) {
+      throw new ValidationError(`Column ${name} is already mapped to a field`);
+    }
+    if (!attributes.some(existing => sameText(existing, name))) attributes.push(name);
+  });
+  return { sheets, columns, attributes };
+}
+
+// Headers no column reads that can name an attribute
+function unreadHeaders(headers, columns) {
+  const names = [];
+  headers.forEach(header => {
+    const name = String(header ?? '').trim();
+    if (!name || name.includes('.') || name.startsWith('$')) return;
+    if (columns.some(column => sameText(column.column, name)) || names.some(existing => sameText(existing, name))) return;
+    names.push(name);
+  });
+  return names;
+}
+
+// How a mapping reads one sheet: whether it is imported, the category its
+// parts get, its columns and attribute columns, and mapped columns the
+// sheet doesn't have
+function sheetMapping(sheet, mapping) {
+  const entry = mapping.sheets.length > 0
+    ? mapping.sheets.find(candidate => sameText(candidate.name, sheet.name))
+    : { category: sheet.name };
+  const columns = mapping.columns.length > 0 ? mapping.columns : guessColumns(sheet.headers);
+  const attributes = mapping.attributes
+    ? mapping.attributes.filter(name => !columns.some(column => sameText(column.column, name)))
+    : unreadHeaders(sheet.headers, columns);
+  return {
+    included: Boolean(entry),
+    category: entry ? entry.category : sheet.name,
+    columns,
+    attributes,
+    unmatchedColumns: [...columns.map(column => column.column), ...attributes]
+      .filter(column => !sheet.headers.some(header => sameText(header, column)))
+  };
+}
+
+// The import rows of the sheets a mapping includes, each with the sheet and
+// line it came from. A category column, when mapped, wins over the sheet's.
+function workbookRows(sheets, mapping) {
+  const rows = [];
+  sheets.forEach(sheet => {
+    const { included, category, columns, attributes } = sheetMapping(sheet, mapping);
+    if (!included) return;
+
+    const columnIndex = (column) => sheet.headers.findIndex(header => sameText(header, column));
+    const indexes = columns
+      .map(column => ({ field: column.field, index: columnIndex(column.column) }))
+      .filter(column => column.index !== -1);
+    const attributeIndexes = attributes
+      .map(name => ({ name, index: columnIndex(name) }))
+      .filter(attribute => attribute.index !== -1);
+    sheet.rows.forEach(({ line, cells }) => {
+      const row = { sheet: sheet.name, line, category };
+      indexes.forEach(({ field, index }) => {
+        if (!isBlank(cells[index])) row[field] = cells[index];
+      });
+      attributeIndexes.forEach(({ name, index }) => {
+        if (!isBlank(cells[index])) row.attributes = { ...row.attributes, [name]: cells[index] };
+      });
+      rows.push(row);
+    });
+  });
+  return rows;
+}
+
+// The fields a row gives values for. Blank cells are left out, so an update
+// only touches what the sheet actually says.
+function readImportRow(row) {
+  const fields = {};
+  TEXT_FIELDS.forEach(field => {
+    if (!isBlank(row[field])) fields[field] = String(row[field]).trim();
+  });
+  COUNT_FIELDS.forEach(field => {
+    if (isBlank(row[field])) return;
+    const count = parseInt(row[field]);
+    if (Number.isNaN(count) || count < 0) {
+      throw new ValidationError(`${field === 'quantity' ? 'Quantity' : 'Min quantity'} must be a whole number of at least 0`);
+    }
+    fields[field] = count;
+  });
+  if (!isBlank(row.cost)) {
+    fields.cost = parseUnitCost(row.cost);
+  }
+  if (!isBlank(row.itemType)) {
+    if (!ITEM_TYPES.includes(row.itemType)) {
+      throw new ValidationError(`Item type must be one of: ${ITEM_TYPES.join(', ')}`);
+    }
+    fields.itemType = row.itemType;
+  }
+  const attributes = Object.entries(readAttributes(row.attributes)).filter(([, value]) => value !== '');
+  if (attributes.length > 0) {
+    fields.attributes = Object.fromEntries(attributes);
+  }
+  if (!fields.partNumber && !fields.description) {
+    throw new ValidationError('Part must have either a part number or description');
+  }
+  return fields;
+}
+
+const partKey = (partNumber) => String(partNumber || '').trim().toLowerCase();
+
+const partSummary = (part) => ({ id: part.id, partNumber: part.partNumber, description: part.description || '' });
+
+// [{ field, from, to }] for the row's fields that differ from the part.
+// Attributes are compared one by one, as `attributes.<name>`.
+function diffImportFields(part, fields) {
+  const { attributes = {}, ...rest } = fields;
+  const current = part.attributes || {};
+  return [
+    ...Object.keys(rest)
+      .filter(field => (part[field] ?? null) !== rest[field])
+      .map(field => ({ field, from: part[field] ?? null, to: rest[field] })),
+    ...Object.keys(attributes)
+      .filter(name => (current[name] ?? null) !== attributes[name])
+      .map(name => ({ field: `attributes.${name}`, from: current[name] ?? null, to: attributes[name] }))
+  ];
+}
+
+// What importing `rows` into `existingParts` would do:
+// { mode, create: [{ row, fields }], update: [{ row, id, partNumber,
+// description, fields, changes }], skip: [{ row, partNumber, reason }],
+// missing: [part summary], errors: [{ row, error }] }. Rows are numbered
+// from 1 in the order given; rows read from a workbook also carry the
+// `sheet` and `line` they came from.
+function planImport(existingParts, rows, mode) {
+  if (!IMPORT_MODES.includes(mode)) {
+    throw new ValidationError(`Import mode must be one of: ${IMPORT_MODES.join(', ')}`);
+  }
+
+  const plan = { mode, create: [], update: [], skip: [], missing: [], errors: [] };
+  const byPartNumber = new Map();
+  existingParts.forEach(part => {
+    const key = partKey(part.partNumber);
+    if (key) byPartNumber.set(key, [...(byPartNumber.get(key) || []), part]);
+  });
+  const seenRows = new Map();
+  const matchedIds = new Set();
+  const categories = new Set();
+
+  rows.forEach((raw, index) => {
+    const row = index + 1;
+    const at = raw && raw.sheet ? { sheet: raw.sheet, line: raw.line } : {};
+    let fields;
+    try {
+      fields = readImportRow(raw || {});
+    } catch (error) {
+      if (!(error instanceof ValidationError)) throw error;
+      plan.errors.push({ row, ...at, error: error.message });
+      return;
+    }
+    if (fields.category) categories.add(fields.category.toLowerCase());
+
+    const key = partKey(fields.partNumber);
+    if (mode === 'append' || !key) {
+      plan.create.push({ row, ...at, fields });
+      return;
+    }
+
+    if (seenRows.has(key)) {
+      plan.skip.push({ row, ...at, partNumber: fields.partNumber, reason: `Same part number as ${seenRows.get(key)}` });
+      return;
+    }
+    seenRows.set(key, at.sheet ? `${at.sheet} row ${at.line}` : `row ${row}`);
+
+    const matches = byPartNumber.get(key) || [];
+    if (matches.length === 0) {
+      plan.create.push({ row, ...at, fields });
+      return;
+    }
+    matches.forEach(part => matchedIds.add(part.id));
+    if (matches.length > 1) {
+      plan.skip.push({ row, ...at, partNumber: fields.partNumber, reason: `${matches.length} parts have this part number (IDs ${matches.map(part => part.id).join(', ')})` });
+      return;
+    }
+
+    // The part keeps its own spelling of the part number
+    const [part] = matches;
+    const { partNumber, ...updateFields } = fields;
+    const changes = diffImportFields(part, updateFields);
+    if (changes.length === 0) {
+      plan.skip.push({ row, ...at, partNumber, reason: 'Unchanged' });
+    } else if (fields.itemType === 'consumable' && part.itemType !== 'consumable' && getOpenCheckouts(part).length > 0) {
+      plan.skip.push({ row, ...at, partNumber, reason: 'Has open loans, so it cannot become consumable' });
+    } else {
+      plan.update.push({ row, ...at, ...partSummary(part), fields: updateFields, changes });
+    }
+  });
+
+  if (mode === 'sync') {
+    plan.missing = existingParts
+      .filter(part => !matchedIds.has(part.id) && categories.has(String(part.category || '').toLowerCase()))
+      .map(partSummary);
+  }
+  return plan;
+}
+
+// A new part from a row's fields, with the defaults for what the sheet
+// leaves out
+function newImportedPart(id, fields, { user, timestamp }) {
+  const { cost, ...rest } = fields;
+  return {
+    id,
+    description: '',
+    shelf: 'TBD',
+    category: 'General',
+    itemType: 'returnable',
+    quantity: 1,
+    minQuantity: 1,
+    rack: '',
+    series: '',
+    attributes: {},
+    ...rest,
+    partNumber: fields.partNumber || '',
+    status: 'available',
+    checkedOutBy: null,
+    checkedOutDate: null,
+    ...(cost !== undefined ? costChange(null, cost, { source: 'import', user, timestamp }) : {}),
+    lastModified: timestamp,
+    modifiedBy: user
+  };
+}
+
+// The update that applies a planned row to its part, kept consistent the
+// same way as an edit through PUT /api/parts/:id. Attributes the row has
+// are set; the part keeps the others.
+function importUpdate(part, fields, { user, timestamp }) {
+  const { cost, ...updates } = fields;
+  if (cost !== undefined) {
+    Object.assign(updates, costChange(part, cost, { source: 'import', user, timestamp }));
+  }
+  if (updates.attributes !== undefined) {
+    updates.attributes = mergeAttributes(part.attributes, updates.attributes);
+  }
+  if (updates.quantity !== undefined) {
+    Object.assign(updates, deriveCheckoutState(updates.quantity, getOpenCheckouts(part)));
+  }
+  if (updates.shelf && updates.shelf !== part.shelf) {
+    updates.lastLocationChange = timestamp;
+    updates.previousLocation = part.shelf;
+  }
+  updates.lastModified = timestamp;
+  updates.modifiedBy = user;
+  return updates;
+}
+
+module.exports = {
+  IMPORT_MODES,
+  decodeText,
+  detectDelimiter,
+  readWorkbook,
+  readImportMapping,
+  sheetMapping,
+  workbookRows,
+  readImportRow,
+  planImport,
+  newImportedPart,
+  importUpdate
+};
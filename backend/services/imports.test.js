@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { decodeText, detectDelimiter, readWorkbook, readImportMapping, workbookRows, planImport } = require('./imports');
+
+test('decodeText follows a byte order mark', () => {
+  assert.deepStrictEqual(decodeText(Buffer.from('﻿Part #,Qty', 'utf8')), { text: 'Part #,Qty', encoding: 'utf-8' });
+
+  const utf16 = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('Größe', 'utf16le')]);
+  assert.deepStrictEqual(decodeText(utf16), { text: 'Größe', encoding: 'utf-16le' });
+});
+
+test('decodeText falls back to Windows-1252 when the bytes are not UTF-8', () => {
+  assert.deepStrictEqual(decodeText(Buffer.from('Größe', 'utf8')), { text: 'Größe', encoding: 'utf-8' });
+  assert.deepStrictEqual(decodeText(Buffer.from([0x47, 0x72, 0xf6, 0xdf, 0x65])), { text: 'Größe', encoding: 'windows-1252' });
+});
+
+test('detectDelimiter picks the delimiter that splits every line alike', () => {
+  assert.strictEqual(detectDelimiter(['Part #,Description,Qty', 'F-1,Oil filter,3']), ',');
+  assert.strictEqual(detectDelimiter(['Part #;Description;Qty', 'F-1;Filter, oil;3,5']), ';');
+  assert.strictEqual(detectDelimiter(['Part #\tDescription\tQty', 'F-1\tOil filter\t3']), '\t');
+});
+
+test('detectDelimiter ignores delimiters inside quotes and honours sep=', () => {
+  assert.strictEqual(detectDelimiter(['Part #|Description|Qty', 'F-1|"Filter, oil; 10 µm"|3']), '|');
+  assert.strictEqual(detectDelimiter(['sep=;', 'Part #,Description;Qty']), ';');
+});
+
+test('readWorkbook reads a CSV file as one sheet named after it, keeping line numbers', () => {
+  const csv = Buffer.from('sep=;\r\nPart #;Description;Qty\r\n007;Oil filter;3\r\n\r\nF-2;Fuel filter;1\r\n', 'utf8');
+  const [sheet] = readWorkbook(csv, 'uploads/Filters.csv');
+
+  assert.strictEqual(sheet.name, 'Filters');
+  assert.deepStrictEqual(sheet.format, { delimiter: 'semicolon', encoding: 'utf-8' });
+  assert.deepStrictEqual(sheet.headers, ['Part #', 'Description', 'Qty']);
+  assert.deepStrictEqual(sheet.rows.map(row => [row.line, row.cells[0]]), [[3, '007'], [5, 'F-2']]);
+});
+
+const existing = [
+  { id: 1, partNumber: 'F-1', description: 'Oil filter', category: 'Filters', shelf: 'A-01', quantity: 3, minQuantity: 1 },
+  { id: 2, partNumber: 'F-2', description: 'Fuel filter', category: 'Filters', shelf: 'A-01', quantity: 1, minQuantity: 1 },
+  { id: 3, partNumber: 'W-1', description: 'Wrench', category: 'Hand Tools', shelf: 'B-03', quantity: 2, minQuantity: 1 }
+];
+
+const rows = () => workbookRows(
+  readWorkbook(Buffer.from('Part #,Description,Qty\nf-1,Oil filter,5\nF-9,Air filter,2\nF-9,Air filter,4\nF-3,,x\n'), 'Filters.csv'),
+  readImportMapping({})
+);
+
+test('planImport in upsert mode updates by part number and creates the rest', () => {
+  const plan = planImport(existing, rows(), 'upsert');
+
+  assert.deepStrictEqual(plan.update.map(update => [update.id, update.changes]), [
+    [1, [{ field: 'quantity', from: 3, to: 5 }]]
+  ]);
+  assert.deepStrictEqual(plan.create.map(create => create.fields.partNumber), ['F-9']);
+  assert.deepStrictEqual(plan.skip.map(skip => skip.reason), ['Same part number as Filters row 3']);
+  assert.strictEqual(plan.errors.length, 1);
+  assert.strictEqual(plan.errors[0].line, 5);
+  assert.deepStrictEqual(plan.missing, []);
+});
+
+test('planImport in sync mode flags the parts of the imported categories the sheet no longer lists', () => {
+  const plan = planImport(existing, rows(), 'sync');
+  assert.deepStrictEqual(plan.missing.map(part => part.id), [2]);
+});
+
+test('planImport in append mode creates every row and rejects unknown modes', () => {
+  assert.strictEqual(planImport(existing, rows(), 'append').create.length, 3);
+  assert.throws(() => planImport(existing, rows(), 'replace'), /Import mode must be one of/);
+});
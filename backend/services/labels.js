@@ -0,0 +1,188 @@
+// Printable part and shelf labels.
+//
+// Labels are laid out on Avery-style sheets and carry a barcode or QR code
+// with the same text the scanner in the frontend expects (see
+// frontend/src/utils/labels.js): `PART:<partNumber>` or `SHELF:<shelf>`.
+
+const PDFDocument = require('pdfkit');
+const bwipjs = require('bwip-js');
+const { ValidationError } = require('../middleware/errorHandler');
+
+const PART_LABEL_PREFIX = 'PART:';
+const SHELF_LABEL_PREFIX = 'SHELF:';
+
+const INCH = 72;
+const MM = 72 / 25.4;
+
+// Sheet geometry in PDF points. `pitch` is the distance from one label to
+// the start of the next, which includes the gap between labels.
+const LABEL_TEMPLATES = {
+  '5160': {
+    name: 'Avery 5160 (30 per sheet, 2.625" x 1")',
+    pageSize: 'LETTER',
+    columns: 3,
+    rows: 10,
+    width: 2.625 * INCH,
+    height: 1 * INCH,
+    marginLeft: 0.1875 * INCH,
+    marginTop: 0.5 * INCH,
+    pitchX: 2.75 * INCH,
+    pitchY: 1 * INCH
+  },
+  '5163': {
+    name: 'Avery 5163 (10 per sheet, 4" x 2")',
+    pageSize: 'LETTER',
+    columns: 2,
+    rows: 5,
+    width: 4 * INCH,
+    height: 2 * INCH,
+    marginLeft: 0.15625 * INCH,
+    marginTop: 0.5 * INCH,
+    pitchX: 4.1875 * INCH,
+    pitchY: 2 * INCH
+  },
+  'L7160': {
+    name: 'Avery L7160 (21 per A4 sheet, 63.5 x 38.1 mm)',
+    pageSize: 'A4',
+    columns: 3,
+    rows: 7,
+    width: 63.5 * MM,
+    height: 38.1 * MM,
+    marginLeft: 7.2 * MM,
+    marginTop: 15.15 * MM,
+    pitchX: 66 * MM,
+    pitchY: 38.1 * MM
+  }
+};
+
+const DEFAULT_TEMPLATE = '5160';
+
+// bwip-js encoder names by the symbology a client asks for
+const SYMBOLOGIES = {
+  qr: 'qrcode',
+  code128: 'code128'
+};
+
+const DEFAULT_SYMBOLOGY = 'qr';
+
+const PADDING = 4;
+
+const encodePartLabel = (part) => `${PART_LABEL_PREFIX}${part.partNumber}`;
+const encodeShelfLabel = (shelfId) => `${SHELF_LABEL_PREFIX}${shelfId}`;
+
+// The label contents for a part: its code plus the lines printed beside it
+function partLabel(part) {
+  return {
+    code: encodePartLabel(part),
+    title: part.partNumber,
+    lines: [part.description, part.shelf ? `Shelf: ${part.shelf}` : ''].filter(Boolean)
+  };
+}
+
+// Shelves are stored by ID with the physical location as `name`
+function shelfLabel(shelfId, shelf = {}) {
+  return {
+    code: encodeShelfLabel(shelfId),
+    title: shelfId,
+    lines: [shelf.name && shelf.name !== shelfId ? shelf.name : '', shelf.description].filter(Boolean)
+  };
+}
+
+function renderCode(text, symbology) {
+  const options = { bcid: SYMBOLOGIES[symbology], text, scale: 3 };
+  if (symbology === 'code128') {
+    options.height = 8;
+  }
+  return bwipjs.toBuffer(options);
+}
+
+function drawText(doc, label, x, y, width, height) {
+  const titleSize = Math.min(14, Math.max(8, height / 5));
+  doc.font('Helvetica-Bold').fontSize(titleSize)
+    .text(label.title, x, y, { width, height: titleSize * 1.2, lineBreak: false, ellipsis: true });
+
+  const lineSize = Math.max(6, titleSize - 4);
+  let lineY = y + titleSize * 1.3;
+  doc.font('Helvetica').fontSize(lineSize);
+  for (const line of label.lines) {
+    const remaining = y + height - lineY;
+    if (remaining < lineSize) break;
+    // Descriptions may wrap onto a second line when the label has room
+    const lineHeight = Math.min(remaining, lineSize * 2.4);
+    doc.text(line, x, lineY, { width, height: lineHeight, ellipsis: true });
+    lineY = doc.y + 1;
+  }
+}
+
+async function drawLabel(doc, label, x, y, template, symbology) {
+  const innerX = x + PADDING;
+  const innerY = y + PADDING;
+  const innerWidth = template.width - PADDING * 2;
+  const innerHeight = template.height - PADDING * 2;
+  const image = await renderCode(label.code, symbology);
+
+  if (symbology === 'qr') {
+    // Square code on the left, text to its right
+    const size = innerHeight;
+    doc.image(image, innerX, innerY, { width: size, height: size });
+    drawText(doc, label, innerX + size + PADDING, innerY, innerWidth - size - PADDING, innerHeight);
+  } else {
+    // Text on top, barcode across the bottom half
+    const codeHeight = innerHeight / 2;
+    drawText(doc, label, innerX, innerY, innerWidth, innerHeight - codeHeight - 2);
+    doc.image(image, innerX, innerY + innerHeight - codeHeight, { width: innerWidth, height: codeHeight });
+  }
+}
+
+// Renders the labels onto as many sheets as needed and resolves to the PDF.
+// `skip` leaves that many positions blank at the start of the first sheet so
+// partly used sheets can be fed back through the printer.
+async function renderLabelSheet(labels, { template = DEFAULT_TEMPLATE, symbology = DEFAULT_SYMBOLOGY, skip = 0 } = {}) {
+  const layout = LABEL_TEMPLATES[template];
+  if (!layout) {
+    throw new ValidationError(`Template must be one of: ${Object.keys(LABEL_TEMPLATES).join(', ')}`);
+  }
+  if (!SYMBOLOGIES[symbology]) {
+    throw new ValidationError(`Code type must be one of: ${Object.keys(SYMBOLOGIES).join(', ')}`);
+  }
+  if (labels.length === 0) {
+    throw new ValidationError('Select at least one part or shelf to print');
+  }
+
+  const perSheet = layout.columns * layout.rows;
+  const doc = new PDFDocument({ size: layout.pageSize, margin: 0, autoFirstPage: false });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const offset = Math.min(Math.max(parseInt(skip, 10) || 0, 0), perSheet - 1);
+  for (let i = 0; i < labels.length; i++) {
+    const position = (i + offset) % perSheet;
+    if (i === 0 || position === 0) {
+      doc.addPage();
+    }
+    const column = position % layout.columns;
+    const row = Math.floor(position / layout.columns);
+    const x = layout.marginLeft + column * layout.pitchX;
+    const y = layout.marginTop + row * layout.pitchY;
+    await drawLabel(doc, labels[i], x, y, layout, symbology);
+  }
+
+  doc.end();
+  return finished;
+}
+
+module.exports = {
+  PART_LABEL_PREFIX,
+  SHELF_LABEL_PREFIX,
+  LABEL_TEMPLATES,
+  SYMBOLOGIES,
+  encodePartLabel,
+  encodeShelfLabel,
+  partLabel,
+  shelfLabel,
+  renderLabelSheet
+};
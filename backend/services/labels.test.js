@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { encodePartLabel, encodeShelfLabel, partLabel, shelfLabel, renderLabelSheet, LABEL_TEMPLATES } = require('./labels');
+
+const pageCount = (pdf) => (pdf.toString('latin1').match(/\/Type \/Page\b/g) || []).length;
+
+test('labels carry the codes the scanner reads', () => {
+  assert.strictEqual(encodePartLabel({ partNumber: 'F-1' }), 'PART:F-1');
+  assert.strictEqual(encodeShelfLabel('A-01'), 'SHELF:A-01');
+});
+
+test('a part label shows the description and shelf', () => {
+  assert.deepStrictEqual(partLabel({ partNumber: 'F-1', description: 'Oil filter', shelf: 'A-01' }), {
+    code: 'PART:F-1', title: 'F-1', lines: ['Oil filter', 'Shelf: A-01']
+  });
+  assert.deepStrictEqual(partLabel({ partNumber: 'F-2' }).lines, []);
+});
+
+test('a shelf label shows the location unless it is just the ID', () => {
+  assert.deepStrictEqual(shelfLabel('A-01', { name: 'North wall 1', description: 'Filters' }).lines, ['North wall 1', 'Filters']);
+  assert.deepStrictEqual(shelfLabel('A-01', { name: 'A-01' }).lines, []);
+  assert.deepStrictEqual(shelfLabel('A-01').lines, []);
+});
+
+test('renderLabelSheet starts a new sheet when one is full, after the skipped positions', async () => {
+  const perSheet = LABEL_TEMPLATES['5163'].columns * LABEL_TEMPLATES['5163'].rows;
+  const labels = Array.from({ length: perSheet }, (_, index) => partLabel({ partNumber: `F-${index}` }));
+
+  const full = await renderLabelSheet(labels, { template: '5163', symbology: 'code128' });
+  assert.strictEqual(full.subarray(0, 5).toString(), '%PDF-');
+  assert.strictEqual(pageCount(full), 1);
+
+  assert.strictEqual(pageCount(await renderLabelSheet(labels, { template: '5163', skip: 1 })), 2);
+});
+
+test('renderLabelSheet refuses unknown templates and code types, and nothing to print', async () => {
+  const labels = [shelfLabel('A-01')];
+  await assert.rejects(renderLabelSheet(labels, { template: '9999' }), /Template must be one of/);
+  await assert.rejects(renderLabelSheet(labels, { symbology: 'ean13' }), /Code type must be one of/);
+  await assert.rejects(renderLabelSheet([]), /at least one part or shelf/);
+});
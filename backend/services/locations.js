@@ -0,0 +1,33 @@
+// Parts grouped by the shelf they sit on. This is the `locationReport` of
+// the inventory report, and the shelf list cycle counts are opened from.
+
+const UNASSIGNED_SHELF = 'Unassigned';
+
+function buildLocationReport(parts, shelves) {
+  const locationReport = {};
+  parts.forEach(part => {
+    const shelf = part.shelf || UNASSIGNED_SHELF;
+    if (!locationReport[shelf]) {
+      locationReport[shelf] = {
+        shelfInfo: shelves[shelf] || { name: shelf, description: 'No description' },
+        parts: [],
+        totalQuantity: 0,
+        categories: new Set()
+      };
+    }
+    locationReport[shelf].parts.push(part);
+    locationReport[shelf].totalQuantity += part.quantity || 0;
+    locationReport[shelf].categories.add(part.category);
+  });
+
+  // Convert categories Set to Array for JSON serialization
+  Object.values(locationReport).forEach(location => {
+    location.categories = Array.from(location.categories);
+  });
+  return locationReport;
+}
+
+module.exports = {
+  UNASSIGNED_SHELF,
+  buildLocationReport
+};
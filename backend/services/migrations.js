@@ -0,0 +1,131 @@
+// Versions of the data format and the migrations between them.
+//
+// Each migration upgrades records from the version before it. A migration
+// only touches records still in the old shape, so running it over data that
+// is already current changes nothing; that lets the same registry upgrade an
+// old backup on restore and the live data at every startup.
+//
+// To change the shape of parts or transactions, add an entry with the next
+// version number.
+
+const { ValidationError } = require('../middleware/errorHandler');
+
+// Transaction types written by server-optimized.js, as actions
+const LEGACY_TRANSACTION_TYPES = {
+  part_created: 'created',
+  part_updated: 'updated',
+  part_deleted: 'deleted',
+  checkout: 'checkout',
+  checkin: 'checkin'
+};
+
+const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Transactions record `action` and `user` (older servers wrote `type` and `userId`)',
+    transactions: (transaction) => {
+      if (transaction.action && transaction.user && !('type' in transaction) && !('userId' in transaction)) {
+        return transaction;
+      }
+      const { type, userId, ...rest } = transaction;
+      return {
+        ...rest,
+        action: rest.action || LEGACY_TRANSACTION_TYPES[type] || 'updated',
+        user: rest.user || userId || 'System',
+        partNumber: rest.partNumber || 'UNKNOWN'
+      };
+    }
+  },
+  {
+    version: 3,
+    description: 'Parts carry `rack` and `series` from spreadsheet imports',
+    parts: (part) => typeof part.rack === 'string' && typeof part.series === 'string'
+      ? part
+      : { ...part, rack: part.rack ? String(part.rack) : '', series: part.series ? String(part.series) : '' }
+  },
+  {
+    version: 4,
+    description: 'Parts carry custom `attributes`',
+    parts: (part) => part.attributes && typeof part.attributes === 'object' && !Array.isArray(part.attributes)
+      ? part
+      : { ...part, attributes: {} }
+  }
+];
+
+const CURRENT_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// The format version a backup is in. Backups stamped '1.0', or not at all,
+// predate versioning.
+function backupVersion(backup) {
+  const version = backup && backup.version !== undefined ? parseInt(backup.version) : 1;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new ValidationError(`Unknown backup version: ${backup.version}`);
+  }
+  if (version > CURRENT_VERSION) {
+    throw new ValidationError(`Backup version ${version} is newer than this server supports (${CURRENT_VERSION})`);
+  }
+  return version;
+}
+
+const pendingMigrations = (fromVersion) => MIGRATIONS.filter(migration => migration.version > fromVersion);
+
+// Parts and transactions upgraded from `fromVersion` to the current format
+function migrateData(data, fromVersion = 1) {
+  return pendingMigrations(fromVersion).reduce((current, migration) => ({
+    ...current,
+    parts: migration.parts ? current.parts.map(migration.parts) : current.parts,
+    transactions: migration.transactions ? current.transactions.map(migration.transactions) : current.transactions
+  }), data);
+}
+
+// A backup in the current format, with the versions it was upgraded through
+function migrateBackup(backup) {
+  const fromVersion = backupVersion(backup);
+  return {
+    backup: { ...backup, version: CURRENT_VERSION, data: migrateData(backup.data, fromVersion) },
+    fromVersion,
+    applied: pendingMigrations(fromVersion).map(({ version, description }) => ({ version, description }))
+  };
+}
+
+const sameRecord = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// A transaction in the current format, or the transaction itself when it
+// already is
+function migrateTransaction(transaction) {
+  const [migrated] = migrateData({ parts: [], transactions: [transaction] }).transactions;
+  return sameRecord(migrated, transaction) ? transaction : migrated;
+}
+
+// Brings the live data up to date at startup. Only the records a migration
+// changed are written, each on its own; since migrations skip records that
+// are already current, a run cut short is finished by the next one.
+async function migrateStoredData(dbService) {
+  const parts = await dbService.getParts();
+  const { parts: migratedParts } = migrateData({ parts, transactions: [] });
+
+  let changedParts = 0;
+  for (const [index, part] of migratedParts.entries()) {
+    const original = parts[index];
+    const changes = {};
+    Object.keys(part)
+      .filter(field => !sameRecord(part[field], original[field]))
+      .forEach(field => { changes[field] = part[field]; });
+    if (Object.keys(changes).length > 0) {
+      await dbService.updatePart(part.id, changes);
+      changedParts++;
+    }
+  }
+
+  const changedTransactions = await dbService.rewriteTransactions(migrateTransaction);
+  return { parts: changedParts, transactions: changedTransactions };
+}
+
+module.exports = {
+  MIGRATIONS,
+  CURRENT_VERSION,
+  backupVersion,
+  migrateData,
+  migrateBackup,
+  migrateStoredData
+};
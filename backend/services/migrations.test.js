@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const DatabaseService = require('./DatabaseService');
+const { CURRENT_VERSION, backupVersion, migrateData, migrateBackup, migrateStoredData } = require('./migrations');
+
+const legacy = {
+  parts: [{ id: 1, partNumber: 'F-1', quantity: 2, rack: 7 }],
+  shelves: {},
+  transactions: [{ id: 1, type: 'part_created', userId: 'bob', partId: 1 }]
+};
+
+test('backupVersion reads unversioned and 1.0 backups as version 1', () => {
+  assert.strictEqual(backupVersion({}), 1);
+  assert.strictEqual(backupVersion({ version: '1.0' }), 1);
+  assert.strictEqual(backupVersion({ version: CURRENT_VERSION }), CURRENT_VERSION);
+  assert.throws(() => backupVersion({ version: CURRENT_VERSION + 1 }), /newer than this server supports/);
+  assert.throws(() => backupVersion({ version: 'x' }), /Unknown backup version/);
+});
+
+test('migrateData brings records of every older version up to date', () => {
+  const { parts, transactions } = migrateData(legacy);
+
+  assert.deepStrictEqual(parts, [{ id: 1, partNumber: 'F-1', quantity: 2, rack: '7', series: '', attributes: {} }]);
+  assert.deepStrictEqual(transactions, [{ id: 1, partId: 1, action: 'created', user: 'bob', partNumber: 'UNKNOWN' }]);
+});
+
+test('migrateData leaves current records alone', () => {
+  const current = migrateData(legacy);
+  assert.deepStrictEqual(migrateData(current), current);
+});
+
+test('migrateBackup reports the migrations it applied', () => {
+  const { backup, fromVersion, applied } = migrateBackup({ version: 2, data: legacy });
+
+  assert.strictEqual(fromVersion, 2);
+  assert.strictEqual(backup.version, CURRENT_VERSION);
+  assert.deepStrictEqual(applied.map(migration => migration.version), [3, 4]);
+  // Version 2 transactions are taken as they are
+  assert.deepStrictEqual(backup.data.transactions, legacy.transactions);
+});
+
+test('migrateStoredData rewrites only the records still in an old format', async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'database-'));
+  const current = { id: 2, action: 'checkout', user: 'amy', partNumber: 'F-1', timestamp: '2026-03-01T08:00:00.000Z' };
+  await fs.writeFile(path.join(directory, 'parts.json'), JSON.stringify(legacy.parts));
+  await fs.writeFile(path.join(directory, 'transactions.json'), JSON.stringify([current, ...legacy.transactions]));
+  const database = new DatabaseService(directory);
+
+  try {
+    assert.deepStrictEqual(await migrateStoredData(database), { parts: 1, transactions: 1 });
+    const transactions = await database.getTransactions();
+    assert.deepStrictEqual(transactions[0], current);
+    assert.deepStrictEqual([transactions[1].action, transactions[1].user], ['created', 'bob']);
+    assert.deepStrictEqual((await database.getPart(1)).rack, '7');
+
+    assert.deepStrictEqual(await migrateStoredData(database), { parts: 0, transactions: 0 });
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+});
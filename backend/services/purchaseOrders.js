@@ -0,0 +1,112 @@
+// Helpers for purchase orders and receiving.
+//
+// An order starts as a `draft` that can still be edited, is `sent` to the
+// supplier, and then moves to `partially_received` and `received` as
+// deliveries are booked in against its lines.
+
+const crypto = require('crypto');
+const { ValidationError } = require('../middleware/errorHandler');
+const { parseUnitCost } = require('./costs');
+
+const RECEIVABLE_STATUSES = ['sent', 'partially_received'];
+
+const outstandingQuantity = (line) => Math.max(0, line.quantityOrdered - (line.quantityReceived || 0));
+
+// Turns the requested lines ({ partId, quantity, unitCost }) into order
+// lines. Unit cost defaults to the part's current cost.
+function buildOrderLines(requestedLines, parts) {
+  if (!Array.isArray(requestedLines) || requestedLines.length === 0) {
+    throw new ValidationError('A purchase order needs at least one line');
+  }
+
+  const seen = new Set();
+  return requestedLines.map(requested => {
+    const part = parts.find(p => p.id === parseInt(requested.partId));
+    if (!part) {
+      throw new ValidationError(`Part ${requested.partId} does not exist`);
+    }
+    if (seen.has(part.id)) {
+      throw new ValidationError(`${part.partNumber} is on the order more than once`);
+    }
+    seen.add(part.id);
+
+    const quantity = Number(requested.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new ValidationError(`Quantity for ${part.partNumber} must be a whole number of at least 1`);
+    }
+
+    const unitCost = parseUnitCost(requested.unitCost);
+    return {
+      lineId: requested.lineId || crypto.randomUUID(),
+      partId: part.id,
+      partNumber: part.partNumber,
+      description: part.description || '',
+      quantityOrdered: quantity,
+      quantityReceived: 0,
+      unitCost: unitCost === null ? (part.cost ?? null) : unitCost
+    };
+  });
+}
+
+function deriveOrderStatus(lines) {
+  if (lines.every(line => outstandingQuantity(line) === 0)) return 'received';
+  if (lines.some(line => (line.quantityReceived || 0) > 0)) return 'partially_received';
+  return 'sent';
+}
+
+// Books a delivery against the order. `receipts` lists { lineId, quantity }
+// (and optionally the invoiced unitCost); without any, everything still
+// outstanding is received. Resolves to the order's new lines plus the
+// individual receipts, each with its line.
+function applyReceipt(order, receipts) {
+  if (!RECEIVABLE_STATUSES.includes(order.status)) {
+    throw new ValidationError(order.status === 'draft'
+      ? 'Send the purchase order before receiving against it'
+      : 'This purchase order has already been fully received');
+  }
+
+  const requested = Array.isArray(receipts) && receipts.length > 0
+    ? receipts
+    : order.lines
+      .filter(line => outstandingQuantity(line) > 0)
+      .map(line => ({ lineId: line.lineId, quantity: outstandingQuantity(line) }));
+
+  const lines = order.lines.map(line => ({ ...line }));
+  const received = [];
+
+  for (const receipt of requested) {
+    const line = lines.find(l => l.lineId === receipt.lineId);
+    if (!line) {
+      throw new ValidationError(`Line ${receipt.lineId} is not on ${order.poNumber}`);
+    }
+
+    const quantity = Number(receipt.quantity);
+    if (quantity === 0) continue;
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      throw new ValidationError(`Quantity received for ${line.partNumber} must be a whole number`);
+    }
+    if (quantity > outstandingQuantity(line)) {
+      throw new ValidationError(`Only ${outstandingQuantity(line)} of ${line.partNumber} are still outstanding`);
+    }
+
+    const unitCost = parseUnitCost(receipt.unitCost);
+    if (unitCost !== null) {
+      line.unitCost = unitCost;
+    }
+    line.quantityReceived = (line.quantityReceived || 0) + quantity;
+    received.push({ line, quantity });
+  }
+
+  if (received.length === 0) {
+    throw new ValidationError('Enter a quantity received for at least one line');
+  }
+
+  return { lines, received, status: deriveOrderStatus(lines) };
+}
+
+module.exports = {
+  outstandingQuantity,
+  buildOrderLines,
+  deriveOrderStatus,
+  applyReceipt
+};
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { outstandingQuantity, buildOrderLines, deriveOrderStatus, applyReceipt } = require('./purchaseOrders');
+
+const parts = [
+  { id: 1, partNumber: 'F-1', description: 'Oil filter', cost: 8.5 },
+  { id: 2, partNumber: 'F-2', description: 'Fuel filter', cost: null }
+];
+
+const line = (lineId, partNumber, quantityOrdered, quantityReceived) => ({ lineId, partNumber, quantityOrdered, quantityReceived });
+
+test('buildOrderLines prices lines at the part cost unless one is given', () => {
+  const lines = buildOrderLines([{ partId: 1, quantity: 4 }, { partId: '2', quantity: 2, unitCost: '14.999' }], parts);
+
+  assert.deepStrictEqual(lines.map(({ lineId, ...rest }) => rest), [
+    { partId: 1, partNumber: 'F-1', description: 'Oil filter', quantityOrdered: 4, quantityReceived: 0, unitCost: 8.5 },
+    { partId: 2, partNumber: 'F-2', description: 'Fuel filter', quantityOrdered: 2, quantityReceived: 0, unitCost: 15 }
+  ]);
+  assert.ok(lines.every(({ lineId }) => typeof lineId === 'string' && lineId.length > 0));
+});
+
+test('buildOrderLines refuses empty orders, unknown parts, repeats and bad quantities', () => {
+  assert.throws(() => buildOrderLines([], parts), /at least one line/);
+  assert.throws(() => buildOrderLines([{ partId: 9, quantity: 1 }], parts), /Part 9 does not exist/);
+  assert.throws(() => buildOrderLines([{ partId: 1, quantity: 1 }, { partId: 1, quantity: 2 }], parts), /F-1 is on the order more than once/);
+  assert.throws(() => buildOrderLines([{ partId: 1, quantity: 1.5 }], parts), /whole number of at least 1/);
+});
+
+test('deriveOrderStatus follows what has been received', () => {
+  assert.strictEqual(outstandingQuantity(line('a', 'F-1', 4, 1)), 3);
+  assert.strictEqual(deriveOrderStatus([line('a', 'F-1', 4, 0)]), 'sent');
+  assert.strictEqual(deriveOrderStatus([line('a', 'F-1', 4, 4), line('b', 'F-2', 2, 0)]), 'partially_received');
+  assert.strictEqual(deriveOrderStatus([line('a', 'F-1', 4, 4), line('b', 'F-2', 2, 2)]), 'received');
+});
+
+test('applyReceipt books part of a delivery, or everything outstanding', () => {
+  const order = { poNumber: 'PO-0001', status: 'sent', lines: [line('a', 'F-1', 4, 0), line('b', 'F-2', 2, 0)] };
+
+  const partial = applyReceipt(order, [{ lineId: 'a', quantity: 3, unitCost: 9 }, { lineId: 'b', quantity: 0 }]);
+  assert.strictEqual(partial.status, 'partially_received');
+  assert.deepStrictEqual(partial.received.map(receipt => [receipt.line.lineId, receipt.quantity, receipt.line.unitCost]), [['a', 3, 9]]);
+  // The order passed in is left as it was
+  assert.strictEqual(order.lines[0].quantityReceived, 0);
+
+  const rest = applyReceipt({ ...order, status: partial.status, lines: partial.lines });
+  assert.strictEqual(rest.status, 'received');
+  assert.deepStrictEqual(rest.received.map(receipt => [receipt.line.lineId, receipt.quantity]), [['a', 1], ['b', 2]]);
+});
+
+test('applyReceipt refuses orders not sent, over-deliveries and empty receipts', () => {
+  const order = { poNumber: 'PO-0001', status: 'sent', lines: [line('a', 'F-1', 4, 3)] };
+
+  assert.throws(() => applyReceipt({ ...order, status: 'draft' }), /Send the purchase order/);
+  assert.throws(() => applyReceipt({ ...order, status: 'received' }), /already been fully received/);
+  assert.throws(() => applyReceipt(order, [{ lineId: 'a', quantity: 2 }]), /Only 1 of F-1 are still outstanding/);
+  assert.throws(() => applyReceipt(order, [{ lineId: 'z', quantity: 1 }]), /Line z is not on PO-0001/);
+  assert.throws(() => applyReceipt(order, [{ lineId: 'a', quantity: 0 }]), /at least one line/);
+});
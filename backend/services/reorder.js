@@ -0,0 +1,137 @@
+// Reorder suggestions from usage history.
+//
+// Consumption is stock that leaves for good: units issued, plus units
+// checked out and never returned. Averaged over the look-back window it
+// gives a daily usage rate, and from that a reorder point per part:
+//
+//   reorder point = minQuantity + daily usage x supplier lead time
+//
+// A part needs ordering once its stock plus what is already on order falls
+// to that point. The suggested quantity then brings it up to the reorder
+// point plus `coverDays` worth of usage.
+
+const { outstandingQuantity } = require('./purchaseOrders');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OPEN_ORDER_STATUSES = ['draft', 'sent', 'partially_received'];
+
+// Lead time for suppliers without their own; see .env.example. Read per
+// report so a value from .env is picked up.
+const getDefaultLeadTimeDays = (env = process.env) => parseInt(env.DEFAULT_LEAD_TIME_DAYS) || 7;
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Units of each part consumed since `since`, by part id
+function consumptionByPart(transactions, since) {
+  const consumed = new Map();
+  const add = (partId, units) => consumed.set(partId, (consumed.get(partId) || 0) + units);
+
+  transactions
+    .filter(t => t.partId !== null && t.partId !== undefined && new Date(t.timestamp) >= since)
+    .forEach(t => {
+      const units = t.quantity || 1;
+      if (t.action === 'issue' || t.action === 'checkout') {
+        add(t.partId, units);
+      } else if (t.action === 'checkin') {
+        add(t.partId, -units);
+      }
+    });
+
+  // Returns of loans made before the window can push a part below zero
+  consumed.forEach((units, partId) => consumed.set(partId, Math.max(0, units)));
+  return consumed;
+}
+
+// Units still to arrive on open purchase orders, by part id
+function onOrderByPart(orders) {
+  const onOrder = new Map();
+  orders
+    .filter(order => OPEN_ORDER_STATUSES.includes(order.status))
+    .forEach(order => order.lines.forEach(line => {
+      onOrder.set(line.partId, (onOrder.get(line.partId) || 0) + outstandingQuantity(line));
+    }));
+  return onOrder;
+}
+
+// Parts are linked to suppliers by the supplier name stored on the part
+function findSupplier(suppliers, name) {
+  const wanted = String(name || '').trim().toLowerCase();
+  if (!wanted) return null;
+  return suppliers.find(supplier => supplier.name.trim().toLowerCase() === wanted) || null;
+}
+
+function buildReorderReport({ parts, transactions, suppliers, orders }, options = {}) {
+  const days = options.days || 90;
+  const coverDays = options.coverDays ?? 30;
+  const defaultLeadTimeDays = options.leadTimeDays ?? getDefaultLeadTimeDays();
+  const now = options.now || new Date();
+
+  const consumed = consumptionByPart(transactions, new Date(now.getTime() - days * DAY_MS));
+  const onOrder = onOrderByPart(orders);
+
+  const suggestions = [];
+  parts.forEach(part => {
+    const quantity = part.quantity || 0;
+    const minQuantity = part.minQuantity || 1;
+    const supplier = findSupplier(suppliers, part.supplier);
+    const leadTimeDays = supplier && supplier.leadTimeDays != null ? supplier.leadTimeDays : defaultLeadTimeDays;
+
+    const consumedUnits = consumed.get(part.id) || 0;
+    const dailyUsage = consumedUnits / days;
+    const reorderPoint = minQuantity + dailyUsage * leadTimeDays;
+    const partOnOrder = onOrder.get(part.id) || 0;
+    const projected = quantity + partOnOrder;
+
+    if (projected > reorderPoint) return;
+
+    const targetStock = reorderPoint + dailyUsage * coverDays;
+    const suggestedQuantity = Math.max(1, Math.ceil(targetStock - projected));
+    const daysUntilStockout = dailyUsage > 0 ? round(quantity / dailyUsage, 1) : null;
+
+    suggestions.push({
+      partId: part.id,
+      partNumber: part.partNumber,
+      description: part.description,
+      category: part.category,
+      shelf: part.shelf,
+      itemType: part.itemType || 'returnable',
+      supplier: supplier ? supplier.name : (part.supplier || null),
+      supplierId: supplier ? supplier.id : null,
+      quantity,
+      minQuantity,
+      onOrder: partOnOrder,
+      consumed: consumedUnits,
+      dailyUsage: round(dailyUsage, 3),
+      daysUntilStockout,
+      stockoutDate: daysUntilStockout === null ? null : new Date(now.getTime() + daysUntilStockout * DAY_MS).toISOString(),
+      leadTimeDays,
+      reorderPoint: Math.ceil(reorderPoint),
+      suggestedQuantity,
+      unitCost: part.cost ?? null,
+      estimatedCost: part.cost != null ? round(part.cost * suggestedQuantity) : null
+    });
+  });
+
+  // Soonest to run out first; parts with no recent usage after them
+  suggestions.sort((a, b) => {
+    if (a.daysUntilStockout === null && b.daysUntilStockout === null) return a.partNumber.localeCompare(b.partNumber);
+    if (a.daysUntilStockout === null) return 1;
+    if (b.daysUntilStockout === null) return -1;
+    return a.daysUntilStockout - b.daysUntilStockout;
+  });
+
+  return {
+    days,
+    coverDays,
+    defaultLeadTimeDays,
+    suggestions,
+    totalEstimatedCost: round(suggestions.reduce((sum, s) => sum + (s.estimatedCost || 0), 0)),
+    reportGenerated: now.toISOString()
+  };
+}
+
+module.exports = {
+  getDefaultLeadTimeDays,
+  consumptionByPart,
+  buildReorderReport
+};
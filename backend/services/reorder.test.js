@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { consumptionByPart, buildReorderReport, getDefaultLeadTimeDays } = require('./reorder');
+
+const now = new Date('2026-06-01T00:00:00.000Z');
+const daysAgo = (days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+test('consumptionByPart counts issues and unreturned checkouts in the window', () => {
+  const consumed = consumptionByPart([
+    { action: 'issue', partId: 1, quantity: 4, timestamp: daysAgo(10) },
+    { action: 'checkout', partId: 1, quantity: 2, timestamp: daysAgo(5) },
+    { action: 'checkin', partId: 1, quantity: 1, timestamp: daysAgo(2) },
+    { action: 'issue', partId: 1, quantity: 50, timestamp: daysAgo(200) },
+    // A return of a loan made before the window doesn't go below zero
+    { action: 'checkin', partId: 2, quantity: 3, timestamp: daysAgo(1) }
+  ], new Date(daysAgo(90)));
+
+  assert.strictEqual(consumed.get(1), 5);
+  assert.strictEqual(consumed.get(2), 0);
+});
+
+test('getDefaultLeadTimeDays reads DEFAULT_LEAD_TIME_DAYS', () => {
+  assert.strictEqual(getDefaultLeadTimeDays({}), 7);
+  assert.strictEqual(getDefaultLeadTimeDays({ DEFAULT_LEAD_TIME_DAYS: '12' }), 12);
+});
+
+test('buildReorderReport suggests parts at their reorder point, counting what is on order', () => {
+  const parts = [
+    // 90 used in 90 days: 1 a day, 14 days' lead time from its supplier
+    { id: 1, partNumber: 'F-1', quantity: 10, minQuantity: 5, supplier: 'Acme', cost: 2 },
+    // Same usage, but 20 more are already on order
+    { id: 2, partNumber: 'F-2', quantity: 10, minQuantity: 5, supplier: 'Acme' },
+    // Unused and well stocked
+    { id: 3, partNumber: 'F-3', quantity: 8, minQuantity: 2 }
+  ];
+  const transactions = [
+    { action: 'issue', partId: 1, quantity: 90, timestamp: daysAgo(30) },
+    { action: 'issue', partId: 2, quantity: 90, timestamp: daysAgo(30) }
+  ];
+  const suppliers = [{ id: 1, name: 'Acme', leadTimeDays: 14 }];
+  const orders = [{ status: 'sent', lines: [{ partId: 2, quantityOrdered: 25, quantityReceived: 5 }] }];
+
+  const report = buildReorderReport({ parts, transactions, suppliers, orders }, { now, leadTimeDays: 7 });
+
+  assert.deepStrictEqual(report.suggestions.map(s => s.partId), [1]);
+  const [suggestion] = report.suggestions;
+  assert.strictEqual(suggestion.reorderPoint, 19);
+  // Up to the reorder point plus 30 days' cover
+  assert.strictEqual(suggestion.suggestedQuantity, 39);
+  assert.strictEqual(suggestion.daysUntilStockout, 10);
+  assert.strictEqual(suggestion.supplierId, 1);
+  assert.strictEqual(report.totalEstimatedCost, 78);
+});
@@ -0,0 +1,265 @@
+// Helpers for restoring a backup: checking its data, picking out the
+// records of a selective restore, and describing what a restore would
+// change so it can be previewed before anything is written.
+
+const { ValidationError, ConflictError } = require('../middleware/errorHandler');
+const { getOpenCheckouts, getCheckedOutQuantity, deriveCheckoutState } = require('./checkouts');
+
+// Records a backup carries besides parts, shelves and transactions, by their
+// key in its data. Backups from before these were included don't have them.
+// Login sessions and the log of alerts already sent are left out; they only
+// matter to the running server.
+const RECORD_COLLECTIONS = [
+  'users', 'employees', 'suppliers', 'purchaseOrders', 'countSessions', 'notificationSubscriptions', 'importProfiles'
+];
+
+// Bookkeeping that differs between any two copies of the same record
+const IGNORED_FIELDS = new Set(['_id', '__v', 'createdAt', 'updatedAt', 'version']);
+
+function validateBackupData(data) {
+  if (!data || !Array.isArray(data.parts) || !data.shelves || typeof data.shelves !== 'object' || !Array.isArray(data.transactions)) {
+    throw new ValidationError('Invalid backup data format');
+  }
+  const malformed = RECORD_COLLECTIONS.filter(key => data[key] !== undefined && !Array.isArray(data[key]));
+  if (malformed.length > 0) {
+    throw new ValidationError(`Invalid backup data format: ${malformed.join(', ')} must be lists`);
+  }
+  return data;
+}
+
+// Backups leave out password hashes (see BackupService.buildBackup), so a
+// restored user keeps the password their account has now. A user with no
+// account now comes back without one and can't log in until an admin sets
+// a password.
+function withCurrentPasswords(users, currentUsers) {
+  const passwords = new Map(currentUsers.map(user => [user.username, user.passwordHash]));
+  return users.map(({ passwordHash, ...user }) => {
+    const current = passwords.get(user.username) || passwordHash;
+    return current ? { ...user, passwordHash: current } : user;
+  });
+}
+
+const canLogInAsAdmin = (user) => user.role === 'admin' && user.active !== false && Boolean(user.passwordHash);
+
+// The collections a full restore replaces, by key: those the backup has.
+// Users are left alone unless a restored admin could still log in, so a
+// restore can't lock everyone out.
+function restoredRecords(data, currentUsers = []) {
+  const records = Object.fromEntries(RECORD_COLLECTIONS
+    .filter(key => Array.isArray(data[key]))
+    .map(key => [key, data[key]]));
+  if (records.users) {
+    records.users = withCurrentPasswords(records.users, currentUsers);
+    if (!records.users.some(canLogInAsAdmin)) delete records.users;
+  }
+  return records;
+}
+
+// Arrays (checkouts, cost history) are summarised rather than listed
+function describeValue(value) {
+  if (value === undefined || value === null) return null;
+  if (Array.isArray(value)) return `${value.length} entr${value.length === 1 ? 'y' : 'ies'}`;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+// A missing field and an empty list mean the same thing
+const comparable = (value) => JSON.stringify(Array.isArray(value) && value.length === 0 ? null : value ?? null);
+
+// [{ field, from, to }] for every field that differs between two records
+function diffFields(current, incoming) {
+  const fields = new Set([...Object.keys(current), ...Object.keys(incoming)]);
+  return [...fields]
+    .filter(field => !IGNORED_FIELDS.has(field))
+    .filter(field => comparable(current[field]) !== comparable(incoming[field]))
+    .sort()
+    .map(field => ({ field, from: describeValue(current[field]), to: describeValue(incoming[field]) }));
+}
+
+// { partIds, shelfIds, category } of a selective restore, or null for a
+// full restore. IDs may be given as arrays or comma-separated strings.
+function parseRestoreScope(scope) {
+  if (scope === undefined || scope === null) return null;
+
+  const list = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+  const partIds = list(scope.partIds).map(id => parseInt(id));
+  if (partIds.some(Number.isNaN)) {
+    throw new ValidationError('Part IDs must be numbers');
+  }
+  const parsed = {
+    partIds,
+    shelfIds: list(scope.shelfIds),
+    category: String(scope.category || '').trim()
+  };
+  if (parsed.partIds.length === 0 && parsed.shelfIds.length === 0 && !parsed.category) {
+    throw new ValidationError('Choose the part IDs, shelf IDs or category to restore');
+  }
+  return parsed;
+}
+
+// The backup records a scope covers: the parts named by ID, the parts that
+// were on the named shelves or in the category when the backup was taken,
+// and the named shelves' own details where the backup has them.
+function selectScope(data, scope) {
+  const partIds = new Set(scope.partIds);
+  const shelfIds = new Set(scope.shelfIds);
+  const category = scope.category.toLowerCase();
+
+  const missingParts = scope.partIds.filter(id => !data.parts.some(part => part.id === id));
+  const missingShelves = scope.shelfIds.filter(id => !data.shelves[id] && !data.parts.some(part => part.shelf === id));
+  if (missingParts.length > 0 || missingShelves.length > 0) {
+    throw new ValidationError(`Not in this backup: ${[
+      ...missingParts.map(id => `part ${id}`),
+      ...missingShelves.map(id => `shelf ${id}`)
+    ].join(', ')}`);
+  }
+
+  const parts = data.parts.filter(part =>
+    partIds.has(part.id) ||
+    shelfIds.has(part.shelf) ||
+    (category && String(part.category || '').toLowerCase() === category)
+  );
+  if (parts.length === 0 && shelfIds.size === 0) {
+    throw new ValidationError(`The backup has no parts in category ${scope.category}`);
+  }
+  const shelves = {};
+  shelfIds.forEach(id => {
+    if (data.shelves[id]) shelves[id] = data.shelves[id];
+  });
+  return { parts, shelves };
+}
+
+// A backed-up part as a selective restore puts it back over `current`.
+// Loans are recorded as they happen and the restore leaves transactions
+// alone, so the part keeps the loans open now rather than the backup's, and
+// its shelf quantity is the backed-up stock less the units out on them.
+function withCurrentLoans(record, current) {
+  if (!current) return record;
+  const quantity = Math.max(0, (record.quantity || 0) + getCheckedOutQuantity(record) - getCheckedOutQuantity(current));
+  return { ...record, quantity, ...deriveCheckoutState(quantity, getOpenCheckouts(current)) };
+}
+
+// One message per selected part whose open loans differ from the backup's,
+// saying what the restore does about it
+function loanWarnings(current, selection) {
+  const currentParts = new Map(current.parts.map(part => [part.id, part]));
+  const loanIds = (part) => getOpenCheckouts(part).map(checkout => checkout.checkoutId).sort().join(',');
+  return selection.parts
+    .filter(record => currentParts.has(record.id) && loanIds(record) !== loanIds(currentParts.get(record.id)))
+    .map(record => {
+      const part = currentParts.get(record.id);
+      return `${record.partNumber}: ${getCheckedOutQuantity(part)} on loan now, ${getCheckedOutQuantity(record)} in the backup. ` +
+        `The current loans are kept and the shelf quantity becomes ${withCurrentLoans(record, part).quantity}.`;
+    });
+}
+
+// The current data with the selected records put back (parts keeping their
+// current loans). Everything else, transactions included, stays as it is now.
+function mergeScope(current, selection) {
+  const restored = new Map(selection.parts.map(part => [part.id, part]));
+  const currentIds = new Set(current.parts.map(part => part.id));
+
+  // A deleted part's ID can be given to a new part
+  const reused = current.parts.filter(part => restored.has(part.id) && restored.get(part.id).partNumber !== part.partNumber);
+  if (reused.length > 0) {
+    throw new ConflictError(`Part IDs now used by other parts: ${reused
+      .map(part => `${part.id} (${restored.get(part.id).partNumber} in the backup, ${part.partNumber} now)`)
+      .join(', ')}`);
+  }
+  return {
+    parts: [
+      ...current.parts.map(part => (restored.has(part.id) ? withCurrentLoans(restored.get(part.id), part) : part)),
+      ...selection.parts.filter(part => !currentIds.has(part.id))
+    ],
+    shelves: { ...current.shelves, ...selection.shelves },
+    transactions: current.transactions
+  };
+}
+
+// The update that turns `current` back into the backed-up `record`: its
+// fields, and null for fields the record didn't have yet
+function restorePatch(current, record) {
+  const patch = {};
+  Object.keys(current || {})
+    .filter(field => !IGNORED_FIELDS.has(field) && !(field in record))
+    .forEach(field => { patch[field] = null; });
+  Object.entries(record)
+    .filter(([field]) => !IGNORED_FIELDS.has(field))
+    .forEach(([field, value]) => { patch[field] = value; });
+  return patch;
+}
+
+const partSummary = (part) => ({ id: part.id, partNumber: part.partNumber, description: part.description || '' });
+
+// What restoring `incoming` over `current` would do. Parts are matched by id
+// and shelves by shelf ID; transactions and the other records are only
+// counted.
+function diffBackupData(current, incoming) {
+  const currentParts = new Map(current.parts.map(part => [part.id, part]));
+  const incomingParts = new Map(incoming.parts.map(part => [part.id, part]));
+
+  const parts = { added: [], removed: [], changed: [], unchanged: 0 };
+  incomingParts.forEach((part, id) => {
+    const existing = currentParts.get(id);
+    if (!existing) {
+      parts.added.push(partSummary(part));
+      return;
+    }
+    const fields = diffFields(existing, part);
+    if (fields.length > 0) {
+      parts.changed.push({ ...partSummary(part), fields });
+    } else {
+      parts.unchanged++;
+    }
+  });
+  currentParts.forEach((part, id) => {
+    if (!incomingParts.has(id)) parts.removed.push(partSummary(part));
+  });
+
+  const shelves = { added: [], removed: [], changed: [], unchanged: 0 };
+  Object.entries(incoming.shelves).forEach(([shelfId, shelf]) => {
+    const existing = current.shelves[shelfId];
+    if (!existing) {
+      shelves.added.push({ shelfId, name: shelf.name || shelfId });
+      return;
+    }
+    const fields = diffFields(existing, shelf);
+    if (fields.length > 0) {
+      shelves.changed.push({ shelfId, name: shelf.name || shelfId, fields });
+    } else {
+      shelves.unchanged++;
+    }
+  });
+  Object.entries(current.shelves).forEach(([shelfId, shelf]) => {
+    if (!incoming.shelves[shelfId]) shelves.removed.push({ shelfId, name: shelf.name || shelfId });
+  });
+
+  return {
+    parts,
+    shelves,
+    transactions: {
+      current: current.transactions.length,
+      restored: incoming.transactions.length,
+      delta: incoming.transactions.length - current.transactions.length
+    },
+    records: Object.fromEntries(Object.entries(restoredRecords(incoming, current.users || [])).map(([key, records]) => [
+      key,
+      { current: (current[key] || []).length, restored: records.length }
+    ]))
+  };
+}
+
+module.exports = {
+  RECORD_COLLECTIONS,
+  validateBackupData,
+  restoredRecords,
+  diffBackupData,
+  parseRestoreScope,
+  selectScope,
+  mergeScope,
+  withCurrentLoans,
+  loanWarnings,
+  restorePatch
+};
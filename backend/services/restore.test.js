@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  validateBackupData,
+  restoredRecords,
+  diffBackupData,
+  parseRestoreScope,
+  selectScope,
+  mergeScope,
+  withCurrentLoans,
+  loanWarnings,
+  restorePatch
+} = require('./restore');
+
+const loan = (checkoutId, user, quantity) => ({
+  checkoutId, user, quantity, checkedOutDate: '2026-03-01T08:00:00.000Z', dueDate: '2026-03-08T08:00:00.000Z', notes: ''
+});
+
+// Backed up with 5 on the shelf and nothing out
+const backedUp = {
+  id: 1, partNumber: 'TQ-1', description: 'Torque wrench', category: 'Hand Tools', shelf: 'B-03',
+  quantity: 5, status: 'available', checkedOutBy: null, checkedOutDate: null, checkouts: []
+};
+
+// Since then someone took 2, and the description was changed
+const current = {
+  ...backedUp, description: 'Torque wrench 1/2"', quantity: 3,
+  status: 'partially_checked_out', checkedOutBy: 'amy', checkedOutDate: '2026-03-01T08:00:00.000Z',
+  checkouts: [loan('c-1', 'amy', 2)]
+};
+
+test('a restored part keeps the loans opened since the backup', () => {
+  const restored = withCurrentLoans(backedUp, current);
+
+  assert.strictEqual(restored.description, 'Torque wrench');
+  assert.deepStrictEqual(restored.checkouts, current.checkouts);
+  assert.strictEqual(restored.quantity, 3);
+  assert.strictEqual(restored.status, 'partially_checked_out');
+  assert.strictEqual(restored.checkedOutBy, 'amy');
+});
+
+test('loans returned since the backup are not reopened', () => {
+  const lentOut = { ...backedUp, quantity: 4, status: 'partially_checked_out', checkedOutBy: 'bo', checkouts: [loan('c-0', 'bo', 1)] };
+  const restored = withCurrentLoans(lentOut, backedUp);
+
+  assert.deepStrictEqual(restored.checkouts, []);
+  assert.strictEqual(restored.quantity, 5);
+  assert.strictEqual(restored.status, 'available');
+  assert.strictEqual(restored.checkedOutBy, null);
+});
+
+test('the shelf quantity never goes below zero', () => {
+  const restored = withCurrentLoans({ ...backedUp, quantity: 1 }, { ...current, checkouts: [loan('c-1', 'amy', 4)] });
+
+  assert.strictEqual(restored.quantity, 0);
+  assert.strictEqual(restored.status, 'checked_out');
+});
+
+test('a deleted part is restored as backed up', () => {
+  assert.strictEqual(withCurrentLoans(backedUp, null), backedUp);
+});
+
+test('mergeScope and restorePatch put back the part with its current loans', () => {
+  const merged = mergeScope({ parts: [current], shelves: {}, transactions: [] }, { parts: [backedUp], shelves: {} });
+  assert.deepStrictEqual(merged.parts[0].checkouts, current.checkouts);
+
+  const patch = restorePatch(current, withCurrentLoans(backedUp, current));
+  assert.strictEqual(patch.quantity, 3);
+  assert.deepStrictEqual(patch.checkouts, current.checkouts);
+});
+
+test('loanWarnings lists the parts whose loans changed since the backup', () => {
+  const other = { ...backedUp, id: 2, partNumber: 'TQ-2' };
+  const warnings = loanWarnings({ parts: [current, other] }, { parts: [backedUp, other] });
+
+  assert.deepStrictEqual(warnings, [
+    'TQ-1: 2 on loan now, 0 in the backup. The current loans are kept and the shelf quantity becomes 3.'
+  ]);
+});
+
+test('restoredRecords replaces the collections a backup has, but never with no users', () => {
+  const data = { parts: [], shelves: {}, transactions: [], users: [], employees: [{ employeeId: 'E1', name: 'Amy' }], suppliers: [] };
+  const current = [{ username: 'admin', role: 'admin', passwordHash: 'scrypt$now' }];
+
+  assert.deepStrictEqual(restoredRecords(data, current), { employees: data.employees, suppliers: [] });
+  assert.deepStrictEqual(Object.keys(restoredRecords({ ...data, users: [{ username: 'admin', role: 'admin' }] }, current)), ['users', 'employees', 'suppliers']);
+});
+
+test('restored users keep the passwords they have now', () => {
+  const users = [
+    { username: 'admin', role: 'admin' },
+    { username: 'amy', role: 'technician', passwordHash: 'scrypt$then' },
+    { username: 'bob', role: 'lead' }
+  ];
+  const current = [
+    { username: 'admin', role: 'admin', passwordHash: 'scrypt$admin' },
+    { username: 'amy', role: 'technician', passwordHash: 'scrypt$amy' }
+  ];
+
+  assert.deepStrictEqual(restoredRecords({ users }, current).users, [
+    { username: 'admin', role: 'admin', passwordHash: 'scrypt$admin' },
+    { username: 'amy', role: 'technician', passwordHash: 'scrypt$amy' },
+    { username: 'bob', role: 'lead' }
+  ]);
+  // No restored admin could log in
+  assert.strictEqual(restoredRecords({ users }, []).users, undefined);
+});
+
+test('validateBackupData rejects record collections that are not lists', () => {
+  const data = { parts: [], shelves: {}, transactions: [] };
+
+  assert.strictEqual(validateBackupData(data), data);
+  assert.throws(() => validateBackupData({ ...data, suppliers: {} }), /suppliers must be lists/);
+});
+
+const backup = {
+  parts: [
+    { id: 1, partNumber: 'F-1', description: 'Oil filter', category: 'Filters', shelf: 'A-01', quantity: 4, version: 2 },
+    { id: 2, partNumber: 'F-2', description: 'Fuel filter', category: 'Filters', shelf: 'A-08', quantity: 1, version: 1 },
+    { id: 4, partNumber: 'W-1', description: 'Wrench', category: 'Hand Tools', shelf: 'B-03', quantity: 2, checkouts: [] }
+  ],
+  shelves: { 'A-01': { name: 'North wall 1' }, 'B-03': { name: 'East wall 3' } },
+  transactions: [{ id: 1 }, { id: 2 }]
+};
+
+const now = {
+  parts: [
+    { id: 1, partNumber: 'F-1', description: 'Oil filter', category: 'Filters', shelf: 'A-01', quantity: 4, version: 7 },
+    { id: 2, partNumber: 'F-2', description: 'Fuel filter, diesel', category: 'Filters', shelf: 'A-08', quantity: 0, version: 3 },
+    { id: 3, partNumber: 'G-1', description: 'Gloves', category: 'Safety', shelf: 'C-05', quantity: 9 }
+  ],
+  shelves: { 'A-01': { name: 'North wall 1' }, 'B-03': { name: 'East wall, bay 3' }, 'C-05': { name: 'South wall 5' } },
+  transactions: [{ id: 1 }, { id: 2 }, { id: 3 }]
+};
+
+test('diffBackupData lists added, removed and changed records', () => {
+  const diff = diffBackupData(now, backup);
+
+  assert.deepStrictEqual(diff.parts.added, [{ id: 4, partNumber: 'W-1', description: 'Wrench' }]);
+  assert.deepStrictEqual(diff.parts.removed, [{ id: 3, partNumber: 'G-1', description: 'Gloves' }]);
+  assert.deepStrictEqual(diff.parts.changed, [{
+    id: 2, partNumber: 'F-2', description: 'Fuel filter',
+    fields: [
+      { field: 'description', from: 'Fuel filter, diesel', to: 'Fuel filter' },
+      { field: 'quantity', from: 0, to: 1 }
+    ]
+  }]);
+  // Only the version differs, which doesn't count
+  assert.strictEqual(diff.parts.unchanged, 1);
+  assert.deepStrictEqual(diff.shelves.changed.map(shelf => shelf.shelfId), ['B-03']);
+  assert.deepStrictEqual(diff.shelves.removed, [{ shelfId: 'C-05', name: 'South wall 5' }]);
+  assert.deepStrictEqual(diff.transactions, { current: 3, restored: 2, delta: -1 });
+});
+
+test('parseRestoreScope reads lists and comma-separated IDs', () => {
+  assert.strictEqual(parseRestoreScope(undefined), null);
+  assert.deepStrictEqual(parseRestoreScope({ partIds: '1, 2', shelfIds: ['B-03'] }), { partIds: [1, 2], shelfIds: ['B-03'], category: '' });
+  assert.throws(() => parseRestoreScope({ partIds: 'one' }), /Part IDs must be numbers/);
+  assert.throws(() => parseRestoreScope({}), /Choose the part IDs/);
+});
+
+test('selectScope picks parts by ID, shelf and category, and the named shelves', () => {
+  const byShelf = selectScope(backup, { partIds: [], shelfIds: ['B-03'], category: '' });
+  assert.deepStrictEqual(byShelf.parts.map(part => part.id), [4]);
+  assert.deepStrictEqual(byShelf.shelves, { 'B-03': { name: 'East wall 3' } });
+
+  const byCategory = selectScope(backup, { partIds: [4], shelfIds: [], category: 'filters' });
+  assert.deepStrictEqual(byCategory.parts.map(part => part.id), [1, 2, 4]);
+  assert.deepStrictEqual(byCategory.shelves, {});
+});
+
+test('selectScope refuses what the backup does not have', () => {
+  assert.throws(() => selectScope(backup, { partIds: [3], shelfIds: ['Z-9'], category: '' }), /Not in this backup: part 3, shelf Z-9/);
+  assert.throws(() => selectScope(backup, { partIds: [], shelfIds: [], category: 'Safety' }), /no parts in category Safety/);
+});
+
+test('mergeScope refuses to restore over a part ID now used by another part', () => {
+  const reused = { ...now, parts: [...now.parts, { id: 4, partNumber: 'X-4', quantity: 1 }] };
+  assert.throws(() => mergeScope(reused, selectScope(backup, { partIds: [4], shelfIds: [], category: '' })), /4 \(W-1 in the backup, X-4 now\)/);
+});
@@ -258,7 +258,7 @@ async function handleBackgroundSync() {
   }
 }
 
-// Push notifications (future enhancement)
+// Push notifications: stock and overdue alerts sent by the server
 self.addEventListener('push', (event) => {
   if (event.data) {
     const data = event.data.json();
@@ -290,9 +290,9 @@ self.addEventListener('push', (event) => {
 self.addEventListener('notificationclick', (event) => {
   event.notification.close();
   
-  if (event.action === 'view') {
+  if (event.action !== 'close') {
     event.waitUntil(
-      clients.openWindow('/inventory')
+      clients.openWindow(event.notification.data.url || '/inventory')
     );
   }
 });
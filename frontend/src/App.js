@@ -1,5 +1,5 @@
 import React, { useState, useMemo, useEffect, useCallback, useRef } from 'react';
-import { Search, Package, MapPin, Clock, CheckCircle, AlertCircle, History, Plus, Minus, RefreshCw, Wifi, WifiOff, Edit, Trash2, X, Settings, Upload, Download, Share, BarChart3, Database, Camera, Eye, Shield, ExternalLink, Copy, Server, Globe } from 'lucide-react';
+import { Search, Package, MapPin, Clock, CheckCircle, AlertCircle, History, Plus, Minus, RefreshCw, Wifi, WifiOff, Edit, Trash2, X, Settings, Upload, Download, Share, BarChart3, Database, Camera, Eye, Shield, ExternalLink, Copy, Server, Globe, CalendarClock, LogIn, LogOut, IdCard, ScanLine, ShoppingCart, ClipboardCheck, Bell } from 'lucide-react';
 import { ThemeProvider } from './contexts/ThemeContext';
 import MobileNavigation from './components/MobileNavigation';
 import ThemeToggle from './components/ThemeToggle';
@@ -8,9 +8,22 @@ import LocationManager from './components/LocationManager';
 import AdvancedFilters from './components/AdvancedFilters';
 import InventoryReports from './components/InventoryReports';
 import DataManagement from './components/DataManagement';
+import OverdueLoans from './components/OverdueLoans';
+import ScannerView from './components/ScannerView';
+import CycleCounts from './components/CycleCounts';
+import PrintLabelsButton from './components/PrintLabelsButton';
+import PurchaseOrders from './components/PurchaseOrders';
+import NotificationSettings from './components/NotificationSettings';
+import EmployeeBadgeInput from './components/EmployeeBadgeInput';
+import EmployeeDirectory from './components/EmployeeDirectory';
 import EnhancedSearchBar from './components/EnhancedSearchBar';
+import PartAttributesInput from './components/PartAttributesInput';
 import { useEnhancedSearch } from './hooks/useEnhancedSearch';
 import pwaManager from './utils/pwa';
+import { getOpenCheckouts, getStatusLabel } from './utils/checkouts';
+import { toAttributeRows, fromAttributeRows } from './utils/attributes';
+import { findEmployee } from './utils/employees';
+import { loadSession, saveSession, clearSession, getAuthHeaders, hasPermission } from './utils/auth';
 
 // Camera Feed Component (simplified without hooks)
 const CameraFeed = ({ camera, onOpenCamera, onCopyUrl }) => {
@@ -65,7 +78,10 @@ const CameraFeed = ({ camera, onOpenCamera, onCopyUrl }) => {
 
 const InventorySystem = () => {
   const [selectedPart, setSelectedPart] = useState(null);
-  const [currentUser, setCurrentUser] = useState('');
+  const [currentUser, setCurrentUser] = useState(() => {
+    const session = loadSession();
+    return session ? session.user.displayName || session.user.username : '';
+  });
   const [showCheckoutModal, setShowCheckoutModal] = useState(false);
   const [showCheckinModal, setShowCheckinModal] = useState(false);
   const [activeView, setActiveView] = useState('inventory');
@@ -97,11 +113,14 @@ const InventorySystem = () => {
   const [showDeleteShelfConfirm, setShowDeleteShelfConfirm] = useState(false);
   const [shelfToDelete, setShelfToDelete] = useState(null);
 
-  // PIN Protection State
-  const [isManageUnlocked, setIsManageUnlocked] = useState(false);
-  const [showPinModal, setShowPinModal] = useState(false);
-  const [pinInput, setPinInput] = useState('');
-  const [pinError, setPinError] = useState('');
+  // Login State
+  const [authSession, setAuthSession] = useState(() => loadSession());
+  const [showLoginModal, setShowLoginModal] = useState(false);
+  const [pendingAction, setPendingAction] = useState(null);
+  const authUser = authSession ? authSession.user : null;
+  const authToken = authSession ? authSession.token : null;
+  const isManageUnlocked = !!authUser;
+  const can = (permission) => hasPermission(authUser, permission);
 
   // Image Modal State
   const [showImageModal, setShowImageModal] = useState(false);
@@ -111,11 +130,13 @@ const InventorySystem = () => {
   const [inventory, setInventory] = useState([]);
   const [transactionHistory, setTransactionHistory] = useState([]);
   const [dashboardStats, setDashboardStats] = useState({});
+  const [loanPolicy, setLoanPolicy] = useState({ default: 7 });
+  const [employees, setEmployees] = useState([]);
 
   // Enhanced Search Implementation (after inventory is declared)
   const enhancedSearch = useEnhancedSearch(
     inventory, 
-    ['partNumber', 'description', 'category', 'shelf'],
+    ['partNumber', 'description', 'category', 'shelf', 'rack', 'series', 'attributes.*'],
     '',
     300
   );
@@ -131,6 +152,10 @@ const InventorySystem = () => {
   // Location Manager State
   const [showLocationManager, setShowLocationManager] = useState(false);
 
+  // Parts and shelves ticked in the manage view for label printing
+  const [labelPartIds, setLabelPartIds] = useState([]);
+  const [labelShelfIds, setLabelShelfIds] = useState([]);
+
   // Advanced Filters State
   const [showAdvancedFilters, setShowAdvancedFilters] = useState(false);
   const [filteredInventory, setFilteredInventory] = useState([]);
@@ -142,12 +167,17 @@ const InventorySystem = () => {
   // Data Management State
   const [showDataManagement, setShowDataManagement] = useState(false);
 
+  // Employee Directory State
+  const [showEmployeeDirectory, setShowEmployeeDirectory] = useState(false);
+
+  // Purchase Orders State
+  const [showPurchaseOrders, setShowPurchaseOrders] = useState(false);
+
+  // Notification Settings State
+  const [showNotificationSettings, setShowNotificationSettings] = useState(false);
+
   // Camera Security State
-  const [showCameraPasswordModal, setShowCameraPasswordModal] = useState(false);
   const [showCameraFeeds, setShowCameraFeeds] = useState(false);
-  const [cameraPassword, setCameraPassword] = useState('');
-  const [cameraPasswordError, setCameraPasswordError] = useState('');
-  const [isCameraAuthenticated, setIsCameraAuthenticated] = useState(false);
   const [cameraErrors, setCameraErrors] = useState({});
   const [cameraStatus, setCameraStatus] = useState({});
   const [allowCameraAttempt, setAllowCameraAttempt] = useState(true);
@@ -171,16 +201,11 @@ const InventorySystem = () => {
           setShowCheckoutModal(false);
         } else if (showCheckinModal) {
           setShowCheckinModal(false);
-        } else if (showPinModal) {
-          setShowPinModal(false);
-          setPinInput('');
-          setPinError('');
+        } else if (showLoginModal) {
+          setShowLoginModal(false);
+          setPendingAction(null);
         } else if (showInstallInstructions) {
           setShowInstallInstructions(false);
-        } else if (showCameraPasswordModal) {
-          setShowCameraPasswordModal(false);
-          setCameraPassword('');
-          setCameraPasswordError('');
         } else if (showCameraFeeds) {
           setShowCameraFeeds(false);
         } else if (showEasterEgg) {
@@ -193,6 +218,12 @@ const InventorySystem = () => {
           setShowReports(false);
         } else if (showDataManagement) {
           setShowDataManagement(false);
+        } else if (showEmployeeDirectory) {
+          setShowEmployeeDirectory(false);
+        } else if (showPurchaseOrders) {
+          setShowPurchaseOrders(false);
+        } else if (showNotificationSettings) {
+          setShowNotificationSettings(false);
         } else if (showAddShelfModal) {
           setShowAddShelfModal(false);
         } else if (showEditShelfModal) {
@@ -214,10 +245,10 @@ const InventorySystem = () => {
     };
   }, [
     showImageModal, showDeleteConfirm, showAddPartModal, showEditPartModal,
-    showCheckoutModal, showCheckinModal, showPinModal, showInstallInstructions,
-    showCameraPasswordModal, showCameraFeeds, showEasterEgg, showExcelUpload,
-    showLocationManager, showReports, showDataManagement, showAddShelfModal,
-    showEditShelfModal, showDeleteShelfConfirm
+    showCheckoutModal, showCheckinModal, showLoginModal, showInstallInstructions,
+    showCameraFeeds, showEasterEgg, showExcelUpload,
+    showLocationManager, showReports, showDataManagement, showEmployeeDirectory, showPurchaseOrders,
+    showNotificationSettings, showAddShelfModal, showEditShelfModal, showDeleteShelfConfirm
   ]);
 
   const API_BASE_URL = process.env.REACT_APP_API_URL || 
@@ -229,15 +260,27 @@ const InventorySystem = () => {
   const apiCall = useCallback(async (endpoint, options = {}) => {
     try {
       const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+        ...options,
         headers: {
           'Content-Type': 'application/json',
+          ...getAuthHeaders(authToken),
           ...options.headers,
         },
-        ...options,
       });
 
+      // The session expired or was revoked; ask for a fresh login
+      if (response.status === 401 && authToken) {
+        clearSession();
+        setAuthSession(null);
+        setShowLoginModal(true);
+      }
+
       if (!response.ok) {
-        throw new Error(`API Error: ${response.status} ${response.statusText}`);
+        // Prefer the server's own error message when it sends one
+        const errorBody = await response.json().catch(() => ({}));
+        const apiError = new Error(errorBody.error || `API Error: ${response.status} ${response.statusText}`);
+        apiError.status = response.status;
+        throw apiError;
       }
 
       return await response.json();
@@ -254,7 +297,7 @@ const InventorySystem = () => {
       
       throw error;
     }
-  }, [API_BASE_URL]);
+  }, [API_BASE_URL, authToken]);
 
   // Fetch all parts with retry logic
   const fetchParts = useCallback(async (retryCount = 0) => {
@@ -303,6 +346,36 @@ const InventorySystem = () => {
     }
   }, [apiCall]);
 
+  // Loan period per category, used to suggest a return date at checkout
+  const fetchLoanPolicy = useCallback(async () => {
+    try {
+      const policy = await apiCall('/loans/policy');
+      setLoanPolicy(policy);
+    } catch (error) {
+      console.error('Failed to fetch loan policy');
+    }
+  }, [apiCall]);
+
+  const fetchEmployees = useCallback(async () => {
+    try {
+      const directory = await apiCall('/employees');
+      setEmployees(directory || []);
+    } catch (error) {
+      console.error('Failed to fetch employees');
+    }
+  }, [apiCall]);
+
+  // Reload a single part, e.g. after the server rejected a stale update
+  const refreshPart = useCallback(async (partId) => {
+    try {
+      const part = await apiCall(`/parts/${partId}`);
+      setInventory(prev => prev.map(item => item.id === partId ? part : item));
+      setSelectedPart(prev => prev?.id === partId ? part : prev);
+    } catch (error) {
+      console.error('Failed to refresh part');
+    }
+  }, [apiCall]);
+
   // Add new part
   const addPart = useCallback(async (partData) => {
     try {
@@ -432,57 +505,109 @@ const InventorySystem = () => {
     }
   }, [apiCall]);
 
-  // PIN Protection Functions
-  const handlePinSubmit = (e) => {
-    e.preventDefault();
-    const correctPin = '1971';
-    
-    if (pinInput === correctPin) {
-      setIsManageUnlocked(true);
-      setShowPinModal(false);
-      setPinInput('');
-      setPinError('');
-      setActiveView('manage');
+  // Login Functions
+  // Runs the action now when logged in, otherwise once the user has logged in
+  const requireLogin = (action) => {
+    if (authUser) {
+      action();
     } else {
-      setPinError('Incorrect PIN. Please try again.');
-      setPinInput('');
+      setPendingAction(() => action);
+      setShowLoginModal(true);
     }
   };
 
-  const handleManageClick = () => {
-    if (isManageUnlocked) {
-      setActiveView('manage');
-    } else {
-      setShowPinModal(true);
+  // Resolves to an error message when the login is rejected
+  const handleLogin = async (username, password) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password }),
+      });
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        return result.error || `Login failed: ${response.status} ${response.statusText}`;
+      }
+
+      saveSession(result);
+      setAuthSession(result);
+      setCurrentUser(result.user.displayName || result.user.username);
+      setShowLoginModal(false);
+      if (pendingAction) {
+        pendingAction();
+        setPendingAction(null);
+      }
+      return null;
+    } catch (error) {
+      return 'Unable to reach the server. Please try again.';
     }
   };
 
-  // Excel Import Function
-  const handleExcelImport = useCallback(async (partsData) => {
+  const handleLogout = async () => {
     try {
-      setLoading(true);
-      setError('');
-      
-      console.log('Starting Excel import with', partsData.length, 'parts');
-      
-      const formData = new FormData();
-      // Create a dummy file for the backend (actual parsing is done on frontend)
-      const blob = new Blob([''], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
-      formData.append('excelFile', blob, 'import.xlsx');
-      formData.append('partsData', JSON.stringify(partsData));
-
-      const response = await fetch(`${API_BASE_URL}/import/excel`, {
+      await fetch(`${API_BASE_URL}/auth/logout`, {
         method: 'POST',
-        body: formData,
+        headers: getAuthHeaders(authToken),
       });
+    } catch (error) {
+      // The session is dropped locally even if the server could not be reached
+    }
+    clearSession();
+    setAuthSession(null);
+    setShowCameraFeeds(false);
+    if (activeView === 'manage') {
+      setActiveView('inventory');
+    }
+  };
 
-      if (!response.ok) {
-        throw new Error(`Import failed: ${response.status} ${response.statusText}`);
-      }
+  const handleManageClick = () => {
+    requireLogin(() => setActiveView('manage'));
+  };
 
-      const result = await response.json();
+  // Sends a workbook to an import endpoint; the server reads it. `mapping`
+  // says which sheets and columns to use (see ExcelUpload).
+  const postWorkbook = useCallback(async (endpoint, file, { mapping, ...fields } = {}) => {
+    const formData = new FormData();
+    formData.append('excelFile', file, file.name);
+    if (mapping) {
+      formData.append('mapping', JSON.stringify(mapping));
+    }
+    Object.entries(fields).forEach(([name, value]) => formData.append(name, String(value)));
+
+    const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+      method: 'POST',
+      headers: getAuthHeaders(authToken),
+      body: formData,
+    });
+
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      throw new Error(body.error || `Request failed: ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+  }, [API_BASE_URL, authToken]);
+
+  const handleInspectWorkbook = useCallback(
+    (file, options) => postWorkbook('/import/excel/inspect', file, options),
+    [postWorkbook]
+  );
+
+  // Excel Import Function. With `preview` the server only plans the import
+  // and the plan is returned; nothing is saved.
+  const handleExcelImport = useCallback(async (file, { mode = 'append', preview = false, mapping } = {}) => {
+    try {
+      setLoading(true);
+      setError('');
+      
+      console.log(`Starting Excel import ${preview ? 'preview ' : ''}of`, file.name);
+      
+      const result = await postWorkbook('/import/excel', file, { mapping, mode, preview });
       console.log('Import result:', result);
       
+      if (result.preview) {
+        return result;
+      }
+      
       if (result.success) {
         // Refresh the inventory to show imported parts
         console.log('Refreshing inventory after import...');
@@ -507,7 +632,87 @@ const InventorySystem = () => {
     } finally {
       setLoading(false);
     }
-  }, [API_BASE_URL, fetchParts, fetchTransactions, fetchDashboardStats]);
+  }, [postWorkbook, fetchParts, fetchTransactions, fetchDashboardStats]);
+
+  // Downloads a PDF label sheet for the given parts and shelves
+  const handlePrintLabels = useCallback(async ({ partIds = [], shelfIds = [], template, code, skip }) => {
+    const params = new URLSearchParams({ template, code, skip: String(skip || 0) });
+    partIds.forEach(id => params.append('partIds', id));
+    shelfIds.forEach(id => params.append('shelfIds', id));
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/labels?${params}`, {
+        headers: getAuthHeaders(authToken)
+      });
+      if (!response.ok) {
+        const errorBody = await response.json().catch(() => ({}));
+        throw new Error(errorBody.error || `${response.status} ${response.statusText}`);
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `labels-${new Date().toISOString().split('T')[0]}.pdf`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Label printing failed:', error);
+      setError(`Failed to print labels: ${error.message}`);
+      throw error;
+    }
+  }, [API_BASE_URL, authToken]);
+
+  // Downloads a backup stored on the server
+  const handleDownloadBackup = useCallback(async (name) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/backup/files/${encodeURIComponent(name)}`, {
+        headers: getAuthHeaders(authToken)
+      });
+      if (!response.ok) {
+        const errorBody = await response.json().catch(() => ({}));
+        throw new Error(errorBody.error || `${response.status} ${response.statusText}`);
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = name;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Backup download failed:', error);
+      setError(`Failed to download backup: ${error.message}`);
+    }
+  }, [API_BASE_URL, authToken]);
+
+  // Downloads an Excel workbook: 'parts', 'transactions' or 'low-stock'
+  const handleExportWorkbook = useCallback(async (kind, params = {}) => {
+    const response = await fetch(`${API_BASE_URL}/export/xlsx/${kind}?${new URLSearchParams(params)}`, {
+      headers: getAuthHeaders(authToken)
+    });
+    if (!response.ok) {
+      const errorBody = await response.json().catch(() => ({}));
+      throw new Error(errorBody.error || `${response.status} ${response.statusText}`);
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = (disposition.match(/filename="([^"]+)"/) || [])[1] || `${kind}-${new Date().toISOString().split('T')[0]}.xlsx`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }, [API_BASE_URL, authToken]);
+
+  const toggleLabelSelection = (setSelection, id) => {
+    setSelection(prev => prev.includes(id) ? prev.filter(item => item !== id) : [...prev, id]);
+  };
 
   // Helper function to get shelf image path based on rack and shelf data
   const getShelfImagePath = useCallback((shelf, rack) => {
@@ -583,6 +788,7 @@ const InventorySystem = () => {
     fetchTransactions();
     fetchDashboardStats();
     fetchShelves();
+    fetchLoanPolicy();
 
     // Show splash screen for 2-3 seconds regardless of data loading
     setTimeout(() => {
@@ -648,7 +854,43 @@ const InventorySystem = () => {
       // Clear deferred prompt
       setDeferredPrompt(null);
     };
-  }, [fetchParts, fetchTransactions, fetchDashboardStats, fetchShelves]);
+  }, [fetchParts, fetchTransactions, fetchDashboardStats, fetchShelves, fetchLoanPolicy]);
+
+  // The employee directory is only readable once logged in
+  useEffect(() => {
+    if (authToken) {
+      fetchEmployees();
+    } else {
+      setEmployees([]);
+    }
+  }, [authToken, fetchEmployees]);
+
+  // Pick up role changes made since the session was saved
+  useEffect(() => {
+    if (!authToken) return;
+
+    fetch(`${API_BASE_URL}/auth/me`, { headers: getAuthHeaders(authToken) })
+      .then(response => {
+        if (response.status === 401) {
+          clearSession();
+          setAuthSession(null);
+          return null;
+        }
+        return response.ok ? response.json() : null;
+      })
+      .then(user => {
+        if (!user) return;
+        setAuthSession(prev => {
+          if (!prev || prev.token !== authToken) return prev;
+          const updated = { ...prev, user };
+          saveSession(updated);
+          return updated;
+        });
+      })
+      .catch(() => {
+        // Offline; keep the saved session
+      });
+  }, [API_BASE_URL, authToken]);
 
   // Ensure PWA loader is hidden once app is fully loaded
   useEffect(() => {
@@ -759,16 +1001,22 @@ const InventorySystem = () => {
     return null;
   };
 
-  const handleCheckout = async (notes = '') => {
-    if (!selectedPart || !currentUser) return;
+  // `borrower` is { employeeId } from a scanned badge, or { user } with a
+  // typed name while the employee directory is empty
+  const handleCheckout = async (notes = '', quantity = 1, borrower = { user: currentUser }, expectedReturnDate = null) => {
+    if (!selectedPart || !(borrower.employeeId || borrower.user)) return;
 
     try {
       setLoading(true);
-      const response = await apiCall(`/parts/${selectedPart.id}/checkout`, {
+      // Consumables are issued: stock goes down for good and nothing is owed back
+      const action = selectedPart.itemType === 'consumable' ? 'issue' : 'checkout';
+      const response = await apiCall(`/parts/${selectedPart.id}/${action}`, {
         method: 'POST',
         body: JSON.stringify({
-          user: currentUser,
-          notes: notes
+          ...borrower,
+          quantity: quantity,
+          notes: notes,
+          ...(expectedReturnDate && { expectedReturnDate })
         })
       });
 
@@ -786,22 +1034,27 @@ const InventorySystem = () => {
       fetchDashboardStats();
       
     } catch (error) {
-      // Error already handled in apiCall
+      // Error already handled in apiCall; a conflict means our copy is stale
+      if (error.status === 409) {
+        refreshPart(selectedPart.id);
+      }
     } finally {
       setLoading(false);
     }
   };
 
-  const handleCheckin = async (notes = '') => {
-    if (!selectedPart || !currentUser) return;
+  const handleCheckin = async (notes = '', checkoutId = null, quantity = null, borrower = { user: currentUser }) => {
+    if (!selectedPart || !(borrower.employeeId || borrower.user)) return;
 
     try {
       setLoading(true);
       const response = await apiCall(`/parts/${selectedPart.id}/checkin`, {
         method: 'POST',
         body: JSON.stringify({
-          user: currentUser,
-          notes: notes
+          ...borrower,
+          notes: notes,
+          ...(checkoutId && { checkoutId }),
+          ...(quantity && { quantity })
         })
       });
 
@@ -819,7 +1072,10 @@ const InventorySystem = () => {
       fetchDashboardStats();
       
     } catch (error) {
-      // Error already handled in apiCall
+      // Error already handled in apiCall; a conflict means our copy is stale
+      if (error.status === 409) {
+        refreshPart(selectedPart.id);
+      }
     } finally {
       setLoading(false);
     }
@@ -981,36 +1237,12 @@ const InventorySystem = () => {
 
   // Camera Security Functions
   const handleCameraAccess = () => {
-    if (isCameraAuthenticated) {
+    requireLogin(() => {
       setShowCameraFeeds(true);
       // Reset camera status when opening feeds
       setCameraErrors({});
       setCameraStatus({});
-    } else {
-      setShowCameraPasswordModal(true);
-    }
-  };
-
-  const handleCameraPasswordSubmit = (e) => {
-    e.preventDefault();
-    if (cameraPassword === 'MERICA!') {
-      setIsCameraAuthenticated(true);
-      setShowCameraPasswordModal(false);
-      setShowCameraFeeds(true);
-      setCameraPassword('');
-      setCameraPasswordError('');
-      // Reset camera status when authenticated
-      setCameraErrors({});
-      setCameraStatus({});
-    } else {
-      setCameraPasswordError('Incorrect password');
-    }
-  };
-
-  const handleCloseCameraModal = () => {
-    setShowCameraPasswordModal(false);
-    setCameraPassword('');
-    setCameraPasswordError('');
+    });
   };
 
   const handleCameraError = (cameraId, error) => {
@@ -1039,6 +1271,20 @@ const InventorySystem = () => {
   const CheckoutModal = () => {
     const [notes, setNotes] = useState('');
     const [userName, setUserName] = useState(currentUser || '');
+    const [badge, setBadge] = useState('');
+    const useDirectory = employees.length > 0;
+    const employee = findEmployee(employees, badge);
+    const borrowerValid = useDirectory ? !!employee : !!userName.trim();
+    const [quantity, setQuantity] = useState(1);
+    const maxQuantity = selectedPart?.quantity || 0;
+    const quantityValid = Number.isInteger(quantity) && quantity >= 1 && quantity <= maxQuantity;
+    const isConsumable = selectedPart?.itemType === 'consumable';
+    const [returnDate, setReturnDate] = useState(() => {
+      const loanDays = loanPolicy[selectedPart?.category] || loanPolicy.default || 7;
+      const due = new Date();
+      due.setDate(due.getDate() + loanDays);
+      return `${due.getFullYear()}-${String(due.getMonth() + 1).padStart(2, '0')}-${String(due.getDate()).padStart(2, '0')}`;
+    });
     
     return (
       <div 
@@ -1052,24 +1298,57 @@ const InventorySystem = () => {
         <div 
           className="bg-white dark:bg-gray-800 rounded-lg p-6 w-full max-w-md mx-4"
         >
-          <h3 className="text-lg font-semibold mb-4 text-gray-900 dark:text-gray-100">Check Out Part</h3>
+          <h3 className="text-lg font-semibold mb-4 text-gray-900 dark:text-gray-100">{isConsumable ? 'Issue Part' : 'Check Out Part'}</h3>
           <div className="mb-4">
             <p className="text-sm text-gray-600 dark:text-gray-400">Part: {selectedPart?.partNumber}</p>
             <p className="text-sm text-gray-600 dark:text-gray-400">Available Quantity: {selectedPart?.quantity}</p>
           </div>
           <div className="mb-4">
             <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-              Your Name *
+              Quantity *
             </label>
             <input
-              type="text"
-              value={userName}
-              onChange={(e) => setUserName(e.target.value)}
+              type="number"
+              min="1"
+              max={maxQuantity}
+              value={quantity}
+              onChange={(e) => setQuantity(parseInt(e.target.value) || 0)}
               className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-red-500 focus:border-red-500"
-              placeholder="Enter your name"
-              required
             />
+            {!quantityValid && (
+              <p className="text-xs text-red-600 mt-1">Enter a quantity between 1 and {maxQuantity}</p>
+            )}
           </div>
+          {useDirectory ? (
+            <EmployeeBadgeInput employees={employees} badge={badge} onChange={setBadge} />
+          ) : (
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Your Name *
+              </label>
+              <input
+                type="text"
+                value={userName}
+                onChange={(e) => setUserName(e.target.value)}
+                className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-red-500 focus:border-red-500"
+                placeholder="Enter your name"
+                required
+              />
+            </div>
+          )}
+          {!isConsumable && (
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Expected Return Date
+              </label>
+              <input
+                type="date"
+                value={returnDate}
+                onChange={(e) => setReturnDate(e.target.value)}
+                className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-red-500 focus:border-red-500"
+              />
+            </div>
+          )}
           <div className="mb-4">
             <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
               Notes (Optional)
@@ -1085,15 +1364,23 @@ const InventorySystem = () => {
           <div className="flex space-x-3">
             <button
               onClick={() => {
-                if (userName.trim()) {
-                  setCurrentUser(userName.trim());
-                  handleCheckout(notes);
+                if (borrowerValid && quantityValid) {
+                  // Due at the end of the chosen day, local time
+                  const expectedReturnDate = !isConsumable && returnDate
+                    ? new Date(`${returnDate}T23:59:59`).toISOString()
+                    : null;
+                  if (useDirectory) {
+                    handleCheckout(notes, quantity, { employeeId: employee.employeeId }, expectedReturnDate);
+                  } else {
+                    setCurrentUser(userName.trim());
+                    handleCheckout(notes, quantity, { user: userName.trim() }, expectedReturnDate);
+                  }
                 }
               }}
-              disabled={loading || !userName.trim()}
+              disabled={loading || !borrowerValid || !quantityValid}
               className="flex-1 bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700 disabled:bg-gray-400 disabled:cursor-not-allowed flex items-center justify-center"
             >
-              {loading ? <RefreshCw className="w-4 h-4 animate-spin" /> : 'Confirm Checkout'}
+              {loading ? <RefreshCw className="w-4 h-4 animate-spin" /> : (isConsumable ? 'Confirm Issue' : 'Confirm Checkout')}
             </button>
             <button
               onClick={() => setShowCheckoutModal(false)}
@@ -1109,8 +1396,20 @@ const InventorySystem = () => {
   };
 
   const CheckinModal = () => {
+    const openCheckouts = getOpenCheckouts(selectedPart);
     const [notes, setNotes] = useState('');
     const [userName, setUserName] = useState(currentUser || '');
+    const [badge, setBadge] = useState('');
+    const useDirectory = employees.length > 0;
+    const employee = findEmployee(employees, badge);
+    const borrowerValid = useDirectory ? !!employee : !!userName.trim();
+    const [checkoutId, setCheckoutId] = useState(() => {
+      const own = openCheckouts.find(checkout => checkout.user === currentUser);
+      return (own || openCheckouts[0])?.checkoutId || '';
+    });
+    const selectedCheckout = openCheckouts.find(checkout => checkout.checkoutId === checkoutId);
+    const [quantity, setQuantity] = useState(selectedCheckout?.quantity || 1);
+    const quantityValid = !!selectedCheckout && Number.isInteger(quantity) && quantity >= 1 && quantity <= selectedCheckout.quantity;
     
     return (
       <div 
@@ -1127,21 +1426,73 @@ const InventorySystem = () => {
           <h3 className="text-lg font-semibold mb-4 text-gray-900 dark:text-gray-100">Check In Part</h3>
           <div className="mb-4">
             <p className="text-sm text-gray-600 dark:text-gray-400">Part: {selectedPart?.partNumber}</p>
-            <p className="text-sm text-gray-600 dark:text-gray-400">Checked out by: {selectedPart?.checkedOutBy}</p>
           </div>
           <div className="mb-4">
             <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-              Your Name *
+              Returning From *
+            </label>
+            <select
+              value={checkoutId}
+              onChange={(e) => {
+                const checkout = openCheckouts.find(c => c.checkoutId === e.target.value);
+                setCheckoutId(e.target.value);
+                setQuantity(checkout?.quantity || 1);
+              }}
+              className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-green-500 focus:border-green-500"
+            >
+              {openCheckouts.map(checkout => (
+                <option key={checkout.checkoutId} value={checkout.checkoutId}>
+                  {checkout.user}{checkout.employeeId && ` (#${checkout.employeeId})`} – {checkout.quantity} out since {new Date(checkout.checkedOutDate).toLocaleDateString()}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Quantity Returned *
             </label>
             <input
-              type="text"
-              value={userName}
-              onChange={(e) => setUserName(e.target.value)}
-              className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-red-500 focus:border-red-500"
-              placeholder="Enter your name"
-              required
+              type="number"
+              min="1"
+              max={selectedCheckout?.quantity || 1}
+              value={quantity}
+              onChange={(e) => setQuantity(parseInt(e.target.value) || 0)}
+              className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-green-500 focus:border-green-500"
             />
+            {selectedCheckout && !quantityValid && (
+              <p className="text-xs text-red-600 mt-1">Enter a quantity between 1 and {selectedCheckout.quantity}</p>
+            )}
           </div>
+          {useDirectory ? (
+            <EmployeeBadgeInput
+              employees={employees}
+              badge={badge}
+              onChange={(value) => {
+                setBadge(value);
+                // Jump to the loan held by whoever's badge was scanned
+                const scanned = findEmployee(employees, value);
+                const own = scanned && openCheckouts.find(checkout => checkout.employeeId === scanned.employeeId);
+                if (own) {
+                  setCheckoutId(own.checkoutId);
+                  setQuantity(own.quantity);
+                }
+              }}
+            />
+          ) : (
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Your Name *
+              </label>
+              <input
+                type="text"
+                value={userName}
+                onChange={(e) => setUserName(e.target.value)}
+                className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-red-500 focus:border-red-500"
+                placeholder="Enter your name"
+                required
+              />
+            </div>
+          )}
           <div className="mb-4">
             <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
               Notes (Optional)
@@ -1157,12 +1508,16 @@ const InventorySystem = () => {
           <div className="flex space-x-3">
             <button
               onClick={() => {
-                if (userName.trim()) {
-                  setCurrentUser(userName.trim());
-                  handleCheckin(notes);
+                if (borrowerValid && quantityValid) {
+                  if (useDirectory) {
+                    handleCheckin(notes, checkoutId, quantity, { employeeId: employee.employeeId });
+                  } else {
+                    setCurrentUser(userName.trim());
+                    handleCheckin(notes, checkoutId, quantity, { user: userName.trim() });
+                  }
                 }
               }}
-              disabled={loading || !userName.trim()}
+              disabled={loading || !borrowerValid || !quantityValid}
               className="flex-1 bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 disabled:bg-gray-400 disabled:cursor-not-allowed flex items-center justify-center"
             >
               {loading ? <RefreshCw className="w-4 h-4 animate-spin" /> : 'Confirm Check In'}
@@ -1222,21 +1577,33 @@ const InventorySystem = () => {
       description: '',
       shelf: '',
       category: '',
+      itemType: 'returnable',
       quantity: 1,
-      minQuantity: 1
+      minQuantity: 1,
+      supplier: '',
+      cost: '',
+      rack: '',
+      series: '',
+      attributes: []
     });
 
     const handleSubmit = async (e) => {
       e.preventDefault();
-      const success = await addPart(formData);
+      const success = await addPart({ ...formData, attributes: fromAttributeRows(formData.attributes) });
       if (success) {
         setFormData({
           partNumber: '',
           description: '',
           shelf: '',
           category: '',
+          itemType: 'returnable',
           quantity: 1,
-          minQuantity: 1
+          minQuantity: 1,
+          supplier: '',
+          cost: '',
+          rack: '',
+          series: '',
+          attributes: []
         });
       }
     };
@@ -1323,6 +1690,17 @@ const InventorySystem = () => {
                 ))}
               </select>
             </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Item Type</label>
+              <select
+                value={formData.itemType}
+                onChange={(e) => setFormData({...formData, itemType: e.target.value})}
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-red-500"
+              >
+                <option value="returnable">Returnable (checked out and returned)</option>
+                <option value="consumable">Consumable (issued, not returned)</option>
+              </select>
+            </div>
             <div className="grid grid-cols-2 gap-4">
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">Quantity</label>
@@ -1345,6 +1723,52 @@ const InventorySystem = () => {
                 />
               </div>
             </div>
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Supplier</label>
+                <input
+                  type="text"
+                  value={formData.supplier}
+                  onChange={(e) => setFormData({...formData, supplier: e.target.value})}
+                  className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-red-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Unit Cost</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={formData.cost}
+                  onChange={(e) => setFormData({...formData, cost: e.target.value})}
+                  className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-red-500"
+                />
+              </div>
+            </div>
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Rack</label>
+                <input
+                  type="text"
+                  value={formData.rack}
+                  onChange={(e) => setFormData({...formData, rack: e.target.value})}
+                  className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-red-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Series</label>
+                <input
+                  type="text"
+                  value={formData.series}
+                  onChange={(e) => setFormData({...formData, series: e.target.value})}
+                  className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-red-500"
+                />
+              </div>
+            </div>
+            <PartAttributesInput
+              rows={formData.attributes}
+              onChange={(attributes) => setFormData({...formData, attributes})}
+            />
             <div className="flex space-x-3 pt-4">
               <button
                 type="submit"
@@ -1375,8 +1799,14 @@ const InventorySystem = () => {
       description: editingPart?.description || '',
       shelf: editingPart?.shelf || '',
       category: editingPart?.category || '',
+      itemType: editingPart?.itemType || 'returnable',
       quantity: editingPart?.quantity || 1,
-      minQuantity: editingPart?.minQuantity || 1
+      minQuantity: editingPart?.minQuantity || 1,
+      supplier: editingPart?.supplier || '',
+      cost: editingPart?.cost ?? '',
+      rack: editingPart?.rack || '',
+      series: editingPart?.series || '',
+      attributes: toAttributeRows(editingPart?.attributes)
     });
 
     useEffect(() => {
@@ -1386,8 +1816,14 @@ const InventorySystem = () => {
           description: editingPart.description || '',
           shelf: editingPart.shelf || '',
           category: editingPart.category || '',
+          itemType: editingPart.itemType || 'returnable',
           quantity: editingPart.quantity || 1,
-          minQuantity: editingPart.minQuantity || 1
+          minQuantity: editingPart.minQuantity || 1,
+          supplier: editingPart.supplier || '',
+          cost: editingPart.cost ?? '',
+          rack: editingPart.rack || '',
+          series: editingPart.series || '',
+          attributes: toAttributeRows(editingPart.attributes)
         });
       }
     }, [editingPart?.id]);
@@ -1400,7 +1836,11 @@ const InventorySystem = () => {
       }
       console.log('Form submitted with data:', formData);
       console.log('Editing part:', editingPart);
-      const success = await updatePart(editingPart.id, formData);
+      const success = await updatePart(editingPart.id, {
+        ...formData,
+        attributes: fromAttributeRows(formData.attributes),
+        version: editingPart.version
+      });
       console.log('Update result:', success);
       if (success) {
         setEditingPart(null);
@@ -1489,6 +1929,17 @@ const InventorySystem = () => {
                 ))}
               </select>
             </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Item Type</label>
+              <select
+                value={formData.itemType}
+                onChange={(e) => setFormData({...formData, itemType: e.target.value})}
+                className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-red-500 focus:border-red-500"
+              >
+                <option value="returnable">Returnable (checked out and returned)</option>
+                <option value="consumable">Consumable (issued, not returned)</option>
+              </select>
+            </div>
             <div className="grid grid-cols-2 gap-4">
               <div>
                 <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Quantity</label>
@@ -1511,6 +1962,69 @@ const InventorySystem = () => {
                 />
               </div>
             </div>
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Supplier</label>
+                <input
+                  type="text"
+                  value={formData.supplier}
+                  onChange={(e) => setFormData({...formData, supplier: e.target.value})}
+                  className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-red-500 focus:border-red-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Unit Cost</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={formData.cost}
+                  onChange={(e) => setFormData({...formData, cost: e.target.value})}
+                  className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-red-500 focus:border-red-500"
+                />
+              </div>
+            </div>
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Rack</label>
+                <input
+                  type="text"
+                  value={formData.rack}
+                  onChange={(e) => setFormData({...formData, rack: e.target.value})}
+                  className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-red-500 focus:border-red-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Series</label>
+                <input
+                  type="text"
+                  value={formData.series}
+                  onChange={(e) => setFormData({...formData, series: e.target.value})}
+                  className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-red-500 focus:border-red-500"
+                />
+              </div>
+            </div>
+            <PartAttributesInput
+              rows={formData.attributes}
+              onChange={(attributes) => setFormData({...formData, attributes})}
+            />
+            {editingPart?.costHistory?.length > 0 && (
+              <div>
+                <p className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Cost History</p>
+                <ul className="text-xs text-gray-600 dark:text-gray-400 space-y-1 max-h-24 overflow-y-auto">
+                  {[...editingPart.costHistory].reverse().map((entry, index) => (
+                    <li key={index} className="flex justify-between">
+                      <span>{entry.cost === null ? 'Cleared' : `$${Number(entry.cost).toFixed(2)}`}</span>
+                      <span>
+                        {new Date(entry.changedAt).toLocaleDateString()}
+                        {' · '}
+                        {entry.poNumber ? `Received on ${entry.poNumber}` : entry.changedBy}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
             <div className="flex space-x-3 pt-4">
               <button
                 type="submit"
@@ -1866,65 +2380,94 @@ const InventorySystem = () => {
     </div>
   );
 
-  // PIN Entry Modal
-  const PinModal = () => (
-    <div 
-      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
-      onClick={(e) => {
-        if (e.target === e.currentTarget) {
-          setShowPinModal(false);
-          setPinInput('');
-          setPinError('');
-        }
-      }}
-    >
+  // Login Modal
+  const LoginModal = () => {
+    const [username, setUsername] = useState('');
+    const [password, setPassword] = useState('');
+    const [loginError, setLoginError] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+
+    const closeModal = () => {
+      setShowLoginModal(false);
+      setPendingAction(null);
+    };
+
+    const handleSubmit = async (e) => {
+      e.preventDefault();
+      setSubmitting(true);
+      const message = await handleLogin(username.trim(), password);
+      if (message) {
+        setLoginError(message);
+        setPassword('');
+        setSubmitting(false);
+      }
+    };
+
+    return (
       <div 
-        className="bg-white rounded-lg p-6 w-full max-w-md mx-4"
+        className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+        onClick={(e) => {
+          if (e.target === e.currentTarget) {
+            closeModal();
+          }
+        }}
       >
-        <h3 className="text-lg font-semibold mb-4 text-red-600">Management Access Required</h3>
-        <p className="text-gray-700 mb-4">
-          Please enter the management PIN to access the manage page.
-        </p>
-        <form onSubmit={handlePinSubmit} className="space-y-4">
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">PIN</label>
-            <input
-              type="password"
-              value={pinInput}
-              onChange={(e) => setPinInput(e.target.value)}
-              className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-red-500 text-center text-lg tracking-widest"
-              placeholder="••••"
-              maxLength="4"
-              autoFocus
-            />
-            {pinError && (
-              <p className="text-sm text-red-600 mt-1">{pinError}</p>
-            )}
-          </div>
-          <div className="flex space-x-3">
-            <button
-              type="submit"
-              disabled={pinInput.length !== 4}
-              className="flex-1 bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
-            >
-              Submit
-            </button>
-            <button
-              type="button"
-              onClick={() => {
-                setShowPinModal(false);
-                setPinInput('');
-                setPinError('');
-              }}
-              className="flex-1 bg-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-400"
-            >
-              Cancel
-            </button>
-          </div>
-        </form>
+        <div 
+          className="bg-white dark:bg-gray-800 rounded-lg p-6 w-full max-w-md mx-4"
+        >
+          <h3 className="text-lg font-semibold mb-4 text-red-600 dark:text-red-400">Log In</h3>
+          <p className="text-gray-700 dark:text-gray-300 mb-4">
+            Log in with your tool room account to continue.
+          </p>
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Username</label>
+              <input
+                type="text"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                className="w-full p-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-red-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+                autoComplete="username"
+                autoCapitalize="none"
+                autoFocus
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Password</label>
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className="w-full p-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-red-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+                autoComplete="current-password"
+                required
+              />
+              {loginError && (
+                <p className="text-sm text-red-600 dark:text-red-400 mt-1">{loginError}</p>
+              )}
+            </div>
+            <div className="flex space-x-3">
+              <button
+                type="submit"
+                disabled={submitting || !username.trim() || !password}
+                className="flex-1 bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+              >
+                {submitting ? <RefreshCw className="w-4 h-4 animate-spin mx-auto" /> : 'Log In'}
+              </button>
+              <button
+                type="button"
+                onClick={closeModal}
+                className="flex-1 bg-gray-300 dark:bg-gray-600 text-gray-700 dark:text-gray-300 px-4 py-2 rounded-lg hover:bg-gray-400 dark:hover:bg-gray-500"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        </div>
       </div>
-    </div>
-  );
+    );
+  };
 
   const InstallInstructionsModal = () => {
     const instructions = getInstallInstructions();
@@ -2008,60 +2551,6 @@ const InventorySystem = () => {
     );
   };
 
-  const CameraPasswordModal = () => (
-    <div 
-      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
-      onClick={(e) => {
-        if (e.target === e.currentTarget) {
-          setShowCameraPasswordModal(false);
-          setCameraPassword('');
-          setCameraPasswordError('');
-        }
-      }}
-    >
-      <div 
-        className="bg-white dark:bg-gray-800 rounded-lg p-6 w-full max-w-md mx-4"
-      >
-        <h3 className="text-lg font-semibold mb-4 text-red-600 dark:text-red-400">Security Camera Access</h3>
-        <p className="text-gray-700 dark:text-gray-300 mb-4">
-          Enter the password to access the security camera feeds.
-        </p>
-        <form onSubmit={handleCameraPasswordSubmit} className="space-y-4">
-          <div>
-            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Password</label>
-            <input
-              type="password"
-              value={cameraPassword}
-              onChange={(e) => setCameraPassword(e.target.value)}
-              className="w-full p-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-red-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
-              placeholder="Enter camera access password"
-              autoFocus
-              required
-            />
-            {cameraPasswordError && (
-              <p className="text-sm text-red-600 dark:text-red-400 mt-1">{cameraPasswordError}</p>
-            )}
-          </div>
-          <div className="flex space-x-3">
-            <button
-              type="submit"
-              className="flex-1 bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700 transition-colors"
-            >
-              Access Cameras
-            </button>
-            <button
-              type="button"
-              onClick={handleCloseCameraModal}
-              className="flex-1 bg-gray-300 dark:bg-gray-600 text-gray-700 dark:text-gray-300 px-4 py-2 rounded-lg hover:bg-gray-400 dark:hover:bg-gray-500 transition-colors"
-            >
-              Cancel
-            </button>
-          </div>
-        </form>
-      </div>
-    </div>
-  );
-
   const CameraFeedsModal = () => {
     // Camera configuration
     const cameras = [
@@ -2209,15 +2698,21 @@ const InventorySystem = () => {
                     {transaction.action}
                   </span>
                 </div>
-                <p className="text-sm text-gray-600 mb-1">User: {transaction.user}</p>
+                <p className="text-sm text-gray-600 mb-1">User: {transaction.user}{transaction.employeeId && ` (#${transaction.employeeId})`}</p>
                 <p className="text-xs text-gray-500">
                   {new Date(transaction.timestamp).toLocaleString()}
                 </p>
-                {transaction.quantityBefore !== undefined && (
+                {transaction.quantityBefore != null && (
                   <p className="text-xs text-gray-500">
                     Quantity: {transaction.quantityBefore} → {transaction.quantityAfter}
                   </p>
                 )}
+                {transaction.poNumber && (
+                  <p className="text-xs text-gray-500">Purchase order: {transaction.poNumber}</p>
+                )}
+                {transaction.countSessionId && (
+                  <p className="text-xs text-gray-500">Shelf count: {transaction.countSessionId}</p>
+                )}
                 {transaction.notes && (
                   <p className="text-sm text-gray-700 mt-2 italic">"{transaction.notes}"</p>
                 )}
@@ -2246,20 +2741,30 @@ const InventorySystem = () => {
             <p className="text-gray-600">Add, edit, or remove parts from the inventory</p>
           </div>
           <div className="flex space-x-3">
-            <button
-              onClick={() => setShowExcelUpload(true)}
-              className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 flex items-center space-x-2 transition-colors"
-            >
-              <Upload className="w-5 h-5" />
-              <span>Import Excel</span>
-            </button>
-            <button
-              onClick={() => setShowLocationManager(true)}
-              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 flex items-center space-x-2 transition-colors"
-            >
-              <MapPin className="w-5 h-5" />
-              <span>Manage Locations</span>
-            </button>
+            <PrintLabelsButton
+              partIds={labelPartIds}
+              shelfIds={labelShelfIds}
+              apiCall={apiCall}
+              onPrint={handlePrintLabels}
+            />
+            {can('import:excel') && (
+              <button
+                onClick={() => setShowExcelUpload(true)}
+                className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 flex items-center space-x-2 transition-colors"
+              >
+                <Upload className="w-5 h-5" />
+                <span>Import Excel</span>
+              </button>
+            )}
+            {can('parts:move') && (
+              <button
+                onClick={() => setShowLocationManager(true)}
+                className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 flex items-center space-x-2 transition-colors"
+              >
+                <MapPin className="w-5 h-5" />
+                <span>Manage Locations</span>
+              </button>
+            )}
             <button
               onClick={() => setShowDataManagement(true)}
               className="bg-purple-600 text-white px-4 py-2 rounded-lg hover:bg-purple-700 flex items-center space-x-2 transition-colors"
@@ -2267,13 +2772,33 @@ const InventorySystem = () => {
               <Database className="w-5 h-5" />
               <span>Data Management</span>
             </button>
-            <button
-              onClick={() => setShowAddPartModal(true)}
-              className="bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700 flex items-center space-x-2 transition-colors"
-            >
-              <Plus className="w-5 h-5" />
-              <span>Add New Part</span>
-            </button>
+            {can('purchasing:receive') && (
+              <button
+                onClick={() => setShowPurchaseOrders(true)}
+                className="bg-blue-800 text-white px-4 py-2 rounded-lg hover:bg-blue-900 flex items-center space-x-2 transition-colors"
+              >
+                <ShoppingCart className="w-5 h-5" />
+                <span>Purchase Orders</span>
+              </button>
+            )}
+            {can('employees:manage') && (
+              <button
+                onClick={() => setShowEmployeeDirectory(true)}
+                className="bg-gray-700 text-white px-4 py-2 rounded-lg hover:bg-gray-800 flex items-center space-x-2 transition-colors"
+              >
+                <IdCard className="w-5 h-5" />
+                <span>Employees</span>
+              </button>
+            )}
+            {can('parts:edit') && (
+              <button
+                onClick={() => setShowAddPartModal(true)}
+                className="bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700 flex items-center space-x-2 transition-colors"
+              >
+                <Plus className="w-5 h-5" />
+                <span>Add New Part</span>
+              </button>
+            )}
           </div>
         </div>
       </div>
@@ -2294,16 +2819,35 @@ const InventorySystem = () => {
           <table className="w-full">
             <thead className="bg-gray-50">
               <tr>
+                <th className="pl-6 py-3 text-left">
+                  <input
+                    type="checkbox"
+                    checked={displayInventory.length > 0 && displayInventory.every(part => labelPartIds.includes(part.id))}
+                    onChange={(e) => setLabelPartIds(e.target.checked ? displayInventory.map(part => part.id) : [])}
+                    className="rounded"
+                    title="Select all for label printing"
+                  />
+                </th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Part Info</th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Location</th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Quantity</th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                {can('parts:edit') && (
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                )}
               </tr>
             </thead>
             <tbody className="bg-white divide-y divide-gray-200">
               {displayInventory.map((part) => (
-                <tr key={part.id} className="hover:bg-gray-50">
+                <tr key={part.id} className={`hover:bg-gray-50 ${labelPartIds.includes(part.id) ? 'bg-red-50' : ''}`}>
+                  <td className="pl-6 py-4">
+                    <input
+                      type="checkbox"
+                      checked={labelPartIds.includes(part.id)}
+                      onChange={() => toggleLabelSelection(setLabelPartIds, part.id)}
+                      className="rounded"
+                    />
+                  </td>
                   <td className="px-6 py-4 whitespace-nowrap">
                     <div>
                       <div className="text-sm font-medium text-gray-900">{part.partNumber}</div>
@@ -2335,47 +2879,44 @@ const InventorySystem = () => {
                         : 'bg-yellow-100 text-yellow-800'
                     }`}>
                       {part.status === 'available' ? (
-                        <>
-                          <CheckCircle className="w-3 h-3 mr-1" />
-                          Available
-                        </>
+                        <CheckCircle className="w-3 h-3 mr-1" />
                       ) : (
-                        <>
-                          <Clock className="w-3 h-3 mr-1" />
-                          Checked Out
-                        </>
+                        <Clock className="w-3 h-3 mr-1" />
                       )}
+                      {getStatusLabel(part.status)}
                     </span>
-                    {part.status === 'checked_out' && (
+                    {part.status !== 'available' && part.checkedOutBy && (
                       <div className="text-xs text-gray-500 mt-1">
                         by {part.checkedOutBy}
                       </div>
                     )}
                   </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
-                    <div className="flex items-center space-x-2">
-                      <button
-                        onClick={() => {
-                          setEditingPart(part);
-                          setShowEditPartModal(true);
-                        }}
-                        className="text-red-600 hover:text-red-900 p-1 rounded"
-                        title="Edit Part"
-                      >
-                        <Edit className="w-4 h-4" />
-                      </button>
-                      <button
-                        onClick={() => {
-                          setPartToDelete(part);
-                          setShowDeleteConfirm(true);
-                        }}
-                        className="text-red-600 hover:text-red-900 p-1 rounded"
-                        title="Delete Part"
-                      >
-                        <Trash2 className="w-4 h-4" />
-                      </button>
-                    </div>
-                  </td>
+                  {can('parts:edit') && (
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                      <div className="flex items-center space-x-2">
+                        <button
+                          onClick={() => {
+                            setEditingPart(part);
+                            setShowEditPartModal(true);
+                          }}
+                          className="text-red-600 hover:text-red-900 p-1 rounded"
+                          title="Edit Part"
+                        >
+                          <Edit className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => {
+                            setPartToDelete(part);
+                            setShowDeleteConfirm(true);
+                          }}
+                          className="text-red-600 hover:text-red-900 p-1 rounded"
+                          title="Delete Part"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    </td>
+                  )}
                 </tr>
               ))}
             </tbody>
@@ -2396,12 +2937,14 @@ const InventorySystem = () => {
             <div className="text-center py-8 text-gray-500">
               <Package className="w-12 h-12 mx-auto mb-2 opacity-50" />
               <p>No parts in inventory yet.</p>
-              <button
-                onClick={() => setShowAddPartModal(true)}
-                className="mt-2 text-red-600 hover:text-red-800"
-              >
-                Add your first part
-              </button>
+              {can('parts:edit') && (
+                <button
+                  onClick={() => setShowAddPartModal(true)}
+                  className="mt-2 text-red-600 hover:text-red-800"
+                >
+                  Add your first part
+                </button>
+              )}
             </div>
           )}
         </div>
@@ -2414,13 +2957,15 @@ const InventorySystem = () => {
             <h2 className="text-xl font-semibold text-gray-900">Shelf Management</h2>
             <p className="text-gray-600">Manage shelf locations and images</p>
           </div>
-          <button
-            onClick={() => setShowAddShelfModal(true)}
-            className="bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700 flex items-center space-x-2"
-          >
-            <Plus className="w-5 h-5" />
-            <span>Add New Shelf</span>
-          </button>
+          {can('shelves:manage') && (
+            <button
+              onClick={() => setShowAddShelfModal(true)}
+              className="bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700 flex items-center space-x-2"
+            >
+              <Plus className="w-5 h-5" />
+              <span>Add New Shelf</span>
+            </button>
+          )}
         </div>
 
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
@@ -2434,7 +2979,16 @@ const InventorySystem = () => {
                 />
               )}
               <div className="space-y-2">
-                <h3 className="font-semibold text-gray-900">{shelf.name}</h3>
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={labelShelfIds.includes(shelf.id)}
+                    onChange={() => toggleLabelSelection(setLabelShelfIds, shelf.id)}
+                    className="rounded"
+                    title="Select for label printing"
+                  />
+                  <h3 className="font-semibold text-gray-900">{shelf.name}</h3>
+                </label>
                 <p className="text-sm text-gray-600">{shelf.location}</p>
                 {shelf.description && (
                   <p className="text-xs text-gray-500">{shelf.description}</p>
@@ -2443,28 +2997,30 @@ const InventorySystem = () => {
                   <span className="text-xs text-gray-400">
                     {inventory.filter(part => part.shelf === shelf.name).length} parts
                   </span>
-                  <div className="flex space-x-1">
-                    <button
-                      onClick={() => {
-                        setEditingShelf(shelf);
-                        setShowEditShelfModal(true);
-                      }}
-                      className="p-1 text-gray-400 hover:text-red-600 rounded"
-                      title="Edit Shelf"
-                    >
-                      <Edit className="w-4 h-4" />
-                    </button>
-                    <button
-                      onClick={() => {
-                        setShelfToDelete(shelf);
-                        setShowDeleteShelfConfirm(true);
-                      }}
-                      className="p-1 text-gray-400 hover:text-red-600 rounded"
-                      title="Delete Shelf"
-                    >
-                      <Trash2 className="w-4 h-4" />
-                    </button>
-                  </div>
+                  {can('shelves:manage') && (
+                    <div className="flex space-x-1">
+                      <button
+                        onClick={() => {
+                          setEditingShelf(shelf);
+                          setShowEditShelfModal(true);
+                        }}
+                        className="p-1 text-gray-400 hover:text-red-600 rounded"
+                        title="Edit Shelf"
+                      >
+                        <Edit className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => {
+                          setShelfToDelete(shelf);
+                          setShowDeleteShelfConfirm(true);
+                        }}
+                        className="p-1 text-gray-400 hover:text-red-600 rounded"
+                        title="Delete Shelf"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  )}
                 </div>
               </div>
             </div>
@@ -2473,12 +3029,14 @@ const InventorySystem = () => {
             <div className="col-span-full text-center py-8 text-gray-500">
               <MapPin className="w-12 h-12 mx-auto mb-2 opacity-50" />
               <p>No shelves configured yet.</p>
-              <button
-                onClick={() => setShowAddShelfModal(true)}
-                className="mt-2 text-red-600 hover:text-red-800"
-              >
-                Add your first shelf
-              </button>
+              {can('shelves:manage') && (
+                <button
+                  onClick={() => setShowAddShelfModal(true)}
+                  className="mt-2 text-red-600 hover:text-red-800"
+                >
+                  Add your first shelf
+                </button>
+              )}
             </div>
           )}
         </div>
@@ -3135,6 +3693,37 @@ const InventorySystem = () => {
                 <Camera className="w-4 h-4" />
               </button>
 
+              {/* Notification Settings Button */}
+              {authUser && (
+                <button
+                  onClick={() => setShowNotificationSettings(true)}
+                  className="p-2 bg-white/10 rounded-lg hover:bg-white/20 transition-colors"
+                  title="Notifications"
+                >
+                  <Bell className="w-4 h-4" />
+                </button>
+              )}
+
+              {/* Login / Logout Button */}
+              {authUser ? (
+                <button
+                  onClick={handleLogout}
+                  className="flex items-center space-x-1 p-2 bg-white/10 rounded-lg hover:bg-white/20 transition-colors"
+                  title={`Log out ${authUser.displayName || authUser.username}`}
+                >
+                  <LogOut className="w-4 h-4" />
+                  <span className="hidden lg:inline text-sm">{authUser.displayName || authUser.username}</span>
+                </button>
+              ) : (
+                <button
+                  onClick={() => setShowLoginModal(true)}
+                  className="p-2 bg-white/10 rounded-lg hover:bg-white/20 transition-colors"
+                  title="Log In"
+                >
+                  <LogIn className="w-4 h-4" />
+                </button>
+              )}
+
               {/* Share Button */}
               <button
                 onClick={handleShareApp}
@@ -3185,6 +3774,51 @@ const InventorySystem = () => {
                   </div>
                 </button>
                 
+                <button
+                  onClick={() => setActiveView('scan')}
+                  className={`px-3 lg:px-4 py-2 rounded-lg transition-colors ${
+                    activeView === 'scan' 
+                      ? 'bg-white dark:bg-gray-800 text-red-700 dark:text-red-400 font-medium' 
+                      : 'text-red-100 hover:bg-red-600 hover:text-white'
+                  }`}
+                >
+                  <div className="flex items-center space-x-2">
+                    <ScanLine className="w-4 h-4 lg:w-5 lg:h-5" />
+                    <span className="hidden lg:inline">Scan</span>
+                  </div>
+                </button>
+                
+                <button
+                  onClick={() => setActiveView('counts')}
+                  className={`px-3 lg:px-4 py-2 rounded-lg transition-colors ${
+                    activeView === 'counts' 
+                      ? 'bg-white dark:bg-gray-800 text-red-700 dark:text-red-400 font-medium' 
+                      : 'text-red-100 hover:bg-red-600 hover:text-white'
+                  }`}
+                >
+                  <div className="flex items-center space-x-2">
+                    <ClipboardCheck className="w-4 h-4 lg:w-5 lg:h-5" />
+                    <span className="hidden lg:inline">Counts</span>
+                  </div>
+                </button>
+                
+                <button
+                  onClick={() => setActiveView('overdue')}
+                  className={`px-3 lg:px-4 py-2 rounded-lg transition-colors ${
+                    activeView === 'overdue' 
+                      ? 'bg-white dark:bg-gray-800 text-red-700 dark:text-red-400 font-medium' 
+                      : 'text-red-100 hover:bg-red-600 hover:text-white'
+                  }`}
+                >
+                  <div className="flex items-center space-x-2">
+                    <CalendarClock className="w-4 h-4 lg:w-5 lg:h-5" />
+                    <span className="hidden lg:inline">Overdue</span>
+                    {dashboardStats.overdueLoans > 0 && (
+                      <span className="text-xs bg-orange-400 text-white rounded-full px-1.5">{dashboardStats.overdueLoans}</span>
+                    )}
+                  </div>
+                </button>
+                
                 <button
                   onClick={() => setActiveView('layout')}
                   className={`px-3 lg:px-4 py-2 rounded-lg transition-colors ${
@@ -3245,7 +3879,10 @@ const InventorySystem = () => {
                 setActiveView={setActiveView}
                 isManageUnlocked={isManageUnlocked}
                 onManageClick={handleManageClick}
-                onCameraClick={() => setShowCameraPasswordModal(true)}
+                onCameraClick={handleCameraAccess}
+                user={authUser}
+                onLoginClick={() => setShowLoginModal(true)}
+                onLogoutClick={handleLogout}
               />
             </div>
           </div>
@@ -3374,7 +4011,7 @@ const InventorySystem = () => {
                                   <span className="ml-2 text-red-600 font-medium">No Stock!</span>
                                 )}
                               </div>
-                              {part.status === 'checked_out' && (
+                              {part.status !== 'available' && part.checkedOutBy && (
                                 <div className="flex items-center mt-1 text-sm text-red-600">
                                   <AlertCircle className="w-4 h-4 mr-1" />
                                   <span>Checked out by {part.checkedOutBy}</span>
@@ -3409,24 +4046,26 @@ const InventorySystem = () => {
                               ? 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200' 
                               : 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200'
                           }`}>
-                            {part.status === 'available' ? 'Available' : 'Checked Out'}
+                            {getStatusLabel(part.status)}
                           </span>
                           <span className="bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200 text-xs px-2 py-1 rounded">
                             {part.category}
                           </span>
-                          <div className="flex space-x-1 mt-2">
-                            <button
-                              onClick={(e) => {
-                                e.stopPropagation();
-                                setEditingPart(part);
-                                setShowEditPartModal(true);
-                              }}
-                              className="p-1 text-gray-400 hover:text-red-600 dark:text-gray-500 dark:hover:text-red-400 rounded"
-                              title="Edit Part"
-                            >
-                              <Edit className="w-4 h-4" />
-                            </button>
-                          </div>
+                          {can('parts:edit') && (
+                            <div className="flex space-x-1 mt-2">
+                              <button
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  setEditingPart(part);
+                                  setShowEditPartModal(true);
+                                }}
+                                className="p-1 text-gray-400 hover:text-red-600 dark:text-gray-500 dark:hover:text-red-400 rounded"
+                                title="Edit Part"
+                              >
+                                <Edit className="w-4 h-4" />
+                              </button>
+                            </div>
+                          )}
                         </div>
                       </div>
                     </div>
@@ -3496,6 +4135,22 @@ const InventorySystem = () => {
                         </span>
                       )}
                     </div>
+
+                    {/* Rack, series and custom attributes */}
+                    {(selectedPart.rack || selectedPart.series || toAttributeRows(selectedPart.attributes).length > 0) && (
+                      <dl className="grid grid-cols-2 gap-x-4 gap-y-1 mt-3 text-sm">
+                        {[
+                          ...(selectedPart.rack ? [{ name: 'Rack', value: selectedPart.rack }] : []),
+                          ...(selectedPart.series ? [{ name: 'Series', value: selectedPart.series }] : []),
+                          ...toAttributeRows(selectedPart.attributes)
+                        ].map(({ name, value }, index) => (
+                          <React.Fragment key={index}>
+                            <dt className="text-gray-500 dark:text-gray-400">{name}</dt>
+                            <dd className="text-gray-900 dark:text-gray-100">{value}</dd>
+                          </React.Fragment>
+                        ))}
+                      </dl>
+                    )}
                   </div>
 
                   {/* Status and Actions */}
@@ -3519,30 +4174,40 @@ const InventorySystem = () => {
                             ? 'text-green-800 dark:text-green-200' 
                             : 'text-red-800 dark:text-red-200'
                         }`}>
-                          {selectedPart.status === 'available' ? 'Available for Checkout' : 'Currently Checked Out'}
+                          {selectedPart.status === 'available' && 'Available for Checkout'}
+                          {selectedPart.status === 'partially_checked_out' && `${selectedPart.quantity} on shelf, some checked out`}
+                          {selectedPart.status === 'checked_out' && 'Currently Checked Out'}
                         </span>
                       </div>
-                      {selectedPart.status === 'checked_out' && (
-                        <div className="text-sm text-gray-600 dark:text-gray-300">
-                          <p>Checked out by: {selectedPart.checkedOutBy}</p>
-                          <p>Date: {new Date(selectedPart.checkedOutDate).toLocaleString()}</p>
-                        </div>
+                      {getOpenCheckouts(selectedPart).length > 0 && (
+                        <ul className="text-sm text-gray-600 dark:text-gray-300 space-y-1">
+                          {getOpenCheckouts(selectedPart).map(checkout => (
+                            <li
+                              key={checkout.checkoutId}
+                              className={checkout.dueDate && new Date(checkout.dueDate) < new Date() ? 'text-red-700 dark:text-red-400 font-medium' : ''}
+                            >
+                              {checkout.user}: {checkout.quantity} since {new Date(checkout.checkedOutDate).toLocaleString()}
+                              {checkout.dueDate && ` · due ${new Date(checkout.dueDate).toLocaleDateString()}`}
+                            </li>
+                          ))}
+                        </ul>
                       )}
                     </div>
                     
                     {/* Action Buttons */}
                     <div className="mt-4 space-y-2">
-                      {selectedPart.status === 'available' ? (
-                        <button
-                          onClick={() => setShowCheckoutModal(true)}
-                          disabled={selectedPart.quantity <= 0 || loading}
-                          className="w-full bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
-                        >
-                          {selectedPart.quantity <= 0 ? 'Out of stock' : 'Check Out Part'}
-                        </button>
-                      ) : (
+                      <button
+                        onClick={() => requireLogin(() => setShowCheckoutModal(true))}
+                        disabled={selectedPart.quantity <= 0 || loading}
+                        className="w-full bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+                      >
+                        {selectedPart.quantity <= 0
+                          ? 'Out of stock'
+                          : selectedPart.itemType === 'consumable' ? 'Issue Part' : 'Check Out Part'}
+                      </button>
+                      {getOpenCheckouts(selectedPart).length > 0 && (
                         <button
-                          onClick={() => setShowCheckinModal(true)}
+                          onClick={() => requireLogin(() => setShowCheckinModal(true))}
                           disabled={loading}
                           className="w-full bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
                         >
@@ -3620,6 +4285,46 @@ const InventorySystem = () => {
           </div>
         ) : activeView === 'history' ? (
           <TransactionList />
+        ) : activeView === 'scan' ? (
+          <ScannerView
+            inventory={inventory}
+            shelves={shelves}
+            apiCall={apiCall}
+            isOnline={isOnline}
+            onCheckout={(part) => requireLogin(() => {
+              setSelectedPart(part);
+              setShowCheckoutModal(true);
+            })}
+            onCheckin={(part) => requireLogin(() => {
+              setSelectedPart(part);
+              setShowCheckinModal(true);
+            })}
+            onOpenPart={(part) => {
+              setSelectedPart(part);
+              setActiveView('inventory');
+            }}
+          />
+        ) : activeView === 'counts' ? (
+          <CycleCounts
+            inventory={inventory}
+            apiCall={apiCall}
+            isOnline={isOnline}
+            canRecord={can('counts:record')}
+            canManage={can('counts:manage')}
+            onLogin={() => setShowLoginModal(true)}
+            onAdjusted={refreshData}
+          />
+        ) : activeView === 'overdue' ? (
+          <OverdueLoans
+            apiCall={apiCall}
+            onSelectPart={(partId) => {
+              const part = inventory.find(item => item.id === partId);
+              if (part) {
+                setSelectedPart(part);
+                setActiveView('inventory');
+              }
+            }}
+          />
         ) : activeView === 'layout' ? (
           <LayoutReferenceView />
         ) : activeView === 'manage' && isManageUnlocked ? (
@@ -3628,12 +4333,12 @@ const InventorySystem = () => {
           <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-8 text-center">
             <Settings className="w-16 h-16 mx-auto mb-4 text-gray-400" />
             <h3 className="text-xl font-semibold text-gray-900 dark:text-gray-100 mb-2">Management Access Required</h3>
-            <p className="text-gray-600 dark:text-gray-300 mb-4">You need to enter the correct PIN to access the management features.</p>
+            <p className="text-gray-600 dark:text-gray-300 mb-4">You need to log in to access the management features.</p>
             <button
-              onClick={() => setShowPinModal(true)}
+              onClick={() => setShowLoginModal(true)}
               className="bg-red-600 text-white px-6 py-2 rounded-lg hover:bg-red-700"
             >
-              Enter PIN
+              Log In
             </button>
           </div>
         ) : (
@@ -3643,7 +4348,7 @@ const InventorySystem = () => {
 
       {/* Dashboard Stats */}
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 sm:py-6">
-        <div className="mt-8 grid grid-cols-1 md:grid-cols-4 gap-6">
+        <div className="mt-8 grid grid-cols-1 md:grid-cols-5 gap-6">
           <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-6 text-center">
             <div className="text-3xl font-bold text-red-600 mb-2">
               {dashboardStats.totalParts || inventory.length}
@@ -3658,10 +4363,16 @@ const InventorySystem = () => {
           </div>
           <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-6 text-center">
             <div className="text-3xl font-bold text-orange-600 mb-2">
-              {dashboardStats.checkedOutParts || inventory.filter(part => part.status === 'checked_out').length}
+              {dashboardStats.checkedOutParts || inventory.filter(part => part.status !== 'available').length}
             </div>
             <div className="text-gray-600 dark:text-gray-300">Checked Out</div>
           </div>
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-6 text-center">
+            <div className="text-3xl font-bold text-red-700 mb-2">
+              {dashboardStats.overdueLoans || 0}
+            </div>
+            <div className="text-gray-600 dark:text-gray-300">Overdue</div>
+          </div>
           <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-6 text-center">
             <div className="text-3xl font-bold text-blue-600 mb-2">
               {dashboardStats.totalTransactions || transactionHistory.length}
@@ -3681,15 +4392,16 @@ const InventorySystem = () => {
       {showAddShelfModal && <AddShelfModal />}
       {showEditShelfModal && <EditShelfModal />}
       {showDeleteShelfConfirm && <DeleteShelfConfirmModal />}
-      {showPinModal && <PinModal />}
+      {showLoginModal && <LoginModal />}
       {showInstallInstructions && <InstallInstructionsModal />}
-      {showCameraPasswordModal && <CameraPasswordModal />}
       {showCameraFeeds && <CameraFeedsModal />}
       {showEasterEgg && <EasterEggModal />}
       <ExcelUpload 
         isVisible={showExcelUpload}
         onClose={() => setShowExcelUpload(false)}
         onDataImport={handleExcelImport}
+        onInspect={handleInspectWorkbook}
+        apiCall={apiCall}
       />
       <LocationManager
         isOpen={showLocationManager}
@@ -3697,6 +4409,7 @@ const InventorySystem = () => {
         inventory={inventory}
         shelves={shelves}
         onLocationUpdate={refreshData}
+        onPrintLabels={handlePrintLabels}
         apiCall={apiCall}
       />
       <InventoryReports
@@ -3706,11 +4419,37 @@ const InventorySystem = () => {
         shelves={shelves}
         transactionHistory={transactionHistory}
         apiCall={apiCall}
+        onExportWorkbook={handleExportWorkbook}
+        canViewReorder={can('purchasing:receive')}
+        canCreateOrders={can('purchasing:manage')}
       />
       <DataManagement
         isOpen={showDataManagement}
         onClose={() => setShowDataManagement(false)}
         apiCall={apiCall}
+        onDownloadBackup={handleDownloadBackup}
+        canBackup={can('backup:create')}
+        canRestore={can('backup:restore')}
+      />
+      <EmployeeDirectory
+        isOpen={showEmployeeDirectory}
+        onClose={() => setShowEmployeeDirectory(false)}
+        apiCall={apiCall}
+        onEmployeesChanged={fetchEmployees}
+      />
+      <PurchaseOrders
+        isOpen={showPurchaseOrders}
+        onClose={() => setShowPurchaseOrders(false)}
+        apiCall={apiCall}
+        inventory={inventory}
+        canManage={can('purchasing:manage')}
+        onStockReceived={refreshData}
+      />
+      <NotificationSettings
+        isOpen={showNotificationSettings && Boolean(authUser)}
+        onClose={() => setShowNotificationSettings(false)}
+        apiCall={apiCall}
+        canCheck={can('notifications:manage')}
       />
       <ImageModal />
 
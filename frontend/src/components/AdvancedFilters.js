@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { Filter, X, Search, ChevronDown, MapPin, Package, AlertCircle } from 'lucide-react';
+import { getStatusLabel } from '../utils/checkouts';
+import { getAttributeNames } from '../utils/attributes';
 
 const AdvancedFilters = ({ 
   inventory, 
@@ -17,7 +19,11 @@ const AdvancedFilters = ({
     minQuantity: '',
     maxQuantity: '',
     partNumberPrefix: '',
-    dateModified: '' // today, week, month, all
+    dateModified: '', // today, week, month, all
+    rack: '',
+    series: '',
+    attributeName: '',
+    attributeValue: '' // Matched within the named attribute, or any attribute
   });
 
   const [activeFiltersCount, setActiveFiltersCount] = useState(0);
@@ -26,6 +32,9 @@ const AdvancedFilters = ({
   const uniqueCategories = [...new Set(inventory.map(part => part.category).filter(Boolean))];
   const uniqueLocations = [...new Set(inventory.map(part => part.shelf).filter(Boolean))];
   const uniqueStatuses = [...new Set(inventory.map(part => part.status).filter(Boolean))];
+  const uniqueRacks = [...new Set(inventory.map(part => part.rack).filter(Boolean))].sort();
+  const uniqueSeries = [...new Set(inventory.map(part => part.series).filter(Boolean))].sort();
+  const attributeNames = getAttributeNames(inventory);
 
   // Count active filters
   useEffect(() => {
@@ -47,7 +56,10 @@ const AdvancedFilters = ({
           part.partNumber,
           part.description,
           part.shelf,
-          part.category
+          part.category,
+          part.rack,
+          part.series,
+          ...Object.values(part.attributes || {})
         ].join(' ').toLowerCase();
         
         if (!searchable.includes(searchTerm)) return false;
@@ -68,6 +80,27 @@ const AdvancedFilters = ({
         return false;
       }
 
+      // Rack and series filters
+      if (filters.rack && part.rack !== filters.rack) {
+        return false;
+      }
+      if (filters.series && part.series !== filters.series) {
+        return false;
+      }
+
+      // Custom attribute filter: the part must have the named attribute,
+      // with a value containing the text when one is given
+      if (filters.attributeName || filters.attributeValue.trim()) {
+        const attributes = part.attributes || {};
+        const values = filters.attributeName
+          ? (filters.attributeName in attributes ? [attributes[filters.attributeName]] : [])
+          : Object.values(attributes);
+        const wanted = filters.attributeValue.trim().toLowerCase();
+        if (!values.some(value => String(value).toLowerCase().includes(wanted))) {
+          return false;
+        }
+      }
+
       // Part number prefix filter
       if (filters.partNumberPrefix && 
           !part.partNumber.toLowerCase().startsWith(filters.partNumberPrefix.toLowerCase())) {
@@ -139,7 +172,11 @@ const AdvancedFilters = ({
       minQuantity: '',
       maxQuantity: '',
       partNumberPrefix: '',
-      dateModified: ''
+      dateModified: '',
+      rack: '',
+      series: '',
+      attributeName: '',
+      attributeValue: ''
     });
   };
 
@@ -270,13 +307,77 @@ const AdvancedFilters = ({
                 <option value="">All statuses</option>
                 {uniqueStatuses.map(status => (
                   <option key={status} value={status}>
-                    {status.charAt(0).toUpperCase() + status.slice(1).replace('_', ' ')}
+                    {getStatusLabel(status)}
                   </option>
                 ))}
               </select>
             </div>
           </div>
 
+          {/* Rack, Series and Attribute Row */}
+          <div className="grid grid-cols-1 lg:grid-cols-4 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Rack
+              </label>
+              <select
+                value={filters.rack}
+                onChange={(e) => updateFilter('rack', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500"
+              >
+                <option value="">All racks</option>
+                {uniqueRacks.map(rack => (
+                  <option key={rack} value={rack}>{rack}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Series
+              </label>
+              <select
+                value={filters.series}
+                onChange={(e) => updateFilter('series', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500"
+              >
+                <option value="">All series</option>
+                {uniqueSeries.map(series => (
+                  <option key={series} value={series}>{series}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Attribute
+              </label>
+              <select
+                value={filters.attributeName}
+                onChange={(e) => updateFilter('attributeName', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500"
+              >
+                <option value="">Any attribute</option>
+                {attributeNames.map(name => (
+                  <option key={name} value={name}>{name}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Attribute Value
+              </label>
+              <input
+                type="text"
+                placeholder="e.g., 12V"
+                value={filters.attributeValue}
+                onChange={(e) => updateFilter('attributeValue', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-transparent"
+              />
+            </div>
+          </div>
+
           {/* Quantity Filters Row */}
           <div className="grid grid-cols-1 lg:grid-cols-4 gap-4">
             <div>
@@ -0,0 +1,166 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Download, RefreshCw } from 'lucide-react';
+
+const formatCurrency = (value) => `$${Number(value || 0).toFixed(2)}`;
+
+const toDateInput = (date) => date.toISOString().split('T')[0];
+
+const GROUPINGS = [
+  { id: 'byDepartment', label: 'Department', key: 'department' },
+  { id: 'byCategory', label: 'Category', key: 'category' },
+  { id: 'byPart', label: 'Part', key: 'partNumber' }
+];
+
+// Costs tab of the reports: what was issued and checked out over a date
+// range, valued at the unit cost of the time
+const ConsumptionReport = ({ apiCall, onExport }) => {
+  const [from, setFrom] = useState(() => toDateInput(new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)));
+  const [to, setTo] = useState(() => toDateInput(new Date()));
+  const [grouping, setGrouping] = useState('byDepartment');
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const loadReport = useCallback(async () => {
+    setLoading(true);
+    try {
+      setReport(await apiCall(`/reports/consumption?from=${from}&to=${to}`));
+    } catch (error) {
+      console.error('Failed to load consumption report:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [apiCall, from, to]);
+
+  useEffect(() => {
+    loadReport();
+  }, [loadReport]);
+
+  const group = GROUPINGS.find(item => item.id === grouping);
+  const rows = report ? report[grouping] : [];
+
+  const exportRows = () => {
+    onExport(rows.map(row => ({
+      [group.key]: row[group.key],
+      ...(grouping === 'byPart' ? { description: row.description } : {}),
+      issuedUnits: row.issuedUnits,
+      issuedCost: row.issuedCost,
+      checkedOutUnits: row.checkedOutUnits,
+      checkedOutCost: row.checkedOutCost,
+      returnedUnits: row.returnedUnits,
+      returnedCost: row.returnedCost,
+      netCost: row.netCost,
+      uncostedUnits: row.uncostedUnits
+    })), `consumption-${group.key}-${from}-to-${to}.csv`);
+  };
+
+  const inputClass = 'p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-transparent';
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap justify-between items-end gap-4">
+        <div>
+          <h3 className="text-lg font-semibold">Cost of Consumption</h3>
+          <p className="text-sm text-gray-600">Issued and checked-out stock, less what was returned</p>
+        </div>
+        <div className="flex flex-wrap items-end gap-2">
+          <label className="text-sm text-gray-600">
+            From
+            <input type="date" value={from} max={to} onChange={(e) => setFrom(e.target.value)} className={`${inputClass} block`} />
+          </label>
+          <label className="text-sm text-gray-600">
+            To
+            <input type="date" value={to} min={from} onChange={(e) => setTo(e.target.value)} className={`${inputClass} block`} />
+          </label>
+          <label className="text-sm text-gray-600">
+            Group by
+            <select value={grouping} onChange={(e) => setGrouping(e.target.value)} className={`${inputClass} block`}>
+              {GROUPINGS.map(item => (
+                <option key={item.id} value={item.id}>{item.label}</option>
+              ))}
+            </select>
+          </label>
+          <button
+            onClick={loadReport}
+            className="px-3 py-2 border border-gray-300 rounded-lg hover:bg-gray-100 text-gray-700"
+            title="Refresh"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+          <button
+            onClick={exportRows}
+            disabled={rows.length === 0}
+            className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 flex items-center gap-2"
+          >
+            <Download className="w-4 h-4" />
+            Export CSV
+          </button>
+        </div>
+      </div>
+
+      {report && (
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div className="bg-orange-50 p-4 rounded-lg">
+            <p className="text-sm text-orange-600 font-medium">Issued</p>
+            <p className="text-2xl font-bold text-orange-900">{formatCurrency(report.totals.issuedCost)}</p>
+            <p className="text-xs text-orange-700">{report.totals.issuedUnits} units</p>
+          </div>
+          <div className="bg-blue-50 p-4 rounded-lg">
+            <p className="text-sm text-blue-600 font-medium">Checked Out</p>
+            <p className="text-2xl font-bold text-blue-900">{formatCurrency(report.totals.checkedOutCost)}</p>
+            <p className="text-xs text-blue-700">{report.totals.checkedOutUnits} units</p>
+          </div>
+          <div className="bg-green-50 p-4 rounded-lg">
+            <p className="text-sm text-green-600 font-medium">Returned</p>
+            <p className="text-2xl font-bold text-green-900">{formatCurrency(report.totals.returnedCost)}</p>
+            <p className="text-xs text-green-700">{report.totals.returnedUnits} units</p>
+          </div>
+          <div className="bg-red-50 p-4 rounded-lg">
+            <p className="text-sm text-red-600 font-medium">Net Cost</p>
+            <p className="text-2xl font-bold text-red-900">{formatCurrency(report.totals.netCost)}</p>
+            {report.totals.uncostedUnits > 0 && (
+              <p className="text-xs text-red-700">{report.totals.uncostedUnits} units have no cost</p>
+            )}
+          </div>
+        </div>
+      )}
+
+      {loading && !report ? (
+        <div className="flex items-center justify-center py-12">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-red-600"></div>
+        </div>
+      ) : rows.length === 0 ? (
+        <div className="text-center py-12 text-gray-500">Nothing was issued or checked out in this period.</div>
+      ) : (
+        <div className="overflow-x-auto border rounded-lg">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50 text-gray-600 text-left">
+              <tr>
+                <th className="p-2">{group.label}</th>
+                <th className="p-2 text-right">Issued</th>
+                <th className="p-2 text-right">Checked Out</th>
+                <th className="p-2 text-right">Returned</th>
+                <th className="p-2 text-right">Net Cost</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={row[group.key]} className="border-t">
+                  <td className="p-2">
+                    <div className="font-medium text-gray-900">{row[group.key]}</div>
+                    {grouping === 'byPart' && <div className="text-gray-500">{row.description}</div>}
+                  </td>
+                  <td className="p-2 text-right">{formatCurrency(row.issuedCost)} <span className="text-gray-500">({row.issuedUnits})</span></td>
+                  <td className="p-2 text-right">{formatCurrency(row.checkedOutCost)} <span className="text-gray-500">({row.checkedOutUnits})</span></td>
+                  <td className="p-2 text-right">{formatCurrency(row.returnedCost)} <span className="text-gray-500">({row.returnedUnits})</span></td>
+                  <td className="p-2 text-right font-semibold">{formatCurrency(row.netCost)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ConsumptionReport;
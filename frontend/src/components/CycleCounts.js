@@ -0,0 +1,419 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { ClipboardCheck, ChevronLeft, MapPin, CheckCircle, AlertCircle, RefreshCw, Plus, WifiOff, LogIn } from 'lucide-react';
+
+const STATUS_STYLES = {
+  open: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200',
+  approved: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200',
+  cancelled: 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300'
+};
+
+const formatVariance = (value) => value > 0 ? `+${value}` : String(value);
+
+// Cycle counts: leads open a session for some shelves, anyone with counting
+// rights walks the shelves with a phone and enters what they find, and the
+// lead reviews the variances before approving them. Counters don't see the
+// recorded quantity so it can't sway the count.
+const CycleCounts = ({
+  inventory,
+  apiCall,
+  isOnline,
+  canRecord,
+  canManage,
+  onLogin,
+  onAdjusted
+}) => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [activeSession, setActiveSession] = useState(null);
+  const [counts, setCounts] = useState({});
+  const [savingPart, setSavingPart] = useState(null);
+  const [newShelves, setNewShelves] = useState(null);
+  const [skipIds, setSkipIds] = useState(new Set());
+  const [working, setWorking] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const loadSessions = useCallback(async () => {
+    setLoading(true);
+    try {
+      setSessions(await apiCall('/counts'));
+    } catch (error) {
+      console.error('Failed to fetch count sessions:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [apiCall]);
+
+  useEffect(() => {
+    if (canRecord && isOnline) loadSessions();
+  }, [canRecord, isOnline, loadSessions]);
+
+  // Same grouping as the inventory report's locationReport
+  const shelfOptions = useMemo(() => {
+    const byShelf = {};
+    inventory.forEach(part => {
+      const shelf = part.shelf || 'Unassigned';
+      byShelf[shelf] = (byShelf[shelf] || 0) + 1;
+    });
+    const busy = new Set(sessions.filter(session => session.status === 'open').flatMap(session => session.shelves));
+    return Object.entries(byShelf)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([shelf, parts]) => ({ shelf, parts, busy: busy.has(shelf) }));
+  }, [inventory, sessions]);
+
+  const openSession = (session) => {
+    setActiveSession(session);
+    setCounts({});
+    setMessage(null);
+    setSkipIds(new Set());
+  };
+
+  const replaceSession = (session) => {
+    setActiveSession(session);
+    setSessions(prev => prev.map(existing => existing.sessionId === session.sessionId ? session : existing));
+  };
+
+  const createSession = async () => {
+    setWorking(true);
+    setMessage(null);
+    try {
+      const session = await apiCall('/counts', {
+        method: 'POST',
+        body: JSON.stringify({ shelves: [...newShelves] })
+      });
+      setNewShelves(null);
+      setSessions(prev => [session, ...prev]);
+      openSession(session);
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const saveCount = async (line) => {
+    const value = counts[line.partId];
+    if (value === undefined || value === '') return;
+    setSavingPart(line.partId);
+    setMessage(null);
+    try {
+      const session = await apiCall(`/counts/${activeSession.sessionId}/lines/${line.partId}`, {
+        method: 'PUT',
+        body: JSON.stringify({ countedQuantity: Number(value) })
+      });
+      replaceSession(session);
+      setCounts(prev => {
+        const next = { ...prev };
+        delete next[line.partId];
+        return next;
+      });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setSavingPart(null);
+    }
+  };
+
+  const closeSession = async (action) => {
+    if (action === 'cancel' && !window.confirm(`Cancel ${activeSession.sessionId}? Its counts will not be applied.`)) {
+      return;
+    }
+    setWorking(true);
+    setMessage(null);
+    try {
+      const partIds = activeSession.lines
+        .filter(line => line.variance && !skipIds.has(line.partId))
+        .map(line => line.partId);
+      const result = await apiCall(`/counts/${activeSession.sessionId}/${action}`, {
+        method: 'POST',
+        body: JSON.stringify(action === 'approve' ? { partIds } : {})
+      });
+      if (action === 'approve') {
+        replaceSession(result.session);
+        setMessage({ type: 'success', text: `${result.transactions.length} adjustment${result.transactions.length === 1 ? '' : 's'} booked` });
+        if (onAdjusted) onAdjusted();
+      } else {
+        replaceSession(result);
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const inputClass = 'p-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-red-500 focus:border-red-500';
+
+  if (!canRecord) {
+    return (
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-6 max-w-xl mx-auto text-center">
+        <ClipboardCheck className="w-12 h-12 mx-auto mb-3 text-gray-400" />
+        <p className="text-gray-600 dark:text-gray-400 mb-4">Sign in to take part in shelf counts.</p>
+        <button onClick={onLogin} className="bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700 inline-flex items-center gap-2">
+          <LogIn className="w-4 h-4" />
+          Sign In
+        </button>
+      </div>
+    );
+  }
+
+  const messageBanner = message && (
+    <div className={`flex items-center gap-2 p-3 mb-4 rounded-lg text-sm ${
+      message.type === 'error'
+        ? 'bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-300'
+        : 'bg-green-50 dark:bg-green-900/20 text-green-700 dark:text-green-300'
+    }`}>
+      {message.type === 'error' ? <AlertCircle className="w-4 h-4 flex-shrink-0" /> : <CheckCircle className="w-4 h-4 flex-shrink-0" />}
+      {message.text}
+    </div>
+  );
+
+  // One session: count entry while open, then the variance review
+  if (activeSession) {
+    const isOpen = activeSession.status === 'open';
+    const linesByShelf = activeSession.lines.reduce((acc, line) => {
+      (acc[line.shelf] = acc[line.shelf] || []).push(line);
+      return acc;
+    }, {});
+    const varianceLines = activeSession.lines.filter(line => line.variance);
+    const approveCount = varianceLines.filter(line => !skipIds.has(line.partId)).length;
+
+    return (
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-4 md:p-6 max-w-3xl mx-auto">
+        <button
+          onClick={() => { setActiveSession(null); setMessage(null); }}
+          className="flex items-center text-sm text-red-600 dark:text-red-400 mb-3"
+        >
+          <ChevronLeft className="w-4 h-4" />
+          All counts
+        </button>
+        <div className="flex items-start justify-between mb-4">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900 dark:text-gray-100">{activeSession.sessionId}</h2>
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              {activeSession.summary.counted} of {activeSession.summary.lines} parts counted
+            </p>
+          </div>
+          <span className={`text-xs px-2 py-1 rounded ${STATUS_STYLES[activeSession.status]}`}>{activeSession.status}</span>
+        </div>
+
+        {messageBanner}
+        {!isOnline && (
+          <p className="flex items-center text-sm text-orange-600 dark:text-orange-400 mb-4">
+            <WifiOff className="w-4 h-4 mr-1" />
+            Counts can be saved once you are back online.
+          </p>
+        )}
+
+        {Object.entries(linesByShelf).map(([shelf, lines]) => (
+          <div key={shelf} className="mb-6">
+            <h3 className="font-semibold text-gray-900 dark:text-gray-100 flex items-center mb-2">
+              <MapPin className="w-4 h-4 mr-1" />
+              {shelf}
+            </h3>
+            <div className="space-y-2">
+              {lines.map(line => (
+                <div key={line.partId} className="border border-gray-200 dark:border-gray-600 rounded-lg p-3">
+                  <div className="flex justify-between items-start gap-2">
+                    <div>
+                      <p className="font-medium text-gray-900 dark:text-gray-100">{line.partNumber}</p>
+                      <p className="text-sm text-gray-600 dark:text-gray-400">{line.description}</p>
+                      {line.countedQuantity !== null && (
+                        <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                          Counted {line.countedQuantity} by {line.countedBy}
+                          {canManage && line.variance !== 0 && (
+                            <span className={line.variance < 0 ? 'text-red-600' : 'text-green-600'}>
+                              {' '}({formatVariance(line.variance)} vs {line.systemQuantity} recorded)
+                            </span>
+                          )}
+                          {line.adjusted && ' · adjusted'}
+                        </p>
+                      )}
+                    </div>
+                    {line.countedQuantity !== null && <CheckCircle className="w-5 h-5 text-green-600 flex-shrink-0" />}
+                  </div>
+                  {isOpen && (
+                    <form
+                      onSubmit={(e) => { e.preventDefault(); saveCount(line); }}
+                      className="flex gap-2 mt-2"
+                    >
+                      <input
+                        type="number"
+                        inputMode="numeric"
+                        min="0"
+                        placeholder={line.countedQuantity === null ? 'Quantity on shelf' : 'Recount'}
+                        value={counts[line.partId] ?? ''}
+                        onChange={(e) => setCounts(prev => ({ ...prev, [line.partId]: e.target.value }))}
+                        className={`${inputClass} flex-1`}
+                      />
+                      <button
+                        type="submit"
+                        disabled={!isOnline || savingPart === line.partId || (counts[line.partId] ?? '') === ''}
+                        className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:bg-gray-400"
+                      >
+                        {savingPart === line.partId ? <RefreshCw className="w-4 h-4 animate-spin" /> : 'Save'}
+                      </button>
+                    </form>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+
+        {canManage && isOpen && (
+          <div className="border-t border-gray-200 dark:border-gray-600 pt-4">
+            <h3 className="font-semibold text-gray-900 dark:text-gray-100 mb-2">Review</h3>
+            {varianceLines.length === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">No variances so far.</p>
+            ) : (
+              <div className="space-y-1 mb-4">
+                {varianceLines.map(line => (
+                  <label key={line.partId} className="flex items-center justify-between text-sm text-gray-700 dark:text-gray-300">
+                    <span className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={!skipIds.has(line.partId)}
+                        onChange={() => setSkipIds(prev => {
+                          const next = new Set(prev);
+                          if (next.has(line.partId)) {
+                            next.delete(line.partId);
+                          } else {
+                            next.add(line.partId);
+                          }
+                          return next;
+                        })}
+                      />
+                      {line.partNumber}
+                    </span>
+                    <span className={line.variance < 0 ? 'text-red-600' : 'text-green-600'}>
+                      {formatVariance(line.variance)}
+                      {line.varianceValue !== null && ` ($${line.varianceValue.toFixed(2)})`}
+                    </span>
+                  </label>
+                ))}
+                <p className="text-xs text-gray-500 dark:text-gray-400 pt-1">
+                  Net {formatVariance(activeSession.summary.netUnits)} units, ${activeSession.summary.netValue.toFixed(2)}
+                </p>
+              </div>
+            )}
+            <div className="grid grid-cols-2 gap-2">
+              <button
+                onClick={() => closeSession('approve')}
+                disabled={working || !isOnline}
+                className="bg-green-600 text-white px-4 py-3 rounded-lg hover:bg-green-700 disabled:bg-gray-400"
+              >
+                Approve{approveCount > 0 && ` ${approveCount} adjustment${approveCount === 1 ? '' : 's'}`}
+              </button>
+              <button
+                onClick={() => closeSession('cancel')}
+                disabled={working || !isOnline}
+                className="bg-gray-300 dark:bg-gray-600 text-gray-700 dark:text-gray-300 px-4 py-3 rounded-lg hover:bg-gray-400 disabled:opacity-50"
+              >
+                Cancel Count
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-4 md:p-6 max-w-3xl mx-auto">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-gray-100">Shelf Counts</h2>
+          <p className="text-sm text-gray-500 dark:text-gray-400">Count what is on the shelf and enter it here</p>
+        </div>
+        <div className="flex gap-2">
+          <button onClick={loadSessions} disabled={!isOnline} className="p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-600 dark:text-gray-300" title="Refresh">
+            <RefreshCw className={`w-5 h-5 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+          {canManage && !newShelves && (
+            <button
+              onClick={() => setNewShelves(new Set())}
+              disabled={!isOnline}
+              className="bg-red-600 text-white px-3 py-2 rounded-lg hover:bg-red-700 disabled:bg-gray-400 flex items-center gap-1"
+            >
+              <Plus className="w-4 h-4" />
+              New Count
+            </button>
+          )}
+        </div>
+      </div>
+
+      {messageBanner}
+
+      {newShelves && (
+        <div className="border border-gray-200 dark:border-gray-600 rounded-lg p-4 mb-4">
+          <h3 className="font-semibold text-gray-900 dark:text-gray-100 mb-2">Shelves to count</h3>
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-2 max-h-64 overflow-y-auto mb-3">
+            {shelfOptions.map(({ shelf, parts, busy }) => (
+              <label key={shelf} className={`flex items-center gap-2 text-sm ${busy ? 'text-gray-400' : 'text-gray-700 dark:text-gray-300'}`}>
+                <input
+                  type="checkbox"
+                  disabled={busy}
+                  checked={newShelves.has(shelf)}
+                  onChange={() => setNewShelves(prev => {
+                    const next = new Set(prev);
+                    if (next.has(shelf)) {
+                      next.delete(shelf);
+                    } else {
+                      next.add(shelf);
+                    }
+                    return next;
+                  })}
+                />
+                {shelf} <span className="text-gray-400">({busy ? 'counting' : parts})</span>
+              </label>
+            ))}
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={createSession}
+              disabled={working || newShelves.size === 0}
+              className="bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700 disabled:bg-gray-400"
+            >
+              Start Count
+            </button>
+            <button
+              onClick={() => setNewShelves(null)}
+              className="px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg text-gray-700 dark:text-gray-300"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {sessions.length === 0 ? (
+        <p className="text-center py-8 text-gray-500 dark:text-gray-400">
+          {isOnline ? 'No shelf counts yet.' : 'Shelf counts need a connection.'}
+        </p>
+      ) : (
+        <div className="space-y-2">
+          {sessions.map(session => (
+            <button
+              key={session.sessionId}
+              onClick={() => openSession(session)}
+              className="w-full text-left border border-gray-200 dark:border-gray-600 rounded-lg p-3 hover:bg-gray-50 dark:hover:bg-gray-700"
+            >
+              <div className="flex justify-between items-center">
+                <span className="font-medium text-gray-900 dark:text-gray-100">{session.sessionId}</span>
+                <span className={`text-xs px-2 py-1 rounded ${STATUS_STYLES[session.status]}`}>{session.status}</span>
+              </div>
+              <p className="text-sm text-gray-600 dark:text-gray-400">{session.shelves.join(', ')}</p>
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                {session.summary.counted} of {session.summary.lines} counted
+                {session.summary.withVariance > 0 && ` · ${session.summary.withVariance} with variance`}
+                {' · '}opened by {session.createdBy} {new Date(session.createdAt).toLocaleDateString()}
+              </p>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CycleCounts;
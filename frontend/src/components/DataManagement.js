@@ -1,10 +1,147 @@
-import React, { useState } from 'react';
-import { Download, Upload, Shield, AlertTriangle, CheckCircle, Database, RefreshCw } from 'lucide-react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Download, Upload, Shield, AlertTriangle, CheckCircle, Database, RefreshCw, Archive, Clock, Eye } from 'lucide-react';
+
+const formatSize = (bytes) => bytes < 1024 * 1024
+  ? `${(bytes / 1024).toFixed(1)} KB`
+  : `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+const PREVIEW_LIMIT = 50;
+
+const formatValue = (value) => value === null || value === '' ? '(empty)' : String(value);
+
+// One expandable list of the restore preview, capped at PREVIEW_LIMIT rows
+const DiffList = ({ title, items, renderItem, className }) => {
+  if (items.length === 0) return null;
+  return (
+    <details className="bg-white border border-gray-200 rounded-lg">
+      <summary className={`px-3 py-2 cursor-pointer font-medium ${className}`}>
+        {title} ({items.length})
+      </summary>
+      <ul className="px-3 pb-2 space-y-1 text-sm">
+        {items.slice(0, PREVIEW_LIMIT).map(renderItem)}
+        {items.length > PREVIEW_LIMIT && (
+          <li className="text-gray-500">and {items.length - PREVIEW_LIMIT} more</li>
+        )}
+      </ul>
+    </details>
+  );
+};
+
+const renderFieldChanges = (fields) => (
+  <ul className="ml-4 text-xs text-gray-600">
+    {fields.map(change => (
+      <li key={change.field}>
+        <span className="font-mono">{change.field}</span>: {formatValue(change.from)} → {formatValue(change.to)}
+      </li>
+    ))}
+  </ul>
+);
+
+const RECORD_LABELS = {
+  users: 'Users',
+  employees: 'Employees',
+  suppliers: 'Suppliers',
+  purchaseOrders: 'Purchase orders',
+  countSessions: 'Count sessions',
+  notificationSubscriptions: 'Notification settings',
+  importProfiles: 'Import profiles'
+};
+
+// What a restore would change, from a dry run of /backup/restore
+const RestorePreview = ({ diff }) => (
+  <div className="space-y-3">
+    <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+      <div className="bg-white p-3 rounded">
+        <span className="text-gray-600">Parts added / removed</span>
+        <br />
+        <span className="font-medium text-gray-900">{diff.parts.added.length} / {diff.parts.removed.length}</span>
+      </div>
+      <div className="bg-white p-3 rounded">
+        <span className="text-gray-600">Parts changed</span>
+        <br />
+        <span className="font-medium text-gray-900">{diff.parts.changed.length} ({diff.parts.unchanged} unchanged)</span>
+      </div>
+      <div className="bg-white p-3 rounded">
+        <span className="text-gray-600">Shelves added / removed / changed</span>
+        <br />
+        <span className="font-medium text-gray-900">
+          {diff.shelves.added.length} / {diff.shelves.removed.length} / {diff.shelves.changed.length}
+        </span>
+      </div>
+      <div className="bg-white p-3 rounded">
+        <span className="text-gray-600">Transactions</span>
+        <br />
+        <span className="font-medium text-gray-900">
+          {diff.transactions.current} → {diff.transactions.restored} ({diff.transactions.delta >= 0 ? '+' : ''}{diff.transactions.delta})
+        </span>
+      </div>
+    </div>
+
+    {diff.records && Object.keys(diff.records).length > 0 && (
+      <p className="text-sm text-gray-700">
+        Also replaced:{' '}
+        {Object.entries(diff.records)
+          .map(([key, count]) => `${RECORD_LABELS[key] || key} ${count.current} → ${count.restored}`)
+          .join(', ')}
+      </p>
+    )}
+
+    <DiffList
+      title="Parts added"
+      className="text-green-700"
+      items={diff.parts.added}
+      renderItem={part => <li key={part.id}>{part.partNumber} {part.description}</li>}
+    />
+    <DiffList
+      title="Parts removed"
+      className="text-red-700"
+      items={diff.parts.removed}
+      renderItem={part => <li key={part.id}>{part.partNumber} {part.description}</li>}
+    />
+    <DiffList
+      title="Parts changed"
+      className="text-yellow-700"
+      items={diff.parts.changed}
+      renderItem={part => (
+        <li key={part.id}>
+          {part.partNumber} {part.description}
+          {renderFieldChanges(part.fields)}
+        </li>
+      )}
+    />
+    <DiffList
+      title="Shelves added"
+      className="text-green-700"
+      items={diff.shelves.added}
+      renderItem={shelf => <li key={shelf.shelfId}>{shelf.shelfId} {shelf.name !== shelf.shelfId ? shelf.name : ''}</li>}
+    />
+    <DiffList
+      title="Shelves removed"
+      className="text-red-700"
+      items={diff.shelves.removed}
+      renderItem={shelf => <li key={shelf.shelfId}>{shelf.shelfId} {shelf.name !== shelf.shelfId ? shelf.name : ''}</li>}
+    />
+    <DiffList
+      title="Shelves changed"
+      className="text-yellow-700"
+      items={diff.shelves.changed}
+      renderItem={shelf => (
+        <li key={shelf.shelfId}>
+          {shelf.shelfId}
+          {renderFieldChanges(shelf.fields)}
+        </li>
+      )}
+    />
+  </div>
+);
 
 const DataManagement = ({ 
   isOpen, 
   onClose, 
-  apiCall 
+  apiCall,
+  onDownloadBackup,
+  canBackup = false,
+  canRestore = false
 }) => {
   const [loading, setLoading] = useState(false);
   const [validationResult, setValidationResult] = useState(null);
@@ -12,6 +149,34 @@ const DataManagement = ({
   const [restoreData, setRestoreData] = useState('');
   const [confirmRestore, setConfirmRestore] = useState(false);
   const [activeTab, setActiveTab] = useState('backup');
+  const [storedBackups, setStoredBackups] = useState(null);
+  const [selectedBackup, setSelectedBackup] = useState(null);
+  const [restorePreview, setRestorePreview] = useState(null);
+  const [restoreScope, setRestoreScope] = useState({ partIds: '', shelfIds: '', category: '' });
+  const [checkBackupFile, setCheckBackupFile] = useState('');
+  const [checkBackupData, setCheckBackupData] = useState('');
+
+  // A preview only holds for the backup and scope it was made from
+  useEffect(() => {
+    setRestorePreview(null);
+    setConfirmRestore(false);
+  }, [restoreData, selectedBackup, restoreScope]);
+
+  const isSelectiveRestore = Object.values(restoreScope).some(value => value.trim());
+
+  const fetchStoredBackups = useCallback(async () => {
+    try {
+      setStoredBackups(await apiCall('/backup/list'));
+    } catch (error) {
+      console.error('Failed to list stored backups:', error);
+    }
+  }, [apiCall]);
+
+  useEffect(() => {
+    if (isOpen && canBackup) {
+      fetchStoredBackups();
+    }
+  }, [isOpen, canBackup, fetchStoredBackups]);
 
   const createBackup = async () => {
     setLoading(true);
@@ -49,23 +214,73 @@ const DataManagement = ({
     }
   };
 
+  // Checks a stored or pasted backup: its format version, the upgrades a
+  // restore would apply and the integrity of its data
+  const validateBackup = async () => {
+    setLoading(true);
+    try {
+      const body = checkBackupFile ? { file: checkBackupFile } : { backup: JSON.parse(checkBackupData) };
+      const result = await apiCall('/backup/validate', {
+        method: 'POST',
+        body: JSON.stringify(body)
+      });
+      setValidationResult(result);
+    } catch (error) {
+      console.error('Failed to validate backup:', error);
+      alert(`Could not check this backup: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Either the selected stored backup or the pasted JSON, limited to the
+  // scope when one is filled in
+  const restoreSource = () => {
+    let source;
+    if (selectedBackup) {
+      source = { file: selectedBackup };
+    } else {
+      const parsed = JSON.parse(restoreData);
+      source = { data: parsed.data, timestamp: parsed.timestamp, version: parsed.version };
+    }
+    return isSelectiveRestore ? { ...source, scope: restoreScope } : source;
+  };
+
+  const previewRestore = async () => {
+    setLoading(true);
+    try {
+      const result = await apiCall('/backup/restore', {
+        method: 'POST',
+        body: JSON.stringify({
+          ...restoreSource(),
+          dryRun: true
+        })
+      });
+      setRestorePreview(result);
+    } catch (error) {
+      console.error('Failed to preview restore:', error);
+      alert(`Could not read this backup: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const restoreFromBackup = async () => {
-    if (!restoreData || !confirmRestore) {
+    if (!restorePreview || !confirmRestore) {
       return;
     }
 
     setLoading(true);
     try {
-      const parsedData = JSON.parse(restoreData);
       const result = await apiCall('/backup/restore', {
         method: 'POST',
         body: JSON.stringify({
-          data: parsedData.data,
+          ...restoreSource(),
           confirm: true
         })
       });
       
-      alert('Backup restored successfully! The page will reload to reflect changes.');
+      alert(`Backup restored successfully! The data it replaced was saved on the server as ${result.preRestoreBackup}. The page will reload to reflect changes.`);
       window.location.reload();
     } catch (error) {
       console.error('Failed to restore backup:', error);
@@ -81,7 +296,8 @@ const DataManagement = ({
       const result = await apiCall('/backup/auto-create', {
         method: 'POST'
       });
-      alert(`Auto-backup created successfully: ${result.backupFile}`);
+      alert(`Server backup created successfully: ${result.backupFile}`);
+      await fetchStoredBackups();
     } catch (error) {
       console.error('Failed to create auto-backup:', error);
     } finally {
@@ -92,9 +308,10 @@ const DataManagement = ({
   if (!isOpen) return null;
 
   const tabs = [
-    { id: 'backup', label: 'Backup & Restore', icon: Database },
+    ...(canBackup || canRestore ? [{ id: 'backup', label: 'Backup & Restore', icon: Database }] : []),
     { id: 'validate', label: 'Data Validation', icon: Shield }
   ];
+  const currentTab = tabs.some(tab => tab.id === activeTab) ? activeTab : tabs[0].id;
 
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
@@ -123,7 +340,7 @@ const DataManagement = ({
                   key={tab.id}
                   onClick={() => setActiveTab(tab.id)}
                   className={`py-3 px-1 border-b-2 font-medium text-sm flex items-center gap-2 ${
-                    activeTab === tab.id
+                    currentTab === tab.id
                       ? 'border-red-500 text-red-600'
                       : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
                   }`}
@@ -139,87 +356,250 @@ const DataManagement = ({
         {/* Content */}
         <div className="p-6 overflow-auto max-h-[60vh]">
           {/* Backup & Restore Tab */}
-          {activeTab === 'backup' && (
+          {currentTab === 'backup' && (
             <div className="space-y-6">
               {/* Create Backup Section */}
-              <div className="bg-blue-50 p-4 rounded-lg">
-                <h3 className="text-lg font-semibold mb-3 flex items-center gap-2">
-                  <Download className="w-5 h-5" />
-                  Create Backup
-                </h3>
-                <p className="text-gray-600 mb-4">
-                  Download a complete backup of your inventory data including parts, shelves, and transaction history.
-                </p>
-                <div className="flex gap-3">
-                  <button
-                    onClick={createBackup}
-                    disabled={loading}
-                    className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 flex items-center gap-2"
-                  >
-                    {loading ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
-                    Create & Download Backup
-                  </button>
-                  <button
-                    onClick={createAutoBackup}
-                    disabled={loading}
-                    className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 flex items-center gap-2"
-                  >
-                    {loading ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Database className="w-4 h-4" />}
-                    Create Server Backup
-                  </button>
+              {canBackup && (
+                <div className="bg-blue-50 p-4 rounded-lg">
+                  <h3 className="text-lg font-semibold mb-3 flex items-center gap-2">
+                    <Download className="w-5 h-5" />
+                    Create Backup
+                  </h3>
+                  <p className="text-gray-600 mb-4">
+                    Download a complete backup of your inventory data including parts, shelves, and transaction history.
+                  </p>
+                  <div className="flex gap-3">
+                    <button
+                      onClick={createBackup}
+                      disabled={loading}
+                      className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 flex items-center gap-2"
+                    >
+                      {loading ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+                      Create & Download Backup
+                    </button>
+                    <button
+                      onClick={createAutoBackup}
+                      disabled={loading}
+                      className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 flex items-center gap-2"
+                    >
+                      {loading ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Database className="w-4 h-4" />}
+                      Create Server Backup
+                    </button>
+                  </div>
                 </div>
-              </div>
+              )}
 
-              {/* Restore Backup Section */}
-              <div className="bg-yellow-50 p-4 rounded-lg">
-                <h3 className="text-lg font-semibold mb-3 flex items-center gap-2">
-                  <Upload className="w-5 h-5" />
-                  Restore from Backup
-                </h3>
-                <div className="bg-yellow-100 border border-yellow-400 text-yellow-800 px-4 py-3 rounded mb-4">
-                  <div className="flex items-center gap-2">
-                    <AlertTriangle className="w-5 h-5" />
-                    <span className="font-medium">Warning:</span>
+              {/* Stored Backups Section */}
+              {canBackup && storedBackups && (
+                <div className="bg-gray-50 p-4 rounded-lg">
+                  <div className="flex items-center justify-between mb-3">
+                    <h3 className="text-lg font-semibold flex items-center gap-2">
+                      <Archive className="w-5 h-5" />
+                      Server Backups
+                    </h3>
+                    <button
+                      onClick={fetchStoredBackups}
+                      className="p-1 text-gray-500 hover:text-gray-700"
+                      title="Refresh"
+                    >
+                      <RefreshCw className="w-4 h-4" />
+                    </button>
                   </div>
-                  <p className="mt-1">This will replace ALL current data. Make sure to create a backup first!</p>
+                  <p className="text-sm text-gray-600 mb-3 flex items-center gap-2">
+                    <Clock className="w-4 h-4" />
+                    {storedBackups.schedule.intervalHours > 0
+                      ? `Every ${storedBackups.schedule.intervalHours} hours${storedBackups.schedule.nextRunAt ? `, next ${new Date(storedBackups.schedule.nextRunAt).toLocaleString()}` : ''}. `
+                      : 'Scheduled backups are off. '}
+                    Keeps {storedBackups.schedule.retention.daily} daily, {storedBackups.schedule.retention.weekly} weekly
+                    and {storedBackups.schedule.retention.monthly} monthly backups.
+                  </p>
+                  {storedBackups.backups.length === 0 ? (
+                    <p className="text-gray-500 text-sm">No backups stored yet.</p>
+                  ) : (
+                    <div className="max-h-60 overflow-auto border border-gray-200 rounded-lg bg-white">
+                      <table className="min-w-full text-sm">
+                        <thead className="bg-gray-100 sticky top-0">
+                          <tr>
+                            <th className="px-3 py-2 text-left font-medium text-gray-700">Taken</th>
+                            <th className="px-3 py-2 text-right font-medium text-gray-700">Size</th>
+                            <th className="px-3 py-2"></th>
+                          </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-200">
+                          {storedBackups.backups.map(backup => (
+                            <tr key={backup.name} className={selectedBackup === backup.name ? 'bg-yellow-50' : ''}>
+                              <td className="px-3 py-2 text-gray-900">
+                                {new Date(backup.createdAt).toLocaleString()}
+                                {backup.kind === 'pre-restore' && (
+                                  <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-yellow-100 text-yellow-800">before restore</span>
+                                )}
+                              </td>
+                              <td className="px-3 py-2 text-right text-gray-600">{formatSize(backup.size)}</td>
+                              <td className="px-3 py-2 text-right whitespace-nowrap">
+                                <button
+                                  onClick={() => onDownloadBackup(backup.name)}
+                                  className="px-2 py-1 text-blue-600 hover:text-blue-800"
+                                  title={backup.name}
+                                >
+                                  Download
+                                </button>
+                                {canRestore && (
+                                  <button
+                                    onClick={() => setSelectedBackup(selectedBackup === backup.name ? null : backup.name)}
+                                    className="px-2 py-1 text-red-600 hover:text-red-800"
+                                  >
+                                    {selectedBackup === backup.name ? 'Deselect' : 'Restore...'}
+                                  </button>
+                                )}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
                 </div>
-                
-                <div className="space-y-4">
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">
-                      Paste backup JSON data:
-                    </label>
-                    <textarea
-                      value={restoreData}
-                      onChange={(e) => setRestoreData(e.target.value)}
-                      placeholder="Paste the complete backup JSON here..."
-                      className="w-full h-32 p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-transparent"
-                    />
+              )}
+
+              {/* Restore Backup Section */}
+              {canRestore && (
+                <div className="bg-yellow-50 p-4 rounded-lg">
+                  <h3 className="text-lg font-semibold mb-3 flex items-center gap-2">
+                    <Upload className="w-5 h-5" />
+                    Restore from Backup
+                  </h3>
+                  <div className="bg-yellow-100 border border-yellow-400 text-yellow-800 px-4 py-3 rounded mb-4">
+                    <div className="flex items-center gap-2">
+                      <AlertTriangle className="w-5 h-5" />
+                      <span className="font-medium">Warning:</span>
+                    </div>
+                    <p className="mt-1">This will replace ALL current data. Preview the changes first; the current data is saved on the server before the restore.</p>
                   </div>
                   
-                  <div className="flex items-center gap-2">
-                    <input
-                      type="checkbox"
-                      id="confirmRestore"
-                      checked={confirmRestore}
-                      onChange={(e) => setConfirmRestore(e.target.checked)}
-                      className="rounded text-red-600 focus:ring-red-500"
-                    />
-                    <label htmlFor="confirmRestore" className="text-sm text-gray-700">
-                      I understand this will replace all current data
-                    </label>
+                  <div className="space-y-4">
+                    {selectedBackup ? (
+                      <div className="flex items-center justify-between bg-white border border-gray-300 rounded-lg p-3">
+                        <span className="text-sm text-gray-700">
+                          Server backup from <span className="font-medium">
+                            {new Date(storedBackups.backups.find(backup => backup.name === selectedBackup)?.createdAt).toLocaleString()}
+                          </span>
+                        </span>
+                        <button
+                          onClick={() => setSelectedBackup(null)}
+                          className="text-sm text-gray-500 hover:text-gray-700"
+                        >
+                          Paste JSON instead
+                        </button>
+                      </div>
+                    ) : (
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                          Paste backup JSON data{canBackup ? ', or choose a server backup above' : ''}:
+                        </label>
+                        <textarea
+                          value={restoreData}
+                          onChange={(e) => setRestoreData(e.target.value)}
+                          placeholder="Paste the complete backup JSON here..."
+                          className="w-full h-32 p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-transparent"
+                        />
+                      </div>
+                    )}
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Restore only (leave empty to restore everything):
+                      </label>
+                      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                        <input
+                          type="text"
+                          value={restoreScope.partIds}
+                          onChange={(e) => setRestoreScope(prev => ({ ...prev, partIds: e.target.value }))}
+                          placeholder="Part IDs, e.g. 12, 15"
+                          className="p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-transparent"
+                        />
+                        <input
+                          type="text"
+                          value={restoreScope.shelfIds}
+                          onChange={(e) => setRestoreScope(prev => ({ ...prev, shelfIds: e.target.value }))}
+                          placeholder="Shelf IDs, e.g. A1, B2"
+                          className="p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-transparent"
+                        />
+                        <input
+                          type="text"
+                          value={restoreScope.category}
+                          onChange={(e) => setRestoreScope(prev => ({ ...prev, category: e.target.value }))}
+                          placeholder="Category"
+                          className="p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-transparent"
+                        />
+                      </div>
+                      {isSelectiveRestore && (
+                        <p className="text-xs text-gray-500 mt-1">
+                          Only these parts and shelves are put back; everything else and all transactions stay as they are.
+                        </p>
+                      )}
+                    </div>
+                    
+                    {!restorePreview ? (
+                      <button
+                        onClick={previewRestore}
+                        disabled={loading || (!restoreData && !selectedBackup)}
+                        className="px-4 py-2 bg-yellow-600 text-white rounded-lg hover:bg-yellow-700 disabled:opacity-50 flex items-center gap-2"
+                      >
+                        {loading ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Eye className="w-4 h-4" />}
+                        Preview Changes
+                      </button>
+                    ) : (
+                      <>
+                        {restorePreview.migrations.length > 0 && (
+                          <div className="bg-blue-50 border border-blue-200 text-blue-800 px-3 py-2 rounded-lg text-sm">
+                            This backup is in format version {restorePreview.migratedFrom} and will be upgraded:
+                            <ul className="list-disc list-inside mt-1">
+                              {restorePreview.migrations.map(migration => (
+                                <li key={migration.version}>{migration.description}</li>
+                              ))}
+                            </ul>
+                          </div>
+                        )}
+                        <RestorePreview diff={restorePreview.diff} />
+                        {restorePreview.warnings && restorePreview.warnings.length > 0 && (
+                          <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-3 py-2 rounded-lg text-sm">
+                            Loans have changed since this backup:
+                            <ul className="list-disc list-inside mt-1">
+                              {restorePreview.warnings.map(warning => (
+                                <li key={warning}>{warning}</li>
+                              ))}
+                            </ul>
+                          </div>
+                        )}
+
+                        <div className="flex items-center gap-2">
+                          <input
+                            type="checkbox"
+                            id="confirmRestore"
+                            checked={confirmRestore}
+                            onChange={(e) => setConfirmRestore(e.target.checked)}
+                            className="rounded text-red-600 focus:ring-red-500"
+                          />
+                          <label htmlFor="confirmRestore" className="text-sm text-gray-700">
+                            {isSelectiveRestore
+                              ? 'I understand the parts and shelves above will be replaced'
+                              : 'I understand this will replace all current data with the changes above'}
+                          </label>
+                        </div>
+                        
+                        <button
+                          onClick={restoreFromBackup}
+                          disabled={loading || !confirmRestore}
+                          className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 flex items-center gap-2"
+                        >
+                          {loading ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Upload className="w-4 h-4" />}
+                          Restore Backup
+                        </button>
+                      </>
+                    )}
                   </div>
-                  
-                  <button
-                    onClick={restoreFromBackup}
-                    disabled={loading || !restoreData || !confirmRestore}
-                    className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 flex items-center gap-2"
-                  >
-                    {loading ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Upload className="w-4 h-4" />}
-                    Restore Backup
-                  </button>
                 </div>
-              </div>
+              )}
 
               {/* Backup Info */}
               {backupData && (
@@ -256,7 +636,7 @@ const DataManagement = ({
           )}
 
           {/* Data Validation Tab */}
-          {activeTab === 'validate' && (
+          {currentTab === 'validate' && (
             <div className="space-y-6">
               <div className="bg-purple-50 p-4 rounded-lg">
                 <h3 className="text-lg font-semibold mb-3 flex items-center gap-2">
@@ -276,6 +656,48 @@ const DataManagement = ({
                 </button>
               </div>
 
+              {canBackup && (
+                <div className="bg-purple-50 p-4 rounded-lg">
+                  <h3 className="text-lg font-semibold mb-3 flex items-center gap-2">
+                    <Archive className="w-5 h-5" />
+                    Check a Backup
+                  </h3>
+                  <p className="text-gray-600 mb-4">
+                    See which format version a backup is in and check its data before restoring it.
+                  </p>
+                  <div className="space-y-3">
+                    <select
+                      value={checkBackupFile}
+                      onChange={(e) => setCheckBackupFile(e.target.value)}
+                      className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                    >
+                      <option value="">Paste backup JSON below</option>
+                      {(storedBackups?.backups || []).map(backup => (
+                        <option key={backup.name} value={backup.name}>
+                          Server backup from {new Date(backup.createdAt).toLocaleString()}
+                        </option>
+                      ))}
+                    </select>
+                    {!checkBackupFile && (
+                      <textarea
+                        value={checkBackupData}
+                        onChange={(e) => setCheckBackupData(e.target.value)}
+                        placeholder="Paste the complete backup JSON here..."
+                        className="w-full h-24 p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                      />
+                    )}
+                    <button
+                      onClick={validateBackup}
+                      disabled={loading || (!checkBackupFile && !checkBackupData)}
+                      className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 flex items-center gap-2"
+                    >
+                      {loading ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Shield className="w-4 h-4" />}
+                      Check Backup
+                    </button>
+                  </div>
+                </div>
+              )}
+
               {/* Validation Results */}
               {validationResult && (
                 <div className={`p-4 rounded-lg ${
@@ -287,8 +709,26 @@ const DataManagement = ({
                     ) : (
                       <AlertTriangle className="w-5 h-5 text-red-600" />
                     )}
-                    Validation Results
+                    {validationResult.version ? 'Backup Check Results' : 'Validation Results'}
                   </h3>
+
+                  {validationResult.version && (
+                    <div className="bg-white p-3 rounded mb-4 text-sm">
+                      <p>
+                        Format version <span className="font-medium">{validationResult.version}</span>
+                        {validationResult.version === validationResult.currentVersion
+                          ? ' (current)'
+                          : `, upgraded to ${validationResult.currentVersion} on restore:`}
+                      </p>
+                      {validationResult.migrations.length > 0 && (
+                        <ul className="list-disc list-inside mt-1 text-gray-600">
+                          {validationResult.migrations.map(migration => (
+                            <li key={migration.version}>{migration.description}</li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                  )}
                   
                   <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
                     <div className="bg-white p-3 rounded">
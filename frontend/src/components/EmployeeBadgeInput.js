@@ -0,0 +1,40 @@
+import React from 'react';
+import { IdCard } from 'lucide-react';
+import { findEmployee } from '../utils/employees';
+
+// Badge number field for checkout and check-in. Badge scanners type the
+// number like a keyboard, so the employee is matched as the digits arrive.
+const EmployeeBadgeInput = ({ employees, badge, onChange }) => {
+  const employee = findEmployee(employees, badge);
+
+  return (
+    <div className="mb-4">
+      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+        Employee Badge *
+      </label>
+      <div className="relative">
+        <IdCard className="absolute left-2 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+        <input
+          type="text"
+          value={badge}
+          onChange={(e) => onChange(e.target.value)}
+          className="w-full p-2 pl-8 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-red-500 focus:border-red-500"
+          placeholder="Scan or type badge number"
+          autoFocus
+          required
+        />
+      </div>
+      {badge.trim() && (
+        employee ? (
+          <p className="text-xs text-green-700 dark:text-green-400 mt-1">
+            {employee.name}{employee.department && ` · ${employee.department}`}
+          </p>
+        ) : (
+          <p className="text-xs text-red-600 mt-1">No active employee with badge {badge.trim()}</p>
+        )
+      )}
+    </div>
+  );
+};
+
+export default EmployeeBadgeInput;
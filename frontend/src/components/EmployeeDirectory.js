@@ -0,0 +1,254 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { IdCard, Plus, RefreshCw, Edit, Check, X } from 'lucide-react';
+
+const EmployeeDirectory = ({
+  isOpen,
+  onClose,
+  apiCall,
+  onEmployeesChanged
+}) => {
+  const [employees, setEmployees] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [newEmployee, setNewEmployee] = useState({ employeeId: '', name: '', department: '' });
+  const [editingId, setEditingId] = useState(null);
+  const [editValues, setEditValues] = useState({ name: '', department: '' });
+
+  const fetchEmployees = useCallback(async () => {
+    setLoading(true);
+    try {
+      const data = await apiCall('/employees?includeInactive=true');
+      setEmployees(data || []);
+    } catch (error) {
+      console.error('Failed to fetch employees:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [apiCall]);
+
+  useEffect(() => {
+    if (isOpen) {
+      fetchEmployees();
+    }
+  }, [isOpen, fetchEmployees]);
+
+  const saveChanges = async (request) => {
+    setLoading(true);
+    try {
+      await request();
+      await fetchEmployees();
+      if (onEmployeesChanged) onEmployeesChanged();
+      return true;
+    } catch (error) {
+      console.error('Failed to save employee:', error);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const addEmployee = async (e) => {
+    e.preventDefault();
+    const saved = await saveChanges(() => apiCall('/employees', {
+      method: 'POST',
+      body: JSON.stringify(newEmployee)
+    }));
+    if (saved) {
+      setNewEmployee({ employeeId: '', name: '', department: '' });
+    }
+  };
+
+  const updateEmployee = (employeeId, changes) => saveChanges(() =>
+    apiCall(`/employees/${encodeURIComponent(employeeId)}`, {
+      method: 'PUT',
+      body: JSON.stringify(changes)
+    })
+  );
+
+  const saveEdit = async () => {
+    if (await updateEmployee(editingId, editValues)) {
+      setEditingId(null);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const inputClass = 'p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-transparent';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-4xl max-h-[90vh] overflow-hidden">
+        {/* Header */}
+        <div className="bg-red-600 text-white p-4 flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <IdCard className="w-6 h-6" />
+            <h2 className="text-xl font-bold">Employee Directory</h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1 hover:bg-red-700 rounded"
+          >
+            ×
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-6 overflow-auto max-h-[70vh] space-y-6">
+          {/* Add Employee */}
+          <form onSubmit={addEmployee} className="bg-gray-50 p-4 rounded-lg">
+            <h3 className="text-lg font-semibold mb-3 flex items-center gap-2">
+              <Plus className="w-5 h-5" />
+              Add Employee
+            </h3>
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+              <input
+                type="text"
+                value={newEmployee.employeeId}
+                onChange={(e) => setNewEmployee(prev => ({ ...prev, employeeId: e.target.value }))}
+                placeholder="Badge number"
+                className={inputClass}
+                required
+              />
+              <input
+                type="text"
+                value={newEmployee.name}
+                onChange={(e) => setNewEmployee(prev => ({ ...prev, name: e.target.value }))}
+                placeholder="Full name"
+                className={inputClass}
+                required
+              />
+              <input
+                type="text"
+                value={newEmployee.department}
+                onChange={(e) => setNewEmployee(prev => ({ ...prev, department: e.target.value }))}
+                placeholder="Department"
+                className={inputClass}
+              />
+              <button
+                type="submit"
+                disabled={loading || !newEmployee.employeeId.trim() || !newEmployee.name.trim()}
+                className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 flex items-center justify-center gap-2"
+              >
+                {loading ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />}
+                Add
+              </button>
+            </div>
+          </form>
+
+          {/* Employee List */}
+          <div className="border border-gray-200 rounded-lg overflow-hidden">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Badge</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Department</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {employees.map(employee => (
+                  <tr key={employee.employeeId} className={employee.active === false ? 'text-gray-400' : 'text-gray-900'}>
+                    <td className="px-4 py-3 text-sm font-medium">{employee.employeeId}</td>
+                    {editingId === employee.employeeId ? (
+                      <>
+                        <td className="px-4 py-2">
+                          <input
+                            type="text"
+                            value={editValues.name}
+                            onChange={(e) => setEditValues(prev => ({ ...prev, name: e.target.value }))}
+                            className={`${inputClass} w-full`}
+                          />
+                        </td>
+                        <td className="px-4 py-2">
+                          <input
+                            type="text"
+                            value={editValues.department}
+                            onChange={(e) => setEditValues(prev => ({ ...prev, department: e.target.value }))}
+                            className={`${inputClass} w-full`}
+                          />
+                        </td>
+                      </>
+                    ) : (
+                      <>
+                        <td className="px-4 py-3 text-sm">{employee.name}</td>
+                        <td className="px-4 py-3 text-sm">{employee.department}</td>
+                      </>
+                    )}
+                    <td className="px-4 py-3 text-sm">
+                      <button
+                        onClick={() => updateEmployee(employee.employeeId, { active: employee.active === false })}
+                        disabled={loading}
+                        className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+                          employee.active === false
+                            ? 'bg-gray-100 text-gray-600'
+                            : 'bg-green-100 text-green-800'
+                        }`}
+                        title={employee.active === false ? 'Reactivate' : 'Deactivate'}
+                      >
+                        {employee.active === false ? 'Inactive' : 'Active'}
+                      </button>
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      {editingId === employee.employeeId ? (
+                        <div className="flex items-center space-x-2">
+                          <button
+                            onClick={saveEdit}
+                            disabled={loading || !editValues.name.trim()}
+                            className="text-green-600 hover:text-green-800 p-1 rounded disabled:opacity-50"
+                            title="Save"
+                          >
+                            <Check className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={() => setEditingId(null)}
+                            className="text-gray-500 hover:text-gray-700 p-1 rounded"
+                            title="Cancel"
+                          >
+                            <X className="w-4 h-4" />
+                          </button>
+                        </div>
+                      ) : (
+                        <button
+                          onClick={() => {
+                            setEditingId(employee.employeeId);
+                            setEditValues({ name: employee.name, department: employee.department || '' });
+                          }}
+                          className="text-red-600 hover:text-red-900 p-1 rounded"
+                          title="Edit Employee"
+                        >
+                          <Edit className="w-4 h-4" />
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {employees.length === 0 && !loading && (
+              <div className="text-center py-8 text-gray-500">
+                <IdCard className="w-12 h-12 mx-auto mb-2 opacity-50" />
+                <p>No employees yet. Until some are added, checkouts ask for a typed name.</p>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className="border-t p-4 bg-gray-50 flex justify-between items-center">
+          <div className="text-sm text-gray-600">
+            Deactivated employees keep their history but can no longer check parts out.
+          </div>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-100 text-gray-700"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EmployeeDirectory;
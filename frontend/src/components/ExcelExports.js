@@ -0,0 +1,92 @@
+import React, { useState } from 'react';
+import { Download, FileSpreadsheet, RefreshCw } from 'lucide-react';
+
+const toDateInput = (date) => date.toISOString().split('T')[0];
+
+// Excel tab of the reports: workbooks built by the server. The parts
+// workbook has a sheet per category in the import format, so it can be
+// edited and imported back through Import Excel.
+const ExcelExports = ({ onExportWorkbook }) => {
+  const [from, setFrom] = useState(() => toDateInput(new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)));
+  const [to, setTo] = useState(() => toDateInput(new Date()));
+  const [exporting, setExporting] = useState(null);
+  const [error, setError] = useState('');
+
+  const download = async (kind, params) => {
+    setExporting(kind);
+    setError('');
+    try {
+      await onExportWorkbook(kind, params);
+    } catch (exportError) {
+      setError(exportError.message);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const inputClass = 'p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-transparent';
+
+  const exportButton = (kind, params) => (
+    <button
+      onClick={() => download(kind, params)}
+      disabled={exporting !== null}
+      className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 flex items-center gap-2"
+    >
+      {exporting === kind ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+      Download .xlsx
+    </button>
+  );
+
+  return (
+    <div className="space-y-4">
+      {error && (
+        <div className="p-3 rounded-lg bg-red-50 text-red-800 text-sm">{error}</div>
+      )}
+
+      <div className="border rounded-lg p-4 flex flex-wrap items-center justify-between gap-4">
+        <div className="flex items-start gap-3">
+          <FileSpreadsheet className="w-8 h-8 text-green-600" />
+          <div>
+            <h3 className="font-semibold text-gray-900">Parts by Category</h3>
+            <p className="text-sm text-gray-600">One sheet per category, with rack, series and custom attributes. Import it back with Import Excel.</p>
+          </div>
+        </div>
+        {exportButton('parts')}
+      </div>
+
+      <div className="border rounded-lg p-4 flex flex-wrap items-center justify-between gap-4">
+        <div className="flex items-start gap-3">
+          <FileSpreadsheet className="w-8 h-8 text-green-600" />
+          <div>
+            <h3 className="font-semibold text-gray-900">Transactions</h3>
+            <p className="text-sm text-gray-600">Every transaction in the date range, oldest first.</p>
+          </div>
+        </div>
+        <div className="flex flex-wrap items-end gap-3">
+          <label className="text-sm text-gray-700">
+            From
+            <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} className={`block ${inputClass}`} />
+          </label>
+          <label className="text-sm text-gray-700">
+            To
+            <input type="date" value={to} onChange={(e) => setTo(e.target.value)} className={`block ${inputClass}`} />
+          </label>
+          {exportButton('transactions', { from, to })}
+        </div>
+      </div>
+
+      <div className="border rounded-lg p-4 flex flex-wrap items-center justify-between gap-4">
+        <div className="flex items-start gap-3">
+          <FileSpreadsheet className="w-8 h-8 text-green-600" />
+          <div>
+            <h3 className="font-semibold text-gray-900">Low Stock</h3>
+            <p className="text-sm text-gray-600">Parts at or below their minimum quantity, with the shortfall and supplier.</p>
+          </div>
+        </div>
+        {exportButton('low-stock')}
+      </div>
+    </div>
+  );
+};
+
+export default ExcelExports;
@@ -1,265 +1,332 @@
-import React, { useState, useCallback } from 'react';
-import { Upload, FileText, Download, AlertCircle, CheckCircle, X, Eye } from 'lucide-react';
-import * as XLSX from 'xlsx';
+import React, { useState, useCallback, useEffect } from 'react';
+import { Upload, FileText, AlertCircle, CheckCircle, X, Eye, Save, Trash2 } from 'lucide-react';
 
-const ExcelUpload = ({ onDataImport, isVisible, onClose }) => {
+const IMPORT_MODES = [
+  { id: 'append', label: 'Add as new parts', hint: 'Every row becomes a new part' },
+  { id: 'upsert', label: 'Update by part number', hint: 'Rows update the part with the same part number; the rest are added' },
+  { id: 'sync', label: 'Full sync', hint: 'As update, and lists parts of these categories that the sheet no longer has' }
+];
+
+const PLAN_LIMIT = 50;
+
+const FIELD_LABELS = {
+  partNumber: 'Part Number',
+  description: 'Description',
+  shelf: 'Shelf Location',
+  rack: 'Rack',
+  series: 'Series',
+  category: 'Category',
+  itemType: 'Item Type',
+  quantity: 'Quantity',
+  minQuantity: 'Min Quantity',
+  cost: 'Unit Cost'
+};
+
+const formatValue = (value) => value === null || value === '' ? '(empty)' : String(value);
+
+// Where a planned row came from in the workbook
+const rowLabel = (item) => item.sheet ? `${item.sheet} row ${item.line}` : `row ${item.row}`;
+
+// One expandable list of the import preview, capped at PLAN_LIMIT rows
+const PlanList = ({ title, items, renderItem, className, open = false }) => {
+  if (items.length === 0) return null;
+  return (
+    <details className="bg-white border border-gray-200 rounded-lg" open={open}>
+      <summary className={`px-3 py-2 cursor-pointer font-medium ${className}`}>
+        {title} ({items.length})
+      </summary>
+      <ul className="px-3 pb-2 space-y-1 text-sm">
+        {items.slice(0, PLAN_LIMIT).map(renderItem)}
+        {items.length > PLAN_LIMIT && (
+          <li className="text-gray-500">...and {items.length - PLAN_LIMIT} more</li>
+        )}
+      </ul>
+    </details>
+  );
+};
+
+// What the server plans to do with the rows: parts to create, update
+// (with each changed field) and skip, rows with errors and, for a full
+// sync, parts the sheet no longer lists
+const ImportPlanPreview = ({ plan }) => (
+  <div className="space-y-3">
+    <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-center">
+      <div className="bg-green-50 rounded-lg p-3">
+        <div className="text-2xl font-semibold text-green-700">{plan.create.length}</div>
+        <div className="text-sm text-gray-600">to create</div>
+      </div>
+      <div className="bg-blue-50 rounded-lg p-3">
+        <div className="text-2xl font-semibold text-blue-700">{plan.update.length}</div>
+        <div className="text-sm text-gray-600">to update</div>
+      </div>
+      <div className="bg-gray-50 rounded-lg p-3">
+        <div className="text-2xl font-semibold text-gray-700">{plan.skip.length}</div>
+        <div className="text-sm text-gray-600">to skip</div>
+      </div>
+      <div className="bg-red-50 rounded-lg p-3">
+        <div className="text-2xl font-semibold text-red-700">{plan.errors.length}</div>
+        <div className="text-sm text-gray-600">with errors</div>
+      </div>
+    </div>
+
+    <PlanList
+      title="Updated parts"
+      items={plan.update}
+      className="text-blue-700"
+      open
+      renderItem={item => (
+        <li key={item.row}>
+          <span className="font-medium">{item.partNumber}</span> <span className="text-gray-500">({rowLabel(item)})</span>
+          <ul className="ml-4 text-gray-600">
+            {item.changes.map(change => (
+              <li key={change.field}>
+                {change.field}: <span className="line-through">{formatValue(change.from)}</span> → {formatValue(change.to)}
+              </li>
+            ))}
+          </ul>
+        </li>
+      )}
+    />
+    <PlanList
+      title="New parts"
+      items={plan.create}
+      className="text-green-700"
+      renderItem={item => (
+        <li key={item.row}>
+          <span className="font-medium">{item.fields.partNumber || '(no part number)'}</span> {item.fields.description}
+          <span className="text-gray-500"> ({rowLabel(item)})</span>
+        </li>
+      )}
+    />
+    <PlanList
+      title="Not in the sheet"
+      items={plan.missing}
+      className="text-orange-700"
+      open
+      renderItem={part => (
+        <li key={part.id}>
+          <span className="font-medium">{part.partNumber}</span> {part.description}
+          <span className="text-gray-500"> (ID {part.id})</span>
+        </li>
+      )}
+    />
+    <PlanList
+      title="Skipped rows"
+      items={plan.skip}
+      className="text-gray-700"
+      renderItem={item => (
+        <li key={item.row}>
+          {rowLabel(item)} <span className="font-medium">{item.partNumber}</span>: {item.reason}
+        </li>
+      )}
+    />
+    <PlanList
+      title="Rows with errors"
+      items={plan.errors}
+      className="text-red-700"
+      open
+      renderItem={item => (
+        <li key={item.row}>{rowLabel(item)}: {item.error}</li>
+      )}
+    />
+  </div>
+);
+
+const ExcelUpload = ({ onDataImport, onInspect, apiCall, isVisible, onClose }) => {
   const [file, setFile] = useState(null);
-  const [sheets, setSheets] = useState([]);
+  const [workbook, setWorkbook] = useState(null);
   const [selectedSheets, setSelectedSheets] = useState([]);
-  const [previewData, setPreviewData] = useState({});
+  const [sheetCategories, setSheetCategories] = useState({});
+  const [columns, setColumns] = useState(null);
+  const [attributeColumns, setAttributeColumns] = useState([]);
+  const [profiles, setProfiles] = useState([]);
+  const [profileId, setProfileId] = useState('');
+  const [profileName, setProfileName] = useState('');
   const [isProcessing, setIsProcessing] = useState(false);
   const [uploadStatus, setUploadStatus] = useState(null);
-  const [columnMapping, setColumnMapping] = useState({});
-
-  // Expected columns for parts data
-  const expectedColumns = [
-    { key: 'partNumber', label: 'Part Number', required: true, aliases: ['Part #', 'Part Number', 'PartNumber', 'Part_#'] },
-    { key: 'description', label: 'Description', required: true, aliases: ['Description', 'Desc', 'Part Description'] },
-    { key: 'shelf', label: 'Shelf Location', required: false, aliases: ['Shelf', 'Location', 'Bin', 'Position'] },
-    { key: 'rack', label: 'Rack', required: false, aliases: ['Rack', 'Section', 'Area'] },
-    { key: 'quantity', label: 'Quantity', required: false, aliases: ['Quantity', 'Qty', 'Stock', 'Count'] },
-    { key: 'series', label: 'Series', required: false, aliases: ['Series', 'Model', 'Type', 'Category'] },
-    { key: 'minQuantity', label: 'Min Quantity', required: false, aliases: ['Min Quantity', 'Min Qty', 'Minimum', 'Reorder Level'] }
-  ];
-
-  const handleFileSelect = useCallback((event) => {
+  const [importMode, setImportMode] = useState('append');
+  const [importPlan, setImportPlan] = useState(null);
+
+  const fetchProfiles = useCallback(async () => {
+    try {
+      setProfiles(await apiCall('/import/profiles'));
+    } catch (error) {
+      console.error('Failed to load import profiles:', error);
+    }
+  }, [apiCall]);
+
+  useEffect(() => {
+    if (isVisible) {
+      fetchProfiles();
+    }
+  }, [isVisible, fetchProfiles]);
+
+  // A preview only holds for the file, sheets, mapping and mode it was made for
+  useEffect(() => {
+    setImportPlan(null);
+  }, [file, selectedSheets, sheetCategories, columns, attributeColumns, importMode]);
+
+  // The server reads the workbook and says how the profile (or, without
+  // one, the headers) map each sheet
+  const inspectWorkbook = useCallback(async (selectedFile, selectedProfileId) => {
+    setIsProcessing(true);
+    setUploadStatus(null);
+    try {
+      const result = await onInspect(selectedFile, selectedProfileId ? { profileId: selectedProfileId } : {});
+      if (result.sheets.length === 0) {
+        setUploadStatus({ type: 'error', message: 'No sheets with a header row and data were found in this file.' });
+      }
+      setWorkbook(result);
+      setSelectedSheets(result.sheets.filter(sheet => sheet.included).map(sheet => sheet.name));
+      setSheetCategories(Object.fromEntries(result.sheets.map(sheet => [sheet.name, sheet.category])));
+      setColumns(result.profile && result.profile.columns.length > 0 ? result.profile.columns : null);
+      // Without a profile, columns no field reads start out ticked as attributes
+      setAttributeColumns(result.profile
+        ? result.profile.attributes || []
+        : [...new Set(result.sheets.flatMap(sheet => sheet.attributes || []))]);
+      setProfileName(result.profile ? result.profile.name : '');
+    } catch (error) {
+      console.error('Error reading import file:', error);
+      setUploadStatus({ type: 'error', message: `Error reading the file: ${error.message}` });
+    } finally {
+      setIsProcessing(false);
+    }
+  }, [onInspect]);
+
+  const handleFileSelect = (event) => {
     const selectedFile = event.target.files[0];
     if (!selectedFile) return;
 
-    if (!selectedFile.name.match(/\.(xlsx|xls)$/i)) {
-      setUploadStatus({ type: 'error', message: 'Please select a valid Excel file (.xlsx or .xls)' });
+    if (!selectedFile.name.match(/\.(xlsx|xls|csv|tsv|txt)$/i)) {
+      setUploadStatus({ type: 'error', message: 'Please select an Excel file (.xlsx or .xls) or a CSV or TSV file' });
       return;
     }
 
     setFile(selectedFile);
-    setUploadStatus(null);
-    processExcelFile(selectedFile);
-  }, []);
+    inspectWorkbook(selectedFile, profileId);
+  };
 
-  const processExcelFile = useCallback((file) => {
-    setIsProcessing(true);
-    
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      try {
-        const data = new Uint8Array(e.target.result);
-        const workbook = XLSX.read(data, { type: 'array' });
-        
-        const sheetsInfo = workbook.SheetNames.map(name => {
-          const worksheet = workbook.Sheets[name];
-          // Get all data including empty rows to count properly
-          const range = XLSX.utils.decode_range(worksheet['!ref'] || 'A1');
-          const totalRows = range.e.r + 1;
-          
-          // Try to find actual data rows (skip headers and empty rows)
-          const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '' });
-          const dataRows = jsonData.filter(row => 
-            row.some(cell => cell && cell.toString().trim() !== '') && // Has some data
-            !row.every(cell => !cell || cell.toString().trim() === '' || cell.toString().includes('Tool Inventory') || cell.toString().includes('Part #')) // Skip headers
-          );
-          
-          return {
-            name,
-            rowCount: dataRows.length,
-            totalRows: totalRows
-          };
-        }).filter(sheet => sheet.rowCount > 0); // Only show sheets with actual data
-        
-        setSheets(sheetsInfo);
-        
-        // Generate preview data for all sheets
-        const preview = {};
-        workbook.SheetNames.forEach(sheetName => {
-          const worksheet = workbook.Sheets[sheetName];
-          const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '' });
-          
-          // Find header row (look for "Part #" or similar)
-          let headerRowIndex = -1;
-          let headers = [];
-          
-          for (let i = 0; i < jsonData.length; i++) {
-            const row = jsonData[i];
-            if (row.some(cell => cell && (
-              cell.toString().toLowerCase().includes('part') ||
-              cell.toString().toLowerCase().includes('description') ||
-              cell.toString().toLowerCase().includes('quantity')
-            ))) {
-              headerRowIndex = i;
-              headers = row.filter(cell => cell && cell.toString().trim() !== '');
-              break;
-            }
-          }
-          
-          // Get data rows after header
-          const dataRows = headerRowIndex >= 0 
-            ? jsonData.slice(headerRowIndex + 1)
-                .filter(row => row.some(cell => cell && cell.toString().trim() !== ''))
-                .slice(0, 5) // First 5 data rows for preview
-            : jsonData.slice(0, 5);
-          
-          preview[sheetName] = {
-            headers: headers.length > 0 ? headers : (jsonData[0] || []),
-            rows: dataRows,
-            headerRowIndex: headerRowIndex
-          };
-        });
-        
-        setPreviewData(preview);
-        setIsProcessing(false);
-        
-      } catch (error) {
-        console.error('Error processing Excel file:', error);
-        setUploadStatus({ type: 'error', message: 'Error reading Excel file. Please check the file format.' });
-        setIsProcessing(false);
-      }
-    };
-    
-    reader.readAsArrayBuffer(file);
-  }, []);
+  const handleProfileChange = (id) => {
+    const profile = profiles.find(item => String(item.id) === id);
+    setProfileId(id);
+    setProfileName(profile ? profile.name : '');
+    if (file) {
+      inspectWorkbook(file, id);
+    }
+  };
 
   const handleSheetSelection = (sheetName) => {
-    setSelectedSheets(prev => 
-      prev.includes(sheetName) 
+    setSelectedSheets(prev =>
+      prev.includes(sheetName)
         ? prev.filter(s => s !== sheetName)
         : [...prev, sheetName]
     );
   };
 
-  const generateColumnMapping = (sheetName) => {
-    const headers = previewData[sheetName]?.headers || [];
-    const mapping = {};
-    
-    expectedColumns.forEach(col => {
-      // Try to auto-match columns based on exact matches first, then aliases
-      let matchingHeader = headers.find(header => {
-        const normalizedHeader = header.toString().toLowerCase().trim();
-        return col.aliases.some(alias => 
-          normalizedHeader === alias.toLowerCase() ||
-          normalizedHeader.includes(alias.toLowerCase().replace(/[^a-z0-9]/g, ''))
-        );
-      });
-      
-      if (matchingHeader) {
-        mapping[col.key] = matchingHeader;
-      }
-    });
-    
-    return mapping;
+  const sheets = workbook ? workbook.sheets : [];
+  const chosenSheets = sheets.filter(sheet => selectedSheets.includes(sheet.name));
+
+  // Until a column is picked by hand, each sheet keeps the columns
+  // recognised from its own headers; the first chosen sheet's are shown
+  const shownColumns = columns || (chosenSheets[0] ? chosenSheets[0].columns : []);
+  const headerOptions = [...new Set(chosenSheets.flatMap(sheet => sheet.headers))].filter(Boolean);
+  // Headers no field reads can be kept on each part as custom attributes
+  const unmappedHeaders = headerOptions.filter(header => !shownColumns.some(item => item.column === header));
+
+  const toggleAttributeColumn = (header) => {
+    setAttributeColumns(prev =>
+      prev.includes(header) ? prev.filter(item => item !== header) : [...prev, header]
+    );
   };
 
-  const handleImport = async () => {
+  const setFieldColumn = (field, column) => {
+    setColumns([
+      ...shownColumns.filter(item => item.field !== field),
+      ...(column ? [{ field, column }] : [])
+    ]);
+  };
+
+  const currentMapping = () => ({
+    sheets: selectedSheets.map(name => ({ name, category: sheetCategories[name] || name })),
+    columns: columns || [],
+    attributes: attributeColumns.filter(header => unmappedHeaders.includes(header))
+  });
+
+  const saveProfile = async (asNew) => {
+    if (!profileName.trim()) {
+      setUploadStatus({ type: 'error', message: 'Give the profile a name first.' });
+      return;
+    }
+    try {
+      const body = JSON.stringify({ name: profileName, ...currentMapping(), columns: shownColumns });
+      const profile = asNew || !profileId
+        ? await apiCall('/import/profiles', { method: 'POST', body })
+        : await apiCall(`/import/profiles/${profileId}`, { method: 'PUT', body });
+      await fetchProfiles();
+      setProfileId(String(profile.id));
+      setColumns(profile.columns);
+      setUploadStatus({ type: 'success', message: `Saved import profile "${profile.name}".` });
+    } catch (error) {
+      setUploadStatus({ type: 'error', message: `Could not save the profile: ${error.message}` });
+    }
+  };
+
+  const deleteProfile = async () => {
+    const profile = profiles.find(item => String(item.id) === profileId);
+    if (!profile || !window.confirm(`Delete the import profile "${profile.name}"?`)) return;
+    try {
+      await apiCall(`/import/profiles/${profileId}`, { method: 'DELETE' });
+      setProfileId('');
+      setProfileName('');
+      await fetchProfiles();
+    } catch (error) {
+      setUploadStatus({ type: 'error', message: `Could not delete the profile: ${error.message}` });
+    }
+  };
+
+  const previewImport = async () => {
     if (selectedSheets.length === 0) {
       setUploadStatus({ type: 'error', message: 'Please select at least one sheet to import.' });
       return;
     }
 
     setIsProcessing(true);
-    
+    setUploadStatus(null);
+    try {
+      setImportPlan(await onDataImport(file, { mode: importMode, preview: true, mapping: currentMapping() }));
+    } catch (error) {
+      console.error('Import preview error:', error);
+      setUploadStatus({ type: 'error', message: `Could not preview the import: ${error.message}` });
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setIsProcessing(true);
     try {
-      const reader = new FileReader();
-      reader.onload = async (e) => {
-        const data = new Uint8Array(e.target.result);
-        const workbook = XLSX.read(data, { type: 'array' });
-        
-        const allParts = [];
-        let currentId = 1000; // Start IDs from 1000 to avoid conflicts
-        
-        selectedSheets.forEach(sheetName => {
-          const worksheet = workbook.Sheets[sheetName];
-          const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '' });
-          
-          // Find header row
-          let headerRowIndex = -1;
-          let headers = [];
-          
-          for (let i = 0; i < jsonData.length; i++) {
-            const row = jsonData[i];
-            if (row.some(cell => cell && (
-              cell.toString().toLowerCase().includes('part') ||
-              cell.toString().toLowerCase().includes('description')
-            ))) {
-              headerRowIndex = i;
-              headers = row;
-              break;
-            }
-          }
-          
-          if (headerRowIndex === -1) {
-            console.warn(`No header row found in sheet: ${sheetName}`);
-            return;
-          }
-          
-          // Get data rows after header
-          const dataRows = jsonData.slice(headerRowIndex + 1)
-            .filter(row => row.some(cell => cell && cell.toString().trim() !== ''));
-          
-          const sheetMapping = columnMapping[sheetName] || generateColumnMapping(sheetName);
-          
-          dataRows.forEach(row => {
-            // Convert row array to object using headers
-            const rowObj = {};
-            headers.forEach((header, index) => {
-              if (header && row[index] !== undefined) {
-                rowObj[header] = row[index];
-              }
-            });
-            
-            // Skip empty rows
-            if (!Object.values(rowObj).some(value => value && value.toString().trim())) {
-              return;
-            }
-            
-            // Create validated part object
-            const part = {
-              id: currentId++,
-              partNumber: (rowObj[sheetMapping.partNumber] || '').toString().trim(),
-              description: (rowObj[sheetMapping.description] || '').toString().trim(),
-              shelf: (rowObj[sheetMapping.shelf] || 'TBD').toString().trim(),
-              rack: (rowObj[sheetMapping.rack] || '').toString().trim(),
-              series: (rowObj[sheetMapping.series] || '').toString().trim(),
-              category: sheetName, // Use sheet name as category (manufacturer)
-              status: 'available',
-              checkedOutBy: null,
-              checkedOutDate: null,
-              quantity: Math.max(parseInt(rowObj[sheetMapping.quantity]) || 1, 1),
-              minQuantity: Math.max(parseInt(rowObj[sheetMapping.minQuantity]) || 1, 1)
-            };
-            
-            // Only add parts with at least a part number or description
-            if (part.partNumber || part.description) {
-              allParts.push(part);
-            }
-          });
-        });
-        
-        // Send to parent component for processing
-        if (onDataImport) {
-          await onDataImport(allParts);
-        }
-        
-        setUploadStatus({ 
-          type: 'success', 
-          message: `Successfully imported ${allParts.length} parts from ${selectedSheets.length} sheet(s).` 
-        });
-        
-        setIsProcessing(false);
-      };
-      
-      reader.readAsArrayBuffer(file);
-      
+      const result = await onDataImport(file, { mode: importMode, mapping: currentMapping() });
+      setImportPlan(null);
+      setUploadStatus({
+        type: 'success',
+        message: `Imported ${result.importedCount} new and ${result.updatedCount} updated parts from ${selectedSheets.length} sheet(s).`
+      });
     } catch (error) {
       console.error('Import error:', error);
-      setUploadStatus({ type: 'error', message: 'Error importing data. Please try again.' });
+      setUploadStatus({ type: 'error', message: `Error importing data: ${error.message}` });
+    } finally {
       setIsProcessing(false);
     }
   };
 
   const resetUpload = () => {
     setFile(null);
-    setSheets([]);
+    setWorkbook(null);
     setSelectedSheets([]);
-    setPreviewData({});
-    setColumnMapping({});
+    setSheetCategories({});
+    setColumns(null);
+    setAttributeColumns([]);
+    setImportPlan(null);
     setUploadStatus(null);
   };
 
@@ -274,7 +341,7 @@ const ExcelUpload = ({ onDataImport, isVisible, onClose }) => {
             <FileText className="w-8 h-8 text-green-600" />
             <div>
               <h2 className="text-2xl font-semibold text-gray-900">Import Parts from Excel</h2>
-              <p className="text-gray-600">Upload an Excel workbook with manufacturer sheets</p>
+              <p className="text-gray-600">Upload an Excel workbook with manufacturer sheets, or a CSV or TSV file</p>
             </div>
           </div>
           <button
@@ -286,15 +353,41 @@ const ExcelUpload = ({ onDataImport, isVisible, onClose }) => {
         </div>
 
         <div className="p-6 space-y-6">
+          {/* Import Profile */}
+          <div className="flex flex-wrap items-center gap-3">
+            <label htmlFor="import-profile" className="font-medium text-gray-700">Import profile:</label>
+            <select
+              id="import-profile"
+              value={profileId}
+              onChange={(e) => handleProfileChange(e.target.value)}
+              disabled={isProcessing}
+              className="p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent"
+            >
+              <option value="">None (recognise columns by their headers)</option>
+              {profiles.map(profile => (
+                <option key={profile.id} value={profile.id}>{profile.name}</option>
+              ))}
+            </select>
+            {profileId && (
+              <button
+                onClick={deleteProfile}
+                className="p-2 text-gray-500 hover:text-red-600"
+                title="Delete this profile"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            )}
+          </div>
+
           {/* File Upload */}
           {!file && (
             <div className="border-2 border-dashed border-gray-300 rounded-lg p-8 text-center hover:border-green-400 transition-colors">
               <Upload className="w-12 h-12 text-gray-400 mx-auto mb-4" />
-              <h3 className="text-lg font-semibold text-gray-900 mb-2">Select Excel File</h3>
-              <p className="text-gray-600 mb-4">Choose an Excel workbook (.xlsx or .xls) with manufacturer sheets</p>
+              <h3 className="text-lg font-semibold text-gray-900 mb-2">Select a File</h3>
+              <p className="text-gray-600 mb-4">Choose an Excel workbook (.xlsx or .xls) with manufacturer sheets, or a supplier's CSV or TSV file</p>
               <input
                 type="file"
-                accept=".xlsx,.xls"
+                accept=".xlsx,.xls,.csv,.tsv,.txt"
                 onChange={handleFileSelect}
                 className="hidden"
                 id="excel-upload"
@@ -304,7 +397,7 @@ const ExcelUpload = ({ onDataImport, isVisible, onClose }) => {
                 className="inline-flex items-center px-6 py-3 bg-green-600 text-white rounded-lg hover:bg-green-700 cursor-pointer transition-colors"
               >
                 <Upload className="w-5 h-5 mr-2" />
-                Choose Excel File
+                Choose File
               </label>
             </div>
           )}
@@ -313,7 +406,7 @@ const ExcelUpload = ({ onDataImport, isVisible, onClose }) => {
           {isProcessing && (
             <div className="text-center py-8">
               <div className="animate-spin w-8 h-8 border-4 border-green-600 border-t-transparent rounded-full mx-auto mb-4"></div>
-              <p className="text-gray-600">Processing Excel file...</p>
+              <p className="text-gray-600">Reading file...</p>
             </div>
           )}
 
@@ -324,7 +417,11 @@ const ExcelUpload = ({ onDataImport, isVisible, onClose }) => {
                 <div className="flex items-center justify-between">
                   <div>
                     <h3 className="font-semibold text-gray-900">{file.name}</h3>
-                    <p className="text-sm text-gray-600">{sheets.length} sheet(s) found</p>
+                    <p className="text-sm text-gray-600">
+                      {sheets[0].format
+                        ? `Text file: ${sheets[0].format.delimiter}-separated, ${sheets[0].format.encoding} encoding`
+                        : `${sheets.length} sheet(s) found`}
+                    </p>
                   </div>
                   <button
                     onClick={resetUpload}
@@ -353,6 +450,9 @@ const ExcelUpload = ({ onDataImport, isVisible, onClose }) => {
                         <div>
                           <h5 className="font-semibold text-gray-900">{sheet.name}</h5>
                           <p className="text-sm text-gray-600">{sheet.rowCount} rows</p>
+                          {sheet.unmatchedColumns.length > 0 && (
+                            <p className="text-xs text-orange-600">Missing columns: {sheet.unmatchedColumns.join(', ')}</p>
+                          )}
                         </div>
                         <div className={`w-5 h-5 rounded border-2 flex items-center justify-center ${
                           selectedSheets.includes(sheet.name)
@@ -364,23 +464,142 @@ const ExcelUpload = ({ onDataImport, isVisible, onClose }) => {
                           )}
                         </div>
                       </div>
+                      {selectedSheets.includes(sheet.name) && (
+                        <input
+                          type="text"
+                          value={sheetCategories[sheet.name] || ''}
+                          onChange={(e) => setSheetCategories(prev => ({ ...prev, [sheet.name]: e.target.value }))}
+                          onClick={(e) => e.stopPropagation()}
+                          placeholder={`Category (default ${sheet.name})`}
+                          className="mt-2 w-full p-1 text-sm border border-gray-300 rounded focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                          title="Category for the parts of this sheet"
+                        />
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              {/* Column Mapping */}
+              {chosenSheets.length > 0 && (
+                <div>
+                  <h4 className="text-lg font-semibold text-gray-900 mb-1">Columns</h4>
+                  <p className="text-sm text-gray-600 mb-4">
+                    {columns
+                      ? 'These columns are used for every chosen sheet.'
+                      : 'Recognised from each sheet\'s headers. Change any to use the same columns for every sheet.'}
+                  </p>
+                  <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-3">
+                    {workbook.fields.map(field => (
+                      <label key={field} className="flex items-center justify-between gap-2 text-sm">
+                        <span className="text-gray-700">{FIELD_LABELS[field] || field}</span>
+                        <select
+                          value={(shownColumns.find(item => item.field === field) || {}).column || ''}
+                          onChange={(e) => setFieldColumn(field, e.target.value)}
+                          className="w-40 p-1 border border-gray-300 rounded focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                        >
+                          <option value="">(not imported)</option>
+                          {headerOptions.map(header => (
+                            <option key={header} value={header}>{header}</option>
+                          ))}
+                        </select>
+                      </label>
+                    ))}
+                  </div>
+                  {unmappedHeaders.length > 0 && (
+                    <div className="mt-4">
+                      <p className="text-sm text-gray-700 mb-2">Keep other columns on each part as custom attributes:</p>
+                      <div className="flex flex-wrap gap-x-4 gap-y-1">
+                        {unmappedHeaders.map(header => (
+                          <label key={header} className="inline-flex items-center text-sm text-gray-700">
+                            <input
+                              type="checkbox"
+                              checked={attributeColumns.includes(header)}
+                              onChange={() => toggleAttributeColumn(header)}
+                              className="mr-1"
+                            />
+                            {header}
+                          </label>
+                        ))}
+                      </div>
                     </div>
+                  )}
+                  <div className="flex flex-wrap items-center gap-2 mt-4">
+                    <input
+                      type="text"
+                      value={profileName}
+                      onChange={(e) => setProfileName(e.target.value)}
+                      placeholder='Profile name, e.g. "Peterbilt price sheet"'
+                      className="flex-1 min-w-[12rem] p-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                    />
+                    {profileId && (
+                      <button
+                        onClick={() => saveProfile(false)}
+                        className="px-3 py-2 text-sm bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 inline-flex items-center"
+                      >
+                        <Save className="w-4 h-4 mr-1" />
+                        Update Profile
+                      </button>
+                    )}
+                    <button
+                      onClick={() => saveProfile(true)}
+                      className="px-3 py-2 text-sm bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 inline-flex items-center"
+                    >
+                      <Save className="w-4 h-4 mr-1" />
+                      Save as New Profile
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {/* Import Mode */}
+              <div>
+                <h4 className="text-lg font-semibold text-gray-900 mb-4">How to Import</h4>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  {IMPORT_MODES.map(mode => (
+                    <label
+                      key={mode.id}
+                      className={`border-2 rounded-lg p-4 cursor-pointer transition-colors ${
+                        importMode === mode.id
+                          ? 'border-green-500 bg-green-50'
+                          : 'border-gray-200 hover:border-green-300'
+                      }`}
+                    >
+                      <input
+                        type="radio"
+                        name="importMode"
+                        value={mode.id}
+                        checked={importMode === mode.id}
+                        onChange={() => setImportMode(mode.id)}
+                        className="mr-2"
+                      />
+                      <span className="font-semibold text-gray-900">{mode.label}</span>
+                      <p className="text-sm text-gray-600 mt-1">{mode.hint}</p>
+                    </label>
                   ))}
                 </div>
               </div>
 
+              {/* Import Plan */}
+              {importPlan && (
+                <div>
+                  <h4 className="text-lg font-semibold text-gray-900 mb-4">Import Preview</h4>
+                  <ImportPlanPreview plan={importPlan} />
+                </div>
+              )}
+
               {/* Preview */}
-              {selectedSheets.length > 0 && (
+              {chosenSheets.length > 0 && !importPlan && (
                 <div>
                   <h4 className="text-lg font-semibold text-gray-900 mb-4">Data Preview</h4>
-                  {selectedSheets.map(sheetName => (
-                    <div key={sheetName} className="mb-6">
-                      <h5 className="font-semibold text-gray-800 mb-2">{sheetName}</h5>
+                  {chosenSheets.map(sheet => (
+                    <div key={sheet.name} className="mb-6">
+                      <h5 className="font-semibold text-gray-800 mb-2">{sheet.name}</h5>
                       <div className="overflow-x-auto border rounded-lg">
                         <table className="min-w-full bg-white">
                           <thead className="bg-gray-50">
                             <tr>
-                              {previewData[sheetName]?.headers.map((header, idx) => (
+                              {sheet.headers.map((header, idx) => (
                                 <th key={idx} className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                                   {header}
                                 </th>
@@ -388,11 +607,11 @@ const ExcelUpload = ({ onDataImport, isVisible, onClose }) => {
                             </tr>
                           </thead>
                           <tbody className="divide-y divide-gray-200">
-                            {previewData[sheetName]?.rows.slice(0, 3).map((row, idx) => (
+                            {sheet.sample.slice(0, 3).map((row, idx) => (
                               <tr key={idx}>
                                 {row.map((cell, cellIdx) => (
                                   <td key={cellIdx} className="px-4 py-2 whitespace-nowrap text-sm text-gray-900">
-                                    {cell || '-'}
+                                    {cell === '' ? '-' : String(cell)}
                                   </td>
                                 ))}
                               </tr>
@@ -432,13 +651,24 @@ const ExcelUpload = ({ onDataImport, isVisible, onClose }) => {
               >
                 Cancel
               </button>
-              <button
-                onClick={handleImport}
-                disabled={selectedSheets.length === 0}
-                className="px-6 py-3 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-              >
-                Import Selected Data
-              </button>
+              {!importPlan ? (
+                <button
+                  onClick={previewImport}
+                  disabled={selectedSheets.length === 0}
+                  className="px-6 py-3 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors inline-flex items-center"
+                >
+                  <Eye className="w-5 h-5 mr-2" />
+                  Preview Import
+                </button>
+              ) : (
+                <button
+                  onClick={handleImport}
+                  disabled={importPlan.create.length === 0 && importPlan.update.length === 0 && importPlan.missing.length === 0}
+                  className="px-6 py-3 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  Import {importPlan.create.length + importPlan.update.length} Change(s)
+                </button>
+              )}
             </div>
           )}
         </div>
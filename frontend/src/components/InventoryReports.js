@@ -1,5 +1,10 @@
 import React, { useState, useEffect } from 'react';
-import { BarChart3, Download, MapPin, Package, AlertCircle, TrendingUp, TrendingDown, Calendar, Users } from 'lucide-react';
+import { BarChart3, Download, MapPin, Package, AlertCircle, TrendingUp, TrendingDown, Calendar, Users, ShoppingCart, DollarSign, FileSpreadsheet } from 'lucide-react';
+import ReorderReport from './ReorderReport';
+import ConsumptionReport from './ConsumptionReport';
+import ExcelExports from './ExcelExports';
+
+const formatCurrency = (value) => `$${Number(value || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
 
 const InventoryReports = ({ 
   isOpen, 
@@ -7,7 +12,10 @@ const InventoryReports = ({
   inventory, 
   shelves, 
   transactionHistory,
-  apiCall 
+  apiCall,
+  onExportWorkbook,
+  canViewReorder = false,
+  canCreateOrders = false
 }) => {
   const [reportData, setReportData] = useState(null);
   const [loading, setLoading] = useState(false);
@@ -90,16 +98,25 @@ const InventoryReports = ({
       totalTransactions: recentTransactions.length,
       checkouts: recentTransactions.filter(t => t.action === 'checkout').length,
       checkins: recentTransactions.filter(t => t.action === 'checkin').length,
+      issues: recentTransactions.filter(t => t.action === 'issue').length,
       locationChanges: recentTransactions.filter(t => t.action === 'location_change').length,
       mostActiveUsers: {},
       mostMovedParts: {},
       dailyActivity: {}
     };
 
-    // Analyze user activity
+    // Analyze user activity. Badge checkouts count under the employee ID so
+    // one person is one row however their name was written; older
+    // transactions fall back to the typed name, ignoring case and spacing.
     recentTransactions.forEach(transaction => {
-      const user = transaction.user || 'Unknown';
-      movements.mostActiveUsers[user] = (movements.mostActiveUsers[user] || 0) + 1;
+      const user = (transaction.user || 'Unknown').trim();
+      const key = transaction.employeeId
+        ? `employee:${transaction.employeeId}`
+        : `name:${user.toLowerCase().replace(/\s+/g, ' ')}`;
+      if (!movements.mostActiveUsers[key]) {
+        movements.mostActiveUsers[key] = { name: user, employeeId: transaction.employeeId || null, count: 0 };
+      }
+      movements.mostActiveUsers[key].count += 1;
       
       const partNumber = transaction.partNumber;
       movements.mostMovedParts[partNumber] = (movements.mostMovedParts[partNumber] || 0) + 1;
@@ -188,7 +205,10 @@ const InventoryReports = ({
     { id: 'overview', label: 'Overview', icon: BarChart3 },
     { id: 'locations', label: 'Locations', icon: MapPin },
     { id: 'movement', label: 'Movement', icon: TrendingUp },
-    { id: 'aging', label: 'Aging', icon: Calendar }
+    { id: 'aging', label: 'Aging', icon: Calendar },
+    { id: 'costs', label: 'Costs', icon: DollarSign },
+    { id: 'excel', label: 'Excel', icon: FileSpreadsheet },
+    ...(canViewReorder ? [{ id: 'reorder', label: 'Reorder', icon: ShoppingCart }] : [])
   ];
 
   return (
@@ -285,6 +305,25 @@ const InventoryReports = ({
                     </div>
                   </div>
 
+                  {/* Stock value at current unit cost */}
+                  {reportData.valuation && (
+                    <div className="bg-white border rounded-lg p-4 flex flex-wrap items-center justify-between gap-4">
+                      <div className="flex items-center gap-3">
+                        <DollarSign className="w-8 h-8 text-green-600" />
+                        <div>
+                          <p className="text-sm text-gray-600 font-medium">Stock Value</p>
+                          <p className="text-2xl font-bold text-gray-900">{formatCurrency(reportData.valuation.totalValue)}</p>
+                        </div>
+                      </div>
+                      <div className="text-sm text-gray-600 text-right">
+                        <p>{formatCurrency(reportData.valuation.onLoanValue)} out on loan</p>
+                        {reportData.valuation.unvaluedParts > 0 && (
+                          <p className="text-yellow-700">{reportData.valuation.unvaluedParts} parts have no unit cost</p>
+                        )}
+                      </div>
+                    </div>
+                  )}
+
                   {/* Category Breakdown */}
                   {reportData.categoryStats && (
                     <div className="bg-white border rounded-lg p-4">
@@ -297,6 +336,12 @@ const InventoryReports = ({
                               <span className="text-sm text-gray-600">{stats.count} parts</span>
                               <br />
                               <span className="text-sm text-gray-500">{stats.totalQuantity} total qty</span>
+                              {stats.totalValue !== undefined && (
+                                <>
+                                  <br />
+                                  <span className="text-sm text-gray-500">{formatCurrency(stats.totalValue)}</span>
+                                </>
+                              )}
                             </div>
                           </div>
                         ))}
@@ -316,6 +361,7 @@ const InventoryReports = ({
                         location,
                         totalParts: data.totalParts,
                         totalQuantity: data.totalQuantity,
+                        totalValue: data.totalValue,
                         categories: data.categories.join(', ')
                       })), 'location-report.csv')}
                       className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 flex items-center gap-2"
@@ -335,6 +381,9 @@ const InventoryReports = ({
                         <div className="space-y-1 text-sm">
                           <p><span className="text-gray-600">Parts:</span> {data.parts.length}</p>
                           <p><span className="text-gray-600">Total Qty:</span> {data.totalQuantity}</p>
+                          {data.totalValue !== undefined && (
+                            <p><span className="text-gray-600">Value:</span> {formatCurrency(data.totalValue)}</p>
+                          )}
                           <p><span className="text-gray-600">Categories:</span> {data.categories.length}</p>
                           <div className="mt-2">
                             <p className="text-xs text-gray-500">Categories: {data.categories.join(', ')}</p>
@@ -351,7 +400,7 @@ const InventoryReports = ({
                 <div className="space-y-6">
                   <h3 className="text-lg font-semibold">Movement Analysis (Last 30 Days)</h3>
                   
-                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
                     <div className="bg-blue-50 p-4 rounded-lg">
                       <p className="text-sm text-blue-600 font-medium">Total Transactions</p>
                       <p className="text-2xl font-bold text-blue-900">{reportData.movementAnalysis.totalTransactions}</p>
@@ -360,12 +409,52 @@ const InventoryReports = ({
                       <p className="text-sm text-green-600 font-medium">Check-outs</p>
                       <p className="text-2xl font-bold text-green-900">{reportData.movementAnalysis.checkouts}</p>
                     </div>
+                    <div className="bg-orange-50 p-4 rounded-lg">
+                      <p className="text-sm text-orange-600 font-medium">Issues</p>
+                      <p className="text-2xl font-bold text-orange-900">{reportData.movementAnalysis.issues}</p>
+                    </div>
                     <div className="bg-purple-50 p-4 rounded-lg">
                       <p className="text-sm text-purple-600 font-medium">Location Changes</p>
                       <p className="text-2xl font-bold text-purple-900">{reportData.movementAnalysis.locationChanges}</p>
                     </div>
                   </div>
 
+                  {/* Usage by item type */}
+                  {reportData.usageByType && (
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                      <div className="bg-white border rounded-lg p-4">
+                        <h4 className="font-semibold mb-3">Consumables ({reportData.usageByType.consumable.parts} parts)</h4>
+                        <div className="space-y-2">
+                          <div className="flex justify-between">
+                            <span className="text-gray-600">Units issued</span>
+                            <span className="font-medium text-gray-900">{reportData.usageByType.consumable.issued}</span>
+                          </div>
+                          <div className="flex justify-between">
+                            <span className="text-gray-600">Issue transactions</span>
+                            <span className="font-medium text-gray-900">{reportData.usageByType.consumable.issueTransactions}</span>
+                          </div>
+                        </div>
+                      </div>
+                      <div className="bg-white border rounded-lg p-4">
+                        <h4 className="font-semibold mb-3">Returnables ({reportData.usageByType.returnable.parts} parts)</h4>
+                        <div className="space-y-2">
+                          <div className="flex justify-between">
+                            <span className="text-gray-600">Units checked out</span>
+                            <span className="font-medium text-gray-900">{reportData.usageByType.returnable.checkedOut}</span>
+                          </div>
+                          <div className="flex justify-between">
+                            <span className="text-gray-600">Units returned</span>
+                            <span className="font-medium text-gray-900">{reportData.usageByType.returnable.returned}</span>
+                          </div>
+                          <div className="flex justify-between">
+                            <span className="text-gray-600">Currently out</span>
+                            <span className="font-medium text-gray-900">{reportData.usageByType.returnable.outstanding}</span>
+                          </div>
+                        </div>
+                      </div>
+                    </div>
+                  )}
+
                   {/* Most Active Users */}
                   <div className="bg-white border rounded-lg p-4">
                     <h4 className="font-semibold mb-3 flex items-center gap-2">
@@ -374,12 +463,15 @@ const InventoryReports = ({
                     </h4>
                     <div className="space-y-2">
                       {Object.entries(reportData.movementAnalysis.mostActiveUsers)
-                        .sort(([,a], [,b]) => b - a)
+                        .sort(([,a], [,b]) => b.count - a.count)
                         .slice(0, 5)
-                        .map(([user, count]) => (
-                          <div key={user} className="flex justify-between">
-                            <span className="text-gray-900">{user}</span>
-                            <span className="font-medium text-gray-900">{count} transactions</span>
+                        .map(([key, user]) => (
+                          <div key={key} className="flex justify-between">
+                            <span className="text-gray-900">
+                              {user.name}
+                              {user.employeeId && <span className="text-gray-500 text-sm"> #{user.employeeId}</span>}
+                            </span>
+                            <span className="font-medium text-gray-900">{user.count} transactions</span>
                           </div>
                         ))}
                     </div>
@@ -412,6 +504,24 @@ const InventoryReports = ({
                   </div>
                 </div>
               )}
+
+              {/* Costs Tab */}
+              {activeTab === 'costs' && (
+                <ConsumptionReport apiCall={apiCall} onExport={exportToCSV} />
+              )}
+
+              {/* Reorder Tab */}
+              {activeTab === 'excel' && (
+                <ExcelExports onExportWorkbook={onExportWorkbook} />
+              )}
+
+              {activeTab === 'reorder' && canViewReorder && (
+                <ReorderReport
+                  apiCall={apiCall}
+                  canCreateOrders={canCreateOrders}
+                  onExport={exportToCSV}
+                />
+              )}
             </>
           ) : (
             <div className="text-center py-12">
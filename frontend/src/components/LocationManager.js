@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { MapPin, Save, X, Search, Package, AlertCircle, CheckCircle } from 'lucide-react';
+import PrintLabelsButton from './PrintLabelsButton';
 
 const LocationManager = ({ 
   isOpen, 
@@ -7,6 +8,7 @@ const LocationManager = ({
   inventory, 
   shelves, 
   onLocationUpdate,
+  onPrintLabels,
   apiCall 
 }) => {
   const [searchTerm, setSearchTerm] = useState('');
@@ -246,6 +248,17 @@ const LocationManager = ({
                 </button>
               </div>
             )}
+
+            {onPrintLabels && (
+              <div className="lg:ml-auto">
+                <PrintLabelsButton
+                  partIds={selectedParts}
+                  shelfIds={filterBy === 'location' && selectedFilter ? [selectedFilter] : []}
+                  apiCall={apiCall}
+                  onPrint={onPrintLabels}
+                />
+              </div>
+            )}
           </div>
 
           {/* Update Result */}
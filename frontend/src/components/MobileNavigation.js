@@ -1,14 +1,17 @@
 import React, { useState } from 'react';
-import { Menu, X, Sun, Moon, Package, History, Settings, MapPin, Camera } from 'lucide-react';
+import { Menu, X, Sun, Moon, Package, History, Settings, MapPin, Camera, CalendarClock, LogIn, LogOut, ScanLine, ClipboardCheck } from 'lucide-react';
 import { useTheme } from '../contexts/ThemeContext';
 
-const MobileNavigation = ({ activeView, setActiveView, isManageUnlocked, onManageClick, onCameraClick }) => {
+const MobileNavigation = ({ activeView, setActiveView, isManageUnlocked, onManageClick, onCameraClick, user, onLoginClick, onLogoutClick }) => {
   const [isOpen, setIsOpen] = useState(false);
   const { isDark, toggleTheme } = useTheme();
 
   const navigationItems = [
     { id: 'inventory', label: 'Inventory', icon: Package },
+    { id: 'scan', label: 'Scan', icon: ScanLine },
+    { id: 'counts', label: 'Counts', icon: ClipboardCheck },
     { id: 'history', label: 'History', icon: History },
+    { id: 'overdue', label: 'Overdue', icon: CalendarClock },
     { id: 'layout', label: 'Layout', icon: MapPin },
   ];
 
@@ -114,10 +117,26 @@ const MobileNavigation = ({ activeView, setActiveView, isManageUnlocked, onManag
                   <span className="font-medium">Manage</span>
                   {!isManageUnlocked && (
                     <span className="ml-auto text-xs bg-orange-100 dark:bg-orange-900/30 text-orange-600 dark:text-orange-400 px-2 py-1 rounded">
-                      PIN Required
+                      Login Required
                     </span>
                   )}
                 </button>
+
+                {/* Login / Logout Button */}
+                <button
+                  onClick={() => {
+                    if (user) {
+                      onLogoutClick();
+                    } else {
+                      onLoginClick();
+                    }
+                    setIsOpen(false);
+                  }}
+                  className="w-full flex items-center space-x-3 p-3 rounded-lg text-left transition-colors text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 mt-2"
+                >
+                  {user ? <LogOut className="w-5 h-5" /> : <LogIn className="w-5 h-5" />}
+                  <span className="font-medium">{user ? `Log Out (${user.displayName || user.username})` : 'Log In'}</span>
+                </button>
               </div>
             </div>
 
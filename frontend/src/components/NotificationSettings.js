@@ -0,0 +1,284 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Bell, BellOff, Send, RefreshCw, Save } from 'lucide-react';
+import pwaManager from '../utils/pwa';
+
+const EVENT_LABELS = {
+  low_stock: 'Low stock',
+  out_of_stock: 'Out of stock',
+  loan_overdue: 'Overdue loans'
+};
+
+const EVENT_HINTS = {
+  low_stock: 'A part drops to its minimum quantity',
+  out_of_stock: 'A part runs out',
+  loan_overdue: 'A checked-out tool passes its due date'
+};
+
+const NotificationSettings = ({
+  isOpen,
+  onClose,
+  apiCall,
+  canCheck
+}) => {
+  const [settings, setSettings] = useState(null);
+  const [form, setForm] = useState({ email: '', events: [], channels: [] });
+  const [pushEndpoint, setPushEndpoint] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const applySettings = useCallback((data) => {
+    setSettings(data);
+    setForm({ email: data.email, events: data.subscribedEvents, channels: data.subscribedChannels });
+  }, []);
+
+  const fetchSettings = useCallback(async () => {
+    setLoading(true);
+    setMessage(null);
+    try {
+      applySettings(await apiCall('/notifications/settings'));
+      const subscription = await pwaManager.getPushSubscription();
+      setPushEndpoint(subscription ? subscription.endpoint : null);
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setLoading(false);
+    }
+  }, [apiCall, applySettings]);
+
+  useEffect(() => {
+    if (isOpen) {
+      fetchSettings();
+    }
+  }, [isOpen, fetchSettings]);
+
+  const run = async (request, successText) => {
+    setLoading(true);
+    setMessage(null);
+    try {
+      const result = await request();
+      if (successText) setMessage({ type: 'success', text: successText(result) });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggle = (field, value) => {
+    setForm(prev => ({
+      ...prev,
+      [field]: prev[field].includes(value)
+        ? prev[field].filter(item => item !== value)
+        : [...prev[field], value]
+    }));
+  };
+
+  const save = () => run(async () => {
+    applySettings(await apiCall('/notifications/settings', {
+      method: 'PUT',
+      body: JSON.stringify(form)
+    }));
+  }, () => 'Notification settings saved');
+
+  const sendTest = () => run(
+    () => apiCall('/notifications/test', { method: 'POST' }),
+    ({ deliveries }) => {
+      const failed = deliveries.filter(delivery => !delivery.ok);
+      if (deliveries.length === 0) return 'Nothing to send: enable this browser for push or add an email address';
+      if (failed.length > 0) return `Test sent with ${failed.length} failure(s): ${failed.map(d => d.error).join('; ')}`;
+      return `Test sent to ${deliveries.map(d => d.recipient).join(', ')}`;
+    }
+  );
+
+  const checkNow = () => run(
+    () => apiCall('/notifications/check', { method: 'POST' }),
+    ({ raised }) => raised.length === 0 ? 'No new alerts' : `${raised.length} new alert(s) sent`
+  );
+
+  const enablePush = () => run(async () => {
+    const subscription = await pwaManager.subscribeToPush(settings.vapidPublicKey);
+    // Registering the device leaves any unsaved changes in the form alone
+    setSettings(await apiCall('/notifications/push', {
+      method: 'POST',
+      body: JSON.stringify({ subscription: subscription.toJSON() })
+    }));
+    setPushEndpoint(subscription.endpoint);
+    setForm(prev => prev.channels.includes('push') ? prev : { ...prev, channels: [...prev.channels, 'push'] });
+  }, () => 'Push notifications enabled on this device. Save to receive them.');
+
+  const disablePush = () => run(async () => {
+    const subscription = await pwaManager.unsubscribeFromPush();
+    if (subscription) {
+      setSettings(await apiCall('/notifications/push', {
+        method: 'DELETE',
+        body: JSON.stringify({ endpoint: subscription.endpoint })
+      }));
+    }
+    setPushEndpoint(null);
+  }, () => 'Push notifications turned off on this device');
+
+  if (!isOpen) return null;
+
+  const inputClass = 'p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-transparent';
+  const deviceRegistered = pushEndpoint && settings && settings.pushEndpoints.includes(pushEndpoint);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-lg max-h-[90vh] overflow-hidden">
+        {/* Header */}
+        <div className="bg-red-600 text-white p-4 flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <Bell className="w-6 h-6" />
+            <h2 className="text-xl font-bold">Notifications</h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1 hover:bg-red-700 rounded"
+          >
+            ×
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-6 overflow-auto max-h-[70vh] space-y-6">
+          {message && (
+            <div className={`p-3 rounded-lg text-sm ${message.type === 'error' ? 'bg-red-50 text-red-700' : 'bg-green-50 text-green-700'}`}>
+              {message.text}
+            </div>
+          )}
+
+          {!settings ? (
+            <div className="text-center text-gray-500 py-8">{loading ? 'Loading...' : 'Settings unavailable'}</div>
+          ) : (
+            <>
+              <div>
+                <h3 className="text-lg font-semibold mb-3">Notify me about</h3>
+                <div className="space-y-2">
+                  {settings.events.map(event => (
+                    <label key={event} className="flex items-start gap-3">
+                      <input
+                        type="checkbox"
+                        checked={form.events.includes(event)}
+                        onChange={() => toggle('events', event)}
+                        className="mt-1"
+                      />
+                      <span>
+                        <span className="font-medium">{EVENT_LABELS[event] || event}</span>
+                        <span className="block text-sm text-gray-500">{EVENT_HINTS[event]}</span>
+                      </span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <h3 className="text-lg font-semibold mb-3">Send them by</h3>
+                <div className="space-y-4">
+                  <div>
+                    <label className="flex items-center gap-3 mb-2">
+                      <input
+                        type="checkbox"
+                        checked={form.channels.includes('email')}
+                        onChange={() => toggle('channels', 'email')}
+                        disabled={!settings.channels.email}
+                      />
+                      <span className="font-medium">Email</span>
+                      {!settings.channels.email && <span className="text-sm text-gray-500">(not set up on the server)</span>}
+                    </label>
+                    <input
+                      type="email"
+                      value={form.email}
+                      onChange={(e) => setForm(prev => ({ ...prev, email: e.target.value }))}
+                      placeholder="you@example.com"
+                      className={`${inputClass} w-full`}
+                      disabled={!settings.channels.email}
+                    />
+                  </div>
+
+                  <div>
+                    <label className="flex items-center gap-3 mb-2">
+                      <input
+                        type="checkbox"
+                        checked={form.channels.includes('push')}
+                        onChange={() => toggle('channels', 'push')}
+                        disabled={!settings.channels.push}
+                      />
+                      <span className="font-medium">Push notifications</span>
+                      {!settings.channels.push && <span className="text-sm text-gray-500">(not set up on the server)</span>}
+                    </label>
+                    {settings.channels.push && (
+                      <div className="flex items-center justify-between bg-gray-50 p-3 rounded-lg text-sm">
+                        <span className="text-gray-600">
+                          {deviceRegistered ? 'This device receives push notifications' : 'This device is not registered'}
+                          {settings.pushEndpoints.length > 0 && ` (${settings.pushEndpoints.length} device${settings.pushEndpoints.length === 1 ? '' : 's'} in total)`}
+                        </span>
+                        {deviceRegistered ? (
+                          <button
+                            onClick={disablePush}
+                            disabled={loading}
+                            className="px-3 py-1 bg-gray-200 rounded-lg hover:bg-gray-300 disabled:opacity-50 flex items-center gap-1"
+                          >
+                            <BellOff className="w-4 h-4" />
+                            Turn off
+                          </button>
+                        ) : (
+                          <button
+                            onClick={enablePush}
+                            disabled={loading}
+                            className="px-3 py-1 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 flex items-center gap-1"
+                          >
+                            <Bell className="w-4 h-4" />
+                            Enable
+                          </button>
+                        )}
+                      </div>
+                    )}
+                  </div>
+
+                  {settings.channels.webhook && (
+                    <p className="text-sm text-gray-500">
+                      Every alert is also posted to the team webhook.
+                    </p>
+                  )}
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="border-t p-4 flex flex-wrap justify-end gap-2">
+          {canCheck && (
+            <button
+              onClick={checkNow}
+              disabled={loading || !settings}
+              className="px-4 py-2 bg-gray-200 rounded-lg hover:bg-gray-300 disabled:opacity-50 flex items-center gap-2"
+              title="Check stock and loans now instead of waiting for the next scheduled check"
+            >
+              <RefreshCw className="w-4 h-4" />
+              Check Now
+            </button>
+          )}
+          <button
+            onClick={sendTest}
+            disabled={loading || !settings}
+            className="px-4 py-2 bg-gray-200 rounded-lg hover:bg-gray-300 disabled:opacity-50 flex items-center gap-2"
+          >
+            <Send className="w-4 h-4" />
+            Send Test
+          </button>
+          <button
+            onClick={save}
+            disabled={loading || !settings}
+            className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 flex items-center gap-2"
+          >
+            <Save className="w-4 h-4" />
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default NotificationSettings;
@@ -0,0 +1,98 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { CalendarClock, RefreshCw, User, MapPin } from 'lucide-react';
+
+const OverdueLoans = ({ apiCall, onSelectPart }) => {
+  const [loans, setLoans] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const fetchOverdueLoans = useCallback(async () => {
+    setLoading(true);
+    try {
+      const data = await apiCall('/loans/overdue');
+      setLoans(data || []);
+    } catch (error) {
+      console.error('Failed to fetch overdue loans:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [apiCall]);
+
+  useEffect(() => {
+    fetchOverdueLoans();
+  }, [fetchOverdueLoans]);
+
+  const formatLateness = (days) => {
+    if (days < 1) return 'Due today';
+    return `${days} day${days === 1 ? '' : 's'} late`;
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-6">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-gray-100">Overdue Loans</h2>
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            {loans.length} open checkout{loans.length === 1 ? '' : 's'} past the expected return date
+          </p>
+        </div>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={fetchOverdueLoans}
+            disabled={loading}
+            className="p-2 text-gray-400 hover:text-gray-600"
+            title="Refresh"
+          >
+            <RefreshCw className={`w-5 h-5 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+          <CalendarClock className="w-6 h-6 text-gray-400" />
+        </div>
+      </div>
+
+      <div className="space-y-3">
+        {loans.map(loan => (
+          <div
+            key={loan.checkoutId}
+            onClick={() => onSelectPart && onSelectPart(loan.partId)}
+            className="border border-red-200 dark:border-red-800 rounded-lg p-4 cursor-pointer hover:bg-red-50 dark:hover:bg-red-900/20 transition-colors"
+          >
+            <div className="flex justify-between items-start">
+              <div className="flex-1">
+                <div className="flex items-center space-x-2 mb-1">
+                  <span className="font-medium text-gray-900 dark:text-gray-100">{loan.partNumber}</span>
+                  <span className="text-xs px-2 py-1 rounded bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300">
+                    Qty {loan.quantity}
+                  </span>
+                </div>
+                <p className="text-sm text-gray-600 dark:text-gray-400 mb-2">{loan.description}</p>
+                <div className="flex flex-wrap items-center gap-4 text-sm text-gray-600 dark:text-gray-400">
+                  <span className="flex items-center">
+                    <User className="w-4 h-4 mr-1" />
+                    {loan.user}{loan.employeeId && ` #${loan.employeeId}`}
+                  </span>
+                  <span className="flex items-center">
+                    <MapPin className="w-4 h-4 mr-1" />
+                    {loan.shelf}
+                  </span>
+                  <span>Out since {new Date(loan.checkedOutDate).toLocaleDateString()}</span>
+                  <span>Due {new Date(loan.dueDate).toLocaleDateString()}</span>
+                </div>
+              </div>
+              <span className="text-sm font-semibold text-red-700 dark:text-red-400 whitespace-nowrap ml-4">
+                {formatLateness(loan.daysOverdue)}
+              </span>
+            </div>
+          </div>
+        ))}
+
+        {loans.length === 0 && !loading && (
+          <div className="text-center py-8 text-gray-500 dark:text-gray-400">
+            <CalendarClock className="w-12 h-12 mx-auto mb-4 text-gray-300" />
+            <p>Nothing is overdue.</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OverdueLoans;
@@ -0,0 +1,62 @@
+import React from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+
+const inputClass = 'w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-red-500 focus:border-red-500';
+
+// Name/value rows for a part's custom attributes in the add and edit forms.
+// Rows left without a name or value are not saved.
+const PartAttributesInput = ({ rows, onChange }) => {
+  const updateRow = (index, key, value) => {
+    onChange(rows.map((row, i) => (i === index ? { ...row, [key]: value } : row)));
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-1">
+        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Custom Attributes</label>
+        <button
+          type="button"
+          onClick={() => onChange([...rows, { name: '', value: '' }])}
+          className="inline-flex items-center text-xs text-red-600 hover:text-red-700"
+        >
+          <Plus className="w-3 h-3 mr-1" />
+          Add Attribute
+        </button>
+      </div>
+      {rows.length === 0 ? (
+        <p className="text-xs text-gray-500 dark:text-gray-400">None, e.g. voltage or colour</p>
+      ) : (
+        <div className="space-y-2">
+          {rows.map((row, index) => (
+            <div key={index} className="flex items-center gap-2">
+              <input
+                type="text"
+                value={row.name}
+                onChange={(e) => updateRow(index, 'name', e.target.value)}
+                className={inputClass}
+                placeholder="Name"
+              />
+              <input
+                type="text"
+                value={row.value}
+                onChange={(e) => updateRow(index, 'value', e.target.value)}
+                className={inputClass}
+                placeholder="Value"
+              />
+              <button
+                type="button"
+                onClick={() => onChange(rows.filter((_, i) => i !== index))}
+                className="p-2 text-gray-400 hover:text-red-600"
+                title="Remove attribute"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PartAttributesInput;
@@ -0,0 +1,99 @@
+import React, { useState, useEffect } from 'react';
+import { Printer, RefreshCw } from 'lucide-react';
+
+// "Print labels" action with the sheet options. Works on whatever parts and
+// shelves the surrounding view has selected.
+const PrintLabelsButton = ({
+  partIds = [],
+  shelfIds = [],
+  apiCall,
+  onPrint
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [templates, setTemplates] = useState([]);
+  const [template, setTemplate] = useState('5160');
+  const [code, setCode] = useState('qr');
+  const [skip, setSkip] = useState(0);
+  const [printing, setPrinting] = useState(false);
+
+  const count = partIds.length + shelfIds.length;
+
+  useEffect(() => {
+    if (isOpen && templates.length === 0) {
+      apiCall('/labels/templates')
+        .then(data => setTemplates(data || []))
+        .catch(error => console.error('Failed to fetch label templates:', error));
+    }
+  }, [isOpen, templates.length, apiCall]);
+
+  const print = async () => {
+    setPrinting(true);
+    try {
+      await onPrint({ partIds, shelfIds, template, code, skip });
+      setIsOpen(false);
+    } catch (error) {
+      console.error('Failed to print labels:', error);
+    } finally {
+      setPrinting(false);
+    }
+  };
+
+  const selectedTemplate = templates.find(item => item.id === template);
+  const inputClass = 'w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-transparent';
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(open => !open)}
+        disabled={count === 0}
+        className="bg-gray-700 text-white px-4 py-2 rounded-lg hover:bg-gray-800 disabled:opacity-50 flex items-center space-x-2 transition-colors"
+        title={count === 0 ? 'Select parts or shelves to print labels for' : 'Print labels'}
+      >
+        <Printer className="w-5 h-5" />
+        <span>Print Labels{count > 0 && ` (${count})`}</span>
+      </button>
+
+      {isOpen && count > 0 && (
+        <div className="absolute right-0 mt-2 w-72 bg-white border border-gray-200 rounded-lg shadow-xl p-4 z-20 space-y-3 text-left">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Label sheet</label>
+            <select value={template} onChange={(e) => setTemplate(e.target.value)} className={inputClass}>
+              {(templates.length > 0 ? templates : [{ id: template, name: template }]).map(item => (
+                <option key={item.id} value={item.id}>{item.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Code</label>
+            <select value={code} onChange={(e) => setCode(e.target.value)} className={inputClass}>
+              <option value="qr">QR code</option>
+              <option value="code128">Barcode (Code 128)</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Skip used labels</label>
+            <input
+              type="number"
+              min="0"
+              max={selectedTemplate ? selectedTemplate.labelsPerSheet - 1 : undefined}
+              value={skip}
+              onChange={(e) => setSkip(Math.max(0, parseInt(e.target.value, 10) || 0))}
+              className={inputClass}
+            />
+            <p className="text-xs text-gray-500 mt-1">Start further down a partly used sheet</p>
+          </div>
+          <button
+            onClick={print}
+            disabled={printing}
+            className="w-full px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 flex items-center justify-center gap-2"
+          >
+            {printing ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Printer className="w-4 h-4" />}
+            Download PDF
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PrintLabelsButton;
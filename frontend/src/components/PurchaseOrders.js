@@ -0,0 +1,608 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ShoppingCart, Plus, RefreshCw, Send, Trash2, PackageCheck, Truck, X, ChevronDown, ChevronRight } from 'lucide-react';
+
+const STATUS_LABELS = {
+  draft: 'Draft',
+  sent: 'Sent',
+  partially_received: 'Partially Received',
+  received: 'Received'
+};
+
+const STATUS_STYLES = {
+  draft: 'bg-gray-100 text-gray-700',
+  sent: 'bg-blue-100 text-blue-800',
+  partially_received: 'bg-yellow-100 text-yellow-800',
+  received: 'bg-green-100 text-green-800'
+};
+
+const outstanding = (line) => Math.max(0, line.quantityOrdered - (line.quantityReceived || 0));
+
+const orderTotal = (order) => order.lines.reduce(
+  (sum, line) => sum + (line.unitCost || 0) * line.quantityOrdered, 0
+);
+
+const formatMoney = (value) => `$${Number(value || 0).toFixed(2)}`;
+
+const emptySupplier = { name: '', contactName: '', email: '', phone: '', leadTimeDays: '' };
+
+const PurchaseOrders = ({
+  isOpen,
+  onClose,
+  apiCall,
+  inventory,
+  canManage,
+  onStockReceived
+}) => {
+  const [activeTab, setActiveTab] = useState('orders');
+  const [orders, setOrders] = useState([]);
+  const [suppliers, setSuppliers] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [expandedOrder, setExpandedOrder] = useState(null);
+  const [receiveQuantities, setReceiveQuantities] = useState({});
+  const [newOrder, setNewOrder] = useState(null);
+  const [newSupplier, setNewSupplier] = useState(emptySupplier);
+
+  const fetchData = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [orderData, supplierData] = await Promise.all([
+        apiCall(`/purchase-orders${statusFilter ? `?status=${statusFilter}` : ''}`),
+        apiCall('/suppliers?includeInactive=true')
+      ]);
+      setOrders(orderData || []);
+      setSuppliers(supplierData || []);
+    } catch (error) {
+      console.error('Failed to fetch purchase orders:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [apiCall, statusFilter]);
+
+  useEffect(() => {
+    if (isOpen) {
+      fetchData();
+    }
+  }, [isOpen, fetchData]);
+
+  const runAction = async (request) => {
+    setLoading(true);
+    try {
+      const result = await request();
+      await fetchData();
+      return result || true;
+    } catch (error) {
+      console.error('Purchase order action failed:', error);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleOrder = (order) => {
+    if (expandedOrder === order.poNumber) {
+      setExpandedOrder(null);
+      return;
+    }
+    setExpandedOrder(order.poNumber);
+    setReceiveQuantities(Object.fromEntries(order.lines.map(line => [line.lineId, outstanding(line)])));
+  };
+
+  const sendOrder = (order) => runAction(() =>
+    apiCall(`/purchase-orders/${order.poNumber}/send`, { method: 'POST' })
+  );
+
+  const deleteOrder = (order) => {
+    if (!window.confirm(`Delete draft ${order.poNumber}?`)) return;
+    runAction(() => apiCall(`/purchase-orders/${order.poNumber}`, { method: 'DELETE' }));
+  };
+
+  const receiveOrder = async (order) => {
+    const lines = order.lines
+      .map(line => ({ lineId: line.lineId, quantity: Number(receiveQuantities[line.lineId]) || 0 }))
+      .filter(line => line.quantity > 0);
+    const received = await runAction(() => apiCall(`/purchase-orders/${order.poNumber}/receive`, {
+      method: 'POST',
+      body: JSON.stringify({ lines })
+    }));
+    if (received && onStockReceived) onStockReceived();
+  };
+
+  // New order editing
+  const activeSuppliers = suppliers.filter(supplier => supplier.active !== false);
+
+  const startOrder = () => {
+    setNewOrder({ supplierId: activeSuppliers[0]?.id || '', notes: '', lines: [] });
+  };
+
+  const addLine = (part, quantity = 1) => {
+    setNewOrder(prev => prev.lines.some(line => line.partId === part.id)
+      ? prev
+      : { ...prev, lines: [...prev.lines, { partId: part.id, quantity, unitCost: part.cost ?? '' }] });
+  };
+
+  // Orders enough of every low-stock part to bring it back up to its minimum
+  const addLowStockLines = () => {
+    inventory
+      .filter(part => part.quantity <= (part.minQuantity || 1))
+      .forEach(part => addLine(part, Math.max(1, (part.minQuantity || 1) - part.quantity)));
+  };
+
+  const updateLine = (partId, changes) => {
+    setNewOrder(prev => ({
+      ...prev,
+      lines: prev.lines.map(line => line.partId === partId ? { ...line, ...changes } : line)
+    }));
+  };
+
+  const removeLine = (partId) => {
+    setNewOrder(prev => ({ ...prev, lines: prev.lines.filter(line => line.partId !== partId) }));
+  };
+
+  const saveOrder = async () => {
+    const saved = await runAction(() => apiCall('/purchase-orders', {
+      method: 'POST',
+      body: JSON.stringify(newOrder)
+    }));
+    if (saved) {
+      setNewOrder(null);
+      setExpandedOrder(saved.poNumber);
+    }
+  };
+
+  // Suppliers
+  const addSupplier = async (e) => {
+    e.preventDefault();
+    const saved = await runAction(() => apiCall('/suppliers', {
+      method: 'POST',
+      body: JSON.stringify(newSupplier)
+    }));
+    if (saved) {
+      setNewSupplier(emptySupplier);
+    }
+  };
+
+  const toggleSupplier = (supplier) => runAction(() => apiCall(`/suppliers/${supplier.id}`, {
+    method: 'PUT',
+    body: JSON.stringify({ active: supplier.active === false })
+  }));
+
+  if (!isOpen) return null;
+
+  const inputClass = 'p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-transparent';
+  const partById = (partId) => inventory.find(part => part.id === partId);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-5xl max-h-[90vh] overflow-hidden">
+        {/* Header */}
+        <div className="bg-red-600 text-white p-4 flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <ShoppingCart className="w-6 h-6" />
+            <h2 className="text-xl font-bold">Purchase Orders</h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1 hover:bg-red-700 rounded"
+          >
+            ×
+          </button>
+        </div>
+
+        {/* Tabs */}
+        <div className="border-b border-gray-200">
+          <nav className="flex space-x-8 px-6">
+            {[
+              { id: 'orders', label: 'Orders', icon: ShoppingCart },
+              { id: 'suppliers', label: 'Suppliers', icon: Truck }
+            ].map(tab => {
+              const Icon = tab.icon;
+              return (
+                <button
+                  key={tab.id}
+                  onClick={() => setActiveTab(tab.id)}
+                  className={`py-4 px-1 border-b-2 font-medium text-sm flex items-center gap-2 ${
+                    activeTab === tab.id
+                      ? 'border-red-500 text-red-600'
+                      : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                  }`}
+                >
+                  <Icon className="w-4 h-4" />
+                  {tab.label}
+                </button>
+              );
+            })}
+          </nav>
+        </div>
+
+        {/* Content */}
+        <div className="p-6 overflow-auto max-h-[65vh] space-y-6">
+          {activeTab === 'orders' && (
+            <>
+              <div className="flex flex-wrap items-center justify-between gap-3">
+                <div className="flex items-center gap-2">
+                  <select
+                    value={statusFilter}
+                    onChange={(e) => setStatusFilter(e.target.value)}
+                    className={inputClass}
+                  >
+                    <option value="">All statuses</option>
+                    {Object.entries(STATUS_LABELS).map(([status, label]) => (
+                      <option key={status} value={status}>{label}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={fetchData}
+                    disabled={loading}
+                    className="p-2 text-gray-400 hover:text-gray-600"
+                    title="Refresh"
+                  >
+                    <RefreshCw className={`w-5 h-5 ${loading ? 'animate-spin' : ''}`} />
+                  </button>
+                </div>
+                {canManage && !newOrder && (
+                  <button
+                    onClick={startOrder}
+                    disabled={activeSuppliers.length === 0}
+                    className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 flex items-center gap-2"
+                    title={activeSuppliers.length === 0 ? 'Add a supplier first' : 'New purchase order'}
+                  >
+                    <Plus className="w-4 h-4" />
+                    New Order
+                  </button>
+                )}
+              </div>
+
+              {/* New Order */}
+              {newOrder && (
+                <div className="bg-gray-50 p-4 rounded-lg space-y-3">
+                  <div className="flex items-center justify-between">
+                    <h3 className="text-lg font-semibold">New Purchase Order</h3>
+                    <button onClick={() => setNewOrder(null)} className="text-gray-500 hover:text-gray-700" title="Discard">
+                      <X className="w-5 h-5" />
+                    </button>
+                  </div>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                    <select
+                      value={newOrder.supplierId}
+                      onChange={(e) => setNewOrder(prev => ({ ...prev, supplierId: Number(e.target.value) }))}
+                      className={inputClass}
+                    >
+                      {activeSuppliers.map(supplier => (
+                        <option key={supplier.id} value={supplier.id}>{supplier.name}</option>
+                      ))}
+                    </select>
+                    <input
+                      type="text"
+                      value={newOrder.notes}
+                      onChange={(e) => setNewOrder(prev => ({ ...prev, notes: e.target.value }))}
+                      placeholder="Notes for this order"
+                      className={inputClass}
+                    />
+                  </div>
+
+                  <div className="flex flex-wrap gap-2">
+                    <select
+                      value=""
+                      onChange={(e) => {
+                        const part = partById(Number(e.target.value));
+                        if (part) addLine(part);
+                      }}
+                      className={`${inputClass} flex-1`}
+                    >
+                      <option value="">Add a part...</option>
+                      {inventory
+                        .filter(part => !newOrder.lines.some(line => line.partId === part.id))
+                        .map(part => (
+                          <option key={part.id} value={part.id}>{part.partNumber} - {part.description}</option>
+                        ))}
+                    </select>
+                    <button
+                      onClick={addLowStockLines}
+                      className="px-3 py-2 border border-gray-300 rounded-lg hover:bg-gray-100 text-sm"
+                    >
+                      Add low-stock parts
+                    </button>
+                  </div>
+
+                  {newOrder.lines.length > 0 && (
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="text-left text-xs text-gray-500 uppercase">
+                          <th className="py-2">Part</th>
+                          <th className="py-2">On hand</th>
+                          <th className="py-2">Quantity</th>
+                          <th className="py-2">Unit cost</th>
+                          <th className="py-2"></th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-gray-200">
+                        {newOrder.lines.map(line => {
+                          const part = partById(line.partId);
+                          return (
+                            <tr key={line.partId}>
+                              <td className="py-2">
+                                <div className="font-medium">{part?.partNumber}</div>
+                                <div className="text-xs text-gray-500">{part?.description}</div>
+                              </td>
+                              <td className="py-2">{part?.quantity} (min {part?.minQuantity})</td>
+                              <td className="py-2">
+                                <input
+                                  type="number"
+                                  min="1"
+                                  value={line.quantity}
+                                  onChange={(e) => updateLine(line.partId, { quantity: parseInt(e.target.value) || 1 })}
+                                  className={`${inputClass} w-24`}
+                                />
+                              </td>
+                              <td className="py-2">
+                                <input
+                                  type="number"
+                                  min="0"
+                                  step="0.01"
+                                  value={line.unitCost}
+                                  onChange={(e) => updateLine(line.partId, { unitCost: e.target.value })}
+                                  className={`${inputClass} w-28`}
+                                />
+                              </td>
+                              <td className="py-2 text-right">
+                                <button onClick={() => removeLine(line.partId)} className="text-red-600 hover:text-red-900 p-1" title="Remove">
+                                  <Trash2 className="w-4 h-4" />
+                                </button>
+                              </td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  )}
+
+                  <div className="flex justify-end">
+                    <button
+                      onClick={saveOrder}
+                      disabled={loading || !newOrder.supplierId || newOrder.lines.length === 0}
+                      className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+                    >
+                      Save Draft
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {/* Order List */}
+              <div className="border border-gray-200 rounded-lg divide-y divide-gray-200">
+                {orders.map(order => (
+                  <div key={order.poNumber}>
+                    <button
+                      onClick={() => toggleOrder(order)}
+                      className="w-full px-4 py-3 flex items-center justify-between hover:bg-gray-50 text-left"
+                    >
+                      <div className="flex items-center gap-3">
+                        {expandedOrder === order.poNumber ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+                        <div>
+                          <div className="font-medium text-gray-900">{order.poNumber} · {order.supplierName}</div>
+                          <div className="text-xs text-gray-500">
+                            {order.lines.length} line{order.lines.length === 1 ? '' : 's'} · {formatMoney(orderTotal(order))} · created {new Date(order.createdAt).toLocaleDateString()} by {order.createdBy}
+                          </div>
+                        </div>
+                      </div>
+                      <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[order.status]}`}>
+                        {STATUS_LABELS[order.status]}
+                      </span>
+                    </button>
+
+                    {expandedOrder === order.poNumber && (
+                      <div className="px-4 pb-4 space-y-3">
+                        {order.notes && <p className="text-sm text-gray-600 italic">"{order.notes}"</p>}
+                        <table className="w-full text-sm">
+                          <thead>
+                            <tr className="text-left text-xs text-gray-500 uppercase">
+                              <th className="py-2">Part</th>
+                              <th className="py-2">Ordered</th>
+                              <th className="py-2">Received</th>
+                              <th className="py-2">Unit cost</th>
+                              {['sent', 'partially_received'].includes(order.status) && <th className="py-2">Receive now</th>}
+                            </tr>
+                          </thead>
+                          <tbody className="divide-y divide-gray-200">
+                            {order.lines.map(line => (
+                              <tr key={line.lineId}>
+                                <td className="py-2">
+                                  <div className="font-medium">{line.partNumber}</div>
+                                  <div className="text-xs text-gray-500">{line.description}</div>
+                                </td>
+                                <td className="py-2">{line.quantityOrdered}</td>
+                                <td className="py-2">{line.quantityReceived || 0}</td>
+                                <td className="py-2">{line.unitCost != null ? formatMoney(line.unitCost) : '-'}</td>
+                                {['sent', 'partially_received'].includes(order.status) && (
+                                  <td className="py-2">
+                                    <input
+                                      type="number"
+                                      min="0"
+                                      max={outstanding(line)}
+                                      value={receiveQuantities[line.lineId] ?? 0}
+                                      onChange={(e) => setReceiveQuantities(prev => ({
+                                        ...prev,
+                                        [line.lineId]: Math.min(outstanding(line), Math.max(0, parseInt(e.target.value) || 0))
+                                      }))}
+                                      disabled={outstanding(line) === 0}
+                                      className={`${inputClass} w-24`}
+                                    />
+                                  </td>
+                                )}
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+
+                        <div className="flex justify-end gap-2">
+                          {order.status === 'draft' && canManage && (
+                            <>
+                              <button
+                                onClick={() => deleteOrder(order)}
+                                disabled={loading}
+                                className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-100 text-gray-700 flex items-center gap-2"
+                              >
+                                <Trash2 className="w-4 h-4" />
+                                Delete
+                              </button>
+                              <button
+                                onClick={() => sendOrder(order)}
+                                disabled={loading}
+                                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 flex items-center gap-2"
+                              >
+                                <Send className="w-4 h-4" />
+                                Mark as Sent
+                              </button>
+                            </>
+                          )}
+                          {['sent', 'partially_received'].includes(order.status) && (
+                            <button
+                              onClick={() => receiveOrder(order)}
+                              disabled={loading || !Object.values(receiveQuantities).some(quantity => quantity > 0)}
+                              className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 flex items-center gap-2"
+                            >
+                              <PackageCheck className="w-4 h-4" />
+                              Receive
+                            </button>
+                          )}
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                ))}
+                {orders.length === 0 && !loading && (
+                  <div className="text-center py-8 text-gray-500">
+                    <ShoppingCart className="w-12 h-12 mx-auto mb-2 opacity-50" />
+                    <p>No purchase orders{statusFilter && ` with status ${STATUS_LABELS[statusFilter]}`}.</p>
+                  </div>
+                )}
+              </div>
+            </>
+          )}
+
+          {activeTab === 'suppliers' && (
+            <>
+              {canManage && (
+                <form onSubmit={addSupplier} className="bg-gray-50 p-4 rounded-lg">
+                  <h3 className="text-lg font-semibold mb-3 flex items-center gap-2">
+                    <Plus className="w-5 h-5" />
+                    Add Supplier
+                  </h3>
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                    <input
+                      type="text"
+                      value={newSupplier.name}
+                      onChange={(e) => setNewSupplier(prev => ({ ...prev, name: e.target.value }))}
+                      placeholder="Company name"
+                      className={inputClass}
+                      required
+                    />
+                    <input
+                      type="text"
+                      value={newSupplier.contactName}
+                      onChange={(e) => setNewSupplier(prev => ({ ...prev, contactName: e.target.value }))}
+                      placeholder="Contact"
+                      className={inputClass}
+                    />
+                    <input
+                      type="email"
+                      value={newSupplier.email}
+                      onChange={(e) => setNewSupplier(prev => ({ ...prev, email: e.target.value }))}
+                      placeholder="Email"
+                      className={inputClass}
+                    />
+                    <input
+                      type="text"
+                      value={newSupplier.phone}
+                      onChange={(e) => setNewSupplier(prev => ({ ...prev, phone: e.target.value }))}
+                      placeholder="Phone"
+                      className={inputClass}
+                    />
+                    <input
+                      type="number"
+                      min="0"
+                      value={newSupplier.leadTimeDays}
+                      onChange={(e) => setNewSupplier(prev => ({ ...prev, leadTimeDays: e.target.value }))}
+                      placeholder="Lead time (days)"
+                      className={inputClass}
+                    />
+                    <button
+                      type="submit"
+                      disabled={loading || !newSupplier.name.trim()}
+                      className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 flex items-center justify-center gap-2"
+                    >
+                      {loading ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />}
+                      Add
+                    </button>
+                  </div>
+                </form>
+              )}
+
+              <div className="border border-gray-200 rounded-lg overflow-hidden">
+                <table className="w-full">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Supplier</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Contact</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Lead Time</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {suppliers.map(supplier => (
+                      <tr key={supplier.id} className={supplier.active === false ? 'text-gray-400' : 'text-gray-900'}>
+                        <td className="px-4 py-3 text-sm font-medium">{supplier.name}</td>
+                        <td className="px-4 py-3 text-sm">
+                          {[supplier.contactName, supplier.email, supplier.phone].filter(Boolean).join(' · ')}
+                        </td>
+                        <td className="px-4 py-3 text-sm">
+                          {supplier.leadTimeDays != null ? `${supplier.leadTimeDays} days` : '-'}
+                        </td>
+                        <td className="px-4 py-3 text-sm">
+                          <button
+                            onClick={() => toggleSupplier(supplier)}
+                            disabled={loading || !canManage}
+                            className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+                              supplier.active === false
+                                ? 'bg-gray-100 text-gray-600'
+                                : 'bg-green-100 text-green-800'
+                            }`}
+                            title={canManage ? (supplier.active === false ? 'Reactivate' : 'Deactivate') : undefined}
+                          >
+                            {supplier.active === false ? 'Inactive' : 'Active'}
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {suppliers.length === 0 && !loading && (
+                  <div className="text-center py-8 text-gray-500">
+                    <Truck className="w-12 h-12 mx-auto mb-2 opacity-50" />
+                    <p>No suppliers yet.</p>
+                  </div>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="border-t p-4 bg-gray-50 flex justify-between items-center">
+          <div className="text-sm text-gray-600">
+            Receiving an order adds the delivered quantities to stock.
+          </div>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-100 text-gray-700"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PurchaseOrders;
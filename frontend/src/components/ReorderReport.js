@@ -0,0 +1,292 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Download, RefreshCw, ShoppingCart, AlertCircle, CheckCircle } from 'lucide-react';
+
+const formatCurrency = (value) => value == null ? '—' : `$${Number(value).toFixed(2)}`;
+
+// Reorder tab of the reports: parts at or below their reorder point, with a
+// suggested quantity that can be adjusted and turned into draft POs
+const ReorderReport = ({ apiCall, canCreateOrders, onExport }) => {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [days, setDays] = useState(90);
+  const [coverDays, setCoverDays] = useState(30);
+  const [selected, setSelected] = useState(new Set());
+  const [quantities, setQuantities] = useState({});
+  const [suppliers, setSuppliers] = useState([]);
+  const [supplierFor, setSupplierFor] = useState({});
+  const [creating, setCreating] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const loadReport = useCallback(async () => {
+    setLoading(true);
+    try {
+      const data = await apiCall(`/reports/reorder?days=${days}&coverDays=${coverDays}`);
+      setReport(data);
+      setSelected(new Set(data.suggestions.map(row => row.partId)));
+      setQuantities(Object.fromEntries(data.suggestions.map(row => [row.partId, row.suggestedQuantity])));
+    } catch (error) {
+      console.error('Failed to load reorder report:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [apiCall, days, coverDays]);
+
+  useEffect(() => {
+    loadReport();
+  }, [loadReport]);
+
+  useEffect(() => {
+    if (canCreateOrders) {
+      apiCall('/suppliers')
+        .then(data => setSuppliers(data || []))
+        .catch(error => console.error('Failed to fetch suppliers:', error));
+    }
+  }, [apiCall, canCreateOrders]);
+
+  const rows = report ? report.suggestions : [];
+  const selectedRows = rows.filter(row => selected.has(row.partId));
+
+  const toggleRow = (partId) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(partId)) {
+        next.delete(partId);
+      } else {
+        next.add(partId);
+      }
+      return next;
+    });
+  };
+
+  const exportRows = () => {
+    onExport(rows.map(row => ({
+      partNumber: row.partNumber,
+      description: row.description,
+      supplier: row.supplier || '',
+      quantity: row.quantity,
+      onOrder: row.onOrder,
+      minQuantity: row.minQuantity,
+      dailyUsage: row.dailyUsage,
+      daysUntilStockout: row.daysUntilStockout ?? '',
+      leadTimeDays: row.leadTimeDays,
+      reorderPoint: row.reorderPoint,
+      orderQuantity: quantities[row.partId] ?? row.suggestedQuantity,
+      unitCost: row.unitCost ?? '',
+      estimatedCost: row.estimatedCost ?? ''
+    })), `reorder-${new Date().toISOString().split('T')[0]}.csv`);
+  };
+
+  // One draft per supplier. Parts without a known supplier need one picked
+  // before they can go on an order.
+  const createDraftOrders = async () => {
+    const missing = selectedRows.filter(row => !row.supplierId && !supplierFor[row.partId]);
+    if (missing.length > 0) {
+      setMessage({ type: 'error', text: `Choose a supplier for ${missing.map(row => row.partNumber).join(', ')}` });
+      return;
+    }
+
+    const bySupplier = new Map();
+    selectedRows.forEach(row => {
+      const supplierId = row.supplierId || Number(supplierFor[row.partId]);
+      if (!bySupplier.has(supplierId)) bySupplier.set(supplierId, []);
+      bySupplier.get(supplierId).push({
+        partId: row.partId,
+        quantity: Number(quantities[row.partId]) || row.suggestedQuantity,
+        unitCost: row.unitCost ?? ''
+      });
+    });
+
+    setCreating(true);
+    setMessage(null);
+    const created = [];
+    try {
+      for (const [supplierId, lines] of bySupplier) {
+        const order = await apiCall('/purchase-orders', {
+          method: 'POST',
+          body: JSON.stringify({ supplierId, lines, notes: 'Created from the reorder report' })
+        });
+        created.push(order.poNumber);
+      }
+      setMessage({ type: 'success', text: `Created draft ${created.join(', ')}` });
+      await loadReport();
+    } catch (error) {
+      setMessage({
+        type: 'error',
+        text: created.length > 0
+          ? `Created ${created.join(', ')}, then failed: ${error.message}`
+          : error.message
+      });
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const inputClass = 'p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-transparent';
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap justify-between items-end gap-4">
+        <div>
+          <h3 className="text-lg font-semibold">Reorder Suggestions</h3>
+          <p className="text-sm text-gray-600">
+            Based on usage over the last {report ? report.days : days} days, covering {report ? report.coverDays : coverDays} days after delivery
+          </p>
+        </div>
+        <div className="flex flex-wrap items-end gap-2">
+          <label className="text-sm text-gray-600">
+            Usage window (days)
+            <input
+              type="number"
+              min="1"
+              value={days}
+              onChange={(e) => setDays(Math.max(1, parseInt(e.target.value, 10) || 1))}
+              className={`${inputClass} block w-28`}
+            />
+          </label>
+          <label className="text-sm text-gray-600">
+            Cover (days)
+            <input
+              type="number"
+              min="0"
+              value={coverDays}
+              onChange={(e) => setCoverDays(Math.max(0, parseInt(e.target.value, 10) || 0))}
+              className={`${inputClass} block w-28`}
+            />
+          </label>
+          <button
+            onClick={loadReport}
+            className="px-3 py-2 border border-gray-300 rounded-lg hover:bg-gray-100 text-gray-700"
+            title="Refresh"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+          <button
+            onClick={exportRows}
+            disabled={rows.length === 0}
+            className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 flex items-center gap-2"
+          >
+            <Download className="w-4 h-4" />
+            Export CSV
+          </button>
+          {canCreateOrders && (
+            <button
+              onClick={createDraftOrders}
+              disabled={creating || selectedRows.length === 0}
+              className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 flex items-center gap-2"
+            >
+              {creating ? <RefreshCw className="w-4 h-4 animate-spin" /> : <ShoppingCart className="w-4 h-4" />}
+              Create Draft PO{selectedRows.length > 0 && ` (${selectedRows.length})`}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {message && (
+        <div className={`flex items-center gap-2 p-3 rounded-lg text-sm ${
+          message.type === 'error' ? 'bg-red-50 text-red-700' : 'bg-green-50 text-green-700'
+        }`}>
+          {message.type === 'error' ? <AlertCircle className="w-4 h-4" /> : <CheckCircle className="w-4 h-4" />}
+          {message.text}
+        </div>
+      )}
+
+      {loading && !report ? (
+        <div className="flex items-center justify-center py-12">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-red-600"></div>
+        </div>
+      ) : rows.length === 0 ? (
+        <div className="text-center py-12 text-gray-500">Nothing needs reordering right now.</div>
+      ) : (
+        <div className="overflow-x-auto border rounded-lg">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50 text-gray-600 text-left">
+              <tr>
+                {canCreateOrders && (
+                  <th className="p-2">
+                    <input
+                      type="checkbox"
+                      checked={selectedRows.length === rows.length}
+                      onChange={(e) => setSelected(new Set(e.target.checked ? rows.map(row => row.partId) : []))}
+                    />
+                  </th>
+                )}
+                <th className="p-2">Part</th>
+                <th className="p-2">Supplier</th>
+                <th className="p-2 text-right">On Hand</th>
+                <th className="p-2 text-right">On Order</th>
+                <th className="p-2 text-right">Per Day</th>
+                <th className="p-2 text-right">Days Left</th>
+                <th className="p-2 text-right">Lead Time</th>
+                <th className="p-2 text-right">Reorder At</th>
+                <th className="p-2 text-right">Order Qty</th>
+                <th className="p-2 text-right">Est. Cost</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => {
+                const urgent = row.daysUntilStockout !== null && row.daysUntilStockout <= row.leadTimeDays;
+                return (
+                  <tr key={row.partId} className="border-t">
+                    {canCreateOrders && (
+                      <td className="p-2">
+                        <input
+                          type="checkbox"
+                          checked={selected.has(row.partId)}
+                          onChange={() => toggleRow(row.partId)}
+                        />
+                      </td>
+                    )}
+                    <td className="p-2">
+                      <div className="font-medium text-gray-900">{row.partNumber}</div>
+                      <div className="text-gray-500">{row.description}</div>
+                    </td>
+                    <td className="p-2">
+                      {row.supplierId || !canCreateOrders ? (
+                        row.supplier || <span className="text-gray-400">—</span>
+                      ) : (
+                        <select
+                          value={supplierFor[row.partId] || ''}
+                          onChange={(e) => setSupplierFor(prev => ({ ...prev, [row.partId]: e.target.value }))}
+                          className={`${inputClass} w-40`}
+                        >
+                          <option value="">{row.supplier ? `${row.supplier} (unknown)` : 'Choose supplier'}</option>
+                          {suppliers.map(supplier => (
+                            <option key={supplier.id} value={supplier.id}>{supplier.name}</option>
+                          ))}
+                        </select>
+                      )}
+                    </td>
+                    <td className="p-2 text-right">{row.quantity}</td>
+                    <td className="p-2 text-right">{row.onOrder}</td>
+                    <td className="p-2 text-right">{row.dailyUsage}</td>
+                    <td className={`p-2 text-right ${urgent ? 'text-red-600 font-semibold' : ''}`}>
+                      {row.daysUntilStockout ?? '—'}
+                    </td>
+                    <td className="p-2 text-right">{row.leadTimeDays}d</td>
+                    <td className="p-2 text-right">{row.reorderPoint}</td>
+                    <td className="p-2 text-right">
+                      {canCreateOrders ? (
+                        <input
+                          type="number"
+                          min="1"
+                          value={quantities[row.partId] ?? row.suggestedQuantity}
+                          onChange={(e) => setQuantities(prev => ({ ...prev, [row.partId]: e.target.value }))}
+                          className={`${inputClass} w-20 text-right`}
+                        />
+                      ) : row.suggestedQuantity}
+                    </td>
+                    <td className="p-2 text-right">
+                      {row.unitCost == null ? '—' : formatCurrency(row.unitCost * (Number(quantities[row.partId]) || row.suggestedQuantity))}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReorderReport;
@@ -0,0 +1,279 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { BrowserMultiFormatReader } from '@zxing/browser';
+import { BarcodeFormat, DecodeHintType } from '@zxing/library';
+import { ScanLine, Package, MapPin, RefreshCw, WifiOff, AlertCircle, Search } from 'lucide-react';
+import { resolveLabel } from '../utils/labels';
+import { getOpenCheckouts, getStatusLabel } from '../utils/checkouts';
+
+// Labels are printed as Code 128 barcodes or QR codes
+const SCAN_HINTS = new Map([
+  [DecodeHintType.POSSIBLE_FORMATS, [BarcodeFormat.CODE_128, BarcodeFormat.QR_CODE]]
+]);
+
+const ScannerView = ({
+  inventory,
+  shelves,
+  apiCall,
+  isOnline,
+  onCheckout,
+  onCheckin,
+  onOpenPart
+}) => {
+  const videoRef = useRef(null);
+  const [scanning, setScanning] = useState(true);
+  const [cameraError, setCameraError] = useState('');
+  const [manualCode, setManualCode] = useState('');
+  const [result, setResult] = useState(null);
+  const [shelfParts, setShelfParts] = useState([]);
+  const [shelfLoading, setShelfLoading] = useState(false);
+  const [shelfFromCache, setShelfFromCache] = useState(false);
+
+  // Shelf contents come from the server when it is reachable and from the
+  // cached inventory otherwise
+  const loadShelf = useCallback(async (shelf) => {
+    const cached = inventory.filter(part =>
+      String(part.shelf || '').toLowerCase() === shelf.toLowerCase()
+    );
+
+    if (!isOnline) {
+      setShelfParts(cached);
+      setShelfFromCache(true);
+      return;
+    }
+
+    setShelfLoading(true);
+    try {
+      const parts = await apiCall(`/parts/by-location/${encodeURIComponent(shelf)}?exact=true`);
+      setShelfParts(parts || []);
+      setShelfFromCache(false);
+    } catch (error) {
+      setShelfParts(cached);
+      setShelfFromCache(true);
+    } finally {
+      setShelfLoading(false);
+    }
+  }, [apiCall, inventory, isOnline]);
+
+  const handleCode = useCallback((text) => {
+    const label = resolveLabel(text, inventory, shelves);
+    setResult(label.type === 'part' ? { type: 'part', partId: label.part.id, text: label.part.partNumber } : label);
+    setScanning(false);
+    if (label.type === 'shelf') {
+      loadShelf(label.shelf);
+    }
+  }, [inventory, shelves, loadShelf]);
+
+  // Keep the latest handler without restarting the camera when inventory changes
+  const handleCodeRef = useRef(handleCode);
+  useEffect(() => {
+    handleCodeRef.current = handleCode;
+  }, [handleCode]);
+
+  useEffect(() => {
+    if (!scanning) return undefined;
+
+    let controls = null;
+    let stopped = false;
+    const reader = new BrowserMultiFormatReader(SCAN_HINTS);
+
+    setCameraError('');
+    reader.decodeFromConstraints(
+      { video: { facingMode: 'environment' } },
+      videoRef.current,
+      (scanResult, error, scannerControls) => {
+        if (scanResult && !stopped) {
+          stopped = true;
+          scannerControls.stop();
+          if (navigator.vibrate) navigator.vibrate(100);
+          handleCodeRef.current(scanResult.getText());
+        }
+      }
+    ).then(scannerControls => {
+      controls = scannerControls;
+      if (stopped) controls.stop();
+    }).catch(error => {
+      console.error('Failed to start camera:', error);
+      setCameraError(error.name === 'NotAllowedError'
+        ? 'Camera access was denied. Allow it in your browser settings, or type the label below.'
+        : 'No camera available. Type the label below instead.');
+    });
+
+    return () => {
+      stopped = true;
+      if (controls) controls.stop();
+    };
+  }, [scanning]);
+
+  const scanAgain = () => {
+    setResult(null);
+    setShelfParts([]);
+    setManualCode('');
+    setScanning(true);
+  };
+
+  const scannedPart = result && result.type === 'part'
+    ? inventory.find(part => part.id === result.partId)
+    : null;
+
+  const PartCard = ({ part }) => {
+    const openCheckouts = getOpenCheckouts(part);
+    const isConsumable = part.itemType === 'consumable';
+
+    return (
+      <div className="border border-gray-200 dark:border-gray-600 rounded-lg p-4">
+        <div className="flex justify-between items-start mb-2">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100">{part.partNumber}</h3>
+            <p className="text-sm text-gray-600 dark:text-gray-400">{part.description}</p>
+          </div>
+          <span className={`text-xs px-2 py-1 rounded ${
+            part.status === 'available'
+              ? 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200'
+              : 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200'
+          }`}>
+            {getStatusLabel(part.status)}
+          </span>
+        </div>
+        <div className="flex flex-wrap gap-4 text-sm text-gray-600 dark:text-gray-400 mb-4">
+          <span className="flex items-center"><MapPin className="w-4 h-4 mr-1" />{part.shelf}</span>
+          <span className="flex items-center"><Package className="w-4 h-4 mr-1" />{part.quantity} on shelf</span>
+          {openCheckouts.length > 0 && (
+            <span>{openCheckouts.length} open loan{openCheckouts.length === 1 ? '' : 's'}</span>
+          )}
+        </div>
+        <div className="grid grid-cols-2 gap-2">
+          <button
+            onClick={() => onCheckout(part)}
+            disabled={!isOnline || part.quantity <= 0}
+            className="bg-red-600 text-white px-4 py-3 rounded-lg hover:bg-red-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+          >
+            {part.quantity <= 0 ? 'Out of stock' : isConsumable ? 'Issue' : 'Check Out'}
+          </button>
+          <button
+            onClick={() => onCheckin(part)}
+            disabled={!isOnline || openCheckouts.length === 0}
+            className="bg-green-600 text-white px-4 py-3 rounded-lg hover:bg-green-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+          >
+            Check In
+          </button>
+        </div>
+        {!isOnline && (
+          <p className="text-xs text-orange-600 dark:text-orange-400 mt-2">Checkouts and check-ins need a connection.</p>
+        )}
+        <button
+          onClick={() => onOpenPart(part)}
+          className="w-full mt-2 text-sm text-red-600 dark:text-red-400 hover:text-red-800"
+        >
+          Open in inventory
+        </button>
+      </div>
+    );
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-4 md:p-6 max-w-xl mx-auto">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-gray-100">Scan Label</h2>
+          <p className="text-sm text-gray-500 dark:text-gray-400">Point the camera at a part or shelf label</p>
+        </div>
+        {!isOnline && (
+          <span className="flex items-center text-xs text-orange-600 dark:text-orange-400">
+            <WifiOff className="w-4 h-4 mr-1" />
+            Offline
+          </span>
+        )}
+      </div>
+
+      {scanning ? (
+        <div className="relative bg-black rounded-lg overflow-hidden aspect-[4/3] mb-4">
+          <video ref={videoRef} className="w-full h-full object-cover" muted playsInline />
+          <div className="absolute inset-x-8 top-1/2 border-t-2 border-red-500 opacity-75" />
+          {cameraError && (
+            <div className="absolute inset-0 flex items-center justify-center p-6 bg-black/70">
+              <p className="text-sm text-white text-center">{cameraError}</p>
+            </div>
+          )}
+        </div>
+      ) : (
+        <button
+          onClick={scanAgain}
+          className="w-full mb-4 bg-gray-800 dark:bg-gray-700 text-white px-4 py-3 rounded-lg hover:bg-gray-900 flex items-center justify-center space-x-2"
+        >
+          <ScanLine className="w-5 h-5" />
+          <span>Scan Another</span>
+        </button>
+      )}
+
+      {/* Typed fallback for damaged labels or no camera */}
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          if (manualCode.trim()) handleCode(manualCode);
+        }}
+        className="flex space-x-2 mb-4"
+      >
+        <input
+          type="text"
+          value={manualCode}
+          onChange={(e) => setManualCode(e.target.value)}
+          placeholder="Part number or shelf"
+          className="flex-1 p-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-red-500 focus:border-red-500"
+        />
+        <button
+          type="submit"
+          className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700"
+          title="Look up"
+        >
+          <Search className="w-5 h-5" />
+        </button>
+      </form>
+
+      {result && result.type === 'part' && scannedPart && <PartCard part={scannedPart} />}
+
+      {result && result.type === 'shelf' && (
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100 flex items-center">
+              <MapPin className="w-5 h-5 mr-1" />
+              {result.shelf}
+            </h3>
+            <span className="text-sm text-gray-500 dark:text-gray-400">
+              {shelfLoading ? <RefreshCw className="w-4 h-4 animate-spin" /> : `${shelfParts.length} part${shelfParts.length === 1 ? '' : 's'}`}
+            </span>
+          </div>
+          {shelfFromCache && (
+            <p className="text-xs text-orange-600 dark:text-orange-400 mb-2">Showing the last synced inventory.</p>
+          )}
+          <div className="space-y-2">
+            {shelfParts.map(part => (
+              <button
+                key={part.id}
+                onClick={() => setResult({ type: 'part', partId: part.id, text: part.partNumber })}
+                className="w-full text-left border border-gray-200 dark:border-gray-600 rounded-lg p-3 hover:bg-gray-50 dark:hover:bg-gray-700"
+              >
+                <div className="flex justify-between">
+                  <span className="font-medium text-gray-900 dark:text-gray-100">{part.partNumber}</span>
+                  <span className="text-sm text-gray-600 dark:text-gray-400">Qty {part.quantity}</span>
+                </div>
+                <p className="text-sm text-gray-600 dark:text-gray-400">{part.description}</p>
+              </button>
+            ))}
+            {!shelfLoading && shelfParts.length === 0 && (
+              <p className="text-center py-4 text-gray-500 dark:text-gray-400">Nothing is stored on this shelf.</p>
+            )}
+          </div>
+        </div>
+      )}
+
+      {result && (result.type === 'unknown' || (result.type === 'part' && !scannedPart)) && (
+        <div className="flex items-start space-x-2 p-3 rounded-lg bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-300">
+          <AlertCircle className="w-5 h-5 flex-shrink-0" />
+          <p className="text-sm">No part or shelf matches “{result.text}”.</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScannerView;
@@ -1,8 +1,14 @@
 import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 
-// Helper function to get nested values from objects
+// Helper function to get nested values from objects. A `*` stands for all
+// of an object's values, joined, for open sets like a part's attributes.
 const getNestedValue = (obj, path) => {
-  return path.split('.').reduce((current, key) => current?.[key], obj);
+  return path.split('.').reduce((current, key) => {
+    if (key === '*') {
+      return current && typeof current === 'object' ? Object.values(current).join(' ') : undefined;
+    }
+    return current?.[key];
+  }, obj);
 };
 
 export const useEnhancedSearch = (items, searchFields, initialSearchTerm = '', debounceMs = 300) => {
@@ -0,0 +1,18 @@
+// Helpers for a part's custom attributes, stored by the API as
+// { name: value }
+
+// Editable [{ name, value }] rows, in name order
+export const toAttributeRows = (attributes) =>
+  Object.entries(attributes || {})
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, value]) => ({ name, value }));
+
+// The { name: value } the API takes; rows without a name are dropped
+export const fromAttributeRows = (rows) =>
+  Object.fromEntries(rows
+    .map(row => [row.name.trim(), row.value.trim()])
+    .filter(([name, value]) => name && value));
+
+// Every attribute name used across the inventory, for filters
+export const getAttributeNames = (inventory) =>
+  [...new Set(inventory.flatMap(part => Object.keys(part.attributes || {})))].sort();
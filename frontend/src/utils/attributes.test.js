@@ -0,0 +1,28 @@
+import { toAttributeRows, fromAttributeRows, getAttributeNames } from './attributes';
+
+describe('attribute rows', () => {
+  test('lists a part\'s attributes as rows in name order', () => {
+    expect(toAttributeRows({ Voltage: '24V', Colour: 'Red' })).toEqual([
+      { name: 'Colour', value: 'Red' },
+      { name: 'Voltage', value: '24V' }
+    ]);
+    expect(toAttributeRows(undefined)).toEqual([]);
+  });
+
+  test('turns rows back into attributes, dropping incomplete ones', () => {
+    expect(fromAttributeRows([
+      { name: ' Voltage ', value: ' 24V ' },
+      { name: '', value: 'orphan' },
+      { name: 'Colour', value: '  ' }
+    ])).toEqual({ Voltage: '24V' });
+  });
+});
+
+test('getAttributeNames collects the names used across the inventory', () => {
+  const inventory = [
+    { attributes: { Voltage: '24V', Colour: 'Red' } },
+    { attributes: { Colour: 'Blue', Thread: 'M8' } },
+    {}
+  ];
+  expect(getAttributeNames(inventory)).toEqual(['Colour', 'Thread', 'Voltage']);
+});
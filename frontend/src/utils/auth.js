@@ -0,0 +1,32 @@
+// Keeps the login session returned by POST /auth/login across page reloads
+
+const SESSION_KEY = 'toolroom-session';
+
+export const loadSession = () => {
+  try {
+    const session = JSON.parse(localStorage.getItem(SESSION_KEY));
+    if (!session || !session.token || new Date(session.expiresAt) <= new Date()) {
+      localStorage.removeItem(SESSION_KEY);
+      return null;
+    }
+    return session;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const saveSession = (session) => {
+  localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(SESSION_KEY);
+};
+
+export const getAuthHeaders = (token) =>
+  token ? { Authorization: `Bearer ${token}` } : {};
+
+// Whether the logged-in user's role grants a permission from the server's
+// config/permissions.js, e.g. 'parts:edit'
+export const hasPermission = (user, permission) =>
+  !!user && Array.isArray(user.permissions) && user.permissions.includes(permission);
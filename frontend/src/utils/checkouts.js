@@ -0,0 +1,31 @@
+// Helpers for the per-borrower checkout records the API stores on each part
+
+// Parts checked out before loans carried a quantity only have
+// checkedOutBy/checkedOutDate; show them as a single one-unit loan
+export const getOpenCheckouts = (part) => {
+  if (!part) return [];
+  if (Array.isArray(part.checkouts) && part.checkouts.length > 0) {
+    return part.checkouts;
+  }
+  if (part.status === 'checked_out' && part.checkedOutBy) {
+    return [{
+      checkoutId: `legacy-${part.id}`,
+      user: part.checkedOutBy,
+      quantity: 1,
+      checkedOutDate: part.checkedOutDate,
+      notes: ''
+    }];
+  }
+  return [];
+};
+
+export const getCheckedOutQuantity = (part) =>
+  getOpenCheckouts(part).reduce((sum, checkout) => sum + checkout.quantity, 0);
+
+export const STATUS_LABELS = {
+  available: 'Available',
+  partially_checked_out: 'Partially Out',
+  checked_out: 'Checked Out'
+};
+
+export const getStatusLabel = (status) => STATUS_LABELS[status] || STATUS_LABELS.available;
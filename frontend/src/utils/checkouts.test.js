@@ -0,0 +1,28 @@
+import { getOpenCheckouts, getCheckedOutQuantity, getStatusLabel } from './checkouts';
+
+describe('getOpenCheckouts', () => {
+  test('returns the part\'s loan records', () => {
+    const checkouts = [{ checkoutId: 'a', user: 'amy', quantity: 2 }];
+    expect(getOpenCheckouts({ id: 1, checkouts })).toBe(checkouts);
+  });
+
+  test('shows a part checked out before loans had records as one loan', () => {
+    expect(getOpenCheckouts({ id: 7, status: 'checked_out', checkedOutBy: 'bob', checkedOutDate: '2026-02-01' })).toEqual([
+      { checkoutId: 'legacy-7', user: 'bob', quantity: 1, checkedOutDate: '2026-02-01', notes: '' }
+    ]);
+  });
+
+  test('is empty for an available part or none at all', () => {
+    expect(getOpenCheckouts({ id: 2, status: 'available', checkouts: [] })).toEqual([]);
+    expect(getOpenCheckouts(null)).toEqual([]);
+  });
+});
+
+test('getCheckedOutQuantity adds up the loans', () => {
+  expect(getCheckedOutQuantity({ checkouts: [{ quantity: 2 }, { quantity: 3 }] })).toBe(5);
+});
+
+test('getStatusLabel falls back to Available', () => {
+  expect(getStatusLabel('partially_checked_out')).toBe('Partially Out');
+  expect(getStatusLabel(undefined)).toBe('Available');
+});
@@ -0,0 +1,8 @@
+// Lookups against the employee directory served by /api/employees
+
+// The active employee with this badge number, or null
+export const findEmployee = (employees, badge) => {
+  const employeeId = String(badge || '').trim();
+  if (!employeeId) return null;
+  return employees.find(employee => employee.employeeId === employeeId && employee.active !== false) || null;
+};
@@ -0,0 +1,52 @@
+// Text encoded in the barcodes and QR codes on printed labels.
+//
+// Part labels carry `PART:<partNumber>` and shelf labels `SHELF:<shelf>`.
+// Anything without a prefix (e.g. a manufacturer's barcode that is just the
+// part number) is matched against part numbers first, then shelf names.
+
+export const PART_LABEL_PREFIX = 'PART:';
+export const SHELF_LABEL_PREFIX = 'SHELF:';
+
+export const encodePartLabel = (part) => `${PART_LABEL_PREFIX}${part.partNumber}`;
+export const encodeShelfLabel = (shelf) => `${SHELF_LABEL_PREFIX}${shelf}`;
+
+const sameText = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+// Works out what a scanned label refers to using the local (possibly cached)
+// inventory, so it keeps working offline. `shelves` is the object keyed by
+// shelf ID that GET /api/shelves returns (a list also works). Resolves to
+// { type: 'part', part }, { type: 'shelf', shelf } or { type: 'unknown', text },
+// where `shelf` is the shelf ID the parts refer to.
+export const resolveLabel = (text, inventory, shelves = {}) => {
+  const scanned = String(text || '').trim();
+  const upper = scanned.toUpperCase();
+  const shelfList = Array.isArray(shelves)
+    ? shelves
+    : Object.entries(shelves || {}).map(([id, shelf]) => ({ id, ...shelf }));
+
+  const findPart = (partNumber) => inventory.find(part => sameText(part.partNumber, partNumber));
+  const findShelf = (name) => {
+    const known = shelfList.find(shelf =>
+      sameText(shelf.id, name) || sameText(shelf.shelfId, name) || sameText(shelf.name, name)
+    );
+    if (known) return known.id || known.shelfId || known.name;
+    const part = inventory.find(item => sameText(item.shelf, name));
+    return part ? part.shelf : null;
+  };
+
+  if (upper.startsWith(PART_LABEL_PREFIX)) {
+    const part = findPart(scanned.slice(PART_LABEL_PREFIX.length));
+    return part ? { type: 'part', part } : { type: 'unknown', text: scanned };
+  }
+  if (upper.startsWith(SHELF_LABEL_PREFIX)) {
+    const name = scanned.slice(SHELF_LABEL_PREFIX.length).trim();
+    // An empty shelf is still a shelf
+    return { type: 'shelf', shelf: findShelf(name) || name };
+  }
+
+  const part = findPart(scanned);
+  if (part) return { type: 'part', part };
+  const shelf = findShelf(scanned);
+  if (shelf) return { type: 'shelf', shelf };
+  return { type: 'unknown', text: scanned };
+};
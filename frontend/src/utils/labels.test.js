@@ -0,0 +1,50 @@
+import { resolveLabel, encodePartLabel, encodeShelfLabel } from './labels';
+
+const inventory = [
+  { id: 1, partNumber: 'T800-001', shelf: 'W1' },
+  { id: 2, partNumber: 'CAM-22', shelf: 'LOOSE-BIN' }
+];
+
+// As GET /api/shelves returns them: keyed by shelf ID
+const shelves = {
+  W1: { shelfId: 'W1', name: 'West Rack - Shelf 1' },
+  N2: { shelfId: 'N2', name: 'North Rack - Shelf 2' }
+};
+
+describe('resolveLabel', () => {
+  test('finds the part of a part label', () => {
+    expect(resolveLabel(encodePartLabel({ partNumber: 'T800-001' }), inventory, shelves))
+      .toEqual({ type: 'part', part: inventory[0] });
+  });
+
+  test('reports a part label for a part it does not know', () => {
+    expect(resolveLabel('PART:NOPE', inventory, shelves)).toEqual({ type: 'unknown', text: 'PART:NOPE' });
+  });
+
+  test('resolves a shelf label by shelf ID', () => {
+    expect(resolveLabel(encodeShelfLabel('W1'), inventory, shelves)).toEqual({ type: 'shelf', shelf: 'W1' });
+  });
+
+  test('resolves a shelf label by shelf name', () => {
+    expect(resolveLabel('SHELF:north rack - shelf 2', inventory, shelves)).toEqual({ type: 'shelf', shelf: 'N2' });
+  });
+
+  test('keeps an empty shelf that has no record', () => {
+    expect(resolveLabel('SHELF:E9', inventory, shelves)).toEqual({ type: 'shelf', shelf: 'E9' });
+  });
+
+  test('matches a bare code against part numbers, then shelves', () => {
+    expect(resolveLabel('cam-22', inventory, shelves)).toEqual({ type: 'part', part: inventory[1] });
+    expect(resolveLabel('West Rack - Shelf 1', inventory, shelves)).toEqual({ type: 'shelf', shelf: 'W1' });
+    expect(resolveLabel('loose-bin', inventory, shelves)).toEqual({ type: 'shelf', shelf: 'LOOSE-BIN' });
+  });
+
+  test('reports an unrecognised code', () => {
+    expect(resolveLabel('0123456789', inventory, shelves)).toEqual({ type: 'unknown', text: '0123456789' });
+  });
+
+  test('accepts shelves as a list', () => {
+    expect(resolveLabel('SHELF:N2', inventory, [{ id: 'N2', name: 'North Rack - Shelf 2' }]))
+      .toEqual({ type: 'shelf', shelf: 'N2' });
+  });
+});
@@ -236,6 +236,44 @@ class PWAManager {
     return null;
   }
 
+  // Web Push. The server's VAPID public key identifies who may send to
+  // the subscription; the subscription is then registered with the server.
+  async getPushSubscription() {
+    if (!('serviceWorker' in navigator) || !('PushManager' in window)) {
+      return null;
+    }
+    const registration = await navigator.serviceWorker.ready;
+    return registration.pushManager.getSubscription();
+  }
+
+  async subscribeToPush(vapidPublicKey) {
+    if (!('serviceWorker' in navigator) || !('PushManager' in window)) {
+      throw new Error('This browser does not support push notifications');
+    }
+
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+      throw new Error('Notifications are blocked for this site');
+    }
+
+    const registration = await navigator.serviceWorker.ready;
+    const existing = await registration.pushManager.getSubscription();
+    if (existing) return existing;
+
+    return registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(vapidPublicKey)
+    });
+  }
+
+  async unsubscribeFromPush() {
+    const subscription = await this.getPushSubscription();
+    if (subscription) {
+      await subscription.unsubscribe();
+    }
+    return subscription;
+  }
+
   // Share API integration
   async shareContent(shareData) {
     if (navigator.share) {
@@ -265,6 +303,14 @@ class PWAManager {
   }
 }
 
+// VAPID keys come base64url encoded; PushManager wants the raw bytes
+function urlBase64ToUint8Array(base64String) {
+  const padding = '='.repeat((4 - base64String.length % 4) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  const raw = window.atob(base64);
+  return Uint8Array.from(raw, char => char.charCodeAt(0));
+}
+
 // Initialize PWA Manager
 const pwaManager = new PWAManager();
 